@@ -3,32 +3,55 @@
 
 require('dotenv').config();
 const { Client, GatewayIntentBits } = require('discord.js');
+const Logger = require('./utils/logger');
+
+// Check the configuration before any service reads it, listing every invalid field
+let config;
+try {
+    config = require('./config/environment');
+} catch (error) {
+    Logger.error(`❌ ${error.message}`);
+    process.exit(1);
+}
 
 // Import our modular services
 const DatabaseService = require('./services/database');
-const CRCONService = require('./services/crcon');
+const CRCONManager = require('./services/crconManager');
 const ContestService = require('./services/contest');
 const VIPNotificationService = require('./services/vipNotifications');
 const LeaderboardService = require('./services/leaderboard');
+const StatsCollector = require('./services/statsCollector');
+const LinkVerificationService = require('./services/linkVerification');
+const VIPManagementService = require('./services/vipManagement');
+const SeedingService = require('./services/seeding');
+const RedemptionCodeService = require('./services/redemptionCodes');
+const VipRoleSyncService = require('./services/vipRoleSync');
+const AuditService = require('./services/audit');
+const GuildSettingsService = require('./services/guildSettings');
+const LinkAdminService = require('./services/linkAdmin');
+const PanelService = require('./services/panel');
+const HealthServer = require('./services/healthServer');
 const CommandHandler = require('./handlers/commandHandler');
 const InteractionHandler = require('./handlers/interactionHandler');
 
 // Import utilities
-const Logger = require('./utils/logger');
 const RateLimiter = require('./utils/rateLimiter');
-const config = require('./config/environment');
+const Metrics = require('./utils/metrics');
 const { COLORS, EMOJIS, MESSAGES } = require('./config/constants');
 
 class HLLPlayerVIPChecker {
     constructor() {
-        // Initialize Discord client
-        this.client = new Client({ 
-            intents: [
-                GatewayIntentBits.Guilds, 
-                GatewayIntentBits.GuildMessages,
-                GatewayIntentBits.DirectMessages
-            ] 
-        });
+        // Initialize Discord client. GuildMembers is a privileged intent, so it
+        // is only requested when the VIP role sync needs it.
+        const intents = [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMessages,
+            GatewayIntentBits.DirectMessages
+        ];
+        if (config.vipRole.roleId || config.vipRole.membersIntent) {
+            intents.push(GatewayIntentBits.GuildMembers);
+        }
+        this.client = new Client({ intents });
 
         // Initialize services
         this.database = null;
@@ -36,7 +59,18 @@ class HLLPlayerVIPChecker {
         this.contest = null;
         this.vipNotifications = null;
         this.leaderboard = null;
-        this.rateLimiter = new RateLimiter();
+        this.statsCollector = null;
+        this.linkVerification = null;
+        this.vipManagement = null;
+        this.seeding = null;
+        this.panels = null;
+        this.redemptionCodes = null;
+        this.vipRoles = null;
+        this.audit = null;
+        this.linkAdmin = null;
+        this.guildSettings = null;
+        this.health = null;
+        this.rateLimiter = new RateLimiter(config.rateLimits);
 
         // Initialize handlers
         this.commandHandler = null;
@@ -55,6 +89,7 @@ class HLLPlayerVIPChecker {
             await this.initializeServices();
             await this.initializeHandlers();
             await this.setupEventListeners();
+            await this.startHealthServer();
             
             Logger.info('✅ Bot initialization complete');
             
@@ -70,30 +105,114 @@ class HLLPlayerVIPChecker {
         // Initialize database
         this.database = new DatabaseService(config.database);
         await this.database.initialize();
+
+        // Initialize the audit log (records the 'audit' events services send through the database)
+        this.audit = new AuditService(this.database, this.client, config.audit);
+        await this.audit.load();
         
-        // Initialize CRCON service
-        this.crcon = new CRCONService(config.crcon);
-        
-        // Initialize contest service
-        this.contest = new ContestService(this.database, this.crcon);
+        // Initialize CRCON connections (one per configured server)
+        this.crcon = new CRCONManager(config.crconServers, { maxConcurrentRequests: config.crcon.maxConcurrentRequests });
+        Logger.info(`🌐 Configured ${this.crcon.servers.size} CRCON server(s)`);
+
+        // Initialize per-server settings (/config), falling back to the environment
+        this.guildSettings = new GuildSettingsService(this.database, this.crcon, config.guildDefaults);
+        await this.guildSettings.load();
+        this.audit.setGuildSettings(this.guildSettings);
         
         // Initialize VIP notifications
         this.vipNotifications = new VIPNotificationService(
             this.database, 
             this.crcon, 
-            this.client
+            this.client,
+            this.guildSettings
         );
+        await this.vipNotifications.load();
+        if (config.notifications.warningDays) {
+            this.vipNotifications.applyWarningDays(config.notifications.warningDays);
+        }
         
+        // Initialize stats collection (real CRCON stats for leaderboards and contests)
+        this.statsCollector = new StatsCollector(this.database, this.crcon, config.stats);
+        await this.statsCollector.load();
+
+        // Initialize VIP management (CRCON VIP writes, also used for contest prizes)
+        this.vipManagement = new VIPManagementService(this.database, this.crcon, this.guildSettings);
+
+        // Initialize seeding rewards (VIP for time spent on a filling server)
+        this.seeding = new SeedingService(
+            this.database,
+            this.crcon,
+            this.vipManagement,
+            this.vipNotifications,
+            config.seeding
+        );
+        await this.seeding.load();
+
+        // Initialize VIP redemption codes (/vipcode batches, redeemed with /redeem)
+        this.redemptionCodes = new RedemptionCodeService(this.database, this.vipManagement);
+        await this.redemptionCodes.load();
+
+        // Initialize the Discord VIP role sync (re-checks members on link, unlink and VIP changes)
+        this.vipRoles = new VipRoleSyncService(
+            this.database,
+            this.crcon,
+            this.client,
+            this.vipManagement,
+            config.vipRole,
+            this.guildSettings
+        );
+
+        // Initialize VIP panels (self-service button panels posted with /panel)
+        this.panels = new PanelService(this.database, this.crcon, this.client);
+        await this.panels.load();
+
+        // Initialize contest service (stat contests are judged from the collected stats)
+        this.contest = new ContestService(
+            this.database,
+            this.crcon,
+            this.client,
+            config.contests,
+            config.stats.enabled ? this.statsCollector : null,
+            this.vipManagement,
+            this.guildSettings
+        );
+        await this.contest.load();
+
         // Initialize leaderboard service
         this.leaderboard = new LeaderboardService(
             this.database, 
             this.crcon, 
-            this.client
+            this.client,
+            this.statsCollector
+        );
+        await this.leaderboard.load();
+
+        // Initialize admin link management (/linkadmin)
+        this.linkAdmin = new LinkAdminService(this.database, this.crcon);
+
+        // Initialize link verification
+        this.linkVerification = new LinkVerificationService(
+            this.database,
+            this.crcon,
+            config.verification
         );
         
         Logger.info('✅ All services initialized');
     }
 
+    /**
+     * Serves /healthz and /metrics when HEALTH_PORT is set. A port that can't
+     * be bound is logged rather than stopping the bot.
+     */
+    async startHealthServer() {
+        this.health = new HealthServer(this.client, this.crcon, config.health);
+        try {
+            await this.health.start();
+        } catch (error) {
+            Logger.error(`❌ Health endpoint could not listen on ${this.health.host}:${this.health.port}:`, error.message);
+        }
+    }
+
     async initializeHandlers() {
         Logger.info('🎮 Initializing command handlers...');
         
@@ -104,6 +223,15 @@ class HLLPlayerVIPChecker {
             contest: this.contest,
             vipNotifications: this.vipNotifications,
             leaderboard: this.leaderboard,
+            linkVerification: this.linkVerification,
+            vipManagement: this.vipManagement,
+            seeding: this.seeding,
+            panels: this.panels,
+            redemptionCodes: this.redemptionCodes,
+            vipRoles: this.vipRoles,
+            audit: this.audit,
+            linkAdmin: this.linkAdmin,
+            guildSettings: this.guildSettings,
             rateLimiter: this.rateLimiter,
             client: this.client
         });
@@ -115,7 +243,10 @@ class HLLPlayerVIPChecker {
             contest: this.contest,
             vipNotifications: this.vipNotifications,
             leaderboard: this.leaderboard,
+            linkVerification: this.linkVerification,
+            vipManagement: this.vipManagement,
             rateLimiter: this.rateLimiter,
+            guildSettings: this.guildSettings,
             client: this.client
         });
         
@@ -133,7 +264,9 @@ class HLLPlayerVIPChecker {
         this.client.once('ready', async () => {
             Logger.info(`✅ Bot logged in as ${this.client.user.tag}!`);
             Logger.info(`🔗 Connected to ${this.client.guilds.cache.size} server(s)`);
-            Logger.info(`🌐 CRCON URL: ${config.crcon.baseUrl}`);
+            for (const server of this.crcon.getServers()) {
+                Logger.info(`🌐 CRCON [${server.id}] URL: ${server.baseUrl}`);
+            }
             
             // NOW register commands after client is ready
             try {
@@ -151,16 +284,22 @@ class HLLPlayerVIPChecker {
         this.client.on('interactionCreate', async (interaction) => {
             try {
                 // Rate limiting check
-                if (!this.rateLimiter.checkUserLimit(interaction.user.id)) {
+                const limit = this.rateLimiter.check(interaction);
+                if (!limit.allowed) {
+                    Logger.debug(`Rate limited ${interaction.user.tag} (${limit.bucket})`);
+                    this.countCommand(interaction, 'rate_limited');
+                    const retryAt = Math.ceil((Date.now() + limit.retryAfterMs) / 1000);
                     return await interaction.reply({
-                        content: MESSAGES.ERRORS.RATE_LIMITED,
+                        content: MESSAGES.ERRORS.RATE_LIMITED.replace('{retry}', `<t:${retryAt}:R>`),
                         ephemeral: true
                     });
                 }
 
                 await this.interactionHandler.handle(interaction);
+                this.countCommand(interaction, 'success');
                 
             } catch (error) {
+                this.countCommand(interaction, 'error');
                 Logger.error('Error handling interaction:', error);
                 await this.handleInteractionError(interaction, error);
             }
@@ -186,39 +325,35 @@ class HLLPlayerVIPChecker {
         Logger.info('🔄 Starting background services...');
         
         try {
-            // Start VIP notifications (every hour)
-            const vipInterval = setInterval(async () => {
-                try {
-                    await this.vipNotifications.checkExpirations();
-                } catch (error) {
-                    Logger.error('VIP notification check failed:', error);
-                }
-            }, 60 * 60 * 1000);
-            this.intervals.push(vipInterval);
-
-            // Start leaderboard updates (every hour)
-            const leaderboardInterval = setInterval(async () => {
-                try {
-                    await this.leaderboard.updateAll();
-                } catch (error) {
-                    Logger.error('Leaderboard update failed:', error);
-                }
-            }, 60 * 60 * 1000);
-            this.intervals.push(leaderboardInterval);
+            await this.vipNotifications.start();
 
-            // Initial runs after 30 seconds
+            // Rebuild posted VIP panels so they match the current layout
+            await this.panels.refreshAll();
+
+            // Drop leaderboards whose message was deleted while the bot was offline
+            await this.leaderboard.verifyAll();
+
+            // Contest schedule: starts, reminders, automatic end and winner pings
+            await this.runJob('contestTick', () => this.contest.tick());
+            this.scheduleJobs();
+
+            // Initial runs shortly after startup
             const initialTimeout = setTimeout(async () => {
-                try {
-                    await Promise.allSettled([
-                        this.vipNotifications.checkExpirations(),
-                        this.leaderboard.updateAll()
-                    ]);
-                } catch (error) {
-                    Logger.error('Initial background service run failed:', error);
+                if (config.stats.enabled) {
+                    await this.runJob('statsCollection', () => this.statsCollector.collect());
                 }
-            }, 30000);
+                await Promise.all([
+                    this.runJob('vipNotifications', () => this.vipNotifications.checkExpirations()),
+                    this.runJob('leaderboards', () => this.leaderboard.updateAll()),
+                    this.vipRoles.enabled ? this.runJob('vipRoleSync', () => this.vipRoles.sync()) : null
+                ]);
+            }, config.schedules.startupDelaySeconds * 1000);
             this.timeouts.push(initialTimeout);
 
+            // Pick up edits to the config file without a restart
+            config.on('reloaded', changed => this.applyConfigChanges(changed));
+            config.watch();
+
             Logger.info('✅ Background services started');
             
         } catch (error) {
@@ -226,6 +361,81 @@ class HLLPlayerVIPChecker {
         }
     }
 
+    /**
+     * (Re)creates the recurring background jobs from the configured
+     * schedules. Runs again when a config reload changes one.
+     */
+    scheduleJobs() {
+        this.intervals.forEach(interval => clearInterval(interval));
+        this.intervals = [];
+
+        const { schedules } = config;
+        const every = (name, ms, job) => this.intervals.push(setInterval(() => this.runJob(name, job), ms));
+
+        every('contestTick', schedules.contestTickSeconds * 1000, () => this.contest.tick());
+        every('vipNotifications', schedules.vipNotificationMinutes * 60 * 1000, () => this.vipNotifications.checkExpirations());
+        every('leaderboards', schedules.leaderboardMinutes * 60 * 1000, () => this.leaderboard.updateAll());
+
+        // Collect player stats from CRCON
+        if (config.stats.enabled) {
+            every('statsCollection', schedules.statsCollectMinutes * 60 * 1000, () => this.statsCollector.collect());
+        }
+
+        // Track seeding players and grant their rewards (poll() skips while seeding is off)
+        every('seedingPoll', schedules.seedingPollMinutes * 60 * 1000, () => this.seeding.poll());
+
+        // Keep the Discord VIP roles in line with CRCON (servers can set a role with /config at any time)
+        every('vipRoleSync', schedules.vipRoleSyncMinutes * 60 * 1000, async () => {
+            if (this.vipRoles.enabled) await this.vipRoles.sync();
+        });
+    }
+
+    /**
+     * Runs a background job, logging failures and recording the run for /healthz.
+     */
+    async runJob(name, job) {
+        try {
+            await Metrics.recordJob(name, job);
+        } catch (error) {
+            Logger.error(`Background job ${name} failed:`, error);
+        }
+    }
+
+    /**
+     * Applies settings changed by a config file reload.
+     */
+    applyConfigChanges(changed) {
+        const has = prefix => changed.some(key => key.startsWith(prefix));
+
+        if (has('limits.rateLimit') || has('limits.exemptAdmins')) {
+            this.rateLimiter.configure(config.rateLimits);
+        }
+        if (has('limits.crconConcurrentRequests')) {
+            this.crcon.requestLimiter.setMaxConcurrent(config.crcon.maxConcurrentRequests);
+        }
+        if (has('notifications.warningDays') && config.notifications.warningDays) {
+            this.vipNotifications.applyWarningDays(config.notifications.warningDays);
+        }
+        if (has('features.seeding')) {
+            this.seeding.enabled = config.seeding.enabled;
+            Logger.info(`🌱 Seeding rewards ${this.seeding.enabled ? 'enabled' : 'disabled'}`);
+        }
+        if (has('schedules.seedingPollMinutes')) {
+            // Seeding credits at most two poll intervals between polls
+            this.seeding.pollIntervalMs = config.schedules.seedingPollMinutes * 60 * 1000;
+        }
+        if (has('schedules.')) {
+            this.scheduleJobs();
+            Logger.info('⏱️ Background jobs rescheduled');
+        }
+    }
+
+    countCommand(interaction, outcome) {
+        if (interaction.isChatInputCommand()) {
+            Metrics.commands.inc({ command: interaction.commandName, outcome });
+        }
+    }
+
     async handleInteractionError(interaction, error) {
         const errorMessage = error.message.includes('CRCON') 
             ? MESSAGES.ERRORS.SERVER_UNAVAILABLE
@@ -263,15 +473,18 @@ class HLLPlayerVIPChecker {
         
         try {
             // Clear all intervals and timeouts
+            config.unwatch();
+            await this.health?.stop();
             this.intervals.forEach(interval => clearInterval(interval));
             this.timeouts.forEach(timeout => clearTimeout(timeout));
             
             // Save all data
-            await Promise.allSettled([
-                this.database?.close(),
-                this.contest?.save(),
-                this.vipNotifications?.save(),
-                this.leaderboard?.save()
+            await this.audit?.flush();
+            await this.database?.saveAllAndClose([
+                this.contest,
+                this.statsCollector,
+                this.vipNotifications,
+                this.leaderboard
             ]);
             
             // Destroy Discord client
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+function loadYaml() {
+    try {
+        return require('yaml');
+    } catch (error) {
+        throw new Error('YAML config files need the optional "yaml" package. Install it with: npm install yaml (or use a .json config file)');
+    }
+}
+
+/**
+ * Turns nested sections into dotted paths: { crcon: { timeout: 5000 } }
+ * becomes { 'crcon.timeout': 5000 }. Lists and the values of settings that
+ * take an object (crcon.servers, limits.rateLimitCommands) stay as they are.
+ */
+function flattenConfig(data, leafPaths = [], prefix = '') {
+    const flat = {};
+
+    for (const [key, value] of Object.entries(data)) {
+        const dotted = prefix ? `${prefix}.${key}` : key;
+        const isSection = value && typeof value === 'object' && !Array.isArray(value) && !leafPaths.includes(dotted);
+
+        if (isSection) {
+            Object.assign(flat, flattenConfig(value, leafPaths, dotted));
+        } else {
+            flat[dotted] = value;
+        }
+    }
+
+    return flat;
+}
+
+/**
+ * Reads a .json, .yaml or .yml config file into dotted paths. Throws with
+ * the file name and parser message when the file can't be read or parsed.
+ */
+function readConfigFile(filename, leafPaths = []) {
+    let text;
+    try {
+        text = fs.readFileSync(filename, 'utf8');
+    } catch (error) {
+        throw new Error(`Can't read config file ${filename}: ${error.message}`);
+    }
+
+    const extension = path.extname(filename).toLowerCase();
+    let data;
+    try {
+        if (extension === '.json') {
+            data = JSON.parse(text);
+        } else if (extension === '.yaml' || extension === '.yml') {
+            data = loadYaml().parse(text);
+        } else {
+            throw new Error('use a .json, .yaml or .yml file');
+        }
+    } catch (error) {
+        throw new Error(`Can't parse config file ${filename}: ${error.message}`);
+    }
+
+    if (data === null || data === undefined) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Config file ${filename} must contain an object of settings`);
+    }
+
+    return flattenConfig(data, leafPaths);
+}
+
+module.exports = { readConfigFile, flattenConfig };
@@ -25,7 +25,7 @@ const MESSAGES = {
         ALREADY_LINKED_TO_ANOTHER: '❌ The T17 account "{username}" is already linked to another Discord user.',
         SERVER_UNAVAILABLE: '❌ Failed to connect to Hell Let Loose server. Please try again later.',
         ADMIN_REQUIRED: '❌ You need Administrator permissions to use this command.',
-        RATE_LIMITED: '❌ You\'re doing that too fast! Please wait a moment and try again.',
+        RATE_LIMITED: '❌ You\'re doing that too fast! You can try again {retry}.',
         CONTEST_ACTIVE: '❌ There is already an active contest. End it first with `/contest end`.',
         UNKNOWN_COMMAND: '❌ Unknown command.'
     },
@@ -35,4 +35,14 @@ const MESSAGES = {
     }
 };
 
-module.exports = { COLORS, EMOJIS, MESSAGES };
+const CONTEST_LIMITS = {
+    MAX_WINNERS: 10,
+    MAX_DURATION_HOURS: 24 * 30
+};
+
+const VIP_CODE_LIMITS = {
+    MAX_CODES_PER_BATCH: 100,
+    MAX_USES_PER_CODE: 1000
+};
+
+module.exports = { COLORS, EMOJIS, MESSAGES, CONTEST_LIMITS, VIP_CODE_LIMITS };
@@ -1,46 +1,292 @@
+const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
+const { isDeepStrictEqual } = require('util');
 const Logger = require('../utils/logger');
+const { SCHEMA, ConfigError, resolveSettings } = require('./schema');
+const { readConfigFile } = require('./configFile');
 
-class EnvironmentConfig {
-    constructor() {
-        this.validateRequired();
+// Settings whose value is an object, so the config file keeps them whole
+const OBJECT_SETTINGS = Object.keys(SCHEMA).filter(key => ['servers', 'commandLimits'].includes(SCHEMA[key].type));
+
+/**
+ * Settings come from the environment, then the optional CONFIG_FILE (JSON
+ * or YAML), then the defaults in config/schema.js. Every value is checked
+ * at startup and all problems are reported together.
+ *
+ * Emits 'reloaded' with the changed setting paths after `watch()` picks up
+ * an edit to the config file.
+ */
+class EnvironmentConfig extends EventEmitter {
+    constructor(env = process.env) {
+        super();
+        this.env = env;
+        this.filename = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+        this.watching = false;
+
+        const { values, sources } = this.resolve();
+        this.values = values;
+        this.sources = sources;
+    }
+
+    /**
+     * Reads and checks every setting. Throws a ConfigError listing each
+     * invalid field.
+     */
+    resolve() {
+        const fileValues = this.filename ? readConfigFile(this.filename, OBJECT_SETTINGS) : {};
+        const { values, sources, errors } = resolveSettings(this.env, fileValues, this.filename ? path.basename(this.filename) : undefined);
+
+        if (errors.length > 0) {
+            throw new ConfigError(errors, this.filename);
+        }
+        return { values, sources };
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Whether a setting was given in the environment or the config file.
+     */
+    isSet(key) {
+        return this.sources[key] !== 'default';
     }
 
-    validateRequired() {
-        const required = ['DISCORD_TOKEN', 'DISCORD_CLIENT_ID'];
-        const missing = required.filter(key => !process.env[key]);
-        
-        if (missing.length > 0) {
-            throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    /**
+     * Re-reads the config file. Changed settings marked `reload` in the
+     * schema apply straight away; the others are logged as needing a
+     * restart. An invalid file keeps every current value.
+     */
+    reload() {
+        let next;
+        try {
+            next = this.resolve();
+        } catch (error) {
+            Logger.error(`❌ Config reload failed, keeping the current settings. ${error.message}`);
+            return { success: false, error: error.message };
         }
 
-        if (!process.env.CRCON_API_TOKEN && 
-            (!process.env.CRCON_USERNAME || !process.env.CRCON_PASSWORD)) {
-            throw new Error('Missing CRCON authentication credentials');
+        const changed = Object.keys(SCHEMA).filter(key => !isDeepStrictEqual(next.values[key], this.values[key]));
+        const applied = changed.filter(key => SCHEMA[key].reload);
+        const pending = changed.filter(key => !SCHEMA[key].reload);
+
+        for (const key of applied) {
+            this.values[key] = next.values[key];
+            this.sources[key] = next.sources[key];
+        }
+
+        if (pending.length > 0) {
+            Logger.warn(`⚠️ Restart the bot to apply: ${pending.join(', ')}`);
+        }
+        if (applied.length > 0) {
+            Logger.info(`🔄 Reloaded from ${path.basename(this.filename)}: ${applied.join(', ')}`);
+            this.emit('reloaded', applied);
         }
+
+        return { success: true, applied, pending };
+    }
+
+    /**
+     * Polls the config file for edits. Does nothing without CONFIG_FILE.
+     */
+    watch(intervalMs = 2000) {
+        if (!this.filename || this.watching) return;
+
+        fs.watchFile(this.filename, { interval: intervalMs, persistent: false }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.reload();
+            }
+        });
+        this.watching = true;
+        Logger.info(`👀 Watching ${this.filename} for changes`);
+    }
+
+    unwatch() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.filename);
+        this.watching = false;
     }
 
     get discord() {
         return {
-            token: process.env.DISCORD_TOKEN,
-            clientId: process.env.DISCORD_CLIENT_ID
+            token: this.get('discord.token'),
+            clientId: this.get('discord.clientId')
         };
     }
 
     get crcon() {
         return {
-            baseUrl: process.env.CRCON_BASE_URL || 'http://localhost:8010',
-            apiToken: process.env.CRCON_API_TOKEN,
-            username: process.env.CRCON_USERNAME,
-            password: process.env.CRCON_PASSWORD,
-            timeout: parseInt(process.env.CRCON_TIMEOUT) || 10000
+            baseUrl: this.get('crcon.baseUrl'),
+            apiToken: this.get('crcon.apiToken'),
+            username: this.get('crcon.username'),
+            password: this.get('crcon.password'),
+            timeout: this.get('crcon.timeout'),
+            cacheTtlSeconds: this.get('crcon.cacheTtlSeconds'),
+            maxConcurrentRequests: this.get('limits.crconConcurrentRequests')
+        };
+    }
+
+    /**
+     * All CRCON connections. Set CRCON_SERVERS (or crcon.servers in the config
+     * file) to a list of { id, name, baseUrl, apiToken | username + password,
+     * timeout, cacheTtlSeconds } to run several servers; missing credentials
+     * fall back to the CRCON_* values. Without it, the single CRCON_*
+     * connection is used as server "main".
+     */
+    get crconServers() {
+        const defaults = this.crcon;
+        const servers = this.get('crcon.servers');
+
+        if (!servers) {
+            return [{
+                id: 'main',
+                name: this.get('crcon.serverName'),
+                ...defaults
+            }];
+        }
+
+        return servers.map((server, index) => ({
+            id: String(server.id || `server${index + 1}`),
+            name: server.name || null,
+            baseUrl: server.baseUrl,
+            apiToken: server.apiToken || defaults.apiToken,
+            username: server.username || defaults.username,
+            password: server.password || defaults.password,
+            timeout: parseInt(server.timeout) || defaults.timeout,
+            cacheTtlSeconds: server.cacheTtlSeconds ?? defaults.cacheTtlSeconds
+        }));
+    }
+
+    /**
+     * How often each background job runs.
+     */
+    get schedules() {
+        return {
+            contestTickSeconds: this.get('schedules.contestTickSeconds'),
+            vipNotificationMinutes: this.get('schedules.vipNotificationMinutes'),
+            leaderboardMinutes: this.get('schedules.leaderboardMinutes'),
+            statsCollectMinutes: this.get('schedules.statsCollectMinutes'),
+            seedingPollMinutes: this.get('schedules.seedingPollMinutes'),
+            vipRoleSyncMinutes: this.get('schedules.vipRoleSyncMinutes'),
+            startupDelaySeconds: this.get('schedules.startupDelaySeconds')
+        };
+    }
+
+    /**
+     * `warningDays` is null unless set, so the bot keeps the list it last
+     * saved (7, 3 and 1 days on a fresh install).
+     */
+    get notifications() {
+        return {
+            warningDays: this.get('notifications.warningDays')
+        };
+    }
+
+    get verification() {
+        return {
+            codeTtlMinutes: this.get('verification.codeTtlMinutes'),
+            maxCodeRequests: this.get('verification.maxCodeRequests'),
+            requestWindowMinutes: this.get('verification.requestWindowMinutes'),
+            maxAttempts: this.get('verification.maxAttempts')
+        };
+    }
+
+    get contests() {
+        return {
+            reminderHours: this.get('contests.reminderHours'),
+            adminChannelId: this.get('contests.adminChannelId'),
+            adminRoleId: this.get('contests.adminRoleId'),
+            winnerReminderHours: this.get('contests.winnerReminderHours')
+        };
+    }
+
+    get seeding() {
+        return {
+            enabled: this.get('features.seeding'),
+            minPlayers: this.get('seeding.minPlayers'),
+            maxPlayers: this.get('seeding.maxPlayers'),
+            pollIntervalMinutes: this.get('schedules.seedingPollMinutes'),
+            minutesPerReward: this.get('seeding.minutesPerReward'),
+            rewardHours: this.get('seeding.rewardHours'),
+            maxRewardsPerDay: this.get('seeding.maxRewardsPerDay'),
+            rewardServer: this.get('seeding.rewardServer'),
+            requireLink: this.get('seeding.requireLink')
+        };
+    }
+
+    /**
+     * VIP role sync is enabled by setting VIP_ROLE_ID. VIP_ROLE_GUILD_ID is
+     * only needed when the bot is in several servers.
+     */
+    get vipRole() {
+        return {
+            roleId: this.get('vipRole.roleId'),
+            guildId: this.get('vipRole.guildId'),
+            syncIntervalMinutes: this.get('schedules.vipRoleSyncMinutes'),
+            dryRun: this.get('vipRole.dryRun'),
+            membersIntent: this.get('vipRole.membersIntent')
+        };
+    }
+
+    /**
+     * Defaults for servers that haven't changed a setting with /config.
+     */
+    get guildDefaults() {
+        return {
+            auditChannelId: this.audit.channelId,
+            vipRoleId: this.vipRole.roleId,
+            locale: this.get('guildDefaults.locale'),
+            timezone: this.get('guildDefaults.timezone')
+        };
+    }
+
+    /**
+     * Limits are `{ limit, windowMs }`, or null when turned off.
+     */
+    get rateLimits() {
+        return {
+            user: this.get('limits.rateLimitUser'),
+            guild: this.get('limits.rateLimitGuild'),
+            commands: this.get('limits.rateLimitCommands'),
+            exemptAdmins: this.get('limits.exemptAdmins')
+        };
+    }
+
+    get audit() {
+        return {
+            channelId: this.get('audit.channelId'),
+            filename: this.get('audit.filename') || path.join(this.get('database.dataDir'), 'audit.jsonl')
+        };
+    }
+
+    /**
+     * /healthz and /metrics are served only when HEALTH_PORT is set.
+     */
+    get health() {
+        return {
+            port: this.get('health.port'),
+            host: this.get('health.host')
+        };
+    }
+
+    get stats() {
+        return {
+            enabled: this.get('features.statistics'),
+            collectIntervalMinutes: this.get('schedules.statsCollectMinutes'),
+            retentionDays: this.get('stats.retentionDays')
         };
     }
 
     get database() {
-        const dataDir = process.env.DATA_DIR || './data';
+        const dataDir = this.get('database.dataDir');
         return {
-            filename: path.join(dataDir, 'database.json')
+            backend: this.get('database.backend'),
+            filename: path.join(dataDir, 'database.json'),
+            sqliteFilename: this.get('database.sqliteFilename') || path.join(dataDir, 'hll_bot.sqlite'),
+            backupInterval: this.get('database.backupIntervalMs'),
+            maxBackups: this.get('database.maxBackups')
         };
     }
 }
@@ -0,0 +1,342 @@
+/**
+ * Every setting the bot reads, keyed by its path in the config file. `env`
+ * is the environment variable that overrides it. Settings marked `reload`
+ * are applied when the config file changes; the rest need a restart.
+ */
+const SCHEMA = {
+    // Discord
+    'discord.token': { env: 'DISCORD_TOKEN', type: 'string', required: true },
+    'discord.clientId': { env: 'DISCORD_CLIENT_ID', type: 'string', required: true },
+
+    // CRCON
+    'crcon.baseUrl': { env: 'CRCON_BASE_URL', type: 'url', default: 'http://localhost:8010' },
+    'crcon.apiToken': { env: 'CRCON_API_TOKEN', type: 'string' },
+    'crcon.username': { env: 'CRCON_USERNAME', type: 'string' },
+    'crcon.password': { env: 'CRCON_PASSWORD', type: 'string' },
+    'crcon.serverName': { env: 'CRCON_SERVER_NAME', type: 'string' },
+    'crcon.servers': { env: 'CRCON_SERVERS', type: 'servers' },
+    'crcon.timeout': { env: 'CRCON_TIMEOUT', type: 'integer', min: 1000, max: 120000, default: 10000 },
+    'crcon.cacheTtlSeconds': { env: 'CRCON_CACHE_TTL_SECONDS', type: 'integer', min: 0, max: 3600, default: 30 },
+
+    // Background job schedules
+    'schedules.contestTickSeconds': { env: 'CONTEST_TICK_SECONDS', type: 'integer', min: 10, max: 600, default: 60, reload: true },
+    'schedules.vipNotificationMinutes': { env: 'VIP_NOTIFICATION_CHECK_MINUTES', type: 'integer', min: 5, max: 1440, default: 60, reload: true },
+    'schedules.leaderboardMinutes': { env: 'LEADERBOARD_UPDATE_MINUTES', type: 'integer', min: 5, max: 1440, default: 60, reload: true },
+    'schedules.statsCollectMinutes': { env: 'STATS_COLLECT_INTERVAL_MINUTES', type: 'integer', min: 1, max: 1440, default: 5, reload: true },
+    'schedules.seedingPollMinutes': { env: 'SEEDING_POLL_MINUTES', type: 'integer', min: 1, max: 60, default: 1, reload: true },
+    'schedules.vipRoleSyncMinutes': { env: 'VIP_ROLE_SYNC_MINUTES', type: 'integer', min: 5, max: 1440, default: 30, reload: true },
+    'schedules.startupDelaySeconds': { env: 'STARTUP_DELAY_SECONDS', type: 'integer', min: 0, max: 600, default: 30 },
+
+    // VIP expiry warnings
+    'notifications.warningDays': { env: 'VIP_WARNING_DAYS', type: 'days', maxItems: 5, min: 1, max: 30, reload: true },
+
+    // Limits
+    'limits.rateLimitUser': { env: 'RATE_LIMIT_USER', type: 'rateLimit', default: '10/60', reload: true },
+    'limits.rateLimitGuild': { env: 'RATE_LIMIT_GUILD', type: 'rateLimit', default: '120/60', reload: true },
+    'limits.rateLimitCommands': { env: 'RATE_LIMIT_COMMANDS', type: 'commandLimits', default: 'link:3/60,redeem:5/60', reload: true },
+    'limits.exemptAdmins': { env: 'RATE_LIMIT_EXEMPT_ADMINS', type: 'boolean', default: true, reload: true },
+    'limits.crconConcurrentRequests': { env: 'CRCON_MAX_CONCURRENT_REQUESTS', type: 'integer', min: 1, max: 50, default: 4, reload: true },
+
+    // Feature toggles
+    'features.statistics': { env: 'ENABLE_STATISTICS', type: 'boolean', default: true },
+    'features.seeding': { env: 'SEEDING_ENABLED', type: 'boolean', default: false, reload: true },
+
+    // Link verification
+    'verification.codeTtlMinutes': { env: 'LINK_CODE_TTL_MINUTES', type: 'integer', min: 1, max: 60, default: 10 },
+    'verification.maxCodeRequests': { env: 'LINK_CODE_MAX_REQUESTS', type: 'integer', min: 1, max: 20, default: 3 },
+    'verification.requestWindowMinutes': { env: 'LINK_CODE_WINDOW_MINUTES', type: 'integer', min: 1, max: 1440, default: 60 },
+    'verification.maxAttempts': { env: 'LINK_CODE_MAX_ATTEMPTS', type: 'integer', min: 1, max: 20, default: 5 },
+
+    // Contests
+    'contests.reminderHours': { env: 'CONTEST_REMINDER_HOURS', type: 'hours', default: [24, 1] },
+    'contests.adminChannelId': { env: 'CONTEST_ADMIN_CHANNEL_ID', type: 'string' },
+    'contests.adminRoleId': { env: 'CONTEST_ADMIN_ROLE_ID', type: 'string' },
+    'contests.winnerReminderHours': { env: 'CONTEST_WINNER_REMINDER_HOURS', type: 'number', min: 1, max: 720, default: 24 },
+
+    // Seeding rewards
+    'seeding.minPlayers': { env: 'SEEDING_MIN_PLAYERS', type: 'integer', min: 0, max: 100, default: 3 },
+    'seeding.maxPlayers': { env: 'SEEDING_MAX_PLAYERS', type: 'integer', min: 1, max: 100, default: 40 },
+    'seeding.minutesPerReward': { env: 'SEEDING_MINUTES_PER_REWARD', type: 'integer', min: 1, max: 1440, default: 60 },
+    'seeding.rewardHours': { env: 'SEEDING_REWARD_HOURS', type: 'integer', min: 1, max: 720, default: 24 },
+    'seeding.maxRewardsPerDay': { env: 'SEEDING_MAX_REWARDS_PER_DAY', type: 'integer', min: 0, max: 24, default: 1 },
+    'seeding.rewardServer': { env: 'SEEDING_REWARD_SERVER', type: 'string', default: 'all' },
+    'seeding.requireLink': { env: 'SEEDING_REQUIRE_LINK', type: 'boolean', default: false },
+
+    // Discord VIP role
+    'vipRole.roleId': { env: 'VIP_ROLE_ID', type: 'string' },
+    'vipRole.guildId': { env: 'VIP_ROLE_GUILD_ID', type: 'string' },
+    'vipRole.dryRun': { env: 'VIP_ROLE_DRY_RUN', type: 'boolean', default: false },
+    'vipRole.membersIntent': { env: 'VIP_ROLE_MEMBERS_INTENT', type: 'boolean', default: false },
+
+    // Audit log
+    'audit.channelId': { env: 'AUDIT_CHANNEL_ID', type: 'string' },
+    'audit.filename': { env: 'AUDIT_LOG_FILE', type: 'string' },
+
+    // Server setting defaults
+    'guildDefaults.locale': { env: 'DEFAULT_LOCALE', type: 'locale', default: 'en-US' },
+    'guildDefaults.timezone': { env: 'DEFAULT_TIMEZONE', type: 'timezone', default: 'UTC' },
+
+    // Local health and metrics endpoint
+    'health.port': { env: 'HEALTH_PORT', type: 'integer', min: 1, max: 65535 },
+    'health.host': { env: 'HEALTH_HOST', type: 'string', default: '127.0.0.1' },
+
+    // Statistics
+    'stats.retentionDays': { env: 'STATS_RETENTION_DAYS', type: 'integer', min: 1, max: 365, default: 40 },
+
+    // Storage
+    'database.backend': { env: 'STORAGE_BACKEND', type: 'enum', values: ['json', 'sqlite'], default: 'json' },
+    'database.dataDir': { env: 'DATA_DIR', type: 'string', default: './data' },
+    'database.sqliteFilename': { env: 'SQLITE_FILENAME', type: 'string' },
+    'database.backupIntervalMs': { env: 'DB_BACKUP_INTERVAL', type: 'integer', min: 60000, max: 7 * 24 * 60 * 60 * 1000, default: 60 * 60 * 1000 },
+    'database.maxBackups': { env: 'DB_MAX_BACKUPS', type: 'integer', min: 1, max: 100, default: 10 }
+};
+
+class ConfigError extends Error {
+    /**
+     * `errors` is a list of { path, source, message }; the message lists
+     * them one per line.
+     */
+    constructor(errors, filename = null) {
+        const lines = errors.map(error => `  • ${error.path}${error.source ? ` (${error.source})` : ''}: ${error.message}`);
+        super(`Invalid configuration${filename ? ` in ${filename} or the environment` : ''}:\n${lines.join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function parseRateLimit(value) {
+    if (value === 0 || value === '0' || value === null) return { value: null };
+
+    const match = /^(\d+)\s*\/\s*(\d+)$/.exec(String(value).trim());
+    if (!match || parseInt(match[2]) === 0) {
+        return { error: `must look like <count>/<seconds> such as 10/60, or 0 to turn it off, got "${value}"` };
+    }
+
+    const limit = parseInt(match[1]);
+    return { value: limit > 0 ? { limit, windowMs: parseInt(match[2]) * 1000 } : null };
+}
+
+function parseNumberList(value) {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => Number(typeof item === 'string' ? item.trim() : item));
+}
+
+/**
+ * Converts a raw value (a string from the environment, or any JSON/YAML
+ * value from the file) to the type `field` describes. Returns `{ value }`
+ * or `{ error }`.
+ */
+function coerce(field, raw) {
+    const range = field.min !== undefined && field.max !== undefined ? ` from ${field.min} to ${field.max}` : '';
+
+    switch (field.type) {
+        case 'string':
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be text' };
+            return { value: String(raw) };
+
+        case 'url': {
+            try {
+                const url = new URL(String(raw));
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('not http');
+                return { value: String(raw).replace(/\/+$/, '') };
+            } catch (error) {
+                return { error: `must be an http(s) URL such as http://localhost:8010, got "${raw}"` };
+            }
+        }
+
+        case 'integer':
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            const valid = field.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+            if (!valid || value < field.min || value > field.max) {
+                return { error: `must be a ${field.type === 'integer' ? 'whole number' : 'number'}${range}, got "${raw}"` };
+            }
+            return { value };
+        }
+
+        case 'boolean':
+            if (raw === true || raw === 'true') return { value: true };
+            if (raw === false || raw === 'false') return { value: false };
+            return { error: `must be true or false, got "${raw}"` };
+
+        case 'enum':
+            if (!field.values.includes(String(raw).toLowerCase())) {
+                return { error: `must be one of ${field.values.join(', ')}, got "${raw}"` };
+            }
+            return { value: String(raw).toLowerCase() };
+
+        case 'days': {
+            const days = parseNumberList(raw);
+            if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < field.min || day > field.max)) {
+                return { error: `must be whole days${range}, such as 7,3,1, got "${raw}"` };
+            }
+            const unique = [...new Set(days)].sort((a, b) => b - a);
+            if (unique.length > field.maxItems) {
+                return { error: `can have at most ${field.maxItems} days` };
+            }
+            return { value: unique };
+        }
+
+        case 'hours': {
+            const hours = parseNumberList(raw);
+            if (hours.length === 0 || hours.some(hour => !Number.isFinite(hour) || hour <= 0)) {
+                return { error: `must be hours greater than 0, such as 24,1, got "${raw}"` };
+            }
+            return { value: hours };
+        }
+
+        case 'rateLimit':
+            return parseRateLimit(raw);
+
+        case 'commandLimits': {
+            if (raw === 0 || raw === '0') return { value: {} };
+
+            const entries = typeof raw === 'object' && !Array.isArray(raw)
+                ? Object.entries(raw)
+                : String(raw).split(',').filter(entry => entry.trim()).map(entry => entry.split(':').map(part => part.trim()));
+            const commands = {};
+
+            for (const [command, limit] of entries) {
+                const parsed = parseRateLimit(limit ?? '');
+                if (!command || parsed.error) {
+                    return { error: `must be a list of <command>:<count>/<seconds> such as link:3/60, got "${command}:${limit}"` };
+                }
+                if (parsed.value) commands[command] = parsed.value;
+            }
+            return { value: commands };
+        }
+
+        case 'servers': {
+            let servers = raw;
+            if (typeof raw === 'string') {
+                try {
+                    servers = JSON.parse(raw);
+                } catch (error) {
+                    return { error: `is not valid JSON: ${error.message}` };
+                }
+            }
+            if (!Array.isArray(servers) || servers.length === 0) {
+                return { error: 'must be a non-empty list of servers' };
+            }
+
+            const ids = new Set();
+            for (const [index, server] of servers.entries()) {
+                const id = String(server?.id || `server${index + 1}`);
+                if (!server?.baseUrl || coerce({ type: 'url' }, server.baseUrl).error) {
+                    return { error: `server "${id}" needs a baseUrl that is an http(s) URL` };
+                }
+                if (ids.has(id)) {
+                    return { error: `has the server id "${id}" twice` };
+                }
+                ids.add(id);
+            }
+            return { value: servers };
+        }
+
+        case 'locale': {
+            try {
+                if (Intl.DateTimeFormat.supportedLocalesOf([String(raw)]).length > 0) return { value: String(raw) };
+            } catch (error) {
+                // Malformed tags throw instead of being unsupported
+            }
+            return { error: `must be a supported locale such as en-GB, got "${raw}"` };
+        }
+
+        case 'timezone': {
+            try {
+                return { value: new Intl.DateTimeFormat('en-US', { timeZone: String(raw) }).resolvedOptions().timeZone };
+            } catch (error) {
+                return { error: `must be an IANA timezone such as Europe/Berlin, got "${raw}"` };
+            }
+        }
+
+        default:
+            return { error: `has an unknown type ${field.type}` };
+    }
+}
+
+/**
+ * Checks that need more than one setting.
+ */
+function checkCombinations(values, sourceOf) {
+    const errors = [];
+
+    if (values['seeding.maxPlayers'] <= values['seeding.minPlayers']) {
+        errors.push({ path: 'seeding.maxPlayers', source: sourceOf('seeding.maxPlayers'), message: `must be more than seeding.minPlayers (${values['seeding.minPlayers']})` });
+    }
+
+    const hasDefaultLogin = values['crcon.apiToken'] || (values['crcon.username'] && values['crcon.password']);
+    const servers = values['crcon.servers'] || [{ id: 'main' }];
+    for (const server of servers) {
+        if (!hasDefaultLogin && !server.apiToken && (!server.username || !server.password)) {
+            errors.push({
+                path: values['crcon.servers'] ? 'crcon.servers' : 'crcon.apiToken',
+                source: sourceOf(values['crcon.servers'] ? 'crcon.servers' : 'crcon.apiToken'),
+                message: `server "${server.id || 'main'}" needs an API token, or a username and password`
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Resolves every setting: the environment wins over the config file, which
+ * wins over the default. Empty environment variables count as unset.
+ * Returns `{ values, sources, errors }`; `sources` says where each value
+ * came from ('env', 'file' or 'default').
+ */
+function resolveSettings(env = {}, fileValues = {}, filename = 'config file') {
+    const values = {};
+    const sources = {};
+    const errors = [];
+
+    const sourceOf = path => {
+        if (sources[path] === 'env') return `${SCHEMA[path].env}`;
+        if (sources[path] === 'file') return filename;
+        return null;
+    };
+
+    for (const path of Object.keys(fileValues)) {
+        if (!SCHEMA[path]) {
+            errors.push({ path, source: filename, message: 'is not a known setting' });
+        }
+    }
+
+    for (const [path, field] of Object.entries(SCHEMA)) {
+        let raw;
+        if (env[field.env] !== undefined && env[field.env] !== '') {
+            raw = env[field.env];
+            sources[path] = 'env';
+        } else if (fileValues[path] !== undefined && fileValues[path] !== null && fileValues[path] !== '') {
+            raw = fileValues[path];
+            sources[path] = 'file';
+        } else {
+            sources[path] = 'default';
+            if (field.required) {
+                errors.push({ path, source: field.env, message: `is required. Set ${field.env} or ${path} in the config file` });
+                continue;
+            }
+            raw = field.default;
+            if (raw === undefined) {
+                values[path] = null;
+                continue;
+            }
+        }
+
+        const result = coerce(field, raw);
+        if (result.error) {
+            errors.push({ path, source: sourceOf(path), message: result.error });
+        } else {
+            values[path] = result.value;
+        }
+    }
+
+    if (errors.length === 0) {
+        errors.push(...checkCombinations(values, sourceOf));
+    }
+
+    return { values, sources, errors };
+}
+
+module.exports = { SCHEMA, ConfigError, coerce, resolveSettings };
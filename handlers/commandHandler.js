@@ -4,13 +4,16 @@ const {
     ActionRowBuilder, 
     ButtonBuilder, 
     ButtonStyle,
+    ChannelType,
     PermissionFlagsBits
 } = require('discord.js');
 const { REST } = require('@discordjs/rest');
 const { Routes } = require('discord-api-types/v9');
 const Logger = require('../utils/logger');
-const { COLORS, EMOJIS, MESSAGES } = require('../config/constants');
+const PermissionChecker = require('../utils/permissions');
+const { COLORS, EMOJIS, MESSAGES, CONTEST_LIMITS, VIP_CODE_LIMITS } = require('../config/constants');
 const config = require('../config/environment');
+const GuildSettingsService = require('../services/guildSettings');
 
 class CommandHandler {
     constructor(services) {
@@ -19,6 +22,15 @@ class CommandHandler {
         this.contest = services.contest;
         this.vipNotifications = services.vipNotifications;
         this.leaderboard = services.leaderboard;
+        this.linkVerification = services.linkVerification;
+        this.vipManagement = services.vipManagement;
+        this.seeding = services.seeding;
+        this.panels = services.panels;
+        this.redemptionCodes = services.redemptionCodes;
+        this.vipRoles = services.vipRoles;
+        this.audit = services.audit;
+        this.linkAdmin = services.linkAdmin;
+        this.guildSettings = services.guildSettings;
         this.rateLimiter = services.rateLimiter;
         this.client = services.client;
         this.commands = [];
@@ -32,10 +44,27 @@ class CommandHandler {
                 new SlashCommandBuilder()
                     .setName('link')
                     .setDescription('Link your Discord account to your Hell Let Loose T17 account')
-                    .addStringOption(option =>
-                        option.setName('t17_username')
-                            .setDescription('Your exact T17 username from Hell Let Loose')
-                            .setRequired(true)
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('start')
+                            .setDescription('Send a verification code to your T17 account in-game')
+                            .addStringOption(option =>
+                                option.setName('t17_username')
+                                    .setDescription('Your exact T17 username from Hell Let Loose')
+                                    .setRequired(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('verify')
+                            .setDescription('Confirm the verification code you received in-game')
+                            .addStringOption(option =>
+                                option.setName('code')
+                                    .setDescription('The code shown to you in-game')
+                                    .setRequired(true)
+                                    .setMinLength(4)
+                                    .setMaxLength(12)
+                            )
                     ),
 
                 new SlashCommandBuilder()
@@ -69,6 +98,567 @@ class CommandHandler {
                                     .setRequired(true)
                             )
                     )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('ratelimits')
+                            .setDescription('Show rate limit counters and CRCON request load')
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('broadcast')
+                    .setDescription('Send an in-game broadcast (Admin only)')
+                    .addStringOption(option =>
+                        option.setName('message')
+                            .setDescription('Message to show in-game')
+                            .setRequired(true)
+                            .setMaxLength(200)
+                    )
+                    .addStringOption(option =>
+                        option.setName('server')
+                            .setDescription('Server to broadcast on (default: all)')
+                            .setRequired(false)
+                            .addChoices(...this.crcon.getServerChoices())
+                    )
+                    .setDefaultMemberPermissions('0'),
+
+                new SlashCommandBuilder()
+                    .setName('vipadmin')
+                    .setDescription('Grant, extend, revoke and list VIP (VIP managers only)')
+                    .addSubcommand(subcommand =>
+                        this.addVipTargetOptions(subcommand
+                            .setName('grant')
+                            .setDescription('Grant VIP to a player'))
+                            .addStringOption(option =>
+                                option.setName('duration')
+                                    .setDescription('How long, e.g. 30d, 2w, 12h (omit with expires for permanent VIP)')
+                                    .setRequired(false)
+                            )
+                            .addStringOption(option =>
+                                option.setName('expires')
+                                    .setDescription('Absolute expiry date, e.g. 2025-12-31')
+                                    .setRequired(false)
+                            )
+                            .addStringOption(option =>
+                                option.setName('description')
+                                    .setDescription('VIP description shown in CRCON')
+                                    .setRequired(false)
+                                    .setMaxLength(100)
+                            )
+                            .addStringOption(option =>
+                                option.setName('server')
+                                    .setDescription('Server to grant VIP on (default: all)')
+                                    .setRequired(false)
+                                    .addChoices(...this.crcon.getServerChoices())
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        this.addVipTargetOptions(subcommand
+                            .setName('extend')
+                            .setDescription('Extend a player\'s VIP from its current expiry')
+                            .addStringOption(option =>
+                                option.setName('duration')
+                                    .setDescription('How much to add, e.g. 30d, 2w, 12h')
+                                    .setRequired(true)
+                            ))
+                            .addStringOption(option =>
+                                option.setName('description')
+                                    .setDescription('VIP description shown in CRCON')
+                                    .setRequired(false)
+                                    .setMaxLength(100)
+                            )
+                            .addStringOption(option =>
+                                option.setName('server')
+                                    .setDescription('Server to extend VIP on (default: all)')
+                                    .setRequired(false)
+                                    .addChoices(...this.crcon.getServerChoices())
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        this.addVipTargetOptions(subcommand
+                            .setName('revoke')
+                            .setDescription('Remove a player\'s VIP'))
+                            .addStringOption(option =>
+                                option.setName('server')
+                                    .setDescription('Server to revoke VIP on (default: all)')
+                                    .setRequired(false)
+                                    .addChoices(...this.crcon.getServerChoices())
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('list')
+                            .setDescription('List VIP entries')
+                            .addStringOption(option =>
+                                option.setName('server')
+                                    .setDescription('Server to list (default: all, merged)')
+                                    .setRequired(false)
+                                    .addChoices(...this.crcon.getServerChoices())
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('page')
+                                    .setDescription('Page number')
+                                    .setRequired(false)
+                                    .setMinValue(1)
+                            )
+                    )
+                    .setDefaultMemberPermissions('0'),
+
+                new SlashCommandBuilder()
+                    .setName('contest')
+                    .setDescription('Run VIP contests')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('create')
+                            .setDescription('Start a new contest (Admin only)')
+                            .addStringOption(option =>
+                                option.setName('title')
+                                    .setDescription('Contest title')
+                                    .setRequired(true)
+                                    .setMaxLength(100)
+                            )
+                            .addStringOption(option =>
+                                option.setName('description')
+                                    .setDescription('What players need to do to enter')
+                                    .setRequired(true)
+                                    .setMaxLength(1000)
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('duration_hours')
+                                    .setDescription('How long the contest runs, in hours')
+                                    .setRequired(true)
+                                    .setMinValue(1)
+                                    .setMaxValue(CONTEST_LIMITS.MAX_DURATION_HOURS)
+                            )
+                            .addStringOption(option =>
+                                option.setName('prize')
+                                    .setDescription('Prize text for the winners (default: built from vip_prize)')
+                                    .setRequired(false)
+                                    .setMaxLength(200)
+                            )
+                            .addStringOption(option =>
+                                option.setName('vip_prize')
+                                    .setDescription('VIP granted to each winner automatically, e.g. 14d, 2w')
+                                    .setRequired(false)
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('max_winners')
+                                    .setDescription('Maximum number of winners (default: 1)')
+                                    .setRequired(false)
+                                    .setMinValue(1)
+                                    .setMaxValue(CONTEST_LIMITS.MAX_WINNERS)
+                            )
+                            .addStringOption(option =>
+                                option.setName('server')
+                                    .setDescription('Server to announce the contest on (default: all)')
+                                    .setRequired(false)
+                                    .addChoices(...this.crcon.getServerChoices())
+                            )
+                            .addChannelOption(option =>
+                                option.setName('channel')
+                                    .setDescription('Channel to post the contest in, with an Enter button (default: /config announcement_channel)')
+                                    .setRequired(false)
+                                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                            )
+                            .addStringOption(option =>
+                                option.setName('starts_in')
+                                    .setDescription('Start later instead of now, e.g. 2h, 1d, 1d12h')
+                                    .setRequired(false)
+                            )
+                            .addStringOption(option =>
+                                option.setName('type')
+                                    .setDescription('How winners are decided (default: judged by admins)')
+                                    .setRequired(false)
+                                    .addChoices(
+                                        { name: '🧑‍⚖️ Judged by admins', value: 'manual' },
+                                        { name: '💀 Most Kills', value: 'kills' },
+                                        { name: '🎯 Highest Score', value: 'score' },
+                                        { name: '⏱️ Most Playtime', value: 'playtime' },
+                                        { name: '📈 Best K/D Ratio', value: 'kdr' }
+                                    )
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('min_playtime_minutes')
+                                    .setDescription('Minutes an entrant must play to be eligible (stat contests)')
+                                    .setRequired(false)
+                                    .setMinValue(1)
+                                    .setMaxValue(10000)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('end')
+                            .setDescription('End the active contest, or cancel a scheduled one (Admin only)')
+                    )
+                    .addSubcommand(subcommand =>
+                        this.addContestWinnerOptions(subcommand
+                            .setName('winners')
+                            .setDescription('Select and notify the contest winners (Admin only)'))
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('status')
+                            .setDescription('Show the current contest')
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('entries')
+                            .setDescription('List contest entrants (Admin only)')
+                            .addIntegerOption(option =>
+                                option.setName('page')
+                                    .setDescription('Page number')
+                                    .setRequired(false)
+                                    .setMinValue(1)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('preview')
+                            .setDescription('Show stat contest standings or the winner preview (Admin only)')
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('export')
+                            .setDescription('Download contest entries as CSV (Admin only)')
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('seeding')
+                    .setDescription('Seeding rewards: VIP for helping fill the server')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('status')
+                            .setDescription('Show the seeding rules and your progress to the next reward')
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('leaderboard')
+                            .setDescription('Show who has seeded the most')
+                            .addStringOption(option =>
+                                option.setName('period')
+                                    .setDescription('Time period (default: this week)')
+                                    .setRequired(false)
+                                    .addChoices(
+                                        { name: '📅 Today', value: 'daily' },
+                                        { name: '📆 This Week', value: 'weekly' },
+                                        { name: '🗓️ This Month', value: 'monthly' }
+                                    )
+                            )
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('panel')
+                    .setDescription('Manage the self-service VIP panel (Admin only)')
+                    .setDefaultMemberPermissions('0')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('create')
+                            .setDescription('Post a VIP panel with account and VIP buttons')
+                            .addChannelOption(option =>
+                                option.setName('channel')
+                                    .setDescription('Channel to post in (default: this channel)')
+                                    .setRequired(false)
+                                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                            )
+                            .addStringOption(option =>
+                                option.setName('title')
+                                    .setDescription('Panel title (default: VIP Control Panel)')
+                                    .setRequired(false)
+                                    .setMaxLength(100)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('refresh')
+                            .setDescription('Rebuild every posted panel with the current layout')
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('remove')
+                            .setDescription('Delete the panels in a channel, or one panel by message ID')
+                            .addChannelOption(option =>
+                                option.setName('channel')
+                                    .setDescription('Channel to remove panels from (default: this channel)')
+                                    .setRequired(false)
+                                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                            )
+                            .addStringOption(option =>
+                                option.setName('message_id')
+                                    .setDescription('Message ID of a single panel to remove')
+                                    .setRequired(false)
+                            )
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('leaderboard')
+                    .setDescription('Manage live leaderboard posts (Admin only)')
+                    .setDefaultMemberPermissions('0')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('create')
+                            .setDescription('Post a leaderboard that updates every hour')
+                            .addStringOption(option =>
+                                option.setName('type')
+                                    .setDescription('Stat to rank players by (default: kills)')
+                                    .setRequired(false)
+                                    .addChoices(
+                                        { name: '💀 Most Kills', value: 'kills' },
+                                        { name: '🎯 Highest Score', value: 'score' },
+                                        { name: '⏱️ Most Playtime', value: 'playtime' },
+                                        { name: '📈 Best K/D Ratio', value: 'kdr' }
+                                    )
+                            )
+                            .addStringOption(option =>
+                                option.setName('period')
+                                    .setDescription('Time period to show (default: daily)')
+                                    .setRequired(false)
+                                    .addChoices(
+                                        { name: '📅 Daily', value: 'daily' },
+                                        { name: '📆 Weekly', value: 'weekly' },
+                                        { name: '🗓️ Monthly', value: 'monthly' }
+                                    )
+                            )
+                            .addChannelOption(option =>
+                                option.setName('channel')
+                                    .setDescription('Channel to post in (default: this channel)')
+                                    .setRequired(false)
+                                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('remove')
+                            .setDescription('Delete the leaderboards in a channel, or one by message ID')
+                            .addChannelOption(option =>
+                                option.setName('channel')
+                                    .setDescription('Channel to remove leaderboards from (default: this channel)')
+                                    .setRequired(false)
+                                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                            )
+                            .addStringOption(option =>
+                                option.setName('message_id')
+                                    .setDescription('Message ID of a single leaderboard to remove')
+                                    .setRequired(false)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('list')
+                            .setDescription('List the posted leaderboards')
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('redeem')
+                    .setDescription('Redeem a VIP code')
+                    .addStringOption(option =>
+                        option.setName('code')
+                            .setDescription('Your VIP code, e.g. ABCD-EFGH-JKMN')
+                            .setRequired(true)
+                            .setMaxLength(20)
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('vipcode')
+                    .setDescription('Manage VIP redemption codes (Admin only)')
+                    .setDefaultMemberPermissions('0')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('create')
+                            .setDescription('Create a batch of VIP codes')
+                            .addStringOption(option =>
+                                option.setName('duration')
+                                    .setDescription('VIP each redemption grants (e.g. 7d, 12h, 1w)')
+                                    .setRequired(true)
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('count')
+                                    .setDescription('Number of codes to create (default: 1)')
+                                    .setRequired(false)
+                                    .setMinValue(1)
+                                    .setMaxValue(VIP_CODE_LIMITS.MAX_CODES_PER_BATCH)
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('uses')
+                                    .setDescription('Times each code can be redeemed (default: 1)')
+                                    .setRequired(false)
+                                    .setMinValue(1)
+                                    .setMaxValue(VIP_CODE_LIMITS.MAX_USES_PER_CODE)
+                            )
+                            .addStringOption(option =>
+                                option.setName('expires')
+                                    .setDescription('Last day codes can be redeemed (YYYY-MM-DD)')
+                                    .setRequired(false)
+                            )
+                            .addStringOption(option =>
+                                option.setName('label')
+                                    .setDescription('What the codes are for (e.g. "Partner giveaway")')
+                                    .setRequired(false)
+                                    .setMaxLength(100)
+                            )
+                            .addStringOption(option =>
+                                option.setName('server')
+                                    .setDescription('Server the VIP applies to (default: all)')
+                                    .setRequired(false)
+                                    .addChoices(...this.crcon.getServerChoices())
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('list')
+                            .setDescription('Summarize code batches and export every code as CSV')
+                            .addStringOption(option =>
+                                option.setName('label')
+                                    .setDescription('Only batches whose label contains this text')
+                                    .setRequired(false)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('disable')
+                            .setDescription('Stop a code, or a whole batch, from being redeemed')
+                            .addStringOption(option =>
+                                option.setName('code_or_batch')
+                                    .setDescription('A code or a batch ID from /vipcode list')
+                                    .setRequired(true)
+                            )
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('viprole')
+                    .setDescription('Discord VIP role sync (Admin only)')
+                    .setDefaultMemberPermissions('0')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('sync')
+                            .setDescription('Sync the VIP role with CRCON now and show what changed')
+                            .addBooleanOption(option =>
+                                option.setName('dry_run')
+                                    .setDescription('Only report what would change (default: VIP_ROLE_DRY_RUN)')
+                                    .setRequired(false)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('status')
+                            .setDescription('Show the VIP role sync settings and last run')
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('audit')
+                    .setDescription('Search the audit log (Admin only)')
+                    .setDefaultMemberPermissions('0')
+                    .addSubcommand(subcommand =>
+                        this.addVipTargetOptions(subcommand
+                            .setName('search')
+                            .setDescription('Find audit entries by the user involved or their player ID'))
+                            .addStringOption(option =>
+                                option.setName('action')
+                                    .setDescription('Only this kind of entry')
+                                    .setRequired(false)
+                                    .addChoices(
+                                        { name: '🔗 Links & unlinks', value: 'link' },
+                                        { name: '🎖️ VIP changes', value: 'vip' },
+                                        { name: '🏆 Contests', value: 'contest' },
+                                        { name: '🔔 Notification settings', value: 'notifications' },
+                                        { name: '⚙️ Server settings', value: 'config' },
+                                        { name: '🔧 Debug commands', value: 'debug' }
+                                    )
+                            )
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('linkadmin')
+                    .setDescription('Fix and look up account links (Admin only)')
+                    .setDefaultMemberPermissions('0')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('set')
+                            .setDescription('Link a Discord user to a player, replacing any existing link')
+                            .addUserOption(option =>
+                                option.setName('user')
+                                    .setDescription('Discord user to link')
+                                    .setRequired(true)
+                            )
+                            .addStringOption(option =>
+                                option.setName('player')
+                                    .setDescription('Player ID (Steam64 or Windows/console ID) or T17 username')
+                                    .setRequired(true)
+                            )
+                            .addStringOption(option =>
+                                option.setName('name')
+                                    .setDescription('T17 username to store (default: the name CRCON knows)')
+                                    .setRequired(false)
+                                    .setMaxLength(50)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('remove')
+                            .setDescription('Unlink a Discord user')
+                            .addUserOption(option =>
+                                option.setName('user')
+                                    .setDescription('Discord user to unlink')
+                                    .setRequired(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('whois')
+                            .setDescription('Find the Discord user linked to a player')
+                            .addStringOption(option =>
+                                option.setName('player')
+                                    .setDescription('Player ID or (part of) a T17 username')
+                                    .setRequired(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('list')
+                            .setDescription('List linked accounts, newest first')
+                            .addIntegerOption(option =>
+                                option.setName('page')
+                                    .setDescription('Page number')
+                                    .setRequired(false)
+                                    .setMinValue(1)
+                            )
+                    ),
+
+                new SlashCommandBuilder()
+                    .setName('config')
+                    .setDescription('View and change this server\'s bot settings (Admin only)')
+                    .setDefaultMemberPermissions('0')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('view')
+                            .setDescription('Show every setting and where its value comes from')
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('set')
+                            .setDescription('Change a setting for this server')
+                            .addStringOption(option =>
+                                option.setName('setting')
+                                    .setDescription('Setting to change')
+                                    .setRequired(true)
+                                    .addChoices(...this.getConfigSettingChoices())
+                            )
+                            .addStringOption(option =>
+                                option.setName('value')
+                                    .setDescription('New value: a #channel, @role, days like 7,3,1, en-GB, Europe/Berlin or a server id')
+                                    .setRequired(true)
+                                    .setMaxLength(100)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('reset')
+                            .setDescription('Go back to the default for one setting, or all of them')
+                            .addStringOption(option =>
+                                option.setName('setting')
+                                    .setDescription('Setting to reset (default: all settings)')
+                                    .setRequired(false)
+                                    .addChoices(...this.getConfigSettingChoices())
+                            )
+                    )
             ];
 
             const rest = new REST({ version: '10' }).setToken(config.discord.token);
@@ -87,6 +677,31 @@ class CommandHandler {
         }
     }
 
+    addVipTargetOptions(subcommand) {
+        return subcommand
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Linked Discord user')
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option.setName('player_id')
+                    .setDescription('Player ID (Steam64 or Windows/console ID)')
+                    .setRequired(false)
+            );
+    }
+
+    addContestWinnerOptions(subcommand) {
+        for (let i = 1; i <= CONTEST_LIMITS.MAX_WINNERS; i++) {
+            subcommand.addUserOption(option =>
+                option.setName(i === 1 ? 'winner' : `winner_${i}`)
+                    .setDescription(i === 1 ? 'Winning Discord user' : `Winner #${i}`)
+                    .setRequired(i === 1)
+            );
+        }
+        return subcommand;
+    }
+
     async handleCommand(interaction) {
         const { commandName } = interaction;
 
@@ -104,6 +719,42 @@ class CommandHandler {
                 case 'debug':
                     await this.handleDebugCommand(interaction);
                     break;
+                case 'broadcast':
+                    await this.handleBroadcastCommand(interaction);
+                    break;
+                case 'vipadmin':
+                    await this.handleVipAdminCommand(interaction);
+                    break;
+                case 'contest':
+                    await this.handleContestCommand(interaction);
+                    break;
+                case 'seeding':
+                    await this.handleSeedingCommand(interaction);
+                    break;
+                case 'panel':
+                    await this.handlePanelCommand(interaction);
+                    break;
+                case 'leaderboard':
+                    await this.handleLeaderboardCommand(interaction);
+                    break;
+                case 'redeem':
+                    await this.redemptionCodes.handleRedeem(interaction);
+                    break;
+                case 'vipcode':
+                    await this.handleVipCodeCommand(interaction);
+                    break;
+                case 'viprole':
+                    await this.handleVipRoleCommand(interaction);
+                    break;
+                case 'audit':
+                    await this.handleAuditCommand(interaction);
+                    break;
+                case 'linkadmin':
+                    await this.handleLinkAdminCommand(interaction);
+                    break;
+                case 'config':
+                    await this.handleConfigCommand(interaction);
+                    break;
                 default:
                     await interaction.reply({
                         content: `❌ Unknown command: ${commandName}`,
@@ -117,6 +768,12 @@ class CommandHandler {
     }
 
     async handleLinkCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'verify') {
+            return await this.handleLinkVerify(interaction);
+        }
+
         const t17Username = interaction.options.getString('t17_username').trim();
         const discordId = interaction.user.id;
 
@@ -131,45 +788,40 @@ class CommandHandler {
         await interaction.deferReply({ ephemeral: true });
 
         try {
-            const playerData = await this.crcon.getPlayerByT17Username(t17Username);
-            
-            if (!playerData) {
-                return await interaction.editReply({
-                    content: `❌ T17 username "${t17Username}" not found in Hell Let Loose records.`
-                });
-            }
+            const result = await this.linkVerification.requestCode(discordId, t17Username, this.guildSettings.getGuildServerId(interaction.guildId));
 
-            const existingPlayer = await this.database.getPlayerBySteamId(playerData.steam_id_64);
-            if (existingPlayer) {
-                return await interaction.editReply({
-                    content: `❌ The T17 account "${playerData.name}" is already linked to another Discord user.`
-                });
+            if (!result.success) {
+                return await interaction.editReply({ content: result.message });
             }
 
-            await this.database.createPlayerLink({
-                discordId,
-                t17Username: playerData.name,
-                displayName: playerData.display_name || playerData.name,
-                steamId: playerData.steam_id_64,
-                platform: this.crcon.detectPlatform(playerData),
-                lastSeen: playerData.last_seen
+            await interaction.editReply(this.linkVerification.buildCodeSentReply(result));
+
+        } catch (error) {
+            Logger.error('Error in link command:', error);
+            await interaction.editReply({
+                content: '❌ Failed to link account. The server might be temporarily unavailable.'
             });
+        }
+    }
 
-            const embed = new EmbedBuilder()
-                .setColor(COLORS.SUCCESS)
-                .setTitle('✅ Account Linked Successfully!')
-                .addFields(
-                    { name: '🎮 T17 Username', value: playerData.name, inline: true },
-                    { name: '🎯 Platform', value: this.crcon.detectPlatform(playerData), inline: true },
-                    { name: '📅 Linked At', value: new Date().toLocaleString(), inline: true }
-                );
+    async handleLinkVerify(interaction) {
+        const code = interaction.options.getString('code');
 
-            await interaction.editReply({ embeds: [embed] });
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const result = await this.linkVerification.verifyCode(interaction.user.id, code, interaction.guildId);
+
+            if (!result.success) {
+                return await interaction.editReply({ content: result.message });
+            }
+
+            await interaction.editReply({ embeds: [this.linkVerification.buildLinkedEmbed(result)] });
 
         } catch (error) {
-            Logger.error('Error in link command:', error);
+            Logger.error('Error in link verify command:', error);
             await interaction.editReply({
-                content: '❌ Failed to link account. The server might be temporarily unavailable.'
+                content: '❌ Failed to verify your code. Please try again later.'
             });
         }
     }
@@ -184,7 +836,7 @@ class CommandHandler {
             });
         }
 
-        await this.database.deletePlayerLink(interaction.user.id);
+        await this.database.deletePlayerLink(interaction.user.id, { id: interaction.user.id, tag: interaction.user.tag, guildId: interaction.guildId });
 
         const embed = new EmbedBuilder()
             .setColor(COLORS.WARNING)
@@ -210,35 +862,65 @@ class CommandHandler {
         await interaction.deferReply();
 
         try {
-            const vipData = await this.crcon.getVipStatus(linkedData.steamId);
+            const statuses = await this.crcon.getVipStatusAll(linkedData.steamId, this.guildSettings.getGuildServerId(interaction.guildId));
+            const embed = this.buildVipStatusEmbed(linkedData, statuses, targetUser);
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            Logger.error('Error in VIP command:', error);
+            await interaction.editReply({
+                content: '❌ Failed to check VIP status. The server might be temporarily unavailable.'
+            });
+        }
+    }
+
+    /**
+     * Builds the VIP status embed from getVipStatusAll() results. With a single
+     * server the layout is unchanged; with several, each server gets its own line.
+     */
+    buildVipStatusEmbed(linkedData, statuses, user) {
+        const activeStatuses = statuses.filter(status => status.isVip);
+        const statusIconFor = vipData => vipData.daysRemaining === null || vipData.daysRemaining > 7
+            ? '🟢'
+            : vipData.daysRemaining > 3 ? '🟡' : '🔴';
 
-            const embed = new EmbedBuilder()
-                .setTitle(`🎖️ VIP Status - ${linkedData.t17Username}`)
-                .setColor(vipData.isVip ? COLORS.VIP_ACTIVE : COLORS.VIP_EXPIRED)
-                .setThumbnail(targetUser.displayAvatarURL());
+        const embed = new EmbedBuilder()
+            .setTitle(`🎖️ VIP Status - ${linkedData.t17Username}`)
+            .setColor(activeStatuses.length > 0 ? COLORS.VIP_ACTIVE : COLORS.VIP_EXPIRED)
+            .setThumbnail(user.displayAvatarURL());
 
+        if (statuses.length === 1) {
+            const vipData = statuses[0];
             if (vipData.isVip) {
-                const statusIcon = vipData.daysRemaining > 7 ? '🟢' : vipData.daysRemaining > 3 ? '🟡' : '🔴';
                 embed.addFields(
-                    { name: '✅ VIP Status', value: `${statusIcon} Active`, inline: true },
+                    { name: '✅ VIP Status', value: `${statusIconFor(vipData)} Active`, inline: true },
                     { name: '⏰ Expires', value: vipData.expirationDate || 'Never', inline: true },
                     { name: '📅 Days Remaining', value: vipData.daysRemaining?.toString() || 'Unlimited', inline: true }
                 );
-            } else {
-                embed.addFields(
-                    { name: '❌ VIP Status', value: '🔴 Not Active', inline: true },
-                    { name: '💡 How to get VIP', value: 'Contact server administrators', inline: true }
-                );
             }
+        } else {
+            for (const vipData of statuses) {
+                embed.addFields({
+                    name: `🖥️ ${vipData.serverName}`,
+                    value: vipData.isVip
+                        ? `${statusIconFor(vipData)} Active • Expires ${vipData.expirationDate || 'Never'}${vipData.daysRemaining !== null ? ` (${vipData.daysRemaining} days)` : ''}`
+                        : '🔴 Not Active',
+                    inline: false
+                });
+            }
+        }
 
-            await interaction.editReply({ embeds: [embed] });
-
-        } catch (error) {
-            Logger.error('Error in VIP command:', error);
-            await interaction.editReply({
-                content: '❌ Failed to check VIP status. The server might be temporarily unavailable.'
-            });
+        if (activeStatuses.length === 0) {
+            if (statuses.length === 1) {
+                embed.addFields({ name: '❌ VIP Status', value: '🔴 Not Active', inline: true });
+            }
+            embed.addFields({ name: '💡 How to get VIP', value: 'Contact server administrators', inline: true });
+        } else if (activeStatuses.some(vipData => vipData.daysRemaining !== null && vipData.daysRemaining <= 7 && vipData.daysRemaining > 0)) {
+            embed.setFooter({ text: MESSAGES.INFO.VIP_EXPIRING_SOON });
         }
+
+        return embed;
     }
 
     async handleDebugCommand(interaction) {
@@ -250,23 +932,46 @@ class CommandHandler {
         }
 
         const subcommand = interaction.options.getSubcommand();
+
+        this.database.recordAudit({
+            action: 'debug',
+            actorId: interaction.user.id,
+            actorTag: interaction.user.tag,
+            guildId: interaction.guildId,
+            details: { subcommand, t17_username: interaction.options.getString('t17_username') }
+        });
         
         await interaction.deferReply({ ephemeral: true });
 
         try {
             switch (subcommand) {
                 case 'connection':
-                    const connectionTest = await this.crcon.testConnection();
+                    const connectionTests = await this.crcon.testAllConnections();
+                    const allConnected = connectionTests.every(test => test.connected);
                     const embed = new EmbedBuilder()
                         .setTitle('🔧 CRCON Connection Test')
-                        .setColor(connectionTest.connected ? COLORS.SUCCESS : COLORS.ERROR)
-                        .addFields(
-                            { name: 'Status', value: connectionTest.connected ? '✅ Connected' : '❌ Failed', inline: true },
-                            { name: 'Server', value: connectionTest.serverName || 'Unknown', inline: true }
-                        );
-                    
-                    if (!connectionTest.connected) {
-                        embed.addFields({ name: 'Error', value: connectionTest.error, inline: false });
+                        .setColor(allConnected ? COLORS.SUCCESS : connectionTests.some(test => test.connected) ? COLORS.WARNING : COLORS.ERROR);
+
+                    for (const test of connectionTests) {
+                        const lines = [
+                            test.connected ? '✅ Connected' : '❌ Failed',
+                            `Server: ${test.serverName || 'Unknown'}`,
+                            `URL: ${test.baseUrl}`
+                        ];
+
+                        if (test.connected) {
+                            lines.push(`Players: ${test.playerCount}/${test.maxPlayers}`);
+                        } else {
+                            lines.push(`Error: ${test.error}`);
+                            lines.push(`Consecutive failures: ${test.consecutiveFailures}`);
+                        }
+
+                        lines.push(`Last success: ${test.lastSuccessfulRequest ? test.lastSuccessfulRequest.toLocaleString() : 'Never'}`);
+                        lines.push(test.cache.ttlSeconds > 0
+                            ? `Cache: ${test.cache.hits} hits, ${test.cache.misses} misses, ${test.cache.shared} shared (TTL ${test.cache.ttlSeconds}s)`
+                            : 'Cache: disabled');
+
+                        embed.addFields({ name: `🖥️ ${test.serverId}`, value: lines.join('\n'), inline: false });
                     }
                     
                     await interaction.editReply({ embeds: [embed] });
@@ -288,7 +993,8 @@ class CommandHandler {
                         if (playerResult) {
                             playerEmbed.addFields(
                                 { name: 'Name', value: playerResult.name || 'N/A', inline: true },
-                                { name: 'Steam ID', value: playerResult.steam_id_64 || 'N/A', inline: true }
+                                { name: 'Steam ID', value: playerResult.steam_id_64 || 'N/A', inline: true },
+                                { name: 'Found On', value: playerResult.serverId || 'N/A', inline: true }
                             );
                         }
                         
@@ -300,6 +1006,10 @@ class CommandHandler {
                     }
                     break;
 
+                case 'ratelimits':
+                    await interaction.editReply({ embeds: [this.buildRateLimitEmbed()] });
+                    break;
+
                 default:
                     await interaction.editReply({
                         content: `❌ Unknown debug subcommand: ${subcommand}`
@@ -313,6 +1023,360 @@ class CommandHandler {
             });
         }
     }
+
+    buildRateLimitEmbed() {
+        const limits = this.rateLimiter.getStats();
+        const requests = this.crcon.getRequestStats();
+        const formatLimit = limit => limit ? `${limit.limit} per ${limit.windowMs / 1000}s` : 'off';
+
+        const bucketLines = Object.entries(limits.limits).map(([bucket, limit]) => {
+            const counters = limits.counters[bucket] || { allowed: 0, limited: 0 };
+            return `**${bucket}** (${formatLimit(limit)}): ${counters.allowed} allowed, ${counters.limited} limited`;
+        });
+
+        return new EmbedBuilder()
+            .setTitle('🚦 Rate Limits')
+            .setColor(COLORS.INFO)
+            .addFields(
+                { name: '🪣 Buckets', value: bucketLines.join('\n'), inline: false },
+                {
+                    name: '🛡️ Admins',
+                    value: limits.exemptAdmins ? `Exempt (${limits.exempted} interactions skipped the limits)` : 'Not exempt',
+                    inline: true
+                },
+                { name: '📦 Active Buckets', value: `${limits.activeBuckets}`, inline: true },
+                {
+                    name: '🌐 CRCON Requests',
+                    value: [
+                        `In flight: ${requests.active}/${requests.maxConcurrent ?? '∞'} (peak ${requests.peakActive})`,
+                        `Waiting: ${requests.waiting} (peak ${requests.peakWaiting})`,
+                        `Sent: ${requests.started}, ${requests.queued} had to wait`
+                    ].join('\n'),
+                    inline: false
+                }
+            )
+            .setFooter({ text: 'Counters since the bot started' });
+    }
+
+    async handleBroadcastCommand(interaction) {
+        if (!interaction.member.permissions.has('Administrator')) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        const message = interaction.options.getString('message').trim();
+        const serverId = this.guildSettings.getServerId(interaction);
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const results = await this.crcon.sendMessageToAllPlayers(message, serverId);
+            const summary = results
+                .map(result => `${result.success ? '✅' : '❌'} ${result.serverName}${result.error ? ` - ${result.error}` : ''}`)
+                .join('\n');
+
+            await interaction.editReply({ content: `📢 Broadcast sent:\n${summary}` });
+            Logger.info(`Broadcast by ${interaction.user.tag} to ${serverId}: ${message}`);
+
+        } catch (error) {
+            Logger.error('Error in broadcast command:', error);
+            await interaction.editReply({
+                content: `❌ Broadcast failed: ${error.message}`
+            });
+        }
+    }
+
+    async handleVipAdminCommand(interaction) {
+        if (!PermissionChecker.hasVipManagerPermissions(interaction.member)) {
+            return await interaction.reply({
+                content: '❌ You need the Manage Roles or Administrator permission to manage VIP.',
+                ephemeral: true
+            });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'grant':
+                await this.vipManagement.handleGrant(interaction);
+                break;
+            case 'extend':
+                await this.vipManagement.handleExtend(interaction);
+                break;
+            case 'revoke':
+                await this.vipManagement.handleRevoke(interaction);
+                break;
+            case 'list':
+                await this.vipManagement.handleList(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown vipadmin subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
+
+    async handleContestCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand !== 'status' && !PermissionChecker.hasAdminPermissions(interaction.member)) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        switch (subcommand) {
+            case 'create':
+                await this.contest.handleCreate(interaction);
+                break;
+            case 'end':
+                await this.contest.handleEnd(interaction);
+                break;
+            case 'winners':
+                await this.contest.handleWinners(interaction);
+                break;
+            case 'status':
+                await this.contest.handleStatus(interaction);
+                break;
+            case 'entries':
+                await this.contest.handleEntries(interaction);
+                break;
+            case 'export':
+                await this.contest.handleExport(interaction);
+                break;
+            case 'preview':
+                await this.contest.handlePreview(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown contest subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
+
+    async handleSeedingCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'status':
+                await this.seeding.handleStatus(interaction);
+                break;
+            case 'leaderboard':
+                await this.seeding.handleLeaderboard(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown seeding subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
+
+    async handlePanelCommand(interaction) {
+        if (!PermissionChecker.hasAdminPermissions(interaction.member)) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'create':
+                await this.panels.handleCreate(interaction);
+                break;
+            case 'refresh':
+                await this.panels.handleRefresh(interaction);
+                break;
+            case 'remove':
+                await this.panels.handleRemove(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown panel subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
+
+    async handleLeaderboardCommand(interaction) {
+        if (!PermissionChecker.hasAdminPermissions(interaction.member)) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'create':
+                await this.leaderboard.handleCreate(interaction);
+                break;
+            case 'remove':
+                await this.leaderboard.handleRemove(interaction);
+                break;
+            case 'list':
+                await this.leaderboard.handleList(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown leaderboard subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
+
+    async handleVipCodeCommand(interaction) {
+        if (!PermissionChecker.hasAdminPermissions(interaction.member)) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'create':
+                await this.redemptionCodes.handleCreate(interaction);
+                break;
+            case 'list':
+                await this.redemptionCodes.handleList(interaction);
+                break;
+            case 'disable':
+                await this.redemptionCodes.handleDisable(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown vipcode subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
+
+    async handleVipRoleCommand(interaction) {
+        if (!PermissionChecker.hasAdminPermissions(interaction.member)) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'sync':
+                await this.vipRoles.handleSync(interaction);
+                break;
+            case 'status':
+                await this.vipRoles.handleStatus(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown viprole subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
+
+    async handleAuditCommand(interaction) {
+        if (!PermissionChecker.hasAdminPermissions(interaction.member)) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'search':
+                await this.audit.handleSearch(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown audit subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
+
+    async handleLinkAdminCommand(interaction) {
+        if (!PermissionChecker.hasAdminPermissions(interaction.member)) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'set':
+                await this.linkAdmin.handleSet(interaction);
+                break;
+            case 'remove':
+                await this.linkAdmin.handleRemove(interaction);
+                break;
+            case 'whois':
+                await this.linkAdmin.handleWhois(interaction);
+                break;
+            case 'list':
+                await this.linkAdmin.handleList(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown linkadmin subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
+
+    getConfigSettingChoices() {
+        return Object.entries(GuildSettingsService.SETTINGS).map(([name, setting]) => ({
+            name: `${setting.emoji} ${setting.label}`,
+            value: name
+        }));
+    }
+
+    async handleConfigCommand(interaction) {
+        if (!PermissionChecker.hasAdminPermissions(interaction.member)) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        if (!interaction.guildId) {
+            return await interaction.reply({ content: '❌ Settings belong to a server. Use `/config` in the server you want to change.', ephemeral: true });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'view':
+                await this.guildSettings.handleView(interaction);
+                break;
+            case 'set':
+                await this.guildSettings.handleSet(interaction);
+                break;
+            case 'reset':
+                await this.guildSettings.handleReset(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: `❌ Unknown config subcommand: ${subcommand}`,
+                    ephemeral: true
+                });
+        }
+    }
 }
 
 module.exports = CommandHandler;
@@ -17,7 +17,10 @@ class InteractionHandler {
         this.contest = services.contest;
         this.vipNotifications = services.vipNotifications;
         this.leaderboard = services.leaderboard;
+        this.linkVerification = services.linkVerification;
+        this.vipManagement = services.vipManagement;
         this.rateLimiter = services.rateLimiter;
+        this.guildSettings = services.guildSettings;
         this.client = services.client;
         this.commandHandler = null;
     }
@@ -55,10 +58,14 @@ class InteractionHandler {
         try {
             if (customId.startsWith('panel_')) {
                 await this.handleVipPanelButtons(interaction);
+            } else if (customId === 'link_verify_open') {
+                await this.showVerifyCodeModal(interaction);
             } else if (customId.startsWith('leaderboard_')) {
                 await this.handleLeaderboardButton(interaction);
             } else if (customId.startsWith('contest_')) {
                 await this.handleContestButton(interaction);
+            } else if (customId.startsWith('vipadmin_')) {
+                await this.vipManagement.handleButton(interaction);
             } else {
                 Logger.warn(`Unknown button interaction: ${customId}`);
                 await interaction.reply({
@@ -124,7 +131,7 @@ class InteractionHandler {
         } catch (error) {
             Logger.error('Error showing link modal:', error);
             await interaction.reply({
-                content: '❌ Failed to show link form. Please use `/link` command instead.',
+                content: '❌ Failed to show link form. Please use `/link start` instead.',
                 ephemeral: true
             });
         }
@@ -136,6 +143,10 @@ class InteractionHandler {
         try {
             if (customId === 'link_account_modal') {
                 await this.handleLinkModalSubmit(interaction);
+            } else if (customId === 'link_verify_modal') {
+                await this.handleVerifyModalSubmit(interaction);
+            } else if (customId.startsWith('contest_entry_modal_')) {
+                await this.contest.handleEntryModal(interaction);
             } else {
                 Logger.warn(`Unknown modal submit: ${customId}`);
                 await interaction.reply({
@@ -164,46 +175,68 @@ class InteractionHandler {
 
             await interaction.deferReply({ ephemeral: true });
 
-            const playerData = await this.crcon.getPlayerByT17Username(t17Username);
-            
-            if (!playerData) {
-                return await interaction.editReply({
-                    content: `❌ T17 username "${t17Username}" not found in Hell Let Loose records.\n\n**Make sure:**\n• You've played on this server recently\n• Your T17 username is spelled exactly correct\n• You're not banned from the server`
-                });
-            }
+            const result = await this.linkVerification.requestCode(discordId, t17Username, this.guildSettings.getGuildServerId(interaction.guildId));
 
-            const existingPlayer = await this.database.getPlayerBySteamId(playerData.steam_id_64);
-            if (existingPlayer) {
-                return await interaction.editReply({
-                    content: `❌ The T17 account "${playerData.name}" is already linked to another Discord user.`
-                });
+            if (!result.success) {
+                return await interaction.editReply({ content: result.message });
             }
 
-            await this.database.createPlayerLink({
-                discordId,
-                t17Username: playerData.name,
-                displayName: playerData.display_name || playerData.name,
-                steamId: playerData.steam_id_64,
-                platform: this.crcon.detectPlatform(playerData),
-                lastSeen: playerData.last_seen
+            await interaction.editReply(this.linkVerification.buildCodeSentReply(result));
+
+        } catch (error) {
+            Logger.error('Error in link modal submit:', error);
+            await interaction.editReply({
+                content: '❌ Failed to link account. The server might be temporarily unavailable.'
+            });
+        }
+    }
+
+    async showVerifyCodeModal(interaction) {
+        if (!this.linkVerification.getPending(interaction.user.id)) {
+            return await interaction.reply({
+                content: '❌ You don\'t have a pending verification code, or it has expired. Use the "🔗 Link My Account" button to get a new one.',
+                ephemeral: true
             });
+        }
 
-            const embed = new EmbedBuilder()
-                .setColor(0x00FF00)
-                .setTitle('✅ Account Linked Successfully!')
-                .addFields(
-                    { name: '🎮 T17 Username', value: playerData.name, inline: true },
-                    { name: '🎯 Platform', value: this.crcon.detectPlatform(playerData), inline: true },
-                    { name: '📅 Linked At', value: new Date().toLocaleString(), inline: true }
-                )
+        const modal = new ModalBuilder()
+            .setCustomId('link_verify_modal')
+            .setTitle('🔐 Verify Your T17 Account');
+
+        const codeInput = new TextInputBuilder()
+            .setCustomId('verification_code_input')
+            .setLabel('Verification Code')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('Enter the code shown to you in-game...')
+            .setRequired(true)
+            .setMinLength(4)
+            .setMaxLength(12);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(codeInput));
+
+        await interaction.showModal(modal);
+    }
+
+    async handleVerifyModalSubmit(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const code = interaction.fields.getTextInputValue('verification_code_input');
+            const result = await this.linkVerification.verifyCode(interaction.user.id, code, interaction.guildId);
+
+            if (!result.success) {
+                return await interaction.editReply({ content: result.message });
+            }
+
+            const embed = this.linkVerification.buildLinkedEmbed(result)
                 .setFooter({ text: 'You can now use the VIP panel buttons to check your status!' });
 
             await interaction.editReply({ embeds: [embed] });
 
         } catch (error) {
-            Logger.error('Error in link modal submit:', error);
+            Logger.error('Error in verify modal submit:', error);
             await interaction.editReply({
-                content: '❌ Failed to link account. The server might be temporarily unavailable.'
+                content: '❌ Failed to verify your code. Please try again later.'
             });
         }
     }
@@ -220,30 +253,8 @@ class InteractionHandler {
         await interaction.deferReply({ ephemeral: true });
 
         try {
-            const vipData = await this.crcon.getVipStatus(linkedData.steamId);
-
-            const embed = new EmbedBuilder()
-                .setTitle(`🎖️ VIP Status - ${linkedData.t17Username}`)
-                .setColor(vipData.isVip ? 0xFFD700 : 0x808080)
-                .setThumbnail(interaction.user.displayAvatarURL());
-
-            if (vipData.isVip) {
-                const statusIcon = vipData.daysRemaining > 7 ? '🟢' : vipData.daysRemaining > 3 ? '🟡' : '🔴';
-                embed.addFields(
-                    { name: '✅ VIP Status', value: `${statusIcon} Active`, inline: true },
-                    { name: '⏰ Expires', value: vipData.expirationDate || 'Never', inline: true },
-                    { name: '📅 Days Remaining', value: vipData.daysRemaining?.toString() || 'Unlimited', inline: true }
-                );
-
-                if (vipData.daysRemaining <= 7 && vipData.daysRemaining > 0) {
-                    embed.setFooter({ text: '⚠️ VIP expiring soon! Contact an admin to renew.' });
-                }
-            } else {
-                embed.addFields(
-                    { name: '❌ VIP Status', value: '🔴 Not Active', inline: true },
-                    { name: '💡 How to get VIP', value: 'Contact server administrators', inline: true }
-                );
-            }
+            const statuses = await this.crcon.getVipStatusAll(linkedData.steamId, this.guildSettings.getGuildServerId(interaction.guildId));
+            const embed = this.commandHandler.buildVipStatusEmbed(linkedData, statuses, interaction.user);
 
             await interaction.editReply({ embeds: [embed] });
 
@@ -313,7 +324,7 @@ class InteractionHandler {
             .addFields(
                 { name: '📄 How to Enter', value: currentContest.description, inline: false },
                 { name: '🎁 Prize', value: currentContest.prize, inline: true },
-                { name: '📊 Status', value: currentContest.active ? '🟢 Active' : '🔴 Ended', inline: true }
+                { name: '📊 Status', value: this.contest.getStatusLabel(currentContest), inline: true }
             );
 
         if (currentContest.active && timeLeft > 0) {
@@ -323,13 +334,15 @@ class InteractionHandler {
         if (currentContest.winners) {
             const winnerList = currentContest.winners.map(w => w.tag).join('\n');
             embed.addFields({ name: '👑 Winners', value: winnerList, inline: false });
-        } else if (!currentContest.active) {
+        } else if (this.contest.getState(currentContest) === 'ended') {
             embed.addFields({ name: '👑 Winners', value: 'To be announced soon!', inline: false });
         }
 
+        embed.addFields({ name: '📝 Entries', value: this.contest.submissions.size.toString(), inline: true });
         embed.setFooter({ text: 'Good luck and have fun!' });
 
-        await interaction.reply({ embeds: [embed], ephemeral: true });
+        const components = this.contest.isAcceptingEntries() ? [this.contest.buildEntryButtons()] : [];
+        await interaction.reply({ embeds: [embed], components, ephemeral: true });
     }
 
     async handlePanelUnlink(interaction) {
@@ -342,7 +355,7 @@ class InteractionHandler {
             });
         }
 
-        await this.database.deletePlayerLink(interaction.user.id);
+        await this.database.deletePlayerLink(interaction.user.id, { id: interaction.user.id, tag: interaction.user.tag, guildId: interaction.guildId });
 
         const embed = new EmbedBuilder()
             .setColor(0xFF6B6B)
@@ -360,9 +373,12 @@ class InteractionHandler {
             .setDescription('**Need help with the VIP system? Here\'s how to get started:**')
             .addFields(
                 { name: '🔍 Finding Your T17 Username', value: '• Open Hell Let Loose\n• Go to Settings → Account\n• Copy your T17 username exactly', inline: false },
+                { name: '🔐 Verifying Your Account', value: '• Be connected to our server when you link\n• A one-time code is sent to you in-game\n• Enter it with "🔐 Enter Code" or `/link verify`', inline: false },
                 { name: '🎮 For Console Players', value: '• **PlayStation:** Your T17 name might be different from PSN\n• **Xbox:** Your T17 name might be different from Gamertag\n• **PC:** Usually your Steam name', inline: false },
                 { name: '❌ Common Issues', value: '• Make sure you\'ve played on our server recently\n• Copy your name exactly as shown in-game\n• Contact an admin if you\'re still having trouble', inline: false },
-                { name: '🏆 Contests', value: '• Join active contests for a chance to win VIP\n• Follow contest rules and submit required proof\n• Winners are announced here and in-game', inline: false }
+                { name: '🏆 Contests', value: '• Press **🏆 Enter Contest** on a contest post (linked account required)\n• Add your entry text or a screenshot link when asked\n• Winners are announced here and in-game', inline: false },
+                { name: '🌱 Seeding Rewards', value: '• Play while the server is filling up to earn VIP\n• Check your progress with `/seeding status`\n• See the top seeders with `/seeding leaderboard`', inline: false },
+                { name: '🎟️ VIP Codes', value: '• Got a VIP code from a giveaway or partner?\n• Link your account, then use `/redeem` with the code\n• Each code works once per account', inline: false }
             );
 
         await interaction.reply({ embeds: [embed], ephemeral: true });
@@ -387,11 +403,7 @@ class InteractionHandler {
             });
         }
 
-        Logger.debug(`Contest button interaction: ${interaction.customId}`);
-        await interaction.reply({
-            content: '❌ Contest button interactions not yet implemented.',
-            ephemeral: true
-        });
+        await this.contest.handleButton(interaction);
     }
 }
 
@@ -5,6 +5,7 @@ console.log('🔍 Hell Let Loose Discord Bot - Health Check');
 console.log('===========================================');
 
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 
 // Check Node.js version
@@ -46,5 +47,49 @@ if (fs.existsSync(logsDir)) {
     console.log('❌ Logs directory missing');
 }
 
-console.log('');
-console.log('Health check completed!');
+// Check the running bot through its health endpoint
+function fetchHealth(port, host) {
+    return new Promise((resolve, reject) => {
+        const request = http.get({ host, port, path: '/healthz', timeout: 5000 }, response => {
+            let body = '';
+            response.on('data', chunk => { body += chunk; });
+            response.on('end', () => {
+                try {
+                    resolve(JSON.parse(body));
+                } catch (error) {
+                    reject(new Error(`unexpected response (HTTP ${response.statusCode})`));
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error('timed out')));
+        request.on('error', reject);
+    });
+}
+
+async function checkRunningBot() {
+    if (!process.env.HEALTH_PORT) {
+        console.log('ℹ️ HEALTH_PORT not set - skipping running bot check');
+        return;
+    }
+
+    const host = !process.env.HEALTH_HOST || process.env.HEALTH_HOST === '0.0.0.0' ? '127.0.0.1' : process.env.HEALTH_HOST;
+    try {
+        const health = await fetchHealth(process.env.HEALTH_PORT, host);
+        const icon = { ok: '✅', degraded: '⚠️' }[health.status] || '❌';
+        console.log(`${icon} Bot is ${health.status} (Discord gateway: ${health.discord.status})`);
+        for (const server of health.crcon) {
+            console.log(`${server.isHealthy ? '✅' : '❌'} CRCON ${server.id} - last success: ${server.lastSuccessfulRequest || 'never'}`);
+        }
+        for (const [name, job] of Object.entries(health.jobs)) {
+            const failed = job.lastError && (!job.lastSuccess || job.lastError.at > job.lastSuccess);
+            console.log(`${failed ? '❌' : '✅'} Job ${name} - last run: ${job.lastRun}`);
+        }
+    } catch (error) {
+        console.log(`❌ Bot health endpoint unreachable: ${error.message}`);
+    }
+}
+
+checkRunningBot().then(() => {
+    console.log('');
+    console.log('Health check completed!');
+});
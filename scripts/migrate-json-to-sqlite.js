@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+// Copies player links and saved bot state from the JSON data files into SQLite.
+// Usage: npm run migrate:sqlite [-- --force]
+
+require('dotenv').config();
+
+const path = require('path');
+const { JsonStorageAdapter, SqliteStorageAdapter } = require('../services/storage');
+
+async function migrate({ dataDir, sqliteFilename, force = false, log = console.log }) {
+    log('🗄️ Migrating JSON storage to SQLite');
+    log(`   Source: ${path.resolve(dataDir)}`);
+    log(`   Target: ${path.resolve(sqliteFilename)}`);
+
+    const source = new JsonStorageAdapter({ dataDir });
+    const target = new SqliteStorageAdapter({ dataDir, sqliteFilename });
+
+    await source.initialize();
+    await target.initialize();
+
+    try {
+        const existing = await target.countLinks();
+        if (existing > 0 && !force) {
+            throw new Error(`${sqliteFilename} already contains ${existing} player links. Re-run with --force to replace everything in it.`);
+        }
+
+        const links = await source.getAllLinks();
+        const documents = {};
+        for (const name of source.documentNames) {
+            const data = await source.loadDocument(name);
+            if (data === undefined) {
+                log(`⏭️ ${name}: no data file, skipped`);
+                continue;
+            }
+            documents[name] = data;
+        }
+
+        await target.importData({ links, documents }, { replace: force });
+
+        log(`✅ Copied ${links.length} player links`);
+        for (const name of Object.keys(documents)) {
+            log(`✅ Copied ${name}`);
+        }
+
+        log('\n🎉 Migration complete. Set STORAGE_BACKEND=sqlite in .env to use the new database.');
+        log('   The JSON files were left in place as a backup.');
+    } finally {
+        await target.close();
+    }
+}
+
+if (require.main === module) {
+    const dataDir = process.env.DATA_DIR || './data';
+
+    migrate({
+        dataDir,
+        sqliteFilename: process.env.SQLITE_FILENAME || path.join(dataDir, 'hll_bot.sqlite'),
+        force: process.argv.includes('--force')
+    }).catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -24,7 +24,7 @@ try {
     // Create initial data files
     const playerLinksPath = path.join(dataDir, 'player_links.json');
     if (!fs.existsSync(playerLinksPath)) {
-        fs.writeFileSync(playerLinksPath, '{}');
+        fs.writeFileSync(playerLinksPath, JSON.stringify({ schemaVersion: 2, links: {} }, null, 2));
         console.log('✅ Created player_links.json');
     }
 
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EmbedBuilder } = require('discord.js');
+const Logger = require('../utils/logger');
+const { COLORS } = require('../config/constants');
+
+const ACTIONS = {
+    'link.create': { label: 'Account Linked', emoji: '🔗', color: COLORS.SUCCESS },
+    'link.delete': { label: 'Account Unlinked', emoji: '🔓', color: COLORS.WARNING },
+    'vip.grant': { label: 'VIP Granted', emoji: '🎖️', color: COLORS.VIP_ACTIVE },
+    'vip.extend': { label: 'VIP Extended', emoji: '⏳', color: COLORS.VIP_ACTIVE },
+    'vip.revoke': { label: 'VIP Revoked', emoji: '🚫', color: COLORS.WARNING },
+    'contest.create': { label: 'Contest Created', emoji: '🏆', color: COLORS.INFO },
+    'contest.end': { label: 'Contest Ended', emoji: '🏁', color: COLORS.INFO },
+    'contest.winner': { label: 'Contest Winner', emoji: '🎉', color: COLORS.INFO },
+    'notifications.update': { label: 'Notification Settings Changed', emoji: '🔔', color: COLORS.INFO },
+    'config.update': { label: 'Server Setting Changed', emoji: '⚙️', color: COLORS.INFO },
+    'config.reset': { label: 'Server Settings Reset', emoji: '♻️', color: COLORS.WARNING },
+    'debug': { label: 'Debug Command Used', emoji: '🔧', color: COLORS.INFO }
+};
+
+const SEARCH_RESULTS_SHOWN = 15;
+
+/**
+ * The audit trail. DatabaseService emits an 'audit' event for every entry
+ * (account links, VIP writes, contests, settings and debug commands); each
+ * is appended to a JSON Lines file and posted as an embed to the audit
+ * channel of the Discord server it happened in (/config audit_channel),
+ * falling back to AUDIT_CHANNEL_ID.
+ */
+class AuditService {
+    constructor(database, client, config = {}) {
+        this.database = database;
+        this.client = client;
+        this.channelId = config.channelId || null;
+        this.guildSettings = null;
+        this.filename = config.filename || path.join(database.dataDir || './data', 'audit.jsonl');
+        // Entries are written one at a time so the file keeps them in order
+        this.pending = Promise.resolve();
+
+        this.database.on('audit', entry => {
+            this.pending = this.pending
+                .then(() => this.record(entry))
+                .catch(error => Logger.error(`Failed to record audit entry ${entry.action}:`, error));
+        });
+    }
+
+    setGuildSettings(guildSettings) {
+        this.guildSettings = guildSettings;
+    }
+
+    /**
+     * Resolves once every entry recorded so far has been written.
+     */
+    async flush() {
+        await this.pending;
+    }
+
+    /**
+     * Converts a VIP audit entry (as written by VIPManagementService) to an
+     * audit entry. Per-server expirations become the before/after view.
+     */
+    static fromVipAudit(entry) {
+        const results = entry.results || [];
+        return {
+            action: `vip.${entry.action}`,
+            actorId: entry.actorId,
+            actorTag: entry.actorTag || null,
+            targetId: entry.discordId || null,
+            guildId: entry.guildId || null,
+            playerId: entry.playerId,
+            playerName: entry.playerName || null,
+            before: Object.fromEntries(results.map(result => [result.serverId, result.before])),
+            after: Object.fromEntries(results.map(result => [result.serverId, result.success ? result.after : `${result.after} (failed: ${result.error})`])),
+            details: {
+                reason: entry.reason,
+                serverId: entry.serverId,
+                description: entry.description,
+                durationMs: entry.durationMs
+            },
+            timestamp: entry.timestamp
+        };
+    }
+
+    /**
+     * Copies the VIP audit history kept before the audit file existed into
+     * the file, once, so /audit search covers it.
+     */
+    async load() {
+        if (fs.existsSync(this.filename)) return;
+
+        await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+        const legacy = await this.database.getVipAudit();
+        const lines = legacy.map(entry => JSON.stringify({ id: this.createId(), ...AuditService.fromVipAudit(entry) }) + '\n');
+        await fs.promises.writeFile(this.filename, lines.join(''), 'utf8');
+
+        if (legacy.length > 0) {
+            Logger.info(`📜 Copied ${legacy.length} VIP audit entries into ${this.filename}`);
+        }
+    }
+
+    createId() {
+        return crypto.randomBytes(4).toString('hex');
+    }
+
+    async record(entry) {
+        const stored = {
+            id: this.createId(),
+            timestamp: new Date().toISOString(),
+            ...entry
+        };
+
+        await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+        await fs.promises.appendFile(this.filename, JSON.stringify(stored) + '\n', 'utf8');
+        await this.post(stored);
+
+        return stored;
+    }
+
+    getChannelId(entry) {
+        if (this.guildSettings && entry.guildId) {
+            return this.guildSettings.get(entry.guildId, 'auditChannelId');
+        }
+        return this.channelId;
+    }
+
+    async post(entry) {
+        const channelId = this.getChannelId(entry);
+        if (!channelId || !this.client) return;
+
+        try {
+            const channel = await this.client.channels.fetch(channelId);
+            await channel.send({ embeds: [this.buildEmbed(entry)], allowedMentions: { parse: [] } });
+        } catch (error) {
+            Logger.warn(`Could not post audit entry ${entry.id} to ${channelId}: ${error.message}`);
+        }
+    }
+
+    buildEmbed(entry) {
+        const action = ACTIONS[entry.action] || { label: entry.action, emoji: '📝', color: COLORS.INFO };
+
+        const embed = new EmbedBuilder()
+            .setColor(action.color)
+            .setTitle(`${action.emoji} ${action.label}`)
+            .addFields(
+                { name: '👤 Actor', value: this.describeUser(entry.actorId, entry.actorTag), inline: true },
+                { name: '🎯 Target', value: entry.targetId ? `<@${entry.targetId}>` : (entry.targetName || 'None'), inline: true },
+                { name: '🎮 Player', value: entry.playerId ? `${entry.playerName ? `${entry.playerName} ` : ''}\`${entry.playerId}\`` : 'None', inline: true },
+                { name: '⬅️ Before', value: this.formatSnapshot(entry.before), inline: true },
+                { name: '➡️ After', value: this.formatSnapshot(entry.after), inline: true }
+            )
+            .setFooter({ text: `Audit ID ${entry.id}` })
+            .setTimestamp(new Date(entry.timestamp));
+
+        const details = Object.entries(entry.details || {}).filter(([, value]) => value !== null && value !== undefined);
+        if (details.length > 0) {
+            embed.addFields({ name: '📋 Details', value: this.truncate(details.map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`).join('\n')), inline: false });
+        }
+
+        return embed;
+    }
+
+    describeUser(id, tag) {
+        if (!id) return 'Unknown';
+        if (id === 'system') return tag ? `System (${tag})` : 'System';
+        return tag ? `<@${id}> (${tag})` : `<@${id}>`;
+    }
+
+    formatSnapshot(value) {
+        if (value === null || value === undefined) return 'None';
+        if (typeof value !== 'object') return this.truncate(String(value));
+
+        const lines = Object.entries(value).map(([key, field]) => `${key}: ${field ?? 'none'}`);
+        return this.truncate(lines.join('\n') || 'None');
+    }
+
+    truncate(text, max = 1024) {
+        return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+    }
+
+    async readEntries() {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.filename, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                Logger.warn(`Skipping unreadable audit line: ${line.slice(0, 80)}`);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Entries involving `discordId` (as actor or target) and/or `playerId`,
+     * optionally limited to one category (link, vip, contest, ...), newest first.
+     */
+    async search({ discordId = null, playerId = null, category = null } = {}) {
+        const entries = await this.readEntries();
+
+        return entries
+            .filter(entry => !discordId || entry.actorId === discordId || entry.targetId === discordId)
+            .filter(entry => !playerId || entry.playerId === playerId)
+            .filter(entry => !category || entry.action === category || entry.action.startsWith(`${category}.`))
+            .reverse();
+    }
+
+    async handleSearch(interaction) {
+        const user = interaction.options.getUser('user');
+        const playerId = interaction.options.getString('player_id')?.trim() || null;
+        const category = interaction.options.getString('action');
+
+        if (!user && !playerId) {
+            return await interaction.reply({ content: '❌ Provide a `user` or a `player_id` to search for.', ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const matches = await this.search({ discordId: user?.id || null, playerId, category });
+        const subject = [user ? `<@${user.id}>` : null, playerId ? `\`${playerId}\`` : null].filter(Boolean).join(' / ');
+
+        if (matches.length === 0) {
+            return await interaction.editReply({ content: `📭 No audit entries for ${subject}.` });
+        }
+
+        const lines = matches.slice(0, SEARCH_RESULTS_SHOWN).map(entry => {
+            const action = ACTIONS[entry.action] || { label: entry.action, emoji: '📝' };
+            const target = entry.targetId ? ` → <@${entry.targetId}>` : '';
+            const player = entry.playerId ? ` \`${entry.playerId}\`` : '';
+            return `<t:${Math.floor(new Date(entry.timestamp).getTime() / 1000)}:f> ${action.emoji} **${action.label}** by ${this.describeUser(entry.actorId, null)}${target}${player}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.INFO)
+            .setTitle('📜 Audit Log')
+            .setDescription(`Entries for ${subject}\n\n${lines.join('\n')}`)
+            .setFooter({ text: `Showing ${lines.length} of ${matches.length} entries, newest first` });
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+}
+
+module.exports = AuditService;
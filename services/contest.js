@@ -1,83 +1,288 @@
-const { EmbedBuilder } = require('discord.js');
+const {
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle,
+    AttachmentBuilder
+} = require('discord.js');
 const Logger = require('../utils/logger');
+const Metrics = require('../utils/metrics');
+const Csv = require('../utils/csv');
+const PermissionChecker = require('../utils/permissions');
+const StatsCollector = require('./statsCollector');
 const { Validators, ValidationError } = require('../utils/validators');
-const { COLORS, EMOJIS, MESSAGES } = require('../config/constants');
+const { COLORS, EMOJIS, MESSAGES, CONTEST_LIMITS } = require('../config/constants');
+
+const ENTRIES_PER_PAGE = 20;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_WINNER_PINGS = 3;
+const WINNERS_IN_PROGRESS = '⏳ Winners are already being confirmed. Check `/contest status` in a moment.';
+
+// manual contests are judged by admins; the rest rank entrants by their stat gains
+const CONTEST_TYPES = {
+    manual: { name: 'Judged by admins', emoji: '🧑‍⚖️', unit: '' },
+    kills: { name: 'Most Kills', emoji: '💀', unit: 'kills' },
+    score: { name: 'Highest Score', emoji: '🎯', unit: 'points' },
+    playtime: { name: 'Most Playtime', emoji: '⏱️', unit: 'played' },
+    kdr: { name: 'Best K/D Ratio', emoji: '📈', unit: 'K/D' }
+};
 
 class ContestService {
-    constructor(database, crcon) {
+    constructor(database, crcon, client = null, config = {}, statsCollector = null, vipManagement = null, guildSettings = null) {
         this.database = database;
         this.crcon = crcon;
+        this.client = client;
+        this.statsCollector = statsCollector;
+        this.vipManagement = vipManagement;
+        this.guildSettings = guildSettings;
+        this.reminderHours = config.reminderHours || [24, 1];
+        this.adminChannelId = config.adminChannelId || null;
+        this.adminRoleId = config.adminRoleId || null;
+        this.winnerReminderMs = (config.winnerReminderHours || 24) * HOUR_MS;
         this.currentContest = null;
         this.submissions = new Map();
+        // VIP prizes of winners who had not linked an account yet, kept across contests
+        this.pendingPrizes = [];
+        // Set while winners are being awarded, by /contest winners or the preview's Confirm button
+        this.awardingWinners = false;
+        this.ticking = false;
+
+        this.database.on('linkCreated', (discordId, link) => {
+            this.fulfilPendingPrizes(discordId, link).catch(error => {
+                Logger.error(`Failed to fulfil held contest prizes for ${discordId}:`, error);
+            });
+        });
+    }
+
+    async load() {
+        const data = await this.database.loadData('contest', null);
+        if (data) {
+            this.currentContest = data.currentContest || null;
+            this.submissions = new Map(Object.entries(data.submissions || {}));
+            this.pendingPrizes = data.pendingPrizes || [];
+        }
+
+        if (this.currentContest) {
+            this.registerStatsWindow();
+            Logger.info(`🏆 Restored contest "${this.currentContest.title}" (${this.getState()})`);
+        }
+    }
+
+    /**
+     * Makes the stats collector split gains at the contest's start and end,
+     * so a window that doesn't begin on the hour is counted exactly.
+     */
+    registerStatsWindow(contest = this.currentContest) {
+        if (!this.statsCollector || !this.isStatContest(contest)) return;
+
+        this.statsCollector.addBoundary(contest.startTime);
+        this.statsCollector.addBoundary(contest.endTime);
+        if (contest.endedAt) {
+            this.statsCollector.addBoundary(contest.endedAt);
+        }
     }
 
     async getCurrentContest() {
         return this.currentContest;
     }
 
+    /**
+     * 'scheduled', 'active', 'ended' or 'cancelled'; null when there is no contest.
+     */
+    getState(contest = this.currentContest) {
+        if (!contest) return null;
+        if (contest.cancelled) return 'cancelled';
+        if (contest.scheduled) return 'scheduled';
+        return contest.active ? 'active' : 'ended';
+    }
+
+    isStatContest(contest = this.currentContest) {
+        return Boolean(contest && contest.type && contest.type !== 'manual');
+    }
+
+    describeJudging(contest = this.currentContest) {
+        const type = CONTEST_TYPES[contest.type] || CONTEST_TYPES.manual;
+        if (!this.isStatContest(contest)) {
+            return `${type.emoji} ${type.name}`;
+        }
+        const minimum = contest.minPlaytimeMinutes ? ` (min ${contest.minPlaytimeMinutes} min played)` : '';
+        return `${type.emoji} ${type.name}${minimum}`;
+    }
+
+    getStatusLabel(contest = this.currentContest) {
+        switch (this.getState(contest)) {
+            case 'scheduled':
+                return `🗓️ Starts <t:${Math.floor(new Date(contest.startTime).getTime() / 1000)}:R>`;
+            case 'active':
+                return '🟢 Active';
+            case 'cancelled':
+                return '🚫 Cancelled';
+            default:
+                return '🔴 Ended';
+        }
+    }
+
     async handleCreate(interaction) {
-        if (this.currentContest && this.currentContest.active) {
+        if (this.currentContest && (this.currentContest.active || this.currentContest.scheduled)) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.CONTEST_ACTIVE,
+                ephemeral: true
+            });
+        }
+
+        const type = interaction.options.getString('type') || 'manual';
+        if (type !== 'manual' && !this.statsCollector) {
             return await interaction.reply({
-                content: '❌ There is already an active contest. End it first with `/contest end`.',
+                content: '❌ Player statistics are disabled (ENABLE_STATISTICS=false), so only manual contests can be created.',
                 ephemeral: true
             });
         }
 
+        let startDelayMs = 0;
+        let vipPrizeMs = null;
+        try {
+            const startsIn = interaction.options.getString('starts_in');
+            if (startsIn) {
+                startDelayMs = Validators.validateDuration(startsIn);
+            }
+
+            const vipPrize = interaction.options.getString('vip_prize');
+            if (vipPrize) {
+                if (!this.vipManagement) {
+                    throw new ValidationError('Automatic VIP prizes are not available on this bot.', 'vip_prize');
+                }
+                vipPrizeMs = Validators.validateDuration(vipPrize);
+            }
+
+            if (!interaction.options.getString('prize') && !vipPrizeMs) {
+                throw new ValidationError('Give the contest a `prize`, a `vip_prize` or both.', 'prize');
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            }
+            throw error;
+        }
+
+        // Defer before the first await, so the catch below always has a reply to edit
+        await interaction.deferReply({ ephemeral: true });
+
         try {
             const title = interaction.options.getString('title').trim();
             const description = interaction.options.getString('description').trim();
             const durationHours = interaction.options.getInteger('duration_hours');
-            const prize = interaction.options.getString('prize').trim();
+            const prize = interaction.options.getString('prize')?.trim() || this.describeVipPrize(vipPrizeMs);
             const maxWinners = interaction.options.getInteger('max_winners') || 1;
+            const serverId = this.guildSettings ? this.guildSettings.getServerId(interaction) : interaction.options.getString('server') || 'all';
+            const announceChannel = interaction.options.getChannel('channel') || await this.getDefaultAnnounceChannel(interaction.guildId);
+            const minPlaytimeMinutes = type === 'manual' ? 0 : (interaction.options.getInteger('min_playtime_minutes') || 0);
+            const scheduled = startDelayMs > 0;
 
-            await interaction.deferReply({ ephemeral: true });
-
-            const startTime = new Date();
-            const endTime = new Date(startTime.getTime() + (durationHours * 60 * 60 * 1000));
+            const startTime = new Date(Date.now() + startDelayMs);
+            const endTime = new Date(startTime.getTime() + (durationHours * HOUR_MS));
+            const previousContest = this.currentContest;
+            const previousState = this.getState();
 
             this.currentContest = {
                 id: `contest_${Date.now()}`,
                 title,
                 description,
                 prize,
+                vipPrizeMs,
                 maxWinners,
+                type,
+                minPlaytimeMinutes,
+                serverId,
+                durationHours,
                 startTime: startTime.toISOString(),
                 endTime: endTime.toISOString(),
                 createdBy: interaction.user.id,
-                active: true
+                createdAt: new Date().toISOString(),
+                guildId: interaction.guildId || null,
+                active: false,
+                scheduled,
+                announceChannelId: announceChannel ? announceChannel.id : null,
+                announcement: null,
+                remindersSent: []
             };
 
             this.submissions.clear();
+            this.registerStatsWindow();
 
-            const inGameMessage = `🏆 NEW VIP CONTEST: ${title} | Prize: ${prize} | Duration: ${durationHours}h | Join our Discord to participate!`;
-            
-            let messagingResult = { success: false, error: 'Not attempted' };
-            
-            try {
-                await this.crcon.sendMessageToAllPlayers(inGameMessage);
-                messagingResult = { success: true };
-            } catch (error) {
-                Logger.error('Failed to send in-game contest announcement:', error);
-                messagingResult = { success: false, error: error.message };
-            }
+            this.database.recordAudit({
+                action: 'contest.create',
+                actorId: interaction.user.id,
+                actorTag: interaction.user.tag,
+                guildId: this.currentContest.guildId,
+                targetName: title,
+                before: previousContest ? { title: previousContest.title, state: previousState } : null,
+                after: { title, type, prize, maxWinners, startTime: this.currentContest.startTime, endTime: this.currentContest.endTime },
+                details: { contestId: this.currentContest.id, serverId }
+            });
 
             const embed = new EmbedBuilder()
                 .setColor(0xFFD700)
-                .setTitle('🏆 Contest Created Successfully!')
+                .setTitle(scheduled ? '🗓️ Contest Scheduled!' : '🏆 Contest Created Successfully!')
                 .addFields(
                     { name: '📝 Title', value: title, inline: false },
                     { name: '📄 Description', value: description, inline: false },
                     { name: '🎁 Prize', value: prize, inline: true },
                     { name: '👑 Max Winners', value: maxWinners.toString(), inline: true },
                     { name: '⏰ Duration', value: `${durationHours} hours`, inline: true },
-                    { name: '🏁 Ends At', value: endTime.toLocaleString(), inline: true },
-                    { 
-                        name: '📢 In-Game Announcement', 
-                        value: messagingResult.success ? '✅ Sent successfully' : `❌ Failed: ${messagingResult.error}`, 
-                        inline: false 
-                    }
+                    { name: '📊 Judging', value: this.describeJudging(this.currentContest), inline: true }
                 );
 
+            if (vipPrizeMs) {
+                embed.addFields({ name: '⭐ VIP Prize', value: `${this.describeVipPrize(vipPrizeMs)}, added automatically when winners are confirmed`, inline: false });
+            }
+
+            if (scheduled) {
+                embed.addFields({ name: '🗓️ Starts', value: `<t:${Math.floor(startTime.getTime() / 1000)}:f>`, inline: true });
+            }
+
+            embed.addFields(
+                { name: '🏁 Ends At', value: `<t:${Math.floor(endTime.getTime() / 1000)}:f>`, inline: true },
+                { name: '🖥️ Server', value: serverId === 'all' ? 'All servers' : serverId, inline: true }
+            );
+
+            if (scheduled) {
+                await this.save();
+
+                embed.addFields({
+                    name: '📣 Announcements',
+                    value: announceChannel
+                        ? `The entry post in <#${announceChannel.id}> and the in-game announcement go out when the contest starts.`
+                        : 'The in-game announcement goes out when the contest starts.',
+                    inline: false
+                });
+                embed.setFooter({ text: 'Use /contest end to cancel the scheduled contest' });
+
+                await interaction.editReply({ embeds: [embed] });
+                Logger.info(`Contest scheduled: ${title} by ${interaction.user.tag}, starts ${startTime.toISOString()}`);
+                return;
+            }
+
+            const { announcementResult, messagingResult } = await this.startContest(announceChannel);
+
+            embed.addFields(
+                {
+                    name: '📣 Entry Post',
+                    value: !announcementResult
+                        ? 'None - add a channel to let players enter with a button'
+                        : announcementResult.success ? `✅ Posted in <#${announceChannel.id}>` : `❌ Failed: ${announcementResult.error}`,
+                    inline: false
+                },
+                { 
+                    name: '📢 In-Game Announcement', 
+                    value: messagingResult.success ? '✅ Sent successfully' : `❌ Failed: ${messagingResult.error}`, 
+                    inline: false 
+                }
+            );
+
             if (messagingResult.success) {
                 embed.setFooter({ text: 'Contest announcement sent to all players in-game!' });
             } else {
@@ -95,8 +300,65 @@ class ContestService {
         }
     }
 
+    /**
+     * Opens the current contest: posts the entry message (when a channel is
+     * given) and announces it in-game. Reminders whose time has already passed,
+     * such as the 24h reminder of a 12 hour contest, are marked as sent.
+     */
+    async startContest(announceChannel = null, now = new Date()) {
+        const contest = this.currentContest;
+        const remainingMs = new Date(contest.endTime) - now;
+
+        contest.active = true;
+        contest.scheduled = false;
+        contest.startedAt = now.toISOString();
+        contest.remindersSent = this.reminderHours.filter(hours => remainingMs <= hours * HOUR_MS);
+
+        const announcementResult = announceChannel ? await this.postAnnouncement(announceChannel) : null;
+        await this.save();
+
+        const goal = this.isStatContest(contest) ? ` | Goal: ${CONTEST_TYPES[contest.type].name}` : '';
+        const inGameMessage = `🏆 NEW VIP CONTEST: ${contest.title}${goal} | Prize: ${contest.prize} | Duration: ${contest.durationHours}h | Join our Discord to participate!`;
+        let messagingResult;
+
+        try {
+            await this.crcon.sendMessageToAllPlayers(inGameMessage, contest.serverId);
+            messagingResult = { success: true };
+        } catch (error) {
+            Logger.error('Failed to send in-game contest announcement:', error);
+            messagingResult = { success: false, error: error.message };
+        }
+
+        return { announcementResult, messagingResult };
+    }
+
     async handleEnd(interaction) {
-        if (!this.currentContest) {
+        if (this.currentContest?.scheduled) {
+            this.currentContest.scheduled = false;
+            this.currentContest.cancelled = true;
+            this.currentContest.endedAt = new Date().toISOString();
+            this.currentContest.endedBy = interaction.user.id;
+            await this.save();
+
+            this.database.recordAudit({
+                action: 'contest.end',
+                actorId: interaction.user.id,
+                actorTag: interaction.user.tag,
+                guildId: this.currentContest.guildId || null,
+                targetName: this.currentContest.title,
+                before: { state: 'scheduled' },
+                after: { state: 'cancelled' },
+                details: { contestId: this.currentContest.id }
+            });
+
+            Logger.info(`Scheduled contest cancelled: ${this.currentContest.title} by ${interaction.user.tag}`);
+            return await interaction.reply({
+                content: `🚫 Scheduled contest **${this.currentContest.title}** has been cancelled.`,
+                ephemeral: true
+            });
+        }
+
+        if (!this.currentContest || !this.currentContest.active) {
             return await interaction.reply({
                 content: '❌ No active contest to end.',
                 ephemeral: true
@@ -107,23 +369,15 @@ class ContestService {
 
         try {
             const submissionCount = this.submissions.size;
-            
-            this.currentContest.active = false;
-            this.currentContest.endedAt = new Date().toISOString();
-            this.currentContest.endedBy = interaction.user.id;
 
-            try {
-                await this.crcon.sendMessageToAllPlayers(`🏆 Contest "${this.currentContest.title}" has ended! Check Discord for results.`);
-            } catch (error) {
-                Logger.error('Failed to send contest end announcement:', error);
-            }
+            await this.closeContest(interaction.user.id, interaction.client);
 
             const embed = new EmbedBuilder()
                 .setColor(0xFF6B6B)
                 .setTitle('🏁 Contest Ended')
                 .addFields(
                     { name: '📝 Contest', value: this.currentContest.title, inline: false },
-                    { name: '📊 Total Submissions', value: submissionCount.toString(), inline: true },
+                    { name: '📊 Total Entries', value: submissionCount.toString(), inline: true },
                     { name: '⏰ Ended At', value: new Date().toLocaleString(), inline: true }
                 )
                 .setFooter({ text: 'Use /contest winners to select winners' });
@@ -139,81 +393,100 @@ class ContestService {
         }
     }
 
+    /**
+     * Closes entries and announces the end in Discord and in-game. `endedBy` is
+     * the admin's user ID, or 'schedule' when the end time passed.
+     */
+    async closeContest(endedBy, client = this.client, now = new Date()) {
+        const contest = this.currentContest;
+
+        contest.active = false;
+        contest.endedAt = now.toISOString();
+        contest.endedBy = endedBy;
+        this.registerStatsWindow(contest);
+        await this.save();
+
+        this.database.recordAudit({
+            action: 'contest.end',
+            actorId: endedBy === 'schedule' ? 'system' : endedBy,
+            actorTag: endedBy === 'schedule' ? 'Contest schedule' : null,
+            guildId: contest.guildId || null,
+            targetName: contest.title,
+            before: { state: 'active' },
+            after: { state: 'ended', entries: this.submissions.size },
+            details: { contestId: contest.id }
+        });
+        await this.refreshAnnouncement(client);
+
+        try {
+            await this.crcon.sendMessageToAllPlayers(`🏆 Contest "${contest.title}" has ended! Check Discord for results.`, contest.serverId);
+        } catch (error) {
+            Logger.error('Failed to send contest end announcement:', error);
+        }
+
+        const closingEmbed = new EmbedBuilder()
+            .setColor(0xFF6B6B)
+            .setTitle(`🏁 ${contest.title} has ended!`)
+            .setDescription(`Entries are closed with **${this.submissions.size}** ${this.submissions.size === 1 ? 'entry' : 'entries'}. Winners will be announced soon - good luck!`)
+            .setTimestamp();
+
+        await this.postToContestChannel({ embeds: [closingEmbed] }, client);
+        await this.pingAdminsForWinners(client);
+    }
+
     async handleWinners(interaction) {
-        if (!this.currentContest) {
+        const state = this.getState();
+        if (state !== 'active' && state !== 'ended') {
             return await interaction.reply({
                 content: '❌ No contest available for winner selection.',
                 ephemeral: true
             });
         }
 
-        const winnerIdsString = interaction.options.getString('winner_ids');
-        const winnerIds = winnerIdsString.split(',').map(id => id.trim()).filter(id => id.length > 0);
+        const winnerUsers = this.getWinnerUsers(interaction);
 
-        if (winnerIds.length > this.currentContest.maxWinners) {
+        if (winnerUsers.length > this.currentContest.maxWinners) {
             return await interaction.reply({
                 content: `❌ Too many winners selected. Maximum allowed: ${this.currentContest.maxWinners}`,
                 ephemeral: true
             });
         }
 
-        await interaction.deferReply({ ephemeral: true });
+        const bots = winnerUsers.filter(user => user.bot);
+        if (bots.length > 0) {
+            return await interaction.reply({
+                content: `❌ Bots can't win contests: ${bots.map(user => user.tag).join(', ')}`,
+                ephemeral: true
+            });
+        }
+
+        if (this.awardingWinners) {
+            return await interaction.reply({
+                content: WINNERS_IN_PROGRESS,
+                ephemeral: true
+            });
+        }
 
+        this.awardingWinners = true;
         try {
-            const winners = [];
-            
-            for (const winnerId of winnerIds) {
-                try {
-                    const user = await interaction.client.users.fetch(winnerId);
-                    winners.push({
-                        id: winnerId,
-                        tag: user.tag,
-                        username: user.username
-                    });
-
-                    const dmEmbed = new EmbedBuilder()
-                        .setColor(0xFFD700)
-                        .setTitle('🎉 Congratulations! You Won!')
-                        .addFields(
-                            { name: '🏆 Contest', value: this.currentContest.title, inline: false },
-                            { name: '🎁 Prize', value: this.currentContest.prize, inline: true }
-                        )
-                        .setFooter({ text: 'Contact a server administrator to claim your prize!' });
-
-                    try {
-                        await user.send({ embeds: [dmEmbed] });
-                    } catch (dmError) {
-                        Logger.warn(`Failed to send DM to winner ${user.tag}:`, dmError.message);
-                    }
+            await interaction.deferReply({ ephemeral: true });
 
-                } catch (error) {
-                    Logger.error(`Failed to process winner ${winnerId}:`, error);
-                }
-            }
+            const winners = await this.awardWinners(winnerUsers, interaction.user.id, interaction.client);
 
             if (winners.length === 0) {
                 return await interaction.editReply({
-                    content: '❌ No valid winners found. Please check the user IDs and try again.'
+                    content: '❌ No valid winners found. Please select at least one winner.'
                 });
             }
 
-            this.currentContest.winners = winners;
-            this.currentContest.winnersSelectedAt = new Date().toISOString();
-            this.currentContest.winnersSelectedBy = interaction.user.id;
-
             const winnerTags = winners.map(w => w.tag).join(', ');
-            try {
-                await this.crcon.sendMessageToAllPlayers(`🎉 Contest winners: ${winnerTags}! Congratulations!`);
-            } catch (error) {
-                Logger.error('Failed to send winner announcement:', error);
-            }
 
             const embed = new EmbedBuilder()
                 .setColor(0x00FF00)
                 .setTitle('🎉 Contest Winners Selected!')
                 .addFields(
                     { name: '🏆 Contest', value: this.currentContest.title, inline: false },
-                    { name: '👑 Winners', value: winnerTags, inline: false },
+                    { name: '👑 Winners', value: winners.map(w => this.formatWinnerLine(w)).join('\n'), inline: false },
                     { name: '🎁 Prize', value: this.currentContest.prize, inline: true }
                 )
                 .setFooter({ text: 'Winners have been selected and notified!' });
@@ -226,9 +499,268 @@ class ContestService {
             await interaction.editReply({
                 content: '❌ Failed to select winners. Please try again later.'
             });
+        } finally {
+            this.awardingWinners = false;
         }
     }
 
+    /**
+     * Records the winners, hands out their VIP prize, DMs each of them and
+     * announces them in-game and on the contest post. Shared by
+     * /contest winners and the stat contest preview. Picking winners again
+     * keeps the prizes already given and drops prizes held for winners who
+     * were replaced.
+     */
+    async awardWinners(users, actorId, client = this.client) {
+        const contest = this.currentContest;
+        const previous = new Map((contest.winners || []).map(winner => [winner.id, winner]));
+
+        const winners = users.map(user => {
+            const result = (contest.pendingWinners || []).find(entry => entry.discordId === user.id);
+            return {
+                id: user.id,
+                tag: user.tag,
+                username: user.username,
+                ...(result ? { value: result.value } : {})
+            };
+        });
+
+        if (winners.length === 0) {
+            return winners;
+        }
+
+        this.pendingPrizes = this.pendingPrizes.filter(pending => pending.contestId !== contest.id || winners.some(winner => winner.id === pending.discordId));
+
+        contest.winners = winners;
+        contest.winnersSelectedAt = new Date().toISOString();
+        contest.winnersSelectedBy = actorId;
+        contest.pendingWinners = null;
+        await this.save();
+
+        for (const winner of winners) {
+            const earlier = previous.get(winner.id)?.prize;
+            winner.prize = earlier && earlier.status !== 'failed'
+                ? earlier
+                : await this.fulfilPrize(contest, winner, actorId);
+        }
+        await this.save();
+
+        for (const [index, winner] of winners.entries()) {
+            const linkedData = await this.database.getPlayerByDiscordId(winner.id);
+            this.database.recordAudit({
+                action: 'contest.winner',
+                actorId,
+                guildId: contest.guildId || null,
+                targetId: winner.id,
+                playerId: linkedData?.steamId || null,
+                playerName: linkedData?.t17Username || null,
+                before: previous.has(winner.id) ? { winner: true, prizeStatus: previous.get(winner.id).prize?.status || null } : null,
+                after: { winner: true, place: index + 1, prize: contest.prize, prizeStatus: winner.prize?.status || null },
+                details: { contestId: contest.id }
+            });
+        }
+
+        for (const [index, user] of users.entries()) {
+            const winner = winners[index];
+            const dmEmbed = new EmbedBuilder()
+                .setColor(0xFFD700)
+                .setTitle('🎉 Congratulations! You Won!')
+                .addFields(
+                    { name: '🏆 Contest', value: contest.title, inline: false },
+                    { name: '🎁 Prize', value: contest.prize, inline: true }
+                )
+                .setFooter({ text: this.describePrizeForWinner(winner.prize) });
+
+            if (winner.value !== undefined) {
+                dmEmbed.addFields({ name: '📊 Your Result', value: `${StatsCollector.formatStatValue(contest.type, winner.value)} ${CONTEST_TYPES[contest.type].unit}`, inline: true });
+            }
+
+            try {
+                await Metrics.recordDm('contest_winner', () => user.send({ embeds: [dmEmbed] }));
+            } catch (dmError) {
+                Logger.warn(`Failed to send DM to winner ${user.tag}:`, dmError.message);
+            }
+        }
+
+        await this.refreshAnnouncement(client);
+
+        const winnerTags = winners.map(w => w.tag).join(', ');
+        try {
+            await this.crcon.sendMessageToAllPlayers(`🎉 Contest winners: ${winnerTags}! Congratulations!`, contest.serverId);
+        } catch (error) {
+            Logger.error('Failed to send winner announcement:', error);
+        }
+
+        return winners;
+    }
+
+    /**
+     * Gives a winner the contest's VIP prize. Winners without a linked
+     * account get their prize held until they link. Returns the prize
+     * record stored on the winner, or null for contests without a VIP prize.
+     */
+    async fulfilPrize(contest, winner, actorId) {
+        if (!contest.vipPrizeMs) return null;
+
+        const grant = {
+            contestId: contest.id,
+            contestTitle: contest.title,
+            durationMs: contest.vipPrizeMs,
+            serverId: contest.serverId
+        };
+
+        const linkedData = await this.database.getPlayerByDiscordId(winner.id);
+        if (!linkedData) {
+            this.pendingPrizes.push({ ...grant, discordId: winner.id, awardedBy: actorId, awardedAt: new Date().toISOString() });
+            Logger.info(`Holding ${contest.title} VIP prize for ${winner.tag} until they link an account`);
+            return { type: 'vip', durationMs: grant.durationMs, status: 'pending_link' };
+        }
+
+        return this.grantVipPrize(grant, winner.id, linkedData, actorId);
+    }
+
+    /**
+     * Extends the winner's VIP through CRCON. A prize that only reached some
+     * servers is 'partial' and is not retried, so nobody gets it twice.
+     */
+    async grantVipPrize(grant, discordId, linkedData, actorId) {
+        const prize = { type: 'vip', durationMs: grant.durationMs, playerId: linkedData.steamId };
+
+        if (!this.vipManagement) {
+            return { ...prize, status: 'failed', error: 'VIP management is not available' };
+        }
+
+        try {
+            const results = await this.vipManagement.extendVip({
+                playerId: linkedData.steamId,
+                playerName: linkedData.t17Username,
+                discordId,
+                durationMs: grant.durationMs,
+                serverId: grant.serverId,
+                actorId,
+                reason: `contest:${grant.contestId}`
+            });
+
+            const failed = results.filter(result => !result.success);
+            if (results.length > 0 && failed.length === 0) {
+                return { ...prize, status: 'fulfilled', fulfilledAt: new Date().toISOString() };
+            }
+
+            return {
+                ...prize,
+                status: failed.length < results.length ? 'partial' : 'failed',
+                error: failed.map(result => `${result.serverName || result.serverId}: ${result.error}`).join('; ') || 'No servers configured'
+            };
+        } catch (error) {
+            Logger.error(`Failed to grant ${grant.contestTitle} VIP prize to ${discordId}:`, error);
+            return { ...prize, status: 'failed', error: error.message };
+        }
+    }
+
+    /**
+     * Grants the prizes held for a player who has just linked their account
+     * and lets them know.
+     */
+    async fulfilPendingPrizes(discordId, linkedData = null, client = this.client) {
+        const held = this.pendingPrizes.filter(pending => pending.discordId === discordId);
+        if (held.length === 0) return [];
+
+        const link = linkedData || await this.database.getPlayerByDiscordId(discordId);
+        if (!link) return [];
+
+        this.pendingPrizes = this.pendingPrizes.filter(pending => pending.discordId !== discordId);
+        const prizes = [];
+
+        for (const pending of held) {
+            const prize = await this.grantVipPrize(pending, discordId, link, pending.awardedBy);
+            prizes.push(prize);
+
+            const winner = this.currentContest?.id === pending.contestId
+                ? (this.currentContest.winners || []).find(entry => entry.id === discordId)
+                : null;
+            if (winner) {
+                winner.prize = prize;
+            }
+
+            Logger.info(`Held ${pending.contestTitle} VIP prize for ${discordId}: ${prize.status}`);
+
+            if (!client) continue;
+            try {
+                const user = await client.users.fetch(discordId);
+                await Metrics.recordDm('contest_prize', () => user.send({
+                    content: prize.status === 'fulfilled'
+                        ? `⭐ Thanks for linking your account! Your **${pending.contestTitle}** prize of ${this.describeVipPrize(pending.durationMs)} has been added.`
+                        : `⚠️ Thanks for linking your account! We couldn't add your **${pending.contestTitle}** VIP prize automatically - a server administrator will sort it out.`
+                }));
+            } catch (error) {
+                Logger.warn(`Failed to DM ${discordId} about their contest prize:`, error.message);
+            }
+        }
+
+        await this.save();
+        return prizes;
+    }
+
+    describeVipPrize(durationMs) {
+        if (!durationMs) return null;
+        const days = durationMs / DAY_MS;
+        if (Number.isInteger(days)) {
+            return `${days} ${days === 1 ? 'day' : 'days'} VIP`;
+        }
+        const hours = Math.round(durationMs / HOUR_MS);
+        return `${hours} ${hours === 1 ? 'hour' : 'hours'} VIP`;
+    }
+
+    describePrizeForWinner(prize) {
+        switch (prize?.status) {
+            case 'fulfilled':
+                return 'Your VIP has been added - enjoy!';
+            case 'pending_link':
+                return 'Link your Hell Let Loose account with /link start to receive your VIP - we\'re holding it for you.';
+            case 'partial':
+            case 'failed':
+                return 'We couldn\'t add your VIP automatically - a server administrator will sort it out.';
+            default:
+                return 'Contact a server administrator to claim your prize!';
+        }
+    }
+
+    formatPrizeStatus(prize) {
+        switch (prize?.status) {
+            case 'fulfilled':
+                return '✅ VIP added';
+            case 'pending_link':
+                return '⏳ Waiting for account link';
+            case 'partial':
+                return `⚠️ Some servers failed (${prize.error})`;
+            case 'failed':
+                return `❌ Failed (${prize.error})`;
+            default:
+                return null;
+        }
+    }
+
+    formatWinnerLine(winner) {
+        const status = this.formatPrizeStatus(winner.prize);
+        return status ? `• ${winner.tag} - ${status}` : `• ${winner.tag}`;
+    }
+
+    /**
+     * Winners picked in the winner, winner_2, ... options, without duplicates.
+     */
+    getWinnerUsers(interaction) {
+        const users = new Map();
+
+        for (let i = 1; i <= CONTEST_LIMITS.MAX_WINNERS; i++) {
+            const user = interaction.options.getUser(i === 1 ? 'winner' : `winner_${i}`);
+            if (user) {
+                users.set(user.id, user);
+            }
+        }
+
+        return Array.from(users.values());
+    }
+
     async handleStatus(interaction) {
         if (!this.currentContest) {
             return await interaction.reply({
@@ -248,22 +780,35 @@ class ContestService {
                 .addFields(
                     { name: '📄 Description', value: this.currentContest.description, inline: false },
                     { name: '🎁 Prize', value: this.currentContest.prize, inline: true },
-                    { name: '📊 Status', value: this.currentContest.active ? '🟢 Active' : '🔴 Ended', inline: true },
+                    { name: '📊 Status', value: this.getStatusLabel(), inline: true },
                     { name: '👑 Max Winners', value: this.currentContest.maxWinners.toString(), inline: true },
-                    { name: '📝 Submissions', value: this.submissions.size.toString(), inline: true }
+                    { name: '📝 Entries', value: this.submissions.size.toString(), inline: true }
                 );
 
             if (this.currentContest.active && timeLeft > 0) {
                 embed.addFields({ name: '⏰ Time Remaining', value: `${timeLeft} hours`, inline: true });
             }
 
+            if (this.isStatContest() && this.statsCollector && this.getState() !== 'scheduled') {
+                const leaders = this.getStandings().filter(row => row.eligible).slice(0, 3);
+                embed.addFields(
+                    { name: '📊 Judging', value: this.describeJudging(), inline: true },
+                    { name: '📈 Standings', value: leaders.map((row, index) => this.formatStandingLine(row, index)).join('\n') || 'No eligible entrants yet', inline: false }
+                );
+            }
+
+            const pendingReminders = this.reminderHours.filter(hours => !(this.currentContest.remindersSent || []).includes(hours));
+            if ((this.currentContest.active || this.currentContest.scheduled) && pendingReminders.length > 0) {
+                embed.addFields({ name: '🔔 Reminders', value: pendingReminders.map(hours => `${hours}h before end`).join(', '), inline: true });
+            }
+
             if (this.currentContest.winners && this.currentContest.winners.length > 0) {
-                const winnerList = this.currentContest.winners.map(w => `• ${w.tag}`).join('\n');
+                const winnerList = this.currentContest.winners.map(w => this.formatWinnerLine(w)).join('\n');
                 embed.addFields({ name: '👑 Winners', value: winnerList, inline: false });
             }
 
             embed.setFooter({ 
-                text: `Created: ${new Date(this.currentContest.startTime).toLocaleString()}`
+                text: `Created: ${new Date(this.currentContest.createdAt || this.currentContest.startTime).toLocaleString()}`
             });
 
             await interaction.reply({ embeds: [embed], ephemeral: true });
@@ -277,8 +822,782 @@ class ContestService {
         }
     }
 
+    isAcceptingEntries() {
+        return Boolean(this.currentContest
+            && this.currentContest.active
+            && new Date() < new Date(this.currentContest.endTime));
+    }
+
+    buildAnnouncementEmbed() {
+        const contest = this.currentContest;
+        const open = this.isAcceptingEntries();
+
+        const embed = new EmbedBuilder()
+            .setColor(open ? 0xFFD700 : 0x808080)
+            .setTitle(`🏆 ${contest.title}`)
+            .setDescription(contest.description)
+            .addFields(
+                { name: '🎁 Prize', value: contest.prize, inline: true },
+                { name: '👑 Winners', value: contest.maxWinners.toString(), inline: true },
+                { name: '📝 Entries', value: this.submissions.size.toString(), inline: true },
+                { name: '📊 Judging', value: this.describeJudging(contest), inline: true },
+                {
+                    name: open ? '⏰ Ends' : '🏁 Status',
+                    value: open ? `<t:${Math.floor(new Date(contest.endTime).getTime() / 1000)}:R>` : 'Entries are closed',
+                    inline: false
+                }
+            );
+
+        if (contest.winners && contest.winners.length > 0) {
+            embed.addFields({ name: '🎉 Winners', value: contest.winners.map(w => `<@${w.id}>`).join(', '), inline: false });
+        }
+
+        embed.setFooter({ text: open ? 'Link your Hell Let Loose account, then press Enter Contest!' : 'Thanks to everyone who entered!' });
+
+        return embed;
+    }
+
+    buildEntryButtons(disabled = false) {
+        const contestId = this.currentContest.id;
+
+        return new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`contest_enter_${contestId}`)
+                    .setLabel('🏆 Enter Contest')
+                    .setStyle(ButtonStyle.Success)
+                    .setDisabled(disabled),
+                new ButtonBuilder()
+                    .setCustomId(`contest_view_${contestId}`)
+                    .setLabel('📄 My Entry')
+                    .setStyle(ButtonStyle.Secondary),
+                new ButtonBuilder()
+                    .setCustomId(`contest_withdraw_${contestId}`)
+                    .setLabel('↩️ Withdraw')
+                    .setStyle(ButtonStyle.Danger)
+                    .setDisabled(disabled)
+            );
+    }
+
+    /**
+     * The announcement channel set with /config, used when /contest create
+     * has no `channel` option.
+     */
+    async getDefaultAnnounceChannel(guildId) {
+        const channelId = this.guildSettings?.get(guildId, 'announcementChannelId');
+        if (!channelId || !this.client) return null;
+
+        try {
+            return await this.client.channels.fetch(channelId);
+        } catch (error) {
+            Logger.warn(`Announcement channel ${channelId} is unavailable: ${error.message}`);
+            return null;
+        }
+    }
+
+    async postAnnouncement(channel) {
+        try {
+            const message = await channel.send({
+                embeds: [this.buildAnnouncementEmbed()],
+                components: [this.buildEntryButtons()]
+            });
+
+            this.currentContest.announcement = { channelId: channel.id, messageId: message.id };
+            return { success: true };
+
+        } catch (error) {
+            Logger.error('Failed to post contest announcement:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Re-renders the announcement post so the entry count and open/closed
+     * state stay current. Missing posts (deleted by a moderator) are forgotten.
+     */
+    async refreshAnnouncement(client = this.client) {
+        const announcement = this.currentContest?.announcement;
+        if (!announcement || !client) return;
+
+        try {
+            const channel = await client.channels.fetch(announcement.channelId);
+            const message = await channel.messages.fetch(announcement.messageId);
+
+            await message.edit({
+                embeds: [this.buildAnnouncementEmbed()],
+                components: [this.buildEntryButtons(!this.isAcceptingEntries())]
+            });
+
+        } catch (error) {
+            if (error.code === 10008 || error.code === 10003) {
+                Logger.warn(`Contest announcement ${announcement.messageId} no longer exists`);
+                this.currentContest.announcement = null;
+                await this.save();
+            } else {
+                Logger.error('Failed to refresh contest announcement:', error);
+            }
+        }
+    }
+
+    async handleButton(interaction) {
+        const match = /^contest_(enter|view|withdraw|confirm|discard)_(.+)$/.exec(interaction.customId);
+
+        if (!match) {
+            return await interaction.reply({
+                content: '❌ Unknown contest action.',
+                ephemeral: true
+            });
+        }
+
+        const [, action, contestId] = match;
+
+        if (!this.currentContest || this.currentContest.id !== contestId) {
+            return await interaction.reply({
+                content: '❌ This contest is no longer running.',
+                ephemeral: true
+            });
+        }
+
+        switch (action) {
+            case 'enter':
+                await this.handleEnterButton(interaction);
+                break;
+            case 'view':
+                await this.handleViewEntry(interaction);
+                break;
+            case 'withdraw':
+                await this.handleWithdraw(interaction);
+                break;
+            case 'confirm':
+            case 'discard':
+                await this.handlePreviewButton(interaction, action);
+                break;
+        }
+    }
+
+    async handleEnterButton(interaction) {
+        if (!this.isAcceptingEntries()) {
+            return await interaction.reply({
+                content: '❌ This contest is no longer accepting entries.',
+                ephemeral: true
+            });
+        }
+
+        if (this.submissions.has(interaction.user.id)) {
+            return await interaction.reply({
+                content: '✅ You\'ve already entered this contest. Use **📄 My Entry** to see it, or **↩️ Withdraw** to remove it.',
+                ephemeral: true
+            });
+        }
+
+        const linkedData = await this.database.getPlayerByDiscordId(interaction.user.id);
+        if (!linkedData) {
+            return await interaction.reply({
+                content: '❌ You need to link your Hell Let Loose account before entering. Use `/link start` or the **🔗 Link My Account** button on the VIP panel.',
+                ephemeral: true
+            });
+        }
+
+        if (this.isStatContest()) {
+            const entry = await this.recordEntry(interaction, linkedData, null, null);
+            await interaction.reply({
+                embeds: [this.buildEntryEmbed(entry)
+                    .setTitle('✅ You\'re Entered!')
+                    .setDescription(`Your ${CONTEST_TYPES[this.currentContest.type].name.toLowerCase()} across our servers from the contest start until it ends will be counted automatically.`)],
+                ephemeral: true
+            });
+
+            // The entrant count on the announcement can wait until the entrant has their answer
+            return await this.refreshAnnouncement(interaction.client);
+        }
+
+        const modal = new ModalBuilder()
+            .setCustomId(`contest_entry_modal_${this.currentContest.id}`)
+            .setTitle(`🏆 Enter: ${this.currentContest.title}`.slice(0, 45));
+
+        const textInput = new TextInputBuilder()
+            .setCustomId('contest_entry_text')
+            .setLabel('Your entry (optional)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setPlaceholder('Describe your entry, or leave blank to just enter')
+            .setRequired(false)
+            .setMaxLength(1000);
+
+        const urlInput = new TextInputBuilder()
+            .setCustomId('contest_entry_url')
+            .setLabel('Screenshot or clip link (optional)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('https://...')
+            .setRequired(false)
+            .setMaxLength(500);
+
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(textInput),
+            new ActionRowBuilder().addComponents(urlInput)
+        );
+
+        await interaction.showModal(modal);
+    }
+
+    async handleEntryModal(interaction) {
+        const contestId = interaction.customId.replace('contest_entry_modal_', '');
+
+        if (!this.currentContest || this.currentContest.id !== contestId || !this.isAcceptingEntries()) {
+            return await interaction.reply({
+                content: '❌ This contest is no longer accepting entries.',
+                ephemeral: true
+            });
+        }
+
+        if (this.submissions.has(interaction.user.id)) {
+            return await interaction.reply({
+                content: '✅ You\'ve already entered this contest.',
+                ephemeral: true
+            });
+        }
+
+        let url;
+        try {
+            url = Validators.validateSubmissionUrl(interaction.fields.getTextInputValue('contest_entry_url'));
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            }
+            throw error;
+        }
+
+        const linkedData = await this.database.getPlayerByDiscordId(interaction.user.id);
+        if (!linkedData) {
+            return await interaction.reply({
+                content: '❌ You need to link your Hell Let Loose account before entering.',
+                ephemeral: true
+            });
+        }
+
+        const text = (interaction.fields.getTextInputValue('contest_entry_text') || '').trim();
+        const entry = await this.recordEntry(interaction, linkedData, text || null, url);
+
+        await interaction.reply({
+            embeds: [this.buildEntryEmbed(entry).setTitle('✅ You\'re Entered!')],
+            ephemeral: true
+        });
+
+        await this.refreshAnnouncement(interaction.client);
+    }
+
+    async recordEntry(interaction, linkedData, text, url) {
+        const entry = {
+            discordId: interaction.user.id,
+            userTag: interaction.user.tag,
+            t17Username: linkedData.t17Username,
+            steamId: linkedData.steamId,
+            text,
+            url,
+            enteredAt: new Date().toISOString()
+        };
+
+        this.submissions.set(interaction.user.id, entry);
+        await this.save();
+
+        Logger.info(`Contest entry from ${interaction.user.tag} (${linkedData.t17Username}) for ${this.currentContest.title}`);
+
+        return entry;
+    }
+
+    async handleViewEntry(interaction) {
+        const entry = this.submissions.get(interaction.user.id);
+
+        if (!entry) {
+            return await interaction.reply({
+                content: this.isAcceptingEntries()
+                    ? '❌ You haven\'t entered this contest yet. Press **🏆 Enter Contest** to join!'
+                    : '❌ You didn\'t enter this contest.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply({
+            embeds: [this.buildEntryEmbed(entry).setTitle('📄 Your Contest Entry')],
+            ephemeral: true
+        });
+    }
+
+    async handleWithdraw(interaction) {
+        if (!this.submissions.has(interaction.user.id)) {
+            return await interaction.reply({
+                content: '❌ You don\'t have an entry to withdraw.',
+                ephemeral: true
+            });
+        }
+
+        if (!this.isAcceptingEntries()) {
+            return await interaction.reply({
+                content: '❌ Entries can\'t be withdrawn after the contest has closed.',
+                ephemeral: true
+            });
+        }
+
+        this.submissions.delete(interaction.user.id);
+        await this.save();
+
+        await interaction.reply({
+            content: '↩️ Your entry has been withdrawn. You can enter again while the contest is open.',
+            ephemeral: true
+        });
+
+        Logger.info(`Contest entry withdrawn by ${interaction.user.tag} for ${this.currentContest.title}`);
+        await this.refreshAnnouncement(interaction.client);
+    }
+
+    buildEntryEmbed(entry) {
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.SUCCESS)
+            .addFields(
+                { name: '🏆 Contest', value: this.currentContest.title, inline: false },
+                { name: '🎮 Player', value: entry.t17Username || 'Unknown', inline: true },
+                { name: '📅 Entered', value: `<t:${Math.floor(new Date(entry.enteredAt).getTime() / 1000)}:f>`, inline: true }
+            );
+
+        if (entry.text) {
+            embed.addFields({ name: '📝 Entry', value: entry.text, inline: false });
+        }
+        if (entry.url) {
+            embed.addFields({ name: '🔗 Link', value: entry.url, inline: false });
+        }
+
+        return embed;
+    }
+
+    async handleEntries(interaction) {
+        if (!this.currentContest) {
+            return await interaction.reply({
+                content: '❌ No contest data available.',
+                ephemeral: true
+            });
+        }
+
+        const entries = Array.from(this.submissions.values());
+        const totalPages = Math.max(1, Math.ceil(entries.length / ENTRIES_PER_PAGE));
+        const page = Math.min(Math.max(1, interaction.options.getInteger('page') || 1), totalPages);
+        const pageEntries = entries.slice((page - 1) * ENTRIES_PER_PAGE, page * ENTRIES_PER_PAGE);
+
+        const lines = pageEntries.map((entry, index) => {
+            const position = (page - 1) * ENTRIES_PER_PAGE + index + 1;
+            const extras = [entry.text ? '📝' : null, entry.url ? `[🔗](${entry.url})` : null].filter(Boolean).join(' ');
+            return `**${position}.** <@${entry.discordId}> - ${entry.t17Username}${extras ? ` ${extras}` : ''}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.INFO)
+            .setTitle(`📝 Entries: ${this.currentContest.title}`)
+            .setDescription(lines.join('\n') || 'No entries yet.')
+            .setFooter({ text: `${entries.length} entries • Page ${page}/${totalPages} • /contest export for the full list` });
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    async handleExport(interaction) {
+        if (!this.currentContest) {
+            return await interaction.reply({
+                content: '❌ No contest data available.',
+                ephemeral: true
+            });
+        }
+
+        const header = ['discord_id', 'discord_tag', 't17_username', 'player_id', 'entered_at', 'entry_text', 'entry_url'];
+        const rows = Array.from(this.submissions.values()).map(entry => [
+            entry.discordId,
+            entry.userTag,
+            entry.t17Username,
+            entry.steamId,
+            entry.enteredAt,
+            entry.text,
+            entry.url
+        ]);
+
+        const csv = Csv.build(header, rows);
+        const attachment = new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: `${this.currentContest.id}_entries.csv` });
+
+        await interaction.reply({
+            content: `📤 ${rows.length} entries for **${this.currentContest.title}**`,
+            files: [attachment],
+            ephemeral: true
+        });
+
+        Logger.info(`Contest entries exported by ${interaction.user.tag}`);
+    }
+
+    /**
+     * Runs every minute from the bot's background services. Everything it acts
+     * on (start and end times, reminders already sent, winner pings) is stored
+     * on the contest, so a restart picks up where the last tick left off.
+     */
+    async tick(now = new Date()) {
+        if (this.ticking || !this.currentContest) return;
+        this.ticking = true;
+
+        try {
+            const contest = this.currentContest;
+
+            if (contest.scheduled && now >= new Date(contest.startTime)) {
+                await this.startScheduledContest(now);
+            }
+
+            if (contest.active) {
+                const remainingMs = new Date(contest.endTime) - now;
+
+                if (remainingMs <= 0) {
+                    Logger.info(`⏰ Contest "${contest.title}" reached its end time`);
+                    await this.closeContest('schedule', this.client, now);
+                } else {
+                    await this.sendDueReminders(remainingMs);
+                }
+            }
+
+            if (this.needsWinnerPing(now)) {
+                await this.pingAdminsForWinners();
+            }
+
+        } catch (error) {
+            Logger.error('Error running contest schedule:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async startScheduledContest(now) {
+        const contest = this.currentContest;
+        let channel = null;
+
+        if (contest.announceChannelId && this.client) {
+            try {
+                channel = await this.client.channels.fetch(contest.announceChannelId);
+            } catch (error) {
+                Logger.warn(`Contest channel ${contest.announceChannelId} is unavailable: ${error.message}`);
+            }
+        }
+
+        const { announcementResult, messagingResult } = await this.startContest(channel, now);
+        Logger.info(`🏆 Scheduled contest "${contest.title}" started (entry post: ${announcementResult?.success ? 'posted' : 'none'}, in-game: ${messagingResult.success ? 'sent' : messagingResult.error})`);
+    }
+
+    async sendDueReminders(remainingMs) {
+        const contest = this.currentContest;
+        const sent = contest.remindersSent || (contest.remindersSent = []);
+        const due = this.reminderHours.filter(hours => !sent.includes(hours) && remainingMs <= hours * HOUR_MS);
+
+        if (due.length === 0) return;
+
+        // Several reminders can be due at once after downtime; send one with the real time left
+        sent.push(...due);
+        await this.save();
+
+        const timeLeft = this.formatTimeLeft(remainingMs);
+
+        try {
+            await this.crcon.sendMessageToAllPlayers(`⏰ ${timeLeft} left in the "${contest.title}" contest! Prize: ${contest.prize} | Enter on our Discord!`, contest.serverId);
+        } catch (error) {
+            Logger.error('Failed to send in-game contest reminder:', error);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.WARNING)
+            .setTitle(`⏰ ${timeLeft} left to enter ${contest.title}!`)
+            .setDescription(`**${this.submissions.size}** ${this.submissions.size === 1 ? 'entry' : 'entries'} so far. Press **🏆 Enter Contest** on the post above to join.`)
+            .addFields({ name: '🎁 Prize', value: contest.prize, inline: true });
+
+        await this.postToContestChannel({ embeds: [embed] });
+        Logger.info(`Contest reminder sent for "${contest.title}" (${timeLeft} left)`);
+    }
+
+    formatTimeLeft(ms) {
+        if (ms >= 1.5 * HOUR_MS) {
+            return `${Math.round(ms / HOUR_MS)} hours`;
+        }
+        const minutes = Math.max(1, Math.round(ms / (60 * 1000)));
+        return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+    }
+
+    needsWinnerPing(now) {
+        const contest = this.currentContest;
+        if (this.getState() !== 'ended' || (contest.winners && contest.winners.length > 0)) return false;
+        if (this.submissions.size === 0 || (contest.winnerPings || 0) >= MAX_WINNER_PINGS) return false;
+
+        return !contest.lastWinnerPingAt || now - new Date(contest.lastWinnerPingAt) >= this.winnerReminderMs;
+    }
+
+    /**
+     * Reminds admins that winners still need picking: in CONTEST_ADMIN_CHANNEL_ID
+     * (mentioning CONTEST_ADMIN_ROLE_ID) when configured, otherwise by DM to the
+     * admin who created the contest.
+     */
+    async pingAdminsForWinners(client = this.client) {
+        const contest = this.currentContest;
+        if (!client || this.submissions.size === 0) return;
+
+        contest.winnerPings = (contest.winnerPings || 0) + 1;
+        contest.lastWinnerPingAt = new Date().toISOString();
+        await this.save();
+
+        const usePreview = this.isStatContest() && this.statsCollector && !contest.previewDiscarded;
+        const message = usePreview
+            ? `🏆 **${contest.title}** has ended. Here are the proposed winners - nobody is notified until you confirm.`
+            : `🏆 **${contest.title}** has ended with ${this.submissions.size} ${this.submissions.size === 1 ? 'entry' : 'entries'} and needs winners. Review them with \`/contest entries\` and pick up to ${contest.maxWinners} with \`/contest winners\`.`;
+        const preview = usePreview ? await this.buildWinnerPreview() : {};
+
+        try {
+            if (this.adminChannelId) {
+                const channel = await client.channels.fetch(this.adminChannelId);
+                const mention = this.adminRoleId ? `<@&${this.adminRoleId}>` : `<@${contest.createdBy}>`;
+                await channel.send({
+                    content: `${mention} ${message}`,
+                    ...preview,
+                    allowedMentions: this.adminRoleId ? { roles: [this.adminRoleId] } : { users: [contest.createdBy] }
+                });
+            } else {
+                const user = await client.users.fetch(contest.createdBy);
+                await Metrics.recordDm('contest_admin_reminder', () => user.send({ content: message, ...preview }));
+            }
+        } catch (error) {
+            Logger.error('Failed to remind admins to pick contest winners:', error);
+        }
+    }
+
+    /**
+     * Entrants ranked by their stat gains between the contest start and its
+     * end (or early end, or now while it is running). Entrants below the
+     * minimum playtime or without any gain are listed last as not eligible.
+     */
+    getStandings(contest = this.currentContest, now = new Date()) {
+        const end = Math.min(
+            new Date(contest.endTime).getTime(),
+            contest.endedAt ? new Date(contest.endedAt).getTime() : now.getTime()
+        );
+        const totals = this.statsCollector.getTotals(contest.startTime, end);
+        const minPlaytime = (contest.minPlaytimeMinutes || 0) * 60;
+
+        const rows = Array.from(this.submissions.values()).map(entry => {
+            const stats = totals.get(entry.steamId) || { kills: 0, deaths: 0, score: 0, playtime: 0 };
+            const value = StatsCollector.getStatValue(contest.type, stats);
+            return {
+                discordId: entry.discordId,
+                t17Username: entry.t17Username,
+                steamId: entry.steamId,
+                ...stats,
+                value,
+                eligible: value > 0 && stats.playtime >= minPlaytime
+            };
+        });
+
+        return rows.sort((a, b) => (b.eligible - a.eligible) || (b.value - a.value) || (b.playtime - a.playtime));
+    }
+
+    formatStandingLine(row, index) {
+        const type = CONTEST_TYPES[this.currentContest.type];
+        return `**${index + 1}.** <@${row.discordId}> (${row.t17Username}) - ${StatsCollector.formatStatValue(this.currentContest.type, row.value)} ${type.unit}`;
+    }
+
+    /**
+     * Ranks the entrants and stores the top ones as pendingWinners. Returns an
+     * embed with confirm/discard buttons; winners are only notified on confirm.
+     */
+    async buildWinnerPreview() {
+        const contest = this.currentContest;
+        const standings = this.getStandings();
+        const eligible = standings.filter(row => row.eligible);
+        const proposed = eligible.slice(0, contest.maxWinners);
+        const ended = this.getState() === 'ended';
+
+        if (ended && !(contest.winners && contest.winners.length > 0)) {
+            contest.pendingWinners = proposed.map(row => ({ discordId: row.discordId, t17Username: row.t17Username, value: row.value }));
+            contest.previewedAt = new Date().toISOString();
+            await this.save();
+        }
+
+        const runnersUp = eligible.slice(contest.maxWinners, contest.maxWinners + 5);
+        const notEligible = standings.length - eligible.length;
+        const startUnix = Math.floor(new Date(contest.startTime).getTime() / 1000);
+        const endUnix = Math.floor(new Date(contest.endTime).getTime() / 1000);
+
+        const embed = new EmbedBuilder()
+            .setColor(ended ? 0xFFD700 : COLORS.INFO)
+            .setTitle(`${ended ? '🏆 Winner Preview' : '📈 Live Standings'}: ${contest.title}`)
+            .setDescription(`${this.describeJudging(contest)} between <t:${startUnix}:f> and <t:${endUnix}:f>.`)
+            .addFields({
+                name: ended ? '👑 Proposed Winners' : '👑 Currently Winning',
+                value: proposed.map((row, index) => this.formatStandingLine(row, index)).join('\n') || 'No eligible entrants',
+                inline: false
+            });
+
+        if (runnersUp.length > 0) {
+            embed.addFields({
+                name: '📋 Runners-up',
+                value: runnersUp.map((row, index) => this.formatStandingLine(row, contest.maxWinners + index)).join('\n'),
+                inline: false
+            });
+        }
+
+        embed.addFields({ name: '📝 Entrants', value: `${standings.length} total, ${notEligible} not eligible`, inline: true });
+        embed.setFooter({ text: ended ? 'Nobody is notified until a winner preview is confirmed' : 'Stats are collected every few minutes' });
+
+        if (!ended) {
+            return { embeds: [embed], components: [] };
+        }
+
+        return { embeds: [embed], components: [this.buildPreviewButtons(contest, proposed.length === 0)] };
+    }
+
+    buildPreviewButtons(contest, disabled = false) {
+        return new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`contest_confirm_${contest.id}`)
+                    .setLabel('✅ Confirm & Notify Winners')
+                    .setStyle(ButtonStyle.Success)
+                    .setDisabled(disabled),
+                new ButtonBuilder()
+                    .setCustomId(`contest_discard_${contest.id}`)
+                    .setLabel('🗑️ Discard (pick manually)')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(disabled)
+            );
+    }
+
+    async handlePreview(interaction) {
+        const state = this.getState();
+
+        if (!this.isStatContest() || (state !== 'active' && state !== 'ended')) {
+            return await interaction.reply({
+                content: '❌ Previews are only available for running or ended stat contests.',
+                ephemeral: true
+            });
+        }
+
+        if (!this.statsCollector) {
+            return await interaction.reply({
+                content: '❌ Player statistics are disabled, so stat contests can\'t be judged.',
+                ephemeral: true
+            });
+        }
+
+        if (this.currentContest.winners && this.currentContest.winners.length > 0) {
+            return await interaction.reply({
+                content: '✅ Winners have already been selected for this contest.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply({ ...(await this.buildWinnerPreview()), ephemeral: true });
+    }
+
+    async handlePreviewButton(interaction, action) {
+        const contest = this.currentContest;
+        const isAdmin = interaction.member && PermissionChecker.hasAdminPermissions(interaction.member);
+
+        if (!isAdmin && interaction.user.id !== contest.createdBy) {
+            return await interaction.reply({
+                content: MESSAGES.ERRORS.ADMIN_REQUIRED,
+                ephemeral: true
+            });
+        }
+
+        if (contest.winners && contest.winners.length > 0) {
+            return await interaction.update({
+                content: `✅ Winners were already selected: ${contest.winners.map(w => w.tag).join(', ')}`,
+                embeds: [],
+                components: []
+            });
+        }
+
+        if (this.awardingWinners) {
+            return await interaction.reply({
+                content: WINNERS_IN_PROGRESS,
+                ephemeral: true
+            });
+        }
+
+        if (action === 'discard') {
+            contest.pendingWinners = null;
+            contest.previewDiscarded = true;
+            await this.save();
+
+            Logger.info(`Winner preview for ${contest.title} discarded by ${interaction.user.tag}`);
+            return await interaction.update({
+                content: '🗑️ Preview discarded. Pick winners manually with `/contest winners`.',
+                embeds: [],
+                components: []
+            });
+        }
+
+        if (!contest.pendingWinners || contest.pendingWinners.length === 0) {
+            return await interaction.reply({
+                content: '❌ There are no proposed winners to confirm. Run `/contest preview` again.',
+                ephemeral: true
+            });
+        }
+
+        // Granting VIP on every server, DMs and the broadcast can take longer
+        // than Discord waits for an answer, so acknowledge and lock the
+        // buttons before any of it starts
+        this.awardingWinners = true;
+        let winners;
+        try {
+            await interaction.deferUpdate();
+            await interaction.editReply({ components: [this.buildPreviewButtons(contest, true)] });
+
+            const client = interaction.client || this.client;
+            const users = [];
+            for (const pending of contest.pendingWinners) {
+                try {
+                    users.push(await client.users.fetch(pending.discordId));
+                } catch (error) {
+                    Logger.warn(`Could not fetch contest winner ${pending.discordId}: ${error.message}`);
+                }
+            }
+
+            winners = await this.awardWinners(users, interaction.user.id, client);
+        } catch (error) {
+            Logger.error('Error confirming contest winners:', error);
+            const awarded = contest.winners && contest.winners.length > 0;
+            return await interaction.editReply({
+                content: awarded
+                    ? '⚠️ Winners were saved, but granting prizes or notifying them failed. Check `/contest status` before retrying anything.'
+                    : '❌ Failed to confirm the winners. Try again.',
+                components: awarded ? [] : [this.buildPreviewButtons(contest)]
+            });
+        } finally {
+            this.awardingWinners = false;
+        }
+
+        await interaction.editReply({
+            content: winners.length > 0
+                ? `🎉 Winners confirmed by <@${interaction.user.id}> and notified:\n${winners.map(w => this.formatWinnerLine(w)).join('\n')}`
+                : '❌ None of the proposed winners could be found. Pick winners manually with `/contest winners`.',
+            embeds: [],
+            components: []
+        });
+
+        Logger.info(`Contest winners confirmed for ${contest.title} by ${interaction.user.tag}`);
+    }
+
+    async postToContestChannel(payload, client = this.client) {
+        const channelId = this.currentContest?.announcement?.channelId;
+        if (!channelId || !client) return;
+
+        try {
+            const channel = await client.channels.fetch(channelId);
+            await channel.send(payload);
+        } catch (error) {
+            Logger.error('Failed to post in the contest channel:', error);
+        }
+    }
+
     async save() {
-        return true;
+        return this.database.saveData('contest', {
+            currentContest: this.currentContest,
+            submissions: Object.fromEntries(this.submissions),
+            pendingPrizes: this.pendingPrizes
+        });
     }
 }
 
@@ -1,15 +1,31 @@
 const axios = require('axios');
 const Logger = require('../utils/logger');
+const Metrics = require('../utils/metrics');
 const PlatformDetector = require('../utils/platformDetector');
 
+// GET endpoints whose full lists are shared between callers for `cacheTtlSeconds`
+const CACHED_ENDPOINTS = new Set([
+    '/api/get_vip_ids',
+    '/api/get_players',
+    '/api/get_detailed_players',
+    '/api/get_playerids'
+]);
+const VIP_ENDPOINTS = ['/api/get_vip_ids'];
+
 class CRCONService {
     constructor(config) {
+        this.id = config.id || 'main';
+        this.name = config.name || null;
         this.baseUrl = config.baseUrl;
         this.apiToken = config.apiToken;
         this.username = config.username;
         this.password = config.password;
         this.timeout = config.timeout || 10000;
-        this.retryAttempts = 3;
+        this.retryAttempts = config.retryAttempts ?? 3;
+        this.retryBaseDelay = config.retryBaseDelay ?? 1000;
+        this.cacheTtlMs = (config.cacheTtlSeconds ?? 30) * 1000;
+        // Shared by every server so the bot as a whole has a cap on in-flight requests
+        this.requestLimiter = config.requestLimiter || null;
         
         this.crconToken = null;
         this.sessionCookie = null;
@@ -17,6 +33,13 @@ class CRCONService {
         this.lastSuccessfulRequest = null;
         this.consecutiveFailures = 0;
         this.isHealthy = false;
+
+        // endpoint -> { value, expiresAt }; in-flight requests are shared by concurrent callers
+        this.cache = new Map();
+        this.inFlight = new Map();
+        // Bumped on invalidation so a request started before a write can't cache stale data
+        this.cacheGeneration = 0;
+        this.cacheStats = { hits: 0, misses: 0, shared: 0 };
         
         this.platformDetector = new PlatformDetector();
     }
@@ -69,7 +92,69 @@ class CRCONService {
         }
     }
 
-    async makeRequest(endpoint, method = 'GET', data = null, retryCount = 0) {
+    /**
+     * Calls a CRCON endpoint. VIP and player lists are served from the cache
+     * while fresh, and callers asking at the same moment share one request.
+     */
+    async makeRequest(endpoint, method = 'GET', data = null) {
+        if (method === 'GET' && !data && this.cacheTtlMs > 0 && CACHED_ENDPOINTS.has(endpoint)) {
+            return this.getCached(endpoint);
+        }
+        return this.sendRequest(endpoint, method, data);
+    }
+
+    async getCached(endpoint) {
+        const cached = this.cache.get(endpoint);
+        if (cached && cached.expiresAt > Date.now()) {
+            this.cacheStats.hits++;
+            return cached.value;
+        }
+
+        if (this.inFlight.has(endpoint)) {
+            this.cacheStats.shared++;
+            return this.inFlight.get(endpoint);
+        }
+
+        this.cacheStats.misses++;
+        const generation = this.cacheGeneration;
+        const request = this.sendRequest(endpoint)
+            .then(value => {
+                if (generation === this.cacheGeneration) {
+                    this.cache.set(endpoint, { value, expiresAt: Date.now() + this.cacheTtlMs });
+                }
+                return value;
+            })
+            .finally(() => {
+                if (this.inFlight.get(endpoint) === request) {
+                    this.inFlight.delete(endpoint);
+                }
+            });
+
+        this.inFlight.set(endpoint, request);
+        return request;
+    }
+
+    /**
+     * Drops cached lists (all of them, or just `endpoints`) so the next
+     * caller fetches fresh data.
+     */
+    invalidateCache(endpoints = null) {
+        this.cacheGeneration++;
+        for (const endpoint of endpoints || Array.from(this.cache.keys())) {
+            this.cache.delete(endpoint);
+            this.inFlight.delete(endpoint);
+        }
+    }
+
+    getCacheStats() {
+        return {
+            ...this.cacheStats,
+            ttlSeconds: this.cacheTtlMs / 1000,
+            entries: this.cache.size
+        };
+    }
+
+    async sendRequest(endpoint, method = 'GET', data = null, retryCount = 0) {
         if (!this.crconToken && !this.sessionCookie) {
             await this.authenticate();
         }
@@ -95,7 +180,8 @@ class CRCONService {
                 requestConfig.url += `?${params.toString()}`;
             }
             
-            const response = await axios(requestConfig);
+            const send = () => this.timedRequest(endpoint, requestConfig);
+            const response = this.requestLimiter ? await this.requestLimiter.run(send) : await send();
             this.isHealthy = true;
             this.consecutiveFailures = 0;
             this.lastSuccessfulRequest = new Date();
@@ -115,18 +201,33 @@ class CRCONService {
                 this.sessionCookie = null;
                 this.tokenExpiry = null;
                 await this.authenticate();
-                return this.makeRequest(endpoint, method, data, retryCount + 1);
+                return this.sendRequest(endpoint, method, data, retryCount + 1);
             }
             
             if (retryCount < this.retryAttempts && this.isRetryableError(error)) {
-                await this.delay(1000 * Math.pow(2, retryCount));
-                return this.makeRequest(endpoint, method, data, retryCount + 1);
+                await this.delay(this.retryBaseDelay * Math.pow(2, retryCount));
+                return this.sendRequest(endpoint, method, data, retryCount + 1);
             }
             
             throw error;
         }
     }
 
+    /**
+     * Sends one HTTP request and records its latency (queue time excluded).
+     */
+    async timedRequest(endpoint, requestConfig) {
+        const observe = Metrics.crconRequests.startTimer({ server: this.id, endpoint });
+        try {
+            const response = await axios(requestConfig);
+            observe({ outcome: 'success' });
+            return response;
+        } catch (error) {
+            observe({ outcome: 'error' });
+            throw error;
+        }
+    }
+
     isRetryableError(error) {
         if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') return true;
         if (error.response) {
@@ -238,7 +339,7 @@ class CRCONService {
                 foundName = match.name;
             }
             
-            return { name: foundName, steam_id_64: match.steam_id_64, display_name: foundName };
+            return { name: foundName, steam_id_64: match.steam_id_64 || match.player_id, display_name: foundName };
         }
         return null;
     }
@@ -300,6 +401,49 @@ class CRCONService {
         }
     }
 
+    /**
+     * Raw VIP entry for a player from /api/get_vip_ids, or null.
+     */
+    /**
+     * A player's VIP entry, or null. `fresh` skips the cached list, for
+     * reads that a write is about to be based on.
+     */
+    async getVipEntry(playerId, { fresh = false } = {}) {
+        const vipIds = fresh ? await this.sendRequest('/api/get_vip_ids') : await this.makeRequest('/api/get_vip_ids');
+        if (!Array.isArray(vipIds)) return null;
+
+        return vipIds.find(vip => {
+            if (!vip) return false;
+            const possibleIds = [vip.player_id, vip.steam_id_64, vip.steamId, vip.steam_id, vip.id];
+            return possibleIds.some(id => id && this.comparePlayerIds(id, playerId));
+        }) || null;
+    }
+
+    /**
+     * Adds or overwrites a VIP entry. `expiration` is a Date, or null for permanent VIP.
+     */
+    async addVip(playerId, description, expiration) {
+        try {
+            return await this.makeRequest('/api/add_vip', 'POST', {
+                player_id: playerId,
+                description: description,
+                expiration: expiration ? expiration.toISOString() : null
+            });
+        } finally {
+            this.invalidateCache(VIP_ENDPOINTS);
+        }
+    }
+
+    async removeVip(playerId) {
+        try {
+            return await this.makeRequest('/api/remove_vip', 'POST', {
+                player_id: playerId
+            });
+        } finally {
+            this.invalidateCache(VIP_ENDPOINTS);
+        }
+    }
+
     comparePlayerIds(id1, id2) {
         if (!id1 || !id2) return false;
         if (id1 === id2) return true;
@@ -332,6 +476,10 @@ class CRCONService {
     }
 
     async getServerName() {
+        if (this.name) {
+            return this.name;
+        }
+
         try {
             const status = await this.makeRequest('/api/get_status');
             return status?.name || 'Hell Let Loose Server';
@@ -350,7 +498,7 @@ class CRCONService {
                     } catch (error) {
                         Logger.debug('Failed to clear broadcast:', error.message);
                     }
-                }, 30000);
+                }, 30000).unref();
                 return;
             } catch (error) {
                 Logger.debug('Broadcast method failed:', error.message);
@@ -381,6 +529,21 @@ class CRCONService {
         }
     }
 
+    async sendMessageToPlayer(playerData, message) {
+        try {
+            return await this.makeRequest('/api/message_player', 'POST', {
+                player_id: playerData.steam_id_64,
+                player_name: playerData.name,
+                message: message,
+                by: 'VIP Bot',
+                save_message: false
+            });
+        } catch (error) {
+            Logger.error(`Error sending message to player ${playerData.name}:`, error.message);
+            throw error;
+        }
+    }
+
     async testMessaging() {
         try {
             await this.sendMessageToAllPlayers('🤖 VIP Bot test message - please ignore');
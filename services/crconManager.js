@@ -0,0 +1,332 @@
+const Logger = require('../utils/logger');
+const CRCONService = require('./crcon');
+const ConcurrencyLimiter = require('../utils/concurrencyLimiter');
+
+/**
+ * Holds one CRCONService per configured server. Exposes the same methods the
+ * rest of the bot already calls on a single CRCONService (delegating to the
+ * primary server where only one answer makes sense) plus multi-server helpers.
+ */
+class CRCONManager {
+    constructor(serverConfigs, options = {}) {
+        this.servers = new Map();
+        this.requestLimiter = new ConcurrencyLimiter(options.maxConcurrentRequests);
+
+        for (const serverConfig of serverConfigs) {
+            this.servers.set(serverConfig.id, new CRCONService({ ...serverConfig, requestLimiter: this.requestLimiter }));
+        }
+
+        this.primary = this.servers.values().next().value;
+        // playerId -> tail of that player's VIP writes, so they run one at a time
+        this.vipWriteQueues = new Map();
+    }
+
+    get isMultiServer() {
+        return this.servers.size > 1;
+    }
+
+    getServer(serverId) {
+        return this.servers.get(serverId) || null;
+    }
+
+    getServers() {
+        return Array.from(this.servers.values());
+    }
+
+    /**
+     * Resolves a server option value to the connections it targets.
+     * `null` or 'all' means every server.
+     */
+    resolveTargets(serverId) {
+        if (!serverId || serverId === 'all') {
+            return this.getServers();
+        }
+
+        const server = this.getServer(serverId);
+        return server ? [server] : [];
+    }
+
+    getServerLabel(server) {
+        return server.name || server.id;
+    }
+
+    /**
+     * Choices for a slash command `server` option.
+     */
+    getServerChoices(includeAll = true) {
+        const choices = this.getServers().map(server => ({
+            name: this.getServerLabel(server),
+            value: server.id
+        }));
+
+        if (includeAll && this.isMultiServer) {
+            choices.unshift({ name: 'All servers', value: 'all' });
+        }
+
+        return choices.slice(0, 25);
+    }
+
+    makeRequest(endpoint, method, data) {
+        return this.primary.makeRequest(endpoint, method, data);
+    }
+
+    detectPlatform(playerData) {
+        return this.primary.detectPlatform(playerData);
+    }
+
+    /**
+     * Searches each server in turn (or only `serverId`) for a T17 username.
+     */
+    async getPlayerByT17Username(t17Username, serverId = 'all') {
+        for (const server of this.resolveTargets(serverId)) {
+            try {
+                const player = await server.getPlayerByT17Username(t17Username);
+                if (player) {
+                    return { ...player, serverId: server.id };
+                }
+            } catch (error) {
+                Logger.warn(`Player search on ${server.id} failed: ${error.message}`);
+            }
+        }
+
+        return null;
+    }
+
+    async getVipStatus(steamId) {
+        return this.primary.getVipStatus(steamId);
+    }
+
+    /**
+     * VIP status for one player on every server, or only on `serverId`.
+     */
+    async getVipStatusAll(steamId, serverId = 'all') {
+        return Promise.all(this.resolveTargets(serverId).map(async server => ({
+            serverId: server.id,
+            serverName: await server.getServerName(),
+            ...(await server.getVipStatus(steamId))
+        })));
+    }
+
+    /**
+     * VIP entries from every server merged by player ID. When a player has VIP
+     * on several servers the latest expiration wins (no expiration = permanent).
+     */
+    async getVipIds() {
+        const merged = new Map();
+        let anySucceeded = false;
+
+        for (const server of this.getServers()) {
+            let vipIds;
+            try {
+                vipIds = await server.makeRequest('/api/get_vip_ids');
+            } catch (error) {
+                Logger.warn(`Failed to fetch VIP list from ${server.id}: ${error.message}`);
+                continue;
+            }
+
+            if (!Array.isArray(vipIds)) continue;
+            anySucceeded = true;
+
+            for (const vip of vipIds) {
+                const playerId = vip?.player_id || vip?.steam_id_64;
+                if (!playerId) continue;
+
+                const existing = merged.get(playerId);
+                if (!existing) {
+                    merged.set(playerId, { ...vip, player_id: playerId, servers: [server.id] });
+                    continue;
+                }
+
+                existing.servers.push(server.id);
+                if (this.isLaterExpiration(vip.expiration, existing.expiration)) {
+                    existing.expiration = vip.expiration;
+                    existing.description = vip.description || existing.description;
+                }
+            }
+        }
+
+        return anySucceeded ? Array.from(merged.values()) : null;
+    }
+
+    /**
+     * Raw VIP entry for a player on each targeted server. `fresh` bypasses
+     * the cached VIP lists.
+     */
+    async getVipEntries(playerId, serverId = 'all', { fresh = false } = {}) {
+        return Promise.all(this.resolveTargets(serverId).map(async server => {
+            try {
+                return { serverId: server.id, entry: await server.getVipEntry(playerId, { fresh }), error: null };
+            } catch (error) {
+                return { serverId: server.id, entry: null, error: error.message };
+            }
+        }));
+    }
+
+    /**
+     * Runs `task` after every VIP write already queued for `playerId` has
+     * settled, so two changes to one player can't both start from the same
+     * old expiration.
+     */
+    serializeVipWrite(playerId, task) {
+        const previous = this.vipWriteQueues.get(playerId) || Promise.resolve();
+        const next = previous.then(task, task);
+        const settled = next.catch(() => {});
+        this.vipWriteQueues.set(playerId, settled);
+        settled.then(() => {
+            if (this.vipWriteQueues.get(playerId) === settled) {
+                this.vipWriteQueues.delete(playerId);
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Runs a VIP write on each targeted server. `expirationFor` returns the
+     * expiration to write for a server given its current entry, or undefined
+     * to skip it. The entry is read fresh from CRCON, after any earlier write
+     * for the same player has finished.
+     */
+    async writeVip(playerId, description, expirationFor, serverId = 'all') {
+        return this.serializeVipWrite(playerId, () => this.writeVipNow(playerId, description, expirationFor, serverId));
+    }
+
+    async writeVipNow(playerId, description, expirationFor, serverId) {
+        const current = await this.getVipEntries(playerId, serverId, { fresh: true });
+
+        return Promise.all(current.map(async ({ serverId: id, entry, error }) => {
+            const server = this.getServer(id);
+            const before = entry ? (entry.expiration && entry.expiration !== 'None' ? entry.expiration : null) : undefined;
+
+            if (error) {
+                return { serverId: id, serverName: this.getServerLabel(server), success: false, before, after: before, error };
+            }
+
+            const expiration = expirationFor(entry);
+            if (expiration === undefined) {
+                return { serverId: id, serverName: this.getServerLabel(server), success: true, skipped: true, before, after: before };
+            }
+
+            try {
+                await server.addVip(playerId, description || entry?.description || 'VIP', expiration);
+                return {
+                    serverId: id,
+                    serverName: this.getServerLabel(server),
+                    success: true,
+                    before,
+                    after: expiration ? expiration.toISOString() : null
+                };
+            } catch (writeError) {
+                Logger.error(`Failed to write VIP for ${playerId} on ${id}:`, writeError.message);
+                return { serverId: id, serverName: this.getServerLabel(server), success: false, before, after: before, error: writeError.message };
+            }
+        }));
+    }
+
+    async removeVip(playerId, serverId = 'all') {
+        return this.serializeVipWrite(playerId, () => Promise.all(this.resolveTargets(serverId).map(async server => {
+            try {
+                await server.removeVip(playerId);
+                return { serverId: server.id, serverName: this.getServerLabel(server), success: true };
+            } catch (error) {
+                Logger.error(`Failed to remove VIP for ${playerId} on ${server.id}:`, error.message);
+                return { serverId: server.id, serverName: this.getServerLabel(server), success: false, error: error.message };
+            }
+        })));
+    }
+
+    isLaterExpiration(candidate, current) {
+        const isPermanent = value => !value || value === 'None';
+        if (isPermanent(current)) return false;
+        if (isPermanent(candidate)) return true;
+        return new Date(candidate) > new Date(current);
+    }
+
+    async getServerName(serverId = null) {
+        if (serverId) {
+            const server = this.getServer(serverId);
+            return server ? server.getServerName() : 'Hell Let Loose Server';
+        }
+
+        if (!this.isMultiServer) {
+            return this.primary.getServerName();
+        }
+
+        const names = await Promise.all(this.getServers().map(server => server.getServerName()));
+        return names.join(' • ');
+    }
+
+    /**
+     * Broadcasts to one server or all of them. Resolves with per-server
+     * results and only throws when every targeted server failed.
+     */
+    async sendMessageToAllPlayers(message, serverId = 'all') {
+        const targets = this.resolveTargets(serverId);
+        if (targets.length === 0) {
+            throw new Error(`Unknown CRCON server: ${serverId}`);
+        }
+
+        const settled = await Promise.allSettled(targets.map(server => server.sendMessageToAllPlayers(message)));
+        const results = settled.map((outcome, index) => ({
+            serverId: targets[index].id,
+            serverName: this.getServerLabel(targets[index]),
+            success: outcome.status === 'fulfilled',
+            error: outcome.status === 'rejected' ? outcome.reason.message : null
+        }));
+
+        if (results.every(result => !result.success)) {
+            throw new Error(`All messaging methods failed: ${results.map(r => `${r.serverId}: ${r.error}`).join('; ')}`);
+        }
+
+        return results;
+    }
+
+    /**
+     * Messages a player on whichever server they are connected to, trying
+     * only `serverId` when one is given.
+     */
+    async sendMessageToPlayer(playerData, message, serverId = 'all') {
+        const ordered = this.resolveTargets(serverId).sort((a, b) => (a.id === playerData.serverId ? -1 : b.id === playerData.serverId ? 1 : 0));
+        let lastError = null;
+
+        for (const server of ordered) {
+            try {
+                return await server.sendMessageToPlayer(playerData, message);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw lastError || new Error('No CRCON servers configured');
+    }
+
+    async testConnection() {
+        return this.primary.testConnection();
+    }
+
+    async testAllConnections() {
+        return Promise.all(this.getServers().map(async server => ({
+            serverId: server.id,
+            serverName: this.getServerLabel(server),
+            baseUrl: server.baseUrl,
+            consecutiveFailures: server.consecutiveFailures,
+            lastSuccessfulRequest: server.lastSuccessfulRequest,
+            cache: server.getCacheStats(),
+            ...(await server.testConnection())
+        })));
+    }
+
+    getRequestStats() {
+        return this.requestLimiter.getStats();
+    }
+
+    async testMessaging(serverId = 'all') {
+        try {
+            await this.sendMessageToAllPlayers('🤖 VIP Bot test message - please ignore', serverId);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = CRCONManager;
@@ -1,105 +1,167 @@
-const fs = require('fs').promises;
 const path = require('path');
+const { EventEmitter } = require('events');
 const Logger = require('../utils/logger');
+const { createStorageAdapter } = require('./storage');
+const AuditService = require('./audit');
 
-class DatabaseService {
+/**
+ * Emits 'linkCreated' (discordId, link) and 'linkDeleted' (discordId) so
+ * services can react to players linking or unlinking their accounts, and
+ * 'audit' (entry) for every action recorded with recordAudit.
+ */
+class DatabaseService extends EventEmitter {
     constructor(config) {
+        super();
         this.config = config;
         this.dataDir = path.dirname(config.filename) || './data';
-        this.playerLinks = new Map();
-        
-        this.paths = {
-            playerLinks: path.join(this.dataDir, 'player_links.json'),
-            vipNotifications: path.join(this.dataDir, 'vip_notifications.json'),
-            contest: path.join(this.dataDir, 'contest_data.json'),
-            leaderboard: path.join(this.dataDir, 'leaderboard_settings.json')
-        };
+        this.storage = createStorageAdapter({ ...config, dataDir: this.dataDir });
     }
 
     async initialize() {
         try {
-            await fs.mkdir(this.dataDir, { recursive: true });
-            await this.loadPlayerLinks();
-            Logger.info(`📊 Database initialized with ${this.playerLinks.size} player links`);
+            await this.storage.initialize();
+            Logger.info(`📊 Database initialized (${this.storage.name}) with ${await this.storage.countLinks()} player links`);
         } catch (error) {
             Logger.error('❌ Database initialization failed:', error);
             throw error;
         }
     }
 
-    async loadPlayerLinks() {
-        try {
-            const data = await fs.readFile(this.paths.playerLinks, 'utf8');
-            const parsed = JSON.parse(data);
-        
-        // Validate data structure
-        if (typeof parsed !== 'object' || parsed === null) {
-            throw new Error('Invalid data format: expected object');
-        }
-            this.playerLinks = new Map(Object.entries(parsed));
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                Logger.error('Error loading player links:', error);
-            }
-            this.playerLinks = new Map();
-        }
-    }
-
     async getPlayerByDiscordId(discordId) {
-        return this.playerLinks.get(discordId) || null;
+        return this.storage.getLink(discordId);
     }
 
     async getPlayerBySteamId(steamId) {
-        for (const [discordId, playerData] of this.playerLinks) {
-            if (playerData.steamId === steamId) {
-                return { ...playerData, discordId };
-            }
-        }
-        return null;
+        return this.storage.getLinkBySteamId(steamId);
     }
 
     async getAllPlayers() {
-        return Array.from(this.playerLinks.entries()).map(([discordId, data]) => ({
-            discordId,
-            ...data
-        }));
+        return this.storage.getAllLinks();
     }
 
-    async createPlayerLink(linkData) {
-        this.playerLinks.set(linkData.discordId, {
+    /**
+     * `actor` ({ id, tag, guildId }) is the admin making the change; without
+     * it the player is taken to have linked their own account. `guildId` is
+     * the Discord server the link was made in.
+     */
+    async createPlayerLink(linkData, actor = null) {
+        const previous = await this.storage.getLink(linkData.discordId);
+        const link = {
             t17Username: linkData.t17Username,
             displayName: linkData.displayName,
             steamId: linkData.steamId,
             platform: linkData.platform,
             lastSeen: linkData.lastSeen,
+            guildId: linkData.guildId || null,
             linkedAt: new Date().toISOString()
+        };
+
+        await this.storage.saveLink(linkData.discordId, link);
+        this.emit('linkCreated', linkData.discordId, link);
+
+        this.recordAudit({
+            action: 'link.create',
+            actorId: actor?.id || linkData.discordId,
+            actorTag: actor?.tag || null,
+            targetId: linkData.discordId,
+            guildId: actor?.guildId || link.guildId,
+            playerId: link.steamId,
+            playerName: link.t17Username,
+            before: this.describeLink(previous),
+            after: this.describeLink(link)
         });
-        await this.savePlayerLinks();
     }
 
-    async deletePlayerLink(discordId) {
-        const deleted = this.playerLinks.delete(discordId);
+    async deletePlayerLink(discordId, actor = null) {
+        const previous = await this.storage.getLink(discordId);
+        const deleted = await this.storage.deleteLink(discordId);
         if (deleted) {
-            await this.savePlayerLinks();
+            this.emit('linkDeleted', discordId);
+
+            this.recordAudit({
+                action: 'link.delete',
+                actorId: actor?.id || discordId,
+                actorTag: actor?.tag || null,
+                targetId: discordId,
+                guildId: actor?.guildId || previous?.guildId || null,
+                playerId: previous?.steamId || null,
+                playerName: previous?.t17Username || null,
+                before: this.describeLink(previous),
+                after: null
+            });
         }
         return deleted;
     }
 
+    describeLink(link) {
+        if (!link) return null;
+        return { t17Username: link.t17Username, steamId: link.steamId, platform: link.platform || null };
+    }
+
     async getPlayerCount() {
-        return this.playerLinks.size;
+        return this.storage.countLinks();
     }
 
-    async savePlayerLinks() {
+    /**
+     * Loads a named document (contest, leaderboard, stats, ...), returning
+     * `fallback` when it has never been saved.
+     */
+    async loadData(name, fallback = null) {
         try {
-            const data = Object.fromEntries(this.playerLinks);
-            await fs.writeFile(this.paths.playerLinks, JSON.stringify(data, null, 2));
+            const data = await this.storage.loadDocument(name);
+            return data === undefined ? fallback : data;
         } catch (error) {
-            Logger.error('Error saving player links:', error);
+            Logger.error(`Error loading ${name} data:`, error);
+            return fallback;
         }
     }
 
+    async saveData(name, data) {
+        try {
+            await this.storage.saveDocument(name, data);
+            return true;
+        } catch (error) {
+            Logger.error(`Error saving ${name} data:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Hands an audit entry ({ action, actorId, actorTag, targetId, playerId,
+     * playerName, before, after, details }) to the AuditService.
+     */
+    recordAudit(entry) {
+        this.emit('audit', { ...entry, timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * VIP audit entries saved before the audit log existed. AuditService
+     * copies them into its file on first start.
+     */
+    async getVipAudit() {
+        const entries = await this.loadData('vipAudit', []);
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    async appendVipAudit(entry) {
+        this.recordAudit(AuditService.fromVipAudit(entry));
+    }
+
+    /**
+     * Saves each service's state, then closes storage. The saves have to land
+     * first: SQLite refuses writes once it is closed.
+     */
+    async saveAllAndClose(services) {
+        const results = await Promise.allSettled(services.filter(Boolean).map(service => service.save()));
+        for (const result of results.filter(outcome => outcome.status === 'rejected')) {
+            Logger.error('Error saving state during shutdown:', result.reason);
+        }
+
+        await this.close();
+    }
+
     async close() {
-        await this.savePlayerLinks();
+        await this.storage.close();
     }
 }
 
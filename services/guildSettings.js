@@ -0,0 +1,295 @@
+const { EmbedBuilder, GatewayIntentBits } = require('discord.js');
+const Logger = require('../utils/logger');
+const { COLORS } = require('../config/constants');
+
+const CHANNEL_PATTERN = /^(?:<#(\d{17,20})>|(\d{17,20}))$/;
+const ROLE_PATTERN = /^(?:<@&(\d{17,20})>|(\d{17,20}))$/;
+const MAX_WARNING_DAYS = 5;
+const MAX_WARNING_DAY = 30;
+
+// `/config` setting name -> stored key and how the value is checked
+const SETTINGS = {
+    audit_channel: { key: 'auditChannelId', label: 'Audit Channel', emoji: '📜', type: 'channel', example: '#audit-log' },
+    announcement_channel: { key: 'announcementChannelId', label: 'Announcement Channel', emoji: '📣', type: 'channel', example: '#announcements' },
+    vip_role: { key: 'vipRoleId', label: 'VIP Role', emoji: '🎭', type: 'role', example: '@VIP' },
+    warning_days: { key: 'warningDays', label: 'VIP Warning Days', emoji: '🔔', type: 'days', example: '7,3,1' },
+    locale: { key: 'locale', label: 'Locale', emoji: '🌍', type: 'locale', example: 'en-GB' },
+    timezone: { key: 'timezone', label: 'Timezone', emoji: '🕒', type: 'timezone', example: 'Europe/Berlin' },
+    crcon_server: {
+        key: 'crconServer',
+        label: 'CRCON Server',
+        emoji: '🖥️',
+        type: 'server',
+        example: 'main',
+        note: 'Used by /vip, linking and admin commands. Seeding is tracked and rewarded on every server.'
+    }
+};
+
+/**
+ * Settings each Discord server sets for itself with /config. Anything a
+ * server hasn't set falls back to `defaults` (built from the environment),
+ * so a single-community bot keeps working from .env alone.
+ */
+class GuildSettingsService {
+    constructor(database, crcon, defaults = {}) {
+        this.database = database;
+        this.crcon = crcon;
+        this.defaults = defaults;
+        // guildId -> { auditChannelId, vipRoleId, ... }
+        this.guilds = {};
+    }
+
+    async load() {
+        const data = await this.database.loadData('guildSettings', {});
+        this.guilds = data && typeof data === 'object' ? data : {};
+        Logger.info(`⚙️ Loaded settings for ${Object.keys(this.guilds).length} Discord server(s)`);
+    }
+
+    async save() {
+        await this.database.saveData('guildSettings', this.guilds);
+    }
+
+    /**
+     * The value a server set itself, or null.
+     */
+    getStored(guildId, key) {
+        return (guildId && this.guilds[guildId]?.[key]) ?? null;
+    }
+
+    get(guildId, key) {
+        return this.getStored(guildId, key) ?? this.defaults[key] ?? null;
+    }
+
+    guildsWith(key) {
+        return Object.keys(this.guilds).filter(guildId => this.getStored(guildId, key) !== null);
+    }
+
+    /**
+     * The CRCON server a command targets: its `server` option, else the
+     * server this Discord server is set to, else all of them.
+     */
+    getServerId(interaction) {
+        const requested = interaction.options.getString('server');
+        return requested || this.getGuildServerId(interaction.guildId);
+    }
+
+    /**
+     * The CRCON server this Discord server is set to, or 'all'.
+     */
+    getGuildServerId(guildId) {
+        const configured = this.get(guildId, 'crconServer');
+        return configured && this.crcon.getServer(configured) ? configured : 'all';
+    }
+
+    formatDate(guildId, date, options = { dateStyle: 'medium' }) {
+        try {
+            return new Intl.DateTimeFormat(this.get(guildId, 'locale') || undefined, {
+                ...options,
+                timeZone: this.get(guildId, 'timezone') || undefined
+            }).format(date);
+        } catch (error) {
+            return date.toLocaleDateString();
+        }
+    }
+
+    /**
+     * Checks a /config value and converts it to what is stored. Returns
+     * `{ success, value }` or `{ success: false, error }`.
+     */
+    async parse(name, raw, guild) {
+        const setting = SETTINGS[name];
+        const input = raw.trim();
+
+        switch (setting.type) {
+            case 'channel': {
+                const id = CHANNEL_PATTERN.exec(input)?.slice(1).find(Boolean);
+                const channel = id ? await guild.channels.fetch(id).catch(() => null) : null;
+                if (!channel) {
+                    return { success: false, error: `"${input}" isn't a channel in this server. Mention it, e.g. ${setting.example}.` };
+                }
+                if (!channel.isTextBased?.()) {
+                    return { success: false, error: `<#${channel.id}> isn't a text channel.` };
+                }
+                const permissions = guild.members?.me ? channel.permissionsFor?.(guild.members.me) : null;
+                if (permissions && !permissions.has(['ViewChannel', 'SendMessages', 'EmbedLinks'])) {
+                    return { success: false, error: `I can't post in <#${channel.id}>. Give me View Channel, Send Messages and Embed Links there.` };
+                }
+                return { success: true, value: channel.id };
+            }
+
+            case 'role': {
+                const id = ROLE_PATTERN.exec(input)?.slice(1).find(Boolean);
+                const role = id ? await guild.roles.fetch(id).catch(() => null) : null;
+                if (!role) {
+                    return { success: false, error: `"${input}" isn't a role in this server. Mention it, e.g. ${setting.example}.` };
+                }
+                if (role.id === guild.id || role.managed) {
+                    return { success: false, error: `${role.name} can't be given out by the bot. Pick a normal role.` };
+                }
+                if (!role.editable) {
+                    return { success: false, error: `I can't manage the ${role.name} role. Move my role above it in Server Settings → Roles.` };
+                }
+                return { success: true, value: role.id };
+            }
+
+            case 'days': {
+                const days = input.split(',').map(part => part.trim());
+                const parsed = days.map(day => Number(day));
+                if (days.length === 0 || parsed.some(day => !Number.isInteger(day) || day < 1 || day > MAX_WARNING_DAY)) {
+                    return { success: false, error: `Warning days must be whole days from 1 to ${MAX_WARNING_DAY}, separated by commas, e.g. ${setting.example}.` };
+                }
+                const unique = [...new Set(parsed)].sort((a, b) => b - a);
+                if (unique.length > MAX_WARNING_DAYS) {
+                    return { success: false, error: `Use at most ${MAX_WARNING_DAYS} warning days.` };
+                }
+                return { success: true, value: unique };
+            }
+
+            case 'locale': {
+                let supported = [];
+                try {
+                    supported = Intl.DateTimeFormat.supportedLocalesOf([input]);
+                } catch (error) {
+                    // Malformed tags throw instead of being unsupported
+                }
+                if (supported.length === 0) {
+                    return { success: false, error: `"${input}" isn't a supported locale. Use a language tag such as ${setting.example}.` };
+                }
+                return { success: true, value: supported[0] };
+            }
+
+            case 'timezone': {
+                try {
+                    const timeZone = new Intl.DateTimeFormat('en-US', { timeZone: input }).resolvedOptions().timeZone;
+                    return { success: true, value: timeZone };
+                } catch (error) {
+                    return { success: false, error: `"${input}" isn't a timezone. Use an IANA name such as ${setting.example}.` };
+                }
+            }
+
+            case 'server': {
+                if (!this.crcon.getServer(input)) {
+                    const ids = this.crcon.getServers().map(server => `\`${server.id}\``).join(', ');
+                    return { success: false, error: `There is no CRCON server "${input}". Configured servers: ${ids}.` };
+                }
+                return { success: true, value: input };
+            }
+
+            default:
+                return { success: false, error: `Unknown setting type ${setting.type}` };
+        }
+    }
+
+    formatValue(name, value) {
+        if (value === null || value === undefined) return 'Not set';
+
+        switch (SETTINGS[name].type) {
+            case 'channel': return `<#${value}>`;
+            case 'role': return `<@&${value}>`;
+            case 'days': return value.map(day => `${day}d`).join(', ');
+            default: return `\`${value}\``;
+        }
+    }
+
+    async set(guildId, name, value, actor = null) {
+        const { key } = SETTINGS[name];
+        const before = this.getStored(guildId, key);
+
+        this.guilds[guildId] = { ...this.guilds[guildId], [key]: value };
+        await this.save();
+
+        this.recordChange('config.update', guildId, { [name]: before }, { [name]: value }, actor);
+        Logger.info(`⚙️ ${actor?.tag || 'system'} set ${name} for guild ${guildId}`);
+    }
+
+    /**
+     * Clears one setting, or every setting when `name` is null, so the
+     * defaults apply again.
+     */
+    async reset(guildId, name = null, actor = null) {
+        const names = name ? [name] : Object.keys(SETTINGS);
+        const stored = this.guilds[guildId] || {};
+        const before = Object.fromEntries(names.map(setting => [setting, stored[SETTINGS[setting].key] ?? null]));
+
+        for (const setting of names) {
+            delete stored[SETTINGS[setting].key];
+        }
+        if (Object.keys(stored).length === 0) {
+            delete this.guilds[guildId];
+        } else {
+            this.guilds[guildId] = stored;
+        }
+        await this.save();
+
+        this.recordChange('config.reset', guildId, before, null, actor);
+        Logger.info(`⚙️ ${actor?.tag || 'system'} reset ${name || 'all settings'} for guild ${guildId}`);
+    }
+
+    recordChange(action, guildId, before, after, actor) {
+        this.database.recordAudit({
+            action,
+            actorId: actor?.id || 'system',
+            actorTag: actor?.tag || null,
+            guildId,
+            before,
+            after
+        });
+    }
+
+    buildViewEmbed(guild) {
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.INFO)
+            .setTitle(`⚙️ Settings for ${guild.name || guild.id}`)
+            .setFooter({ text: 'Change with /config set, go back to the default with /config reset' });
+
+        for (const [name, setting] of Object.entries(SETTINGS)) {
+            const stored = this.getStored(guild.id, setting.key);
+            const value = stored ?? this.defaults[setting.key] ?? null;
+            const source = stored !== null ? '' : value !== null ? ' *(default)*' : '';
+            const note = setting.note ? `\n*${setting.note}*` : '';
+            embed.addFields({ name: `${setting.emoji} ${setting.label}`, value: `${this.formatValue(name, value)}${source}\n\`${name}\`${note}`, inline: true });
+        }
+
+        embed.addFields({ name: '📅 Dates Look Like', value: this.formatDate(guild.id, new Date(), { dateStyle: 'full', timeStyle: 'short' }), inline: false });
+        return embed;
+    }
+
+    async handleView(interaction) {
+        await interaction.reply({ embeds: [this.buildViewEmbed(interaction.guild)], ephemeral: true });
+    }
+
+    async handleSet(interaction) {
+        const name = interaction.options.getString('setting');
+        const raw = interaction.options.getString('value');
+        const setting = SETTINGS[name];
+
+        const parsed = await this.parse(name, raw, interaction.guild);
+        if (!parsed.success) {
+            return await interaction.reply({ content: `❌ ${parsed.error}`, ephemeral: true });
+        }
+
+        await this.set(interaction.guildId, name, parsed.value, { id: interaction.user.id, tag: interaction.user.tag });
+
+        const lines = [`✅ **${setting.label}** is now ${this.formatValue(name, parsed.value)}.`];
+        if (setting.type === 'role' && interaction.client?.options?.intents?.has?.(GatewayIntentBits.GuildMembers) === false) {
+            lines.push('⚠️ Members only get the role when they link or their VIP changes. For full syncs, enable the Server Members intent and set VIP_ROLE_MEMBERS_INTENT=true.');
+        }
+
+        await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+    }
+
+    async handleReset(interaction) {
+        const name = interaction.options.getString('setting');
+
+        await this.reset(interaction.guildId, name, { id: interaction.user.id, tag: interaction.user.tag });
+
+        const content = name
+            ? `♻️ **${SETTINGS[name].label}** is back to the default: ${this.formatValue(name, this.get(interaction.guildId, SETTINGS[name].key))}.`
+            : '♻️ Every setting for this server is back to its default.';
+        await interaction.reply({ content, ephemeral: true });
+    }
+}
+
+GuildSettingsService.SETTINGS = SETTINGS;
+
+module.exports = GuildSettingsService;
@@ -0,0 +1,125 @@
+const http = require('http');
+const { Status } = require('discord.js');
+const Logger = require('../utils/logger');
+const Metrics = require('../utils/metrics');
+
+/**
+ * Optional local HTTP server for monitoring. /healthz reports the Discord
+ * gateway, each CRCON connection and the background jobs as JSON (503 when
+ * Discord isn't ready); /metrics serves Prometheus metrics.
+ */
+class HealthServer {
+    constructor(client, crcon, config = {}) {
+        this.client = client;
+        this.crcon = crcon;
+        this.port = config.port ?? null;
+        this.host = config.host || '127.0.0.1';
+        this.startedAt = new Date();
+        this.server = null;
+    }
+
+    get enabled() {
+        return this.port !== null;
+    }
+
+    start() {
+        if (!this.enabled) return Promise.resolve(null);
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                const { port } = this.server.address();
+                Logger.info(`🩺 Health endpoint listening on http://${this.host}:${port} (/healthz, /metrics)`);
+                resolve(port);
+            });
+        });
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+            this.server = null;
+        });
+    }
+
+    getDiscordStatus() {
+        const status = this.client.ws?.status;
+        return {
+            ready: this.client.isReady(),
+            status: Status[status] ?? 'Unknown',
+            pingMs: this.client.ws?.ping >= 0 ? this.client.ws.ping : null,
+            guilds: this.client.guilds?.cache.size ?? 0
+        };
+    }
+
+    getCrconStatus() {
+        return this.crcon.getServers().map(server => ({
+            id: server.id,
+            name: server.name,
+            isHealthy: server.isHealthy,
+            consecutiveFailures: server.consecutiveFailures,
+            lastSuccessfulRequest: server.lastSuccessfulRequest ? server.lastSuccessfulRequest.toISOString() : null
+        }));
+    }
+
+    /**
+     * 'ok' when Discord is ready and every CRCON server is healthy,
+     * 'degraded' when only CRCON has problems, 'down' without Discord.
+     */
+    getHealth() {
+        const discord = this.getDiscordStatus();
+        const crcon = this.getCrconStatus();
+
+        let status = 'ok';
+        if (!discord.ready) {
+            status = 'down';
+        } else if (crcon.some(server => !server.isHealthy)) {
+            status = 'degraded';
+        }
+
+        return {
+            status,
+            uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+            discord,
+            crcon,
+            jobs: Metrics.getJobs()
+        };
+    }
+
+    handleRequest(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' });
+            return res.end();
+        }
+
+        try {
+            if (pathname === '/healthz') {
+                const health = this.getHealth();
+                res.writeHead(health.status === 'down' ? 503 : 200, { 'Content-Type': 'application/json' });
+                return res.end(req.method === 'HEAD' ? undefined : JSON.stringify(health, null, 2));
+            }
+
+            if (pathname === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                return res.end(req.method === 'HEAD' ? undefined : Metrics.render());
+            }
+
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found. Try /healthz or /metrics\n');
+        } catch (error) {
+            Logger.error('Health endpoint error:', error);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal error\n');
+        }
+    }
+}
+
+module.exports = HealthServer;
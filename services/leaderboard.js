@@ -1,22 +1,43 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const Logger = require('../utils/logger');
+const Metrics = require('../utils/metrics');
+const Periods = require('../utils/periods');
+const StatsCollector = require('./statsCollector');
 const { COLORS, EMOJIS } = require('../config/constants');
 
+// Discord error codes for a deleted message or channel
+const MISSING_CODES = [10003, 10008];
+
 class LeaderboardService {
-    constructor(database, crcon, client) {
+    constructor(database, crcon, client, statsCollector) {
         this.database = database;
         this.crcon = crcon;
         this.client = client;
-        this.leaderboardChannels = new Map();
+        this.statsCollector = statsCollector;
+        // messageId -> { messageId, channelId, type, currentPeriod, createdBy, createdAt, lastUpdate }
+        this.leaderboards = new Map();
         this.updateInProgress = false;
         this.lastUpdateTime = null;
     }
 
-    async create(channel, type = 'kills') {
+    async load() {
+        const data = await this.database.loadData('leaderboard', null);
+        if (data && data.leaderboards) {
+            this.leaderboards = new Map(Object.entries(data.leaderboards));
+        } else if (data && data.leaderboardChannels) {
+            // Older saves were keyed by channel ID, one leaderboard per channel
+            for (const settings of Object.values(data.leaderboardChannels)) {
+                this.leaderboards.set(settings.messageId, settings);
+            }
+        }
+        Logger.info(`🏆 Restored ${this.leaderboards.size} leaderboard(s)`);
+    }
+
+    async create(channel, type = 'kills', period = 'daily', createdBy = null) {
         try {
             Logger.info(`Creating leaderboard in channel ${channel.id} for type ${type}`);
             
-            const embed = await this.generateLeaderboardEmbed(type, 'daily');
+            const embed = await this.generateLeaderboardEmbed(type, period);
             const components = this.createLeaderboardButtons(type);
 
             const message = await channel.send({
@@ -24,14 +45,16 @@ class LeaderboardService {
                 components: components
             });
 
-            this.leaderboardChannels.set(channel.id, {
+            this.leaderboards.set(message.id, {
                 messageId: message.id,
                 channelId: channel.id,
                 type: type,
-                currentPeriod: 'daily',
+                currentPeriod: period,
+                createdBy,
                 createdAt: new Date().toISOString(),
                 lastUpdate: new Date().toISOString()
             });
+            await this.save();
 
             Logger.info(`Leaderboard created successfully in channel ${channel.id}`);
             return message;
@@ -50,26 +73,29 @@ class LeaderboardService {
 
         this.updateInProgress = true;
         Logger.info('🔄 Updating all live leaderboards...');
+        const observe = Metrics.leaderboardUpdates.startTimer();
         
         try {
             let updated = 0;
             let errors = 0;
 
-            for (const [channelId, settings] of this.leaderboardChannels) {
+            for (const settings of Array.from(this.leaderboards.values())) {
                 try {
-                    const success = await this.updateLeaderboard(channelId, settings);
+                    const success = await this.updateLeaderboard(settings);
                     if (success) {
                         updated++;
                     } else {
                         errors++;
                     }
                 } catch (error) {
-                    Logger.error(`Error updating leaderboard in channel ${channelId}:`, error);
+                    Logger.error(`Error updating leaderboard ${settings.messageId}:`, error);
                     errors++;
                 }
             }
 
             this.lastUpdateTime = new Date();
+            await this.save();
+            observe();
             Logger.info(`Leaderboard update complete: ${updated} updated, ${errors} errors`);
 
         } catch (error) {
@@ -79,21 +105,15 @@ class LeaderboardService {
         }
     }
 
-    async updateLeaderboard(channelId, settings) {
+    /**
+     * Re-renders one leaderboard message. Only a message or channel that
+     * Discord reports as deleted unregisters the leaderboard; other errors
+     * (permissions, outages) keep it for the next update.
+     */
+    async updateLeaderboard(settings) {
         try {
-            const channel = await this.client.channels.fetch(channelId);
-            if (!channel) {
-                Logger.warn(`Channel ${channelId} not found, removing from leaderboards`);
-                this.leaderboardChannels.delete(channelId);
-                return false;
-            }
-
+            const channel = await this.client.channels.fetch(settings.channelId);
             const message = await channel.messages.fetch(settings.messageId);
-            if (!message) {
-                Logger.warn(`Message ${settings.messageId} not found in channel ${channelId}`);
-                this.leaderboardChannels.delete(channelId);
-                return false;
-            }
 
             const embed = await this.generateLeaderboardEmbed(settings.type, settings.currentPeriod);
             const components = this.createLeaderboardButtons(settings.type);
@@ -107,11 +127,126 @@ class LeaderboardService {
             return true;
 
         } catch (error) {
-            Logger.error(`Error updating leaderboard ${channelId}:`, error);
+            if (MISSING_CODES.includes(error.code)) {
+                Logger.warn(`Leaderboard message ${settings.messageId} in channel ${settings.channelId} was deleted, removing it`);
+                this.leaderboards.delete(settings.messageId);
+            } else {
+                Logger.error(`Error updating leaderboard ${settings.messageId}:`, error);
+            }
             return false;
         }
     }
 
+    /**
+     * Checks after a restart that every stored leaderboard message still
+     * exists. Deleted ones are unregistered; the rest are kept even when
+     * Discord can't be reached right now.
+     */
+    async verifyAll() {
+        let missing = 0;
+
+        for (const settings of Array.from(this.leaderboards.values())) {
+            try {
+                const channel = await this.client.channels.fetch(settings.channelId);
+                await channel.messages.fetch(settings.messageId);
+            } catch (error) {
+                if (MISSING_CODES.includes(error.code)) {
+                    Logger.warn(`Leaderboard message ${settings.messageId} in channel ${settings.channelId} no longer exists, removing it`);
+                    this.leaderboards.delete(settings.messageId);
+                    missing++;
+                } else {
+                    Logger.warn(`Could not verify leaderboard ${settings.messageId}, keeping it: ${error.message}`);
+                }
+            }
+        }
+
+        if (missing > 0) {
+            await this.save();
+        }
+        Logger.info(`🏆 ${this.leaderboards.size} leaderboard(s) verified${missing > 0 ? `, ${missing} removed` : ''}`);
+    }
+
+    async handleCreate(interaction) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const type = interaction.options.getString('type') || 'kills';
+        const period = interaction.options.getString('period') || 'daily';
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const message = await this.create(channel, type, period, interaction.user.id);
+            Logger.info(`Leaderboard ${message.id} created by ${interaction.user.tag}`);
+
+            await interaction.editReply({
+                content: `✅ ${this.getLeaderboardTypeInfo(type).name} leaderboard posted in <#${channel.id}>. It updates every hour.`
+            });
+        } catch (error) {
+            await interaction.editReply({
+                content: `❌ Failed to post the leaderboard in <#${channel.id}>. Check that I can send messages and embeds there.`
+            });
+        }
+    }
+
+    /**
+     * Removes the leaderboard with `message_id`, or every leaderboard in
+     * `channel` (default: the current channel), deleting the messages.
+     */
+    async handleRemove(interaction) {
+        const messageId = interaction.options.getString('message_id')?.trim();
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+
+        const targets = messageId
+            ? [this.leaderboards.get(messageId)].filter(Boolean)
+            : Array.from(this.leaderboards.values()).filter(settings => settings.channelId === channel.id);
+
+        if (targets.length === 0) {
+            return await interaction.reply({
+                content: messageId ? `❌ No leaderboard with message ID \`${messageId}\`.` : `❌ There is no leaderboard in <#${channel.id}>.`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        for (const settings of targets) {
+            try {
+                const leaderboardChannel = await interaction.client.channels.fetch(settings.channelId);
+                const message = await leaderboardChannel.messages.fetch(settings.messageId);
+                await message.delete();
+            } catch (error) {
+                if (!MISSING_CODES.includes(error.code)) {
+                    Logger.warn(`Could not delete leaderboard message ${settings.messageId}: ${error.message}`);
+                }
+            }
+            this.leaderboards.delete(settings.messageId);
+        }
+
+        await this.save();
+        Logger.info(`${targets.length} leaderboard(s) removed by ${interaction.user.tag}`);
+
+        await interaction.editReply({ content: `🗑️ Removed ${targets.length} leaderboard(s).` });
+    }
+
+    async handleList(interaction) {
+        if (this.leaderboards.size === 0) {
+            return await interaction.reply({
+                content: '📭 No leaderboards are posted. Use `/leaderboard create` to post one.',
+                ephemeral: true
+            });
+        }
+
+        const lines = Array.from(this.leaderboards.values()).map(settings => {
+            const typeInfo = this.getLeaderboardTypeInfo(settings.type);
+            const updated = settings.lastUpdate ? `updated <t:${Math.floor(new Date(settings.lastUpdate).getTime() / 1000)}:R>` : 'not updated yet';
+            return `• <#${settings.channelId}> - ${typeInfo.emoji} ${typeInfo.name}, ${settings.currentPeriod} - \`${settings.messageId}\` (${updated})`;
+        });
+
+        await interaction.reply({
+            content: `🏆 **Leaderboards (${this.leaderboards.size})**\n${lines.join('\n')}`,
+            ephemeral: true
+        });
+    }
+
     async generateLeaderboardEmbed(type, period) {
         try {
             const leaderboardData = await this.getLeaderboardData(type, period);
@@ -198,49 +333,22 @@ class LeaderboardService {
     async getLeaderboardData(type, period) {
         try {
             const linkedPlayers = await this.database.getAllPlayers();
+            const periodTotals = this.statsCollector.getPeriodTotals(period);
             const leaderboardData = [];
 
             for (const player of linkedPlayers) {
-                try {
-                    // For now, we'll use mock data since we don't have the full stats API
-                    const stats = {
-                        kills: Math.floor(Math.random() * 1000),
-                        deaths: Math.floor(Math.random() * 800),
-                        score: Math.floor(Math.random() * 50000),
-                        playtime: Math.floor(Math.random() * 3600 * 100)
-                    };
-
-                    let value = 0;
-                    switch (type) {
-                        case 'kills':
-                            value = stats.kills || 0;
-                            break;
-                        case 'score':
-                            value = stats.score || 0;
-                            break;
-                        case 'playtime':
-                            value = stats.playtime || 0;
-                            break;
-                        case 'kdr':
-                            const kills = stats.kills || 0;
-                            const deaths = stats.deaths || 0;
-                            value = deaths > 0 ? kills / deaths : kills;
-                            if (kills < 10) value = 0;
-                            break;
-                    }
-
-                    if (value > 0) {
-                        leaderboardData.push({
-                            name: player.t17Username,
-                            discordId: player.discordId,
-                            steamId: player.steamId,
-                            value: value
-                        });
-                    }
-
-                } catch (error) {
-                    Logger.warn(`Error getting stats for ${player.t17Username}:`, error.message);
-                    continue;
+                const stats = periodTotals.get(player.steamId);
+                if (!stats) continue;
+
+                const value = this.getStatValue(type, stats);
+
+                if (value > 0) {
+                    leaderboardData.push({
+                        name: player.t17Username,
+                        discordId: player.discordId,
+                        steamId: player.steamId,
+                        value: value
+                    });
                 }
             }
 
@@ -254,6 +362,10 @@ class LeaderboardService {
         }
     }
 
+    getStatValue(type, stats) {
+        return StatsCollector.getStatValue(type, stats);
+    }
+
     createLeaderboardButtons(type) {
         const row1 = new ActionRowBuilder()
             .addComponents(
@@ -327,11 +439,12 @@ class LeaderboardService {
                 components: components
             });
 
-            const currentSettings = this.leaderboardChannels.get(interaction.channel.id);
+            const currentSettings = this.leaderboards.get(interaction.message?.id);
             if (currentSettings) {
                 currentSettings.type = newType;
                 currentSettings.currentPeriod = newPeriod;
                 currentSettings.lastUpdate = new Date().toISOString();
+                await this.save();
             }
 
         } catch (error) {
@@ -376,46 +489,21 @@ class LeaderboardService {
     }
 
     formatStatValue(type, value) {
-        switch (type) {
-            case 'kills':
-            case 'score':
-                return value.toLocaleString();
-            case 'playtime':
-                const hours = Math.floor(value / 3600);
-                const minutes = Math.floor((value % 3600) / 60);
-                return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
-            case 'kdr':
-                return value.toFixed(2);
-            default:
-                return value.toString();
-        }
+        return StatsCollector.formatStatValue(type, value);
     }
 
     getNextResetDate(period) {
-        const now = new Date();
-        
-        switch (period) {
-            case 'daily':
-                const tomorrow = new Date(now);
-                tomorrow.setDate(tomorrow.getDate() + 1);
-                tomorrow.setHours(0, 0, 0, 0);
-                return tomorrow.toLocaleDateString();
-            case 'weekly':
-                const nextMonday = new Date(now);
-                const daysUntilMonday = (7 - now.getDay() + 1) % 7;
-                nextMonday.setDate(now.getDate() + (daysUntilMonday === 0 ? 7 : daysUntilMonday));
-                nextMonday.setHours(0, 0, 0, 0);
-                return nextMonday.toLocaleDateString();
-            case 'monthly':
-                const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-                return nextMonth.toLocaleDateString();
-            default:
-                return 'Unknown';
+        try {
+            return Periods.getNextPeriodStart(period).toLocaleDateString();
+        } catch (error) {
+            return 'Unknown';
         }
     }
 
     async save() {
-        return true;
+        return this.database.saveData('leaderboard', {
+            leaderboards: Object.fromEntries(this.leaderboards)
+        });
     }
 }
 
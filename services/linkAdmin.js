@@ -0,0 +1,186 @@
+const { EmbedBuilder } = require('discord.js');
+const Logger = require('../utils/logger');
+const { COLORS } = require('../config/constants');
+
+// Steam64 IDs and Windows/console (Epic) IDs; anything else is treated as a T17 name
+const PLAYER_ID_PATTERN = /^(\d{17}|[0-9a-f]{32})$/i;
+const WHOIS_RESULTS_SHOWN = 10;
+
+/**
+ * Admin fixes for account links: /linkadmin set, remove, whois and list.
+ * Links are changed through DatabaseService, so linkCreated / linkDeleted
+ * listeners and the audit log see them like any other link.
+ */
+class LinkAdminService {
+    constructor(database, crcon) {
+        this.database = database;
+        this.crcon = crcon;
+        this.listPageSize = 15;
+    }
+
+    isPlayerId(value) {
+        return PLAYER_ID_PATTERN.test(value);
+    }
+
+    /**
+     * Resolves `/linkadmin set` input to player data. Player IDs are used as
+     * given (CRCON may not know the player yet), with `name` or the ID as
+     * the username; T17 names are looked up in CRCON.
+     */
+    async resolvePlayer(query, name = null) {
+        if (this.isPlayerId(query)) {
+            const existing = await this.database.getPlayerBySteamId(query);
+            const playerName = name || existing?.t17Username || query;
+            return { success: true, playerData: { name: playerName, display_name: playerName, steam_id_64: query } };
+        }
+
+        const playerData = await this.crcon.getPlayerByT17Username(query);
+        if (!playerData) {
+            return {
+                success: false,
+                error: `CRCON can't find a player named "${query}". Use their player ID instead, and \`name\` to set the username.`
+            };
+        }
+        return { success: true, playerData: name ? { ...playerData, name, display_name: name } : playerData };
+    }
+
+    async handleSet(interaction) {
+        const user = interaction.options.getUser('user');
+        const query = interaction.options.getString('player').trim();
+        const name = interaction.options.getString('name')?.trim() || null;
+        const actor = { id: interaction.user.id, tag: interaction.user.tag, guildId: interaction.guildId };
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const resolved = await this.resolvePlayer(query, name);
+            if (!resolved.success) {
+                return await interaction.editReply({ content: `❌ ${resolved.error}` });
+            }
+
+            const { playerData } = resolved;
+            const previous = await this.database.getPlayerByDiscordId(user.id);
+            const holder = await this.database.getPlayerBySteamId(playerData.steam_id_64);
+
+            // The player ID can only belong to one Discord account, so it moves to the new user
+            if (holder && holder.discordId !== user.id) {
+                await this.database.deletePlayerLink(holder.discordId, actor);
+            }
+
+            await this.database.createPlayerLink({
+                discordId: user.id,
+                t17Username: playerData.name,
+                displayName: playerData.display_name || playerData.name,
+                steamId: playerData.steam_id_64,
+                platform: this.crcon.detectPlatform(playerData),
+                lastSeen: playerData.last_seen || null,
+                guildId: interaction.guildId
+            }, actor);
+
+            Logger.info(`🔗 ${interaction.user.tag} linked ${user.tag} to ${playerData.name} (${playerData.steam_id_64})`);
+
+            const embed = new EmbedBuilder()
+                .setColor(COLORS.SUCCESS)
+                .setTitle('🔗 Link Set')
+                .addFields(
+                    { name: '👤 Discord User', value: `<@${user.id}>`, inline: true },
+                    { name: '🎮 Player', value: `**${playerData.name}**\n\`${playerData.steam_id_64}\``, inline: true },
+                    { name: '⬅️ Previously', value: previous ? `**${previous.t17Username}** \`${previous.steamId}\`` : 'Not linked', inline: false }
+                );
+
+            if (holder && holder.discordId !== user.id) {
+                embed.addFields({ name: '↪️ Moved From', value: `<@${holder.discordId}>, who is now unlinked`, inline: false });
+            }
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            Logger.error('Error setting player link:', error);
+            await interaction.editReply({ content: '❌ Failed to set the link. The server might be temporarily unavailable.' });
+        }
+    }
+
+    async handleRemove(interaction) {
+        const user = interaction.options.getUser('user');
+        const linkedData = await this.database.getPlayerByDiscordId(user.id);
+
+        if (!linkedData) {
+            return await interaction.reply({ content: `❌ <@${user.id}> isn't linked to a Hell Let Loose account.`, ephemeral: true });
+        }
+
+        await this.database.deletePlayerLink(user.id, { id: interaction.user.id, tag: interaction.user.tag, guildId: interaction.guildId });
+        Logger.info(`🔓 ${interaction.user.tag} unlinked ${user.tag} from ${linkedData.t17Username} (${linkedData.steamId})`);
+
+        await interaction.reply({
+            content: `🔓 Unlinked <@${user.id}> from **${linkedData.t17Username}** (\`${linkedData.steamId}\`).`,
+            ephemeral: true
+        });
+    }
+
+    /**
+     * Reverse lookup: the Discord user linked to a player ID, or every link
+     * whose T17 or display name contains the query.
+     */
+    async findLinks(query) {
+        if (this.isPlayerId(query)) {
+            const link = await this.database.getPlayerBySteamId(query);
+            return link ? [link] : [];
+        }
+
+        const needle = query.toLowerCase();
+        const links = await this.database.getAllPlayers();
+        return links.filter(link =>
+            (link.t17Username || '').toLowerCase().includes(needle) ||
+            (link.displayName || '').toLowerCase().includes(needle)
+        );
+    }
+
+    async handleWhois(interaction) {
+        const query = interaction.options.getString('player').trim();
+        const matches = await this.findLinks(query);
+
+        if (matches.length === 0) {
+            return await interaction.reply({ content: `📭 No Discord user is linked to \`${query}\`.`, ephemeral: true });
+        }
+
+        const lines = matches.slice(0, WHOIS_RESULTS_SHOWN).map(link => this.formatLink(link));
+        if (matches.length > WHOIS_RESULTS_SHOWN) {
+            lines.push(`...and ${matches.length - WHOIS_RESULTS_SHOWN} more. Use a longer name or the player ID.`);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.INFO)
+            .setTitle(`🔎 Who is ${query}?`)
+            .setDescription(lines.join('\n'));
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    async handleList(interaction) {
+        const links = (await this.database.getAllPlayers())
+            .sort((a, b) => new Date(b.linkedAt || 0) - new Date(a.linkedAt || 0));
+
+        if (links.length === 0) {
+            return await interaction.reply({ content: '📭 No accounts are linked yet.', ephemeral: true });
+        }
+
+        const totalPages = Math.ceil(links.length / this.listPageSize);
+        const page = Math.min(Math.max(1, interaction.options.getInteger('page') || 1), totalPages);
+        const pageLinks = links.slice((page - 1) * this.listPageSize, page * this.listPageSize);
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.INFO)
+            .setTitle('🔗 Linked Accounts')
+            .setDescription(pageLinks.map(link => this.formatLink(link)).join('\n'))
+            .setFooter({ text: `Page ${page}/${totalPages} • ${links.length} linked accounts, newest first` });
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    formatLink(link) {
+        const linkedAt = link.linkedAt ? ` • linked <t:${Math.floor(new Date(link.linkedAt).getTime() / 1000)}:d>` : '';
+        return `<@${link.discordId}> → **${link.t17Username}** \`${link.steamId}\`${link.platform ? ` (${link.platform})` : ''}${linkedAt}`;
+    }
+}
+
+module.exports = LinkAdminService;
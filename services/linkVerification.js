@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const Logger = require('../utils/logger');
+const { COLORS } = require('../config/constants');
+
+// Ambiguous characters (0/O, 1/I/L) are left out so codes are easy to read in-game
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+class LinkVerificationService {
+    constructor(database, crcon, config = {}) {
+        this.database = database;
+        this.crcon = crcon;
+        this.codeLength = config.codeLength || 6;
+        this.codeTtlMs = (config.codeTtlMinutes || 10) * 60 * 1000;
+        this.maxCodeRequests = config.maxCodeRequests || 3;
+        this.requestWindowMs = (config.requestWindowMinutes || 60) * 60 * 1000;
+        this.maxAttempts = config.maxAttempts || 5;
+
+        this.pendingCodes = new Map();
+        this.codeRequests = new Map();
+    }
+
+    generateCode() {
+        let code = '';
+        for (let i = 0; i < this.codeLength; i++) {
+            code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        return code;
+    }
+
+    getPending(discordId) {
+        const pending = this.pendingCodes.get(discordId);
+        if (!pending) return null;
+
+        if (Date.now() > pending.expiresAt) {
+            this.pendingCodes.delete(discordId);
+            return null;
+        }
+
+        return pending;
+    }
+
+    isRateLimited(discordId) {
+        const now = Date.now();
+        const recent = (this.codeRequests.get(discordId) || []).filter(time => now - time < this.requestWindowMs);
+        if (recent.length > 0) {
+            this.codeRequests.set(discordId, recent);
+        } else {
+            this.codeRequests.delete(discordId);
+        }
+
+        if (recent.length >= this.maxCodeRequests) {
+            return Math.ceil((recent[0] + this.requestWindowMs - now) / 60000);
+        }
+        return 0;
+    }
+
+    /**
+     * Looks up the T17 account and sends a one-time code to the player in-game,
+     * on `serverId` only when the Discord server is tied to one. Nothing is
+     * linked until verifyCode() succeeds.
+     */
+    async requestCode(discordId, t17Username, serverId = 'all') {
+        this.cleanup();
+
+        const existingLink = await this.database.getPlayerByDiscordId(discordId);
+        if (existingLink) {
+            return {
+                success: false,
+                reason: 'ALREADY_LINKED',
+                message: `❌ You're already linked to **${existingLink.t17Username}**. Unlink first if you want to change accounts.`
+            };
+        }
+
+        const retryMinutes = this.isRateLimited(discordId);
+        if (retryMinutes > 0) {
+            Logger.warn(`Link code rate limit hit by ${discordId} for "${t17Username}"`);
+            return {
+                success: false,
+                reason: 'RATE_LIMITED',
+                message: `❌ Too many verification codes requested. Please try again in ${retryMinutes} minute(s).`
+            };
+        }
+
+        const playerData = await this.crcon.getPlayerByT17Username(t17Username, serverId);
+        if (!playerData) {
+            return {
+                success: false,
+                reason: 'NOT_FOUND',
+                message: `❌ T17 username "${t17Username}" not found in Hell Let Loose records.\n\n**Make sure:**\n• You've played on this server recently\n• Your T17 username is spelled exactly correct\n• You're not banned from the server`
+            };
+        }
+
+        const existingPlayer = await this.database.getPlayerBySteamId(playerData.steam_id_64);
+        if (existingPlayer) {
+            return {
+                success: false,
+                reason: 'ALREADY_CLAIMED',
+                message: `❌ The T17 account "${playerData.name}" is already linked to another Discord user.`
+            };
+        }
+
+        // Fetched again here: another request's cleanup() may have run during the lookups
+        const requests = this.codeRequests.get(discordId) || [];
+        requests.push(Date.now());
+        this.codeRequests.set(discordId, requests);
+
+        const code = this.generateCode();
+        const ttlMinutes = Math.round(this.codeTtlMs / 60000);
+
+        try {
+            await this.crcon.sendMessageToPlayer(
+                playerData,
+                `Discord link code: ${code}\nEnter it with /link verify within ${ttlMinutes} minutes. If you did not request this, ignore this message.`,
+                serverId
+            );
+        } catch (error) {
+            Logger.warn(`Failed to deliver link code to ${playerData.name} for ${discordId}: ${error.message}`);
+            return {
+                success: false,
+                reason: 'MESSAGE_FAILED',
+                message: `❌ Couldn't send a verification code to **${playerData.name}** in-game.\n\nYou must be connected to the server to receive your code. Join the server and try again.`
+            };
+        }
+
+        this.pendingCodes.set(discordId, {
+            code,
+            playerData,
+            attempts: 0,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + this.codeTtlMs
+        });
+
+        Logger.info(`🔐 Link code issued to ${discordId} for ${playerData.name} (${playerData.steam_id_64})`);
+
+        return { success: true, playerData, expiresInMinutes: ttlMinutes };
+    }
+
+    /**
+     * Confirms a pending code and saves the link through DatabaseService.
+     * `guildId` is the Discord server the player verified in.
+     */
+    async verifyCode(discordId, code, guildId = null) {
+        const pending = this.getPending(discordId);
+        if (!pending) {
+            return {
+                success: false,
+                reason: 'NO_PENDING',
+                message: '❌ You don\'t have a pending verification code, or it has expired. Start again with `/link start`.'
+            };
+        }
+
+        const submitted = (code || '').trim().toUpperCase();
+        const expected = Buffer.from(pending.code);
+        const received = Buffer.from(submitted);
+        const matches = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+
+        if (!matches) {
+            pending.attempts++;
+            Logger.warn(`Invalid link code from ${discordId} for ${pending.playerData.name} (attempt ${pending.attempts}/${this.maxAttempts})`);
+
+            if (pending.attempts >= this.maxAttempts) {
+                this.pendingCodes.delete(discordId);
+                return {
+                    success: false,
+                    reason: 'TOO_MANY_ATTEMPTS',
+                    message: '❌ Too many incorrect codes. Your verification code has been cancelled. Start again with `/link start`.'
+                };
+            }
+
+            return {
+                success: false,
+                reason: 'INVALID_CODE',
+                message: `❌ That code is incorrect. You have ${this.maxAttempts - pending.attempts} attempt(s) left.`
+            };
+        }
+
+        this.pendingCodes.delete(discordId);
+        const { playerData } = pending;
+
+        const existingLink = await this.database.getPlayerByDiscordId(discordId);
+        if (existingLink) {
+            return {
+                success: false,
+                reason: 'ALREADY_LINKED',
+                message: `❌ You're already linked to **${existingLink.t17Username}**.`
+            };
+        }
+
+        const existingPlayer = await this.database.getPlayerBySteamId(playerData.steam_id_64);
+        if (existingPlayer) {
+            return {
+                success: false,
+                reason: 'ALREADY_CLAIMED',
+                message: `❌ The T17 account "${playerData.name}" is already linked to another Discord user.`
+            };
+        }
+
+        const platform = this.crcon.detectPlatform(playerData);
+        await this.database.createPlayerLink({
+            discordId,
+            t17Username: playerData.name,
+            displayName: playerData.display_name || playerData.name,
+            steamId: playerData.steam_id_64,
+            platform,
+            lastSeen: playerData.last_seen,
+            guildId
+        });
+
+        Logger.info(`🔗 Link verified: ${discordId} -> ${playerData.name} (${playerData.steam_id_64})`);
+
+        return { success: true, playerData, platform };
+    }
+
+    cancel(discordId) {
+        return this.pendingCodes.delete(discordId);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [discordId, pending] of this.pendingCodes.entries()) {
+            if (now > pending.expiresAt) {
+                Logger.debug(`Link code for ${discordId} expired unused`);
+                this.pendingCodes.delete(discordId);
+            }
+        }
+        for (const [discordId, requests] of this.codeRequests.entries()) {
+            if (requests.length > 0 && requests.every(time => now - time >= this.requestWindowMs)) {
+                this.codeRequests.delete(discordId);
+            }
+        }
+    }
+
+    buildCodeSentReply(result) {
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.INFO)
+            .setTitle('📨 Verification Code Sent')
+            .setDescription(`We sent a one-time code to **${result.playerData.name}** in-game.\n\nEnter it with \`/link verify\` or the button below to finish linking.`)
+            .addFields(
+                { name: '⏰ Expires In', value: `${result.expiresInMinutes} minutes`, inline: true },
+                { name: '🎮 T17 Username', value: result.playerData.name, inline: true }
+            )
+            .setFooter({ text: 'Didn\'t get it? Make sure you are connected to the server.' });
+
+        const row = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId('link_verify_open')
+                    .setLabel('🔐 Enter Code')
+                    .setStyle(ButtonStyle.Primary)
+            );
+
+        return { embeds: [embed], components: [row] };
+    }
+
+    buildLinkedEmbed(result) {
+        return new EmbedBuilder()
+            .setColor(COLORS.SUCCESS)
+            .setTitle('✅ Account Linked Successfully!')
+            .addFields(
+                { name: '🎮 T17 Username', value: result.playerData.name, inline: true },
+                { name: '🎯 Platform', value: result.platform, inline: true },
+                { name: '📅 Linked At', value: new Date().toLocaleString(), inline: true }
+            );
+    }
+}
+
+module.exports = LinkVerificationService;
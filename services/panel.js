@@ -0,0 +1,199 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const Logger = require('../utils/logger');
+const { COLORS } = require('../config/constants');
+
+const DEFAULT_TITLE = 'VIP Control Panel';
+
+/**
+ * The self-service VIP panel: a channel message whose buttons
+ * (panel_link_account, panel_check_vip, ...) are handled by
+ * InteractionHandler.handleVipPanelButtons. Posted panels are remembered by
+ * message ID so they can be rebuilt when the layout changes or the bot restarts.
+ */
+class PanelService {
+    constructor(database, crcon, client) {
+        this.database = database;
+        this.crcon = crcon;
+        this.client = client;
+        this.panels = new Map();
+    }
+
+    async load() {
+        const data = await this.database.loadData('panels', null);
+        if (data && data.panels) {
+            this.panels = new Map(Object.entries(data.panels));
+        }
+        Logger.info(`🎛️ Restored ${this.panels.size} VIP panel(s)`);
+    }
+
+    async save() {
+        return this.database.saveData('panels', {
+            panels: Object.fromEntries(this.panels)
+        });
+    }
+
+    async buildEmbed(panel, guild = null) {
+        const serverName = await this.crcon.getServerName();
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.VIP_ACTIVE)
+            .setTitle(`🎖️ ${panel.title || DEFAULT_TITLE}`)
+            .setDescription(`Welcome to the **${serverName}** VIP panel! Link your Hell Let Loose account once, then use the buttons below any time.`)
+            .addFields(
+                { name: '🔗 Link Account', value: 'Connect your T17 account to Discord', inline: true },
+                { name: '🎖️ Check VIP', value: 'See your VIP status and expiry', inline: true },
+                { name: '📊 My Stats', value: 'Your recent kills, score and playtime', inline: true },
+                { name: '🏆 Contest', value: 'The current contest and how to enter', inline: true },
+                { name: '🔓 Unlink', value: 'Disconnect your T17 account', inline: true },
+                { name: '❓ Help', value: 'Linking tips and common issues', inline: true }
+            )
+            .setFooter({ text: 'Only you can see the replies to these buttons' });
+
+        const icon = guild?.iconURL?.();
+        if (icon) {
+            embed.setThumbnail(icon);
+        }
+
+        return embed;
+    }
+
+    buildButtons() {
+        return [
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder().setCustomId('panel_link_account').setLabel('Link Account').setEmoji('🔗').setStyle(ButtonStyle.Primary),
+                new ButtonBuilder().setCustomId('panel_check_vip').setLabel('Check VIP').setEmoji('🎖️').setStyle(ButtonStyle.Success),
+                new ButtonBuilder().setCustomId('panel_view_stats').setLabel('My Stats').setEmoji('📊').setStyle(ButtonStyle.Secondary)
+            ),
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder().setCustomId('panel_contest').setLabel('Contest').setEmoji('🏆').setStyle(ButtonStyle.Secondary),
+                new ButtonBuilder().setCustomId('panel_unlink_account').setLabel('Unlink').setEmoji('🔓').setStyle(ButtonStyle.Danger),
+                new ButtonBuilder().setCustomId('panel_help').setLabel('Help').setEmoji('❓').setStyle(ButtonStyle.Secondary)
+            )
+        ];
+    }
+
+    async handleCreate(interaction) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const title = interaction.options.getString('title')?.trim() || null;
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const panel = {
+                channelId: channel.id,
+                guildId: interaction.guildId || null,
+                title,
+                createdBy: interaction.user.id,
+                createdAt: new Date().toISOString()
+            };
+
+            const message = await channel.send({
+                embeds: [await this.buildEmbed(panel, interaction.guild)],
+                components: this.buildButtons()
+            });
+
+            this.panels.set(message.id, { ...panel, messageId: message.id });
+            await this.save();
+
+            Logger.info(`VIP panel posted in ${channel.id} (${message.id}) by ${interaction.user.tag}`);
+            await interaction.editReply({ content: `✅ VIP panel posted in <#${channel.id}>.` });
+
+        } catch (error) {
+            Logger.error('Error posting VIP panel:', error);
+            await interaction.editReply({
+                content: `❌ Failed to post the panel in <#${channel.id}>. Check that I can send messages and embeds there.`
+            });
+        }
+    }
+
+    async handleRefresh(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const { refreshed, removed, failed } = await this.refreshAll(interaction.client);
+        const lines = [`✅ Refreshed ${refreshed} panel(s).`];
+        if (removed > 0) lines.push(`🗑️ Forgot ${removed} panel(s) whose message was deleted.`);
+        if (failed > 0) lines.push(`⚠️ ${failed} panel(s) could not be updated - see the logs.`);
+
+        await interaction.editReply({ content: lines.join('\n') });
+    }
+
+    /**
+     * Removes the panel with `message_id`, or every panel in `channel`
+     * (default: the current channel).
+     */
+    async handleRemove(interaction) {
+        const messageId = interaction.options.getString('message_id')?.trim();
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+
+        const targets = messageId
+            ? [this.panels.get(messageId)].filter(Boolean)
+            : Array.from(this.panels.values()).filter(panel => panel.channelId === channel.id);
+
+        if (targets.length === 0) {
+            return await interaction.reply({
+                content: messageId ? `❌ No panel with message ID \`${messageId}\`.` : `❌ There is no panel in <#${channel.id}>.`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        for (const panel of targets) {
+            try {
+                const panelChannel = await interaction.client.channels.fetch(panel.channelId);
+                const message = await panelChannel.messages.fetch(panel.messageId);
+                await message.delete();
+            } catch (error) {
+                if (error.code !== 10008 && error.code !== 10003) {
+                    Logger.warn(`Could not delete VIP panel message ${panel.messageId}: ${error.message}`);
+                }
+            }
+            this.panels.delete(panel.messageId);
+        }
+
+        await this.save();
+        Logger.info(`${targets.length} VIP panel(s) removed by ${interaction.user.tag}`);
+
+        await interaction.editReply({ content: `🗑️ Removed ${targets.length} panel(s).` });
+    }
+
+    /**
+     * Re-renders every remembered panel. Panels whose message or channel is
+     * gone are forgotten.
+     */
+    async refreshAll(client = this.client) {
+        const summary = { refreshed: 0, removed: 0, failed: 0 };
+        if (!client) return summary;
+
+        for (const panel of Array.from(this.panels.values())) {
+            try {
+                const channel = await client.channels.fetch(panel.channelId);
+                const message = await channel.messages.fetch(panel.messageId);
+
+                await message.edit({
+                    embeds: [await this.buildEmbed(panel, channel.guild)],
+                    components: this.buildButtons()
+                });
+                summary.refreshed++;
+
+            } catch (error) {
+                if (error.code === 10008 || error.code === 10003) {
+                    Logger.warn(`VIP panel ${panel.messageId} no longer exists, forgetting it`);
+                    this.panels.delete(panel.messageId);
+                    summary.removed++;
+                } else {
+                    Logger.error(`Failed to refresh VIP panel ${panel.messageId}:`, error);
+                    summary.failed++;
+                }
+            }
+        }
+
+        if (summary.removed > 0) {
+            await this.save();
+        }
+
+        return summary;
+    }
+}
+
+module.exports = PanelService;
@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const Logger = require('../utils/logger');
+const Csv = require('../utils/csv');
+const { Validators, ValidationError } = require('../utils/validators');
+const { COLORS, VIP_CODE_LIMITS } = require('../config/constants');
+
+// No 0/O, 1/I/L so codes survive being read out loud or copied by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODES_SHOWN_INLINE = 10;
+
+/**
+ * VIP redemption codes. Admins create batches of codes that each grant a VIP
+ * duration a set number of times; linked players redeem them with /redeem.
+ * Every redemption is recorded on the code, and a code can only be redeemed
+ * once per Discord user and once per player ID.
+ */
+class RedemptionCodeService {
+    constructor(database, vipManagement) {
+        this.database = database;
+        this.vipManagement = vipManagement;
+        this.codes = new Map();
+    }
+
+    async load() {
+        const data = await this.database.loadData('redemptionCodes', null);
+        if (data && data.codes) {
+            this.codes = new Map(Object.entries(data.codes));
+        }
+        Logger.info(`🎟️ Loaded ${this.codes.size} VIP redemption code(s)`);
+    }
+
+    async save() {
+        return this.database.saveData('redemptionCodes', {
+            codes: Object.fromEntries(this.codes)
+        });
+    }
+
+    generateCode() {
+        let code;
+        do {
+            const chars = Array.from({ length: 12 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+            code = chars.join('').match(/.{4}/g).join('-');
+        } while (this.codes.has(code));
+        return code;
+    }
+
+    async createBatch({ durationMs, count = 1, maxUses = 1, expiresAt = null, label = null, serverId = 'all', createdBy }) {
+        const batchId = crypto.randomBytes(3).toString('hex');
+        const createdAt = new Date().toISOString();
+        const codes = [];
+
+        for (let i = 0; i < count; i++) {
+            const record = {
+                code: this.generateCode(),
+                batchId,
+                label,
+                durationMs,
+                maxUses,
+                expiresAt: expiresAt ? expiresAt.toISOString() : null,
+                serverId,
+                createdBy,
+                createdAt,
+                disabled: false,
+                redemptions: []
+            };
+            this.codes.set(record.code, record);
+            codes.push(record);
+        }
+
+        await this.save();
+        Logger.info(`🎟️ Created VIP code batch ${batchId} (${count} x ${maxUses} use(s), ${this.vipManagement.formatDuration(durationMs)}) by ${createdBy}${label ? `: ${label}` : ''}`);
+
+        return { batchId, codes };
+    }
+
+    getCodeStatus(record, now = new Date()) {
+        if (record.disabled) return 'disabled';
+        if (record.expiresAt && new Date(record.expiresAt) <= now) return 'expired';
+        if (record.redemptions.length >= record.maxUses) return 'used';
+        return 'active';
+    }
+
+    /**
+     * Redeems a code for a linked player. The use is reserved before CRCON
+     * is called and released again if no server accepted the VIP, so a
+     * double-click or a second account can't slip past the use limit.
+     */
+    async redeem(code, user, linkedData, guildId = null) {
+        const record = this.codes.get(code);
+        if (!record) {
+            return { success: false, error: 'That code doesn\'t exist. Check it for typos.' };
+        }
+
+        const alreadyRedeemed = record.redemptions.some(redemption =>
+            redemption.discordId === user.id || redemption.steamId === linkedData.steamId
+        );
+        if (alreadyRedeemed) {
+            return { success: false, error: 'You have already redeemed this code.' };
+        }
+
+        switch (this.getCodeStatus(record)) {
+            case 'disabled':
+                return { success: false, error: 'This code has been disabled.' };
+            case 'expired':
+                return { success: false, error: 'This code has expired.' };
+            case 'used':
+                return { success: false, error: 'This code has already been used up.' };
+        }
+
+        // Everything from the lookup to this push runs without yielding, so the
+        // redemption reserves its use (and blocks a second one from the same
+        // account) before anyone else can check the code
+        const redemption = {
+            discordId: user.id,
+            userTag: user.tag,
+            steamId: linkedData.steamId,
+            t17Username: linkedData.t17Username,
+            redeemedAt: new Date().toISOString()
+        };
+
+        record.redemptions.push(redemption);
+        await this.save();
+
+        let results;
+        try {
+            results = await this.vipManagement.extendVip({
+                playerId: linkedData.steamId,
+                playerName: linkedData.t17Username,
+                discordId: user.id,
+                durationMs: record.durationMs,
+                serverId: record.serverId,
+                actorId: user.id,
+                actorTag: user.tag,
+                guildId,
+                reason: `code:${code}${record.label ? ` (${record.label})` : ''}`
+            });
+        } catch (error) {
+            Logger.error(`Failed to redeem VIP code ${code} for ${user.tag}:`, error);
+            results = [];
+        }
+
+        if (!results.some(result => result.success)) {
+            record.redemptions = record.redemptions.filter(entry => entry !== redemption);
+            await this.save();
+            return { success: false, error: 'We couldn\'t reach the game server to add your VIP. Your code has not been used - please try again later.' };
+        }
+
+        redemption.results = results.map(result => ({ serverId: result.serverId, success: result.success, after: result.after ?? null }));
+        await this.save();
+
+        Logger.info(`🎟️ ${user.tag} (${linkedData.steamId}) redeemed VIP code ${code}${record.label ? ` [${record.label}]` : ''}`);
+        return { success: true, record, results };
+    }
+
+    async handleRedeem(interaction) {
+        let code;
+        try {
+            code = Validators.validateRedemptionCode(interaction.options.getString('code'));
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            }
+            throw error;
+        }
+
+        const linkedData = await this.database.getPlayerByDiscordId(interaction.user.id);
+        if (!linkedData) {
+            return await interaction.reply({
+                content: '❌ You need to link your Hell Let Loose account before redeeming a code. Use `/link start` first.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const result = await this.redeem(code, interaction.user, linkedData, interaction.guildId);
+        if (!result.success) {
+            return await interaction.editReply({ content: `❌ ${result.error}` });
+        }
+
+        const expirations = result.results.filter(entry => entry.success).map(entry => entry.after);
+        const expiry = expirations.includes(null)
+            ? 'Never (permanent VIP)'
+            : expirations.filter(Boolean).sort().map(value => `<t:${Math.floor(new Date(value).getTime() / 1000)}:f>`).pop() || 'Unknown';
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.SUCCESS)
+            .setTitle('🎟️ Code Redeemed!')
+            .setDescription(`**${this.vipManagement.formatDuration(result.record.durationMs)}** of VIP has been added to **${linkedData.t17Username}**.`)
+            .addFields({ name: '⏰ VIP Expires', value: expiry, inline: true });
+
+        const failed = result.results.filter(entry => !entry.success);
+        if (failed.length > 0) {
+            embed.addFields({ name: '⚠️ Not Applied On', value: failed.map(entry => entry.serverName || entry.serverId).join(', '), inline: false });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+
+    async handleCreate(interaction) {
+        let durationMs;
+        let expiresAt = null;
+        try {
+            durationMs = Validators.validateDuration(interaction.options.getString('duration'));
+            const expires = interaction.options.getString('expires');
+            if (expires) {
+                expiresAt = Validators.validateExpiryDate(expires);
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            }
+            throw error;
+        }
+
+        const count = Math.min(interaction.options.getInteger('count') || 1, VIP_CODE_LIMITS.MAX_CODES_PER_BATCH);
+        const { batchId, codes } = await this.createBatch({
+            durationMs,
+            count,
+            maxUses: interaction.options.getInteger('uses') || 1,
+            expiresAt,
+            label: interaction.options.getString('label')?.trim() || null,
+            serverId: this.vipManagement.getServerId(interaction),
+            createdBy: interaction.user.id
+        });
+        const sample = codes[0];
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.VIP_ACTIVE)
+            .setTitle(`🎟️ ${count} VIP Code${count === 1 ? '' : 's'} Created`)
+            .addFields(
+                { name: '🏷️ Label', value: sample.label || 'None', inline: true },
+                { name: '📦 Batch', value: `\`${batchId}\``, inline: true },
+                { name: '⏳ VIP Duration', value: this.vipManagement.formatDuration(durationMs), inline: true },
+                { name: '🔁 Uses per Code', value: sample.maxUses.toString(), inline: true },
+                { name: '📅 Redeem By', value: expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:f>` : 'No expiry', inline: true },
+                { name: '🖥️ Server', value: sample.serverId === 'all' ? 'All servers' : sample.serverId, inline: true }
+            )
+            .setFooter({ text: 'Players redeem codes with /redeem' });
+
+        const payload = { embeds: [embed], ephemeral: true };
+        if (codes.length <= CODES_SHOWN_INLINE) {
+            embed.addFields({ name: '🔑 Codes', value: codes.map(record => `\`${record.code}\``).join('\n'), inline: false });
+        } else {
+            payload.files = [new AttachmentBuilder(Buffer.from(codes.map(record => record.code).join('\n'), 'utf8'), { name: `vip_codes_${batchId}.txt` })];
+        }
+
+        await interaction.reply(payload);
+    }
+
+    /**
+     * Summarizes every batch (or the batches matching `label`) and attaches
+     * a CSV with each code, its uses and who redeemed it.
+     */
+    async handleList(interaction) {
+        const labelFilter = interaction.options.getString('label')?.trim().toLowerCase();
+        const records = Array.from(this.codes.values())
+            .filter(record => !labelFilter || (record.label || '').toLowerCase().includes(labelFilter));
+
+        if (records.length === 0) {
+            return await interaction.reply({
+                content: labelFilter ? `📭 No VIP codes match "${labelFilter}".` : '📭 No VIP codes have been created yet. Use `/vipcode create`.',
+                ephemeral: true
+            });
+        }
+
+        const batches = new Map();
+        for (const record of records) {
+            const batch = batches.get(record.batchId) || { record, codes: 0, active: 0, redeemed: 0 };
+            batch.codes++;
+            batch.redeemed += record.redemptions.length;
+            if (this.getCodeStatus(record) === 'active') batch.active++;
+            batches.set(record.batchId, batch);
+        }
+
+        const lines = Array.from(batches.entries()).slice(-20).map(([batchId, batch]) =>
+            `• \`${batchId}\` ${batch.record.label || 'No label'} - ${this.vipManagement.formatDuration(batch.record.durationMs)}, ${batch.codes} code(s), ${batch.active} active, ${batch.redeemed} redemption(s)`
+        );
+
+        const header = ['code', 'batch', 'label', 'duration', 'max_uses', 'uses', 'status', 'expires_at', 'redeemed_by'];
+        const rows = records.map(record => [
+            record.code,
+            record.batchId,
+            record.label,
+            this.vipManagement.formatDuration(record.durationMs),
+            record.maxUses,
+            record.redemptions.length,
+            this.getCodeStatus(record),
+            record.expiresAt,
+            record.redemptions.map(redemption => `${redemption.t17Username} (${redemption.steamId})`).join('; ')
+        ]);
+        const csv = Csv.build(header, rows);
+
+        await interaction.reply({
+            content: `🎟️ **VIP code batches** (${batches.size})\n${lines.join('\n')}`,
+            files: [new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: 'vip_codes.csv' })],
+            ephemeral: true
+        });
+    }
+
+    /**
+     * Disables one code, or every code in a batch when given a batch ID.
+     */
+    async handleDisable(interaction) {
+        const target = interaction.options.getString('code_or_batch').trim();
+        let records = Array.from(this.codes.values()).filter(record => record.batchId === target.toLowerCase());
+
+        if (records.length === 0) {
+            try {
+                const code = Validators.validateRedemptionCode(target);
+                records = this.codes.has(code) ? [this.codes.get(code)] : [];
+            } catch (error) {
+                records = [];
+            }
+        }
+
+        if (records.length === 0) {
+            return await interaction.reply({ content: `❌ No code or batch matches \`${target}\`.`, ephemeral: true });
+        }
+
+        for (const record of records) {
+            record.disabled = true;
+        }
+        await this.save();
+
+        Logger.info(`🎟️ ${records.length} VIP code(s) disabled by ${interaction.user.tag} (${target})`);
+        await interaction.reply({ content: `🚫 Disabled ${records.length} code(s). They can no longer be redeemed.`, ephemeral: true });
+    }
+}
+
+module.exports = RedemptionCodeService;
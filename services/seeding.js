@@ -0,0 +1,336 @@
+const { EmbedBuilder } = require('discord.js');
+const Logger = require('../utils/logger');
+const Periods = require('../utils/periods');
+const StatsCollector = require('./statsCollector');
+const { COLORS } = require('../config/constants');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const RETRY_DELAY_MS = 15 * MINUTE_MS;
+const LEADERBOARD_SIZE = 20;
+
+/**
+ * Rewards players who help seed a server. Each poll reads the player list of
+ * every server; while a server's population is inside the seeding window
+ * (at least `minPlayers`, below `maxPlayers`) the players seen on two polls
+ * in a row are credited the time between them. Every `minutesPerReward`
+ * seeded minutes earn `rewardHours` of VIP, up to `maxRewardsPerDay`.
+ */
+class SeedingService {
+    constructor(database, crcon, vipManagement, vipNotifications, config = {}) {
+        this.database = database;
+        this.crcon = crcon;
+        this.vipManagement = vipManagement;
+        this.vipNotifications = vipNotifications;
+
+        this.enabled = Boolean(config.enabled);
+        this.minPlayers = config.minPlayers ?? 3;
+        this.maxPlayers = config.maxPlayers ?? 40;
+        this.pollIntervalMs = (config.pollIntervalMinutes || 1) * MINUTE_MS;
+        this.rewardThresholdMs = (config.minutesPerReward || 60) * MINUTE_MS;
+        this.rewardDurationMs = (config.rewardHours || 24) * HOUR_MS;
+        this.maxRewardsPerDay = config.maxRewardsPerDay ?? 1;
+        this.rewardServerId = config.rewardServer || 'all';
+        this.requireLink = Boolean(config.requireLink);
+        this.retentionMs = (config.retentionDays || 40) * DAY_MS;
+
+        // playerId -> { name, progressMs, totalMs, rewards, rewardDay, rewardsToday, lastRewardAt, retryAfter }
+        this.players = {};
+        // local day start -> { playerId: seeded ms }
+        this.days = {};
+        // serverId -> { at, seeding, population, playerIds }, rebuilt after a restart
+        this.lastPolls = {};
+        this.polling = false;
+    }
+
+    async load() {
+        const data = await this.database.loadData('seeding', null);
+        if (data) {
+            this.players = data.players || {};
+            this.days = data.days || {};
+        }
+        Logger.info(`🌱 Seeding rewards ${this.enabled ? 'enabled' : 'disabled'}: ${this.minPlayers}-${this.maxPlayers - 1} players, ${this.rewardThresholdMs / MINUTE_MS} min per reward`);
+    }
+
+    async save() {
+        return this.database.saveData('seeding', {
+            players: this.players,
+            days: this.days
+        });
+    }
+
+    isSeedingPopulation(population) {
+        return population >= this.minPlayers && population < this.maxPlayers;
+    }
+
+    async poll(now = new Date()) {
+        if (!this.enabled || this.polling) return;
+
+        this.polling = true;
+
+        try {
+            for (const server of this.crcon.getServers()) {
+                try {
+                    const players = await server.makeRequest('/api/get_players');
+                    this.creditServer(server.id, Array.isArray(players) ? players : [], now);
+                } catch (error) {
+                    // A gap in polling must not be credited as seeding time
+                    delete this.lastPolls[server.id];
+                    Logger.warn(`Seeding poll failed for ${server.id}: ${error.message}`);
+                }
+            }
+
+            await this.grantDueRewards(now);
+            this.prune(now.getTime());
+            await this.save();
+
+        } catch (error) {
+            Logger.error('Error tracking seeding:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Credits the players seen on this and the previous poll, when the server
+     * was seeding on both. The credited time is capped at two poll intervals
+     * so a stalled bot doesn't hand out hours nobody was watching.
+     */
+    creditServer(serverId, players, now) {
+        const nowMs = now.getTime();
+        const playerIds = players.map(player => player.player_id || player.steam_id_64).filter(Boolean);
+        const seeding = this.isSeedingPopulation(players.length);
+        const last = this.lastPolls[serverId];
+
+        this.lastPolls[serverId] = { at: nowMs, seeding, population: players.length, playerIds };
+
+        if (!seeding || !last || !last.seeding) return;
+
+        const elapsedMs = Math.min(nowMs - last.at, this.pollIntervalMs * 2);
+        if (elapsedMs <= 0) return;
+
+        const previousIds = new Set(last.playerIds);
+        const dayKey = String(Periods.getPeriodStart('daily', now).getTime());
+        const day = this.days[dayKey] || (this.days[dayKey] = {});
+
+        for (const player of players) {
+            const playerId = player.player_id || player.steam_id_64;
+            if (!playerId || !previousIds.has(playerId)) continue;
+
+            const record = this.getRecord(playerId);
+            record.name = player.name || record.name;
+            record.totalMs += elapsedMs;
+            day[playerId] = (day[playerId] || 0) + elapsedMs;
+
+            // Time past the daily cap counts for the leaderboard but not towards rewards
+            if (!this.isCapped(record, now)) {
+                record.progressMs = Math.min(record.progressMs + elapsedMs, this.rewardThresholdMs);
+            }
+        }
+    }
+
+    getRecord(playerId) {
+        if (!this.players[playerId]) {
+            this.players[playerId] = {
+                name: null,
+                progressMs: 0,
+                totalMs: 0,
+                rewards: 0,
+                rewardDay: null,
+                rewardsToday: 0,
+                lastRewardAt: null,
+                retryAfter: null
+            };
+        }
+        return this.players[playerId];
+    }
+
+    getRewardsToday(record, now = new Date()) {
+        return record.rewardDay === now.toDateString() ? record.rewardsToday : 0;
+    }
+
+    isCapped(record, now = new Date()) {
+        return this.maxRewardsPerDay > 0 && this.getRewardsToday(record, now) >= this.maxRewardsPerDay;
+    }
+
+    async grantDueRewards(now) {
+        for (const [playerId, record] of Object.entries(this.players)) {
+            if (record.progressMs < this.rewardThresholdMs || this.isCapped(record, now)) continue;
+            if (record.retryAfter && new Date(record.retryAfter) > now) continue;
+
+            const linkedPlayer = await this.database.getPlayerBySteamId(playerId);
+            if (this.requireLink && !linkedPlayer) continue;
+
+            await this.grantReward(playerId, record, linkedPlayer, now);
+        }
+    }
+
+    /**
+     * Extends the player's VIP through CRCON (which also writes the VIP audit
+     * log) and DMs the linked Discord user. When no server accepted the
+     * grant, the earned progress is kept and the grant is retried later.
+     */
+    async grantReward(playerId, record, linkedPlayer, now) {
+        const playerName = linkedPlayer?.t17Username || record.name || playerId;
+        let results;
+
+        try {
+            results = await this.vipManagement.extendVip({
+                playerId,
+                playerName,
+                discordId: linkedPlayer?.discordId || null,
+                durationMs: this.rewardDurationMs,
+                serverId: this.rewardServerId,
+                actorId: 'system',
+                actorTag: 'Seeding rewards',
+                reason: 'seeding'
+            });
+        } catch (error) {
+            results = [{ success: false, error: error.message }];
+        }
+
+        const succeeded = results.filter(result => result.success);
+        if (succeeded.length === 0) {
+            record.retryAfter = new Date(now.getTime() + RETRY_DELAY_MS).toISOString();
+            Logger.warn(`🌱 Seeding reward for ${playerName} (${playerId}) failed, retrying later: ${results.map(result => result.error).join('; ') || 'no servers'}`);
+            return false;
+        }
+
+        if (record.rewardDay !== now.toDateString()) {
+            record.rewardDay = now.toDateString();
+            record.rewardsToday = 0;
+        }
+        record.progressMs -= this.rewardThresholdMs;
+        record.rewards++;
+        record.rewardsToday++;
+        record.lastRewardAt = now.toISOString();
+        record.retryAfter = null;
+
+        Logger.info(`🌱 Seeding reward: ${this.formatDuration(this.rewardDurationMs)} VIP for ${playerName} (${playerId}) on ${succeeded.length}/${results.length} server(s)`);
+
+        const expirations = succeeded.map(result => result.after).filter(Boolean).sort();
+        if (linkedPlayer && succeeded.some(result => !result.skipped)) {
+            await this.vipNotifications.sendSeedingRewardNotification(linkedPlayer, {
+                durationMs: this.rewardDurationMs,
+                seededMs: this.rewardThresholdMs,
+                expiration: expirations.length > 0 ? new Date(expirations[expirations.length - 1]) : null
+            });
+        }
+
+        return true;
+    }
+
+    prune(nowMs) {
+        for (const dayKey of Object.keys(this.days)) {
+            if (nowMs - Number(dayKey) > this.retentionMs) {
+                delete this.days[dayKey];
+            }
+        }
+    }
+
+    /**
+     * Seeded time per player for the days starting in the period, most first.
+     */
+    getLeaderboard(period, now = new Date()) {
+        const from = Periods.getPeriodStart(period, now).getTime();
+        const to = Periods.getNextPeriodStart(period, now).getTime();
+        const totals = new Map();
+
+        for (const [dayKey, players] of Object.entries(this.days)) {
+            const dayStart = Number(dayKey);
+            if (dayStart < from || dayStart >= to) continue;
+
+            for (const [playerId, ms] of Object.entries(players)) {
+                totals.set(playerId, (totals.get(playerId) || 0) + ms);
+            }
+        }
+
+        return Array.from(totals.entries())
+            .map(([playerId, seededMs]) => ({ playerId, name: this.players[playerId]?.name || playerId, seededMs }))
+            .sort((a, b) => b.seededMs - a.seededMs);
+    }
+
+    async handleLeaderboard(interaction) {
+        const period = interaction.options.getString('period') || 'weekly';
+        const rows = this.getLeaderboard(period).slice(0, LEADERBOARD_SIZE);
+        const labels = { daily: 'Today', weekly: 'This Week', monthly: 'This Month' };
+
+        const embed = new EmbedBuilder()
+            .setColor(0x2ECC71)
+            .setTitle(`🌱 Seeding Leaderboard - ${labels[period]}`)
+            .setDescription(rows.length > 0
+                ? rows.map((row, index) => {
+                    const rank = ['🥇', '🥈', '🥉'][index] || `\`${String(index + 1).padStart(2)}.\``;
+                    return `${rank} **${row.name}** • ${this.formatDuration(row.seededMs)}`;
+                }).join('\n')
+                : 'Nobody has seeded this period yet. Jump on while the server is filling up!')
+            .setFooter({ text: this.describeRules() })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    async handleStatus(interaction) {
+        const linkedPlayer = await this.database.getPlayerByDiscordId(interaction.user.id);
+        const now = new Date();
+
+        const embed = new EmbedBuilder()
+            .setColor(this.enabled ? 0x2ECC71 : COLORS.WARNING)
+            .setTitle('🌱 Seeding Rewards')
+            .setDescription(this.enabled ? this.describeRules() : '⏸️ Seeding rewards are currently disabled.');
+
+        const servers = this.crcon.getServers().map(server => {
+            const poll = this.lastPolls[server.id];
+            if (!poll) return `• ${this.crcon.getServerLabel(server)}: no data yet`;
+            return `• ${this.crcon.getServerLabel(server)}: ${poll.population} players ${poll.seeding ? '- 🌱 **seeding now**' : ''}`;
+        });
+        if (this.enabled) {
+            embed.addFields({ name: '🖥️ Servers', value: servers.join('\n'), inline: false });
+        }
+
+        if (!linkedPlayer) {
+            embed.addFields({ name: '🔗 Your Progress', value: 'Link your account with `/link start` to track your seeding time.', inline: false });
+        } else {
+            const record = this.players[linkedPlayer.steamId] || this.getEmptyRecord();
+            const today = this.getLeaderboard('daily', now).find(row => row.playerId === linkedPlayer.steamId);
+            const capText = this.maxRewardsPerDay > 0 ? `${this.getRewardsToday(record, now)}/${this.maxRewardsPerDay}` : `${this.getRewardsToday(record, now)}`;
+
+            embed.addFields(
+                { name: '🎮 Player', value: linkedPlayer.t17Username, inline: true },
+                { name: '📅 Seeded Today', value: this.formatDuration(today ? today.seededMs : 0), inline: true },
+                { name: '⏳ Total Seeded', value: this.formatDuration(record.totalMs), inline: true },
+                {
+                    name: '🎯 Next Reward',
+                    value: this.isCapped(record, now)
+                        ? '✅ Daily limit reached - come back tomorrow!'
+                        : `${this.formatDuration(record.progressMs)} / ${this.formatDuration(this.rewardThresholdMs)}`,
+                    inline: true
+                },
+                { name: '⭐ Rewards Today', value: capText, inline: true },
+                { name: '🏆 Rewards Earned', value: record.rewards.toString(), inline: true }
+            );
+        }
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    getEmptyRecord() {
+        return { progressMs: 0, totalMs: 0, rewards: 0, rewardDay: null, rewardsToday: 0 };
+    }
+
+    describeRules() {
+        const cap = this.maxRewardsPerDay > 0 ? `, up to ${this.maxRewardsPerDay}x per day` : '';
+        return `Seed while a server has ${this.minPlayers}-${this.maxPlayers - 1} players: every ${this.formatDuration(this.rewardThresholdMs)} earns ${this.formatDuration(this.rewardDurationMs)} of VIP${cap}.`;
+    }
+
+    formatDuration(ms) {
+        if (ms >= DAY_MS && ms % DAY_MS === 0) {
+            const days = ms / DAY_MS;
+            return `${days} ${days === 1 ? 'day' : 'days'}`;
+        }
+        return StatsCollector.formatStatValue('playtime', Math.floor(ms / 1000));
+    }
+}
+
+module.exports = SeedingService;
@@ -0,0 +1,306 @@
+const Logger = require('../utils/logger');
+const Periods = require('../utils/periods');
+
+const BUCKET_MS = 60 * 60 * 1000;
+const STAT_KEYS = ['kills', 'deaths', 'score', 'playtime'];
+
+/**
+ * Samples per-player match stats from CRCON and stores the gains in buckets,
+ * so totals for any window (a leaderboard period, a contest) are the sum of
+ * the buckets inside it.
+ *
+ * Buckets start on every hour and on every registered boundary (see
+ * addBoundary). The gain between two samples is spread over the time between
+ * them, split at any bucket start in between, so a window whose edges are
+ * hours or registered boundaries gets exactly the play inside it.
+ *
+ * Each sample is compared with the previous one for the same player on the same
+ * server. A player's first sample is only a baseline. When a counter goes
+ * backwards a new match (or session) has started and the whole new value
+ * counts as gain.
+ */
+class StatsCollector {
+    constructor(database, crcon, config = {}) {
+        this.database = database;
+        this.crcon = crcon;
+        this.retentionMs = (config.retentionDays || 40) * 24 * 60 * 60 * 1000;
+        this.sampleTtlMs = (config.sampleTtlHours || 3) * 60 * 60 * 1000;
+
+        this.buckets = {};
+        // Sorted bucket starts that are not on the hour, in ms
+        this.boundaries = [];
+        this.lastSamples = {};
+        this.lastCollectTime = null;
+        this.collecting = false;
+    }
+
+    async load() {
+        const data = await this.database.loadData('stats', null);
+        if (data) {
+            this.buckets = data.buckets || {};
+            (data.boundaries || []).forEach(time => this.addBoundary(time));
+            this.lastSamples = data.lastSamples || {};
+            this.lastCollectTime = data.lastCollectTime || null;
+        }
+        Logger.info(`📈 Stats collector loaded ${Object.keys(this.buckets).length} stat buckets`);
+    }
+
+    async save() {
+        return this.database.saveData('stats', {
+            buckets: this.buckets,
+            boundaries: this.boundaries,
+            lastSamples: this.lastSamples,
+            lastCollectTime: this.lastCollectTime
+        });
+    }
+
+    async collect() {
+        if (this.collecting) {
+            Logger.debug('Stats collection already in progress, skipping');
+            return;
+        }
+
+        this.collecting = true;
+
+        try {
+            const linkedPlayers = await this.database.getAllPlayers();
+            const linkedIds = new Set(linkedPlayers.map(player => player.steamId));
+            const now = Date.now();
+            let sampled = 0;
+
+            for (const server of this.crcon.getServers()) {
+                try {
+                    const rows = await this.fetchLiveStats(server);
+                    sampled += this.applySamples(server.id, rows, linkedIds, now);
+                } catch (error) {
+                    Logger.warn(`Stats collection failed for ${server.id}: ${error.message}`);
+                }
+            }
+
+            this.prune(now);
+            this.lastCollectTime = new Date(now).toISOString();
+            await this.save();
+
+            Logger.debug(`Stats collected for ${sampled} linked player(s)`);
+
+        } catch (error) {
+            Logger.error('Error collecting player stats:', error);
+        } finally {
+            this.collecting = false;
+        }
+    }
+
+    /**
+     * Current-match stats from /api/get_live_game_stats, falling back to the
+     * session-based /api/get_live_scoreboard on older CRCON versions.
+     */
+    async fetchLiveStats(server) {
+        let data;
+        try {
+            data = await server.makeRequest('/api/get_live_game_stats');
+        } catch (error) {
+            Logger.debug(`get_live_game_stats failed on ${server.id}, using get_live_scoreboard: ${error.message}`);
+            data = await server.makeRequest('/api/get_live_scoreboard');
+        }
+
+        const rows = data?.stats || data;
+        return Array.isArray(rows) ? rows.map(row => this.parseStatsRow(row)).filter(Boolean) : [];
+    }
+
+    parseStatsRow(row) {
+        const steamId = row?.player_id || row?.steam_id_64;
+        if (!steamId) return null;
+
+        const score = typeof row.score === 'number'
+            ? row.score
+            : (row.combat || 0) + (row.offense || 0) + (row.defense || 0) + (row.support || 0);
+
+        return {
+            steamId,
+            kills: row.kills || 0,
+            deaths: row.deaths || 0,
+            score,
+            playtime: Math.floor(row.time_seconds || row.playtime || 0)
+        };
+    }
+
+    /**
+     * Starts a bucket at `time` so windows beginning or ending there are
+     * exact. Register a window's edges before it starts or ends: gains
+     * already collected across that time are not split again.
+     */
+    addBoundary(time) {
+        const ms = new Date(time).getTime();
+        if (Number.isNaN(ms) || ms % BUCKET_MS === 0 || this.boundaries.includes(ms)) return;
+
+        this.boundaries.push(ms);
+        this.boundaries.sort((a, b) => a - b);
+    }
+
+    getBucketStart(time) {
+        let start = Math.floor(time / BUCKET_MS) * BUCKET_MS;
+        for (const boundary of this.boundaries) {
+            if (boundary > time) break;
+            if (boundary > start) start = boundary;
+        }
+        return start;
+    }
+
+    /**
+     * Adds a gain made between two samples, split over the buckets that
+     * start in between in proportion to the time spent in each.
+     */
+    addGain(steamId, gain, from, to) {
+        const cuts = [];
+        for (let hour = Math.floor(from / BUCKET_MS) * BUCKET_MS + BUCKET_MS; hour < to; hour += BUCKET_MS) {
+            cuts.push(hour);
+        }
+        cuts.push(...this.boundaries.filter(boundary => boundary > from && boundary < to));
+        cuts.sort((a, b) => a - b);
+
+        const duration = Math.max(to - from, 1);
+        const added = { kills: 0, deaths: 0, score: 0, playtime: 0 };
+        const starts = [from, ...cuts];
+
+        starts.forEach((start, index) => {
+            const end = index + 1 < starts.length ? starts[index + 1] : to;
+            const elapsed = index + 1 < starts.length ? end - from : duration;
+            const bucketKey = String(this.getBucketStart(start));
+            const share = {};
+
+            // Rounding the running total keeps the shares whole and their sum exact
+            for (const key of STAT_KEYS) {
+                const upTo = Math.round(gain[key] * elapsed / duration);
+                share[key] = upTo - added[key];
+                added[key] = upTo;
+            }
+
+            if (STAT_KEYS.some(key => share[key] !== 0)) {
+                const bucket = this.buckets[bucketKey] || (this.buckets[bucketKey] = {});
+                const totals = bucket[steamId] || (bucket[steamId] = { kills: 0, deaths: 0, score: 0, playtime: 0 });
+                for (const key of STAT_KEYS) {
+                    totals[key] += share[key];
+                }
+            }
+        });
+    }
+
+    applySamples(serverId, rows, linkedIds, now) {
+        const serverSamples = this.lastSamples[serverId] || (this.lastSamples[serverId] = {});
+        let sampled = 0;
+
+        for (const row of rows) {
+            if (!linkedIds.has(row.steamId)) continue;
+
+            // Without an earlier sample there is no telling how much of the
+            // current values was played before this point
+            const previous = serverSamples[row.steamId];
+            if (previous) {
+                const isNewMatch = STAT_KEYS.some(key => row[key] < previous[key]);
+                const gain = {};
+
+                for (const key of STAT_KEYS) {
+                    gain[key] = isNewMatch ? row[key] : row[key] - previous[key];
+                }
+
+                if (STAT_KEYS.some(key => gain[key] > 0)) {
+                    this.addGain(row.steamId, gain, previous.sampledAt, now);
+                }
+            }
+
+            serverSamples[row.steamId] = { kills: row.kills, deaths: row.deaths, score: row.score, playtime: row.playtime, sampledAt: now };
+            sampled++;
+        }
+
+        return sampled;
+    }
+
+    prune(now) {
+        for (const bucketKey of Object.keys(this.buckets)) {
+            if (now - Number(bucketKey) > this.retentionMs) {
+                delete this.buckets[bucketKey];
+            }
+        }
+        this.boundaries = this.boundaries.filter(boundary => now - boundary <= this.retentionMs);
+
+        for (const serverSamples of Object.values(this.lastSamples)) {
+            for (const [steamId, sample] of Object.entries(serverSamples)) {
+                if (now - sample.sampledAt > this.sampleTtlMs) {
+                    delete serverSamples[steamId];
+                }
+            }
+        }
+    }
+
+    /**
+     * Summed gains per player for buckets starting in [from, to). Exact when
+     * both edges are hours or registered boundaries.
+     * Returns a Map of steamId -> { kills, deaths, score, playtime }.
+     */
+    getTotals(from, to = new Date()) {
+        const fromMs = new Date(from).getTime();
+        const toMs = new Date(to).getTime();
+        const totals = new Map();
+
+        for (const [bucketKey, players] of Object.entries(this.buckets)) {
+            const bucketStart = Number(bucketKey);
+            if (bucketStart < fromMs || bucketStart >= toMs) continue;
+
+            for (const [steamId, stats] of Object.entries(players)) {
+                const playerTotals = totals.get(steamId) || { kills: 0, deaths: 0, score: 0, playtime: 0 };
+                for (const key of STAT_KEYS) {
+                    playerTotals[key] += stats[key] || 0;
+                }
+                totals.set(steamId, playerTotals);
+            }
+        }
+
+        return totals;
+    }
+
+    getPeriodTotals(period, now = new Date()) {
+        return this.getTotals(Periods.getPeriodStart(period, now), Periods.getNextPeriodStart(period, now));
+    }
+
+    /**
+     * The value players are ranked by for a stat type. K/D needs at least 10
+     * kills so a single lucky kill doesn't top the board.
+     */
+    static getStatValue(type, stats) {
+        switch (type) {
+            case 'kills':
+                return stats.kills || 0;
+            case 'score':
+                return stats.score || 0;
+            case 'playtime':
+                return stats.playtime || 0;
+            case 'kdr': {
+                const kills = stats.kills || 0;
+                const deaths = stats.deaths || 0;
+                if (kills < 10) return 0;
+                return deaths > 0 ? kills / deaths : kills;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    static formatStatValue(type, value) {
+        switch (type) {
+            case 'kills':
+            case 'score':
+                return value.toLocaleString();
+            case 'playtime': {
+                const hours = Math.floor(value / 3600);
+                const minutes = Math.floor((value % 3600) / 60);
+                return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+            }
+            case 'kdr':
+                return value.toFixed(2);
+            default:
+                return value.toString();
+        }
+    }
+}
+
+module.exports = StatsCollector;
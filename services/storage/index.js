@@ -0,0 +1,22 @@
+const JsonStorageAdapter = require('./jsonStorage');
+const SqliteStorageAdapter = require('./sqliteStorage');
+
+/**
+ * Storage adapters share one interface:
+ *   initialize(), close()
+ *   getLink(discordId), getLinkBySteamId(steamId), getAllLinks(), countLinks()
+ *   saveLink(discordId, linkData), deleteLink(discordId)
+ *   loadDocument(name) -> data | undefined, saveDocument(name, data)
+ */
+function createStorageAdapter(config) {
+    switch (config.backend || 'json') {
+        case 'json':
+            return new JsonStorageAdapter(config);
+        case 'sqlite':
+            return new SqliteStorageAdapter(config);
+        default:
+            throw new Error(`Unknown storage backend "${config.backend}". Use "json" or "sqlite".`);
+    }
+}
+
+module.exports = { createStorageAdapter, JsonStorageAdapter, SqliteStorageAdapter };
@@ -0,0 +1,280 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../../utils/logger');
+
+const PLAYER_LINKS_SCHEMA_VERSION = 2;
+
+// Each migration upgrades player_links.json from the version it is keyed by to the next one
+const PLAYER_LINKS_MIGRATIONS = {
+    // v1: a bare { discordId: link } object with no version field
+    1: data => ({ schemaVersion: 2, links: data })
+};
+
+/**
+ * The original storage: player links in an in-memory Map saved to
+ * player_links.json, and one JSON file per document.
+ */
+class JsonStorageAdapter {
+    constructor(config) {
+        this.dataDir = config.dataDir;
+        this.backupDir = path.join(this.dataDir, 'backups');
+        this.backupIntervalMs = config.backupInterval || 60 * 60 * 1000;
+        this.maxBackups = config.maxBackups || 10;
+        this.lastBackupTime = 0;
+        this.playerLinks = new Map();
+        this.writeQueues = new Map();
+        this.tempCounter = 0;
+
+        this.paths = {
+            playerLinks: path.join(this.dataDir, 'player_links.json'),
+            vipNotifications: path.join(this.dataDir, 'vip_notifications.json'),
+            contest: path.join(this.dataDir, 'contest_data.json'),
+            leaderboard: path.join(this.dataDir, 'leaderboard_settings.json'),
+            vipAudit: path.join(this.dataDir, 'vip_audit.json'),
+            stats: path.join(this.dataDir, 'player_stats.json'),
+            seeding: path.join(this.dataDir, 'seeding.json'),
+            panels: path.join(this.dataDir, 'vip_panels.json'),
+            redemptionCodes: path.join(this.dataDir, 'vip_codes.json'),
+            guildSettings: path.join(this.dataDir, 'guild_settings.json')
+        };
+    }
+
+    get name() {
+        return 'json';
+    }
+
+    get documentNames() {
+        return Object.keys(this.paths).filter(name => name !== 'playerLinks');
+    }
+
+    async initialize() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        await fs.mkdir(this.backupDir, { recursive: true });
+        await this.loadPlayerLinks();
+    }
+
+    /**
+     * Loads player_links.json, migrating older schema versions. A file that
+     * cannot be parsed stops startup instead of being replaced with an empty
+     * store, so the next save cannot overwrite the only copy of the links.
+     */
+    async loadPlayerLinks() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.paths.playerLinks, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.playerLinks = new Map();
+                return;
+            }
+            throw error;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`${this.paths.playerLinks} is corrupt (${error.message}). Restore it from ${this.backupDir} or fix it by hand before starting the bot.`);
+        }
+
+        if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+            throw new Error(`${this.paths.playerLinks} has an invalid format: expected an object. Restore it from ${this.backupDir} before starting the bot.`);
+        }
+
+        const document = await this.migratePlayerLinks(parsed);
+
+        if (typeof document.links !== 'object' || document.links === null) {
+            throw new Error(`${this.paths.playerLinks} is missing its "links" object. Restore it from ${this.backupDir} before starting the bot.`);
+        }
+
+        this.playerLinks = new Map(Object.entries(document.links));
+    }
+
+    async migratePlayerLinks(parsed) {
+        let document = parsed;
+        let version = typeof document.schemaVersion === 'number' ? document.schemaVersion : 1;
+
+        if (version > PLAYER_LINKS_SCHEMA_VERSION) {
+            throw new Error(`${this.paths.playerLinks} uses schema version ${version}, but this bot only supports up to ${PLAYER_LINKS_SCHEMA_VERSION}. Update the bot before starting it.`);
+        }
+
+        if (version === PLAYER_LINKS_SCHEMA_VERSION) {
+            return document;
+        }
+
+        await this.backupFile(this.paths.playerLinks, `pre-migration-v${version}`);
+
+        while (version < PLAYER_LINKS_SCHEMA_VERSION) {
+            const migrate = PLAYER_LINKS_MIGRATIONS[version];
+            if (!migrate) {
+                throw new Error(`No migration available for player_links.json schema version ${version}`);
+            }
+            document = migrate(document);
+            Logger.info(`📦 Migrated player_links.json from schema v${version} to v${document.schemaVersion}`);
+            version = document.schemaVersion;
+        }
+
+        await this.writeFileAtomic(this.paths.playerLinks, JSON.stringify(document, null, 2));
+        return document;
+    }
+
+    /**
+     * Runs `task` after every write already queued for `filePath` has settled,
+     * so overlapping saves of one file land one at a time and in call order.
+     */
+    serializeWrite(filePath, task) {
+        const previous = this.writeQueues.get(filePath) || Promise.resolve();
+        const next = previous.then(task, task);
+        const settled = next.catch(() => {});
+        this.writeQueues.set(filePath, settled);
+        settled.then(() => {
+            if (this.writeQueues.get(filePath) === settled) {
+                this.writeQueues.delete(filePath);
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Writes through a temp file and a rename so a crash mid-write leaves
+     * either the old file or the new one, never a truncated mix.
+     */
+    writeFileAtomic(filePath, content) {
+        return this.serializeWrite(filePath, () => this.writeFileNow(filePath, content));
+    }
+
+    async writeFileNow(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.${++this.tempCounter}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        try {
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Copies a data file into the backups folder and prunes old copies,
+     * keeping the newest `maxBackups` per file.
+     */
+    async backupFile(filePath, label = null) {
+        const baseName = path.basename(filePath, '.json');
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupName = `${baseName}-${stamp}${label ? `-${label}` : ''}.json`;
+
+        try {
+            await fs.copyFile(filePath, path.join(this.backupDir, backupName));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const backups = (await fs.readdir(this.backupDir))
+            .filter(name => name.startsWith(`${baseName}-`) && name.endsWith('.json'))
+            .sort();
+
+        for (const oldBackup of backups.slice(0, Math.max(0, backups.length - this.maxBackups))) {
+            await fs.unlink(path.join(this.backupDir, oldBackup)).catch(() => {});
+        }
+    }
+
+    async getLink(discordId) {
+        return this.playerLinks.get(discordId) || null;
+    }
+
+    async getLinkBySteamId(steamId) {
+        for (const [discordId, playerData] of this.playerLinks) {
+            if (playerData.steamId === steamId) {
+                return { ...playerData, discordId };
+            }
+        }
+        return null;
+    }
+
+    async getAllLinks() {
+        return Array.from(this.playerLinks.entries()).map(([discordId, data]) => ({
+            discordId,
+            ...data
+        }));
+    }
+
+    async saveLink(discordId, linkData) {
+        this.playerLinks.set(discordId, linkData);
+        await this.savePlayerLinks();
+    }
+
+    async deleteLink(discordId) {
+        const deleted = this.playerLinks.delete(discordId);
+        if (deleted) {
+            await this.savePlayerLinks();
+        }
+        return deleted;
+    }
+
+    async countLinks() {
+        return this.playerLinks.size;
+    }
+
+    /**
+     * The backup and the snapshot of the Map both run inside the file's write
+     * queue, so a save that started later can never be overwritten by an
+     * older snapshot.
+     */
+    async savePlayerLinks() {
+        try {
+            await this.serializeWrite(this.paths.playerLinks, async () => {
+                if (Date.now() - this.lastBackupTime >= this.backupIntervalMs) {
+                    await this.backupFile(this.paths.playerLinks);
+                    this.lastBackupTime = Date.now();
+                }
+
+                const document = {
+                    schemaVersion: PLAYER_LINKS_SCHEMA_VERSION,
+                    updatedAt: new Date().toISOString(),
+                    links: Object.fromEntries(this.playerLinks)
+                };
+                await this.writeFileNow(this.paths.playerLinks, JSON.stringify(document, null, 2));
+            });
+        } catch (error) {
+            Logger.error('Error saving player links:', error);
+            throw error;
+        }
+    }
+
+    async loadDocument(name) {
+        if (!this.paths[name]) {
+            throw new Error(`Unknown document: ${name}`);
+        }
+
+        try {
+            const data = await fs.readFile(this.paths[name], 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async saveDocument(name, data) {
+        if (!this.paths[name]) {
+            throw new Error(`Unknown document: ${name}`);
+        }
+
+        await this.writeFileAtomic(this.paths[name], JSON.stringify(data, null, 2));
+    }
+
+    async close() {
+        await this.savePlayerLinks();
+    }
+}
+
+module.exports = JsonStorageAdapter;
@@ -0,0 +1,371 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../../utils/logger');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS player_links (
+        discord_id TEXT PRIMARY KEY,
+        steam_id TEXT NOT NULL,
+        t17_username TEXT,
+        display_name TEXT,
+        platform TEXT,
+        last_seen TEXT,
+        linked_at TEXT,
+        data TEXT NOT NULL
+    );
+    -- Not unique: the JSON store accepts two Discord users on one player ID, and so does this one
+    DROP INDEX IF EXISTS idx_player_links_steam_id;
+    CREATE INDEX IF NOT EXISTS idx_player_links_by_steam_id ON player_links (steam_id);
+
+    CREATE TABLE IF NOT EXISTS contests (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        active INTEGER NOT NULL DEFAULT 0,
+        is_current INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        submissions TEXT NOT NULL DEFAULT '{}',
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_contests_current ON contests (is_current);
+
+    CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+        bucket_start INTEGER NOT NULL,
+        steam_id TEXT NOT NULL,
+        kills INTEGER NOT NULL DEFAULT 0,
+        deaths INTEGER NOT NULL DEFAULT 0,
+        score INTEGER NOT NULL DEFAULT 0,
+        playtime INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (bucket_start, steam_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_steam_id ON leaderboard_snapshots (steam_id);
+
+    CREATE TABLE IF NOT EXISTS notification_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notification_key TEXT NOT NULL,
+        player_id TEXT,
+        days_remaining INTEGER,
+        sent_date TEXT NOT NULL,
+        sent_at TEXT NOT NULL,
+        UNIQUE (notification_key, sent_date)
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_history_player_id ON notification_history (player_id);
+
+    CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+`;
+
+const TABLES = ['player_links', 'contests', 'leaderboard_snapshots', 'notification_history', 'documents'];
+
+/**
+ * Embedded SQLite storage (better-sqlite3). Player links are indexed by
+ * Discord ID and player ID; contests, leaderboard snapshots and notification
+ * history get their own tables and every other document is stored as JSON.
+ */
+class SqliteStorageAdapter {
+    constructor(config) {
+        this.filename = config.sqliteFilename || path.join(config.dataDir, 'hll_bot.sqlite');
+        this.db = null;
+    }
+
+    get name() {
+        return 'sqlite';
+    }
+
+    async initialize() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('STORAGE_BACKEND=sqlite requires the "better-sqlite3" package. Run `npm install better-sqlite3` or switch back to STORAGE_BACKEND=json.');
+        }
+
+        await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            getLink: this.db.prepare('SELECT data FROM player_links WHERE discord_id = ?'),
+            // rowid order is the order links were first saved, matching the JSON store's Map
+            getLinkBySteamId: this.db.prepare('SELECT discord_id, data FROM player_links WHERE steam_id = ? ORDER BY rowid LIMIT 1'),
+            getAllLinks: this.db.prepare('SELECT discord_id, data FROM player_links ORDER BY rowid'),
+            countLinks: this.db.prepare('SELECT COUNT(*) AS count FROM player_links'),
+            upsertLink: this.db.prepare(`
+                INSERT INTO player_links (discord_id, steam_id, t17_username, display_name, platform, last_seen, linked_at, data)
+                VALUES (@discordId, @steamId, @t17Username, @displayName, @platform, @lastSeen, @linkedAt, @data)
+                ON CONFLICT(discord_id) DO UPDATE SET
+                    steam_id = excluded.steam_id,
+                    t17_username = excluded.t17_username,
+                    display_name = excluded.display_name,
+                    platform = excluded.platform,
+                    last_seen = excluded.last_seen,
+                    linked_at = excluded.linked_at,
+                    data = excluded.data
+            `),
+            deleteLink: this.db.prepare('DELETE FROM player_links WHERE discord_id = ?'),
+            getDocument: this.db.prepare('SELECT data FROM documents WHERE name = ?'),
+            upsertDocument: this.db.prepare(`
+                INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `)
+        };
+
+        Logger.info(`🗄️ SQLite storage opened at ${this.filename}`);
+    }
+
+    /**
+     * Fails clearly instead of with a null dereference when something writes
+     * after close(), e.g. a save that was still queued at shutdown.
+     */
+    requireOpen() {
+        if (!this.db) {
+            throw new Error(`SQLite storage ${this.filename} is closed`);
+        }
+    }
+
+    async getLink(discordId) {
+        this.requireOpen();
+        const row = this.statements.getLink.get(discordId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async getLinkBySteamId(steamId) {
+        this.requireOpen();
+        const row = this.statements.getLinkBySteamId.get(steamId);
+        return row ? { ...JSON.parse(row.data), discordId: row.discord_id } : null;
+    }
+
+    async getAllLinks() {
+        this.requireOpen();
+        return this.statements.getAllLinks.all().map(row => ({
+            discordId: row.discord_id,
+            ...JSON.parse(row.data)
+        }));
+    }
+
+    async saveLink(discordId, linkData) {
+        this.writeLink(discordId, linkData);
+    }
+
+    writeLink(discordId, linkData) {
+        this.requireOpen();
+        this.statements.upsertLink.run({
+            discordId,
+            steamId: linkData.steamId,
+            t17Username: linkData.t17Username || null,
+            displayName: linkData.displayName || null,
+            platform: linkData.platform || null,
+            lastSeen: linkData.lastSeen ? String(linkData.lastSeen) : null,
+            linkedAt: linkData.linkedAt || new Date().toISOString(),
+            data: JSON.stringify(linkData)
+        });
+    }
+
+    async deleteLink(discordId) {
+        this.requireOpen();
+        return this.statements.deleteLink.run(discordId).changes > 0;
+    }
+
+    async countLinks() {
+        this.requireOpen();
+        return this.statements.countLinks.get().count;
+    }
+
+    async loadDocument(name) {
+        this.requireOpen();
+        switch (name) {
+            case 'contest':
+                return this.loadContest();
+            case 'stats':
+                return this.loadStats();
+            case 'vipNotifications':
+                return this.loadNotifications();
+            default:
+                return this.loadGenericDocument(name);
+        }
+    }
+
+    async saveDocument(name, data) {
+        this.writeDocument(name, data);
+    }
+
+    writeDocument(name, data) {
+        this.requireOpen();
+        switch (name) {
+            case 'contest':
+                return this.saveContest(data);
+            case 'stats':
+                return this.saveStats(data);
+            case 'vipNotifications':
+                return this.saveNotifications(data);
+            default:
+                return this.saveGenericDocument(name, data);
+        }
+    }
+
+    loadGenericDocument(name) {
+        const row = this.statements.getDocument.get(name);
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    saveGenericDocument(name, data) {
+        this.statements.upsertDocument.run(name, JSON.stringify(data), new Date().toISOString());
+    }
+
+    // Contests: every contest is kept as a row; the document is the current one
+    loadContest() {
+        const row = this.db.prepare('SELECT data, submissions FROM contests WHERE is_current = 1').get();
+        const extra = this.loadGenericDocument('contest') || {};
+        if (!row) {
+            return Object.keys(extra).length > 0 ? { ...extra, currentContest: null, submissions: {} } : undefined;
+        }
+        return { ...extra, currentContest: JSON.parse(row.data), submissions: JSON.parse(row.submissions) };
+    }
+
+    saveContest(data) {
+        const { currentContest, submissions, ...extra } = data;
+        const now = new Date().toISOString();
+
+        this.db.transaction(() => {
+            this.db.prepare('UPDATE contests SET is_current = 0 WHERE is_current = 1').run();
+
+            if (currentContest) {
+                this.db.prepare(`
+                    INSERT INTO contests (id, title, active, is_current, data, submissions, updated_at)
+                    VALUES (?, ?, ?, 1, ?, ?, ?)
+                    ON CONFLICT(id) DO UPDATE SET
+                        title = excluded.title,
+                        active = excluded.active,
+                        is_current = 1,
+                        data = excluded.data,
+                        submissions = excluded.submissions,
+                        updated_at = excluded.updated_at
+                `).run(
+                    currentContest.id,
+                    currentContest.title || null,
+                    currentContest.active ? 1 : 0,
+                    JSON.stringify(currentContest),
+                    JSON.stringify(submissions || {}),
+                    now
+                );
+            }
+
+            this.saveGenericDocument('contest', extra);
+        })();
+    }
+
+    // Leaderboard snapshots: one row per player per stats bucket
+    loadStats() {
+        const meta = this.loadGenericDocument('stats');
+        const rows = this.db.prepare('SELECT * FROM leaderboard_snapshots').all();
+        if (!meta && rows.length === 0) return undefined;
+
+        const buckets = {};
+        for (const row of rows) {
+            const bucket = buckets[row.bucket_start] || (buckets[row.bucket_start] = {});
+            bucket[row.steam_id] = { kills: row.kills, deaths: row.deaths, score: row.score, playtime: row.playtime };
+        }
+
+        return { ...(meta || {}), buckets };
+    }
+
+    saveStats(data) {
+        const { buckets = {}, ...meta } = data;
+        const upsert = this.db.prepare(`
+            INSERT INTO leaderboard_snapshots (bucket_start, steam_id, kills, deaths, score, playtime)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(bucket_start, steam_id) DO UPDATE SET
+                kills = excluded.kills,
+                deaths = excluded.deaths,
+                score = excluded.score,
+                playtime = excluded.playtime
+        `);
+        const bucketKeys = Object.keys(buckets).map(Number);
+
+        this.db.transaction(() => {
+            if (bucketKeys.length > 0) {
+                this.db.prepare('DELETE FROM leaderboard_snapshots WHERE bucket_start < ?').run(Math.min(...bucketKeys));
+            } else {
+                this.db.prepare('DELETE FROM leaderboard_snapshots').run();
+            }
+
+            for (const [bucketStart, players] of Object.entries(buckets)) {
+                for (const [steamId, stats] of Object.entries(players)) {
+                    upsert.run(Number(bucketStart), steamId, stats.kills || 0, stats.deaths || 0, stats.score || 0, stats.playtime || 0);
+                }
+            }
+
+            this.saveGenericDocument('stats', meta);
+        })();
+    }
+
+    // Notification history: every DM sent is kept; today's rows rebuild the sentToday dedupe map
+    loadNotifications() {
+        const settings = this.loadGenericDocument('vipNotifications');
+        const rows = this.db.prepare('SELECT notification_key FROM notification_history WHERE sent_date = ?').all(new Date().toDateString());
+        if (!settings && rows.length === 0) return undefined;
+
+        const sentToday = {};
+        for (const row of rows) {
+            sentToday[row.notification_key] = true;
+        }
+
+        return { ...(settings || {}), sentToday };
+    }
+
+    saveNotifications(data) {
+        const { sentToday = {}, ...settings } = data;
+        const insert = this.db.prepare(`
+            INSERT OR IGNORE INTO notification_history (notification_key, player_id, days_remaining, sent_date, sent_at)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        const now = new Date();
+
+        this.db.transaction(() => {
+            for (const key of Object.keys(sentToday).filter(key => sentToday[key])) {
+                const separator = key.lastIndexOf('_');
+                insert.run(key, key.slice(0, separator), parseInt(key.slice(separator + 1)) || null, now.toDateString(), now.toISOString());
+            }
+
+            this.saveGenericDocument('vipNotifications', settings);
+        })();
+    }
+
+    /**
+     * Writes links and documents in one transaction, for the JSON migration.
+     * With `replace`, every table is emptied first so nothing from an earlier
+     * import survives; a failure leaves the database as it was.
+     */
+    async importData({ links = [], documents = {} }, { replace = false } = {}) {
+        this.requireOpen();
+        this.db.transaction(() => {
+            if (replace) {
+                for (const table of TABLES) {
+                    this.db.prepare(`DELETE FROM ${table}`).run();
+                }
+            }
+
+            for (const { discordId, ...linkData } of links) {
+                this.writeLink(discordId, linkData);
+            }
+
+            for (const [name, data] of Object.entries(documents)) {
+                this.writeDocument(name, data);
+            }
+        })();
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteStorageAdapter;
@@ -0,0 +1,454 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const Logger = require('../utils/logger');
+const { Validators, ValidationError } = require('../utils/validators');
+const { COLORS } = require('../config/constants');
+
+const ACTION_LABELS = {
+    grant: 'Grant',
+    extend: 'Extend',
+    revoke: 'Revoke'
+};
+
+/**
+ * Emits 'vipChanged' ({ playerId, discordId, action }) after a VIP write
+ * succeeds on at least one server.
+ */
+class VIPManagementService extends EventEmitter {
+    constructor(database, crcon, guildSettings = null) {
+        super();
+        this.database = database;
+        this.crcon = crcon;
+        this.guildSettings = guildSettings;
+        this.pendingActions = new Map();
+        this.confirmTtlMs = 5 * 60 * 1000;
+        this.listPageSize = 15;
+    }
+
+    /**
+     * Resolves the `user` / `player_id` options to a player. Discord users are
+     * looked up through the link database.
+     */
+    async resolveTarget(interaction) {
+        const user = interaction.options.getUser('user');
+        const rawPlayerId = interaction.options.getString('player_id');
+
+        if (user) {
+            const linkedData = await this.database.getPlayerByDiscordId(user.id);
+            if (!linkedData) {
+                throw new ValidationError(`${user.tag} hasn't linked their Hell Let Loose account. Use \`player_id\` instead.`, 'user');
+            }
+            return { playerId: linkedData.steamId, playerName: linkedData.t17Username, discordId: user.id };
+        }
+
+        if (rawPlayerId) {
+            const playerId = Validators.validatePlayerId(rawPlayerId);
+            const linkedData = await this.database.getPlayerBySteamId(playerId);
+            return {
+                playerId,
+                playerName: linkedData?.t17Username || null,
+                discordId: linkedData?.discordId || null
+            };
+        }
+
+        throw new ValidationError('Provide either a `user` or a `player_id`.');
+    }
+
+    async handleGrant(interaction) {
+        try {
+            const target = await this.resolveTarget(interaction);
+            const duration = interaction.options.getString('duration');
+            const expires = interaction.options.getString('expires');
+
+            if (duration && expires) {
+                throw new ValidationError('Use either `duration` or `expires`, not both.');
+            }
+
+            let expiration = null;
+            if (duration) {
+                expiration = new Date(Date.now() + Validators.validateDuration(duration));
+            } else if (expires) {
+                expiration = Validators.validateExpiryDate(expires);
+            }
+
+            await this.requestConfirmation(interaction, {
+                action: 'grant',
+                target,
+                expiration,
+                description: interaction.options.getString('description'),
+                serverId: this.getServerId(interaction)
+            });
+
+        } catch (error) {
+            await this.replyWithError(interaction, error);
+        }
+    }
+
+    async handleExtend(interaction) {
+        try {
+            const target = await this.resolveTarget(interaction);
+            const durationMs = Validators.validateDuration(interaction.options.getString('duration'));
+
+            await this.requestConfirmation(interaction, {
+                action: 'extend',
+                target,
+                durationMs,
+                description: interaction.options.getString('description'),
+                serverId: this.getServerId(interaction)
+            });
+
+        } catch (error) {
+            await this.replyWithError(interaction, error);
+        }
+    }
+
+    async handleRevoke(interaction) {
+        try {
+            const target = await this.resolveTarget(interaction);
+
+            await this.requestConfirmation(interaction, {
+                action: 'revoke',
+                target,
+                serverId: this.getServerId(interaction)
+            });
+
+        } catch (error) {
+            await this.replyWithError(interaction, error);
+        }
+    }
+
+    /**
+     * The `server` option, else the CRCON server set for this Discord server.
+     */
+    getServerId(interaction) {
+        return this.guildSettings ? this.guildSettings.getServerId(interaction) : interaction.options.getString('server') || 'all';
+    }
+
+    async replyWithError(interaction, error) {
+        if (!(error instanceof ValidationError)) {
+            Logger.error('Error in VIP admin command:', error);
+        }
+
+        const content = error instanceof ValidationError
+            ? `❌ ${error.message}`
+            : '❌ Failed to prepare the VIP change. The server might be temporarily unavailable.';
+
+        if (interaction.deferred || interaction.replied) {
+            await interaction.editReply({ content, embeds: [], components: [] });
+        } else {
+            await interaction.reply({ content, ephemeral: true });
+        }
+    }
+
+    async requestConfirmation(interaction, action) {
+        await interaction.deferReply({ ephemeral: true });
+
+        this.cleanupPending();
+
+        const current = await this.crcon.getVipEntries(action.target.playerId, action.serverId);
+        const token = crypto.randomBytes(6).toString('hex');
+
+        this.pendingActions.set(token, {
+            ...action,
+            actorId: interaction.user.id,
+            actorTag: interaction.user.tag,
+            guildId: interaction.guildId,
+            createdAt: Date.now()
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor(action.action === 'revoke' ? COLORS.WARNING : COLORS.INFO)
+            .setTitle(`🎖️ Confirm VIP ${ACTION_LABELS[action.action]}`)
+            .addFields(
+                { name: '🎮 Player', value: this.describeTarget(action.target), inline: false },
+                { name: '🖥️ Server', value: action.serverId === 'all' ? 'All servers' : action.serverId, inline: true }
+            );
+
+        if (action.action === 'grant') {
+            embed.addFields({ name: '⏰ New Expiry', value: this.formatExpiration(action.expiration ? action.expiration.toISOString() : null), inline: true });
+        } else if (action.action === 'extend') {
+            embed.addFields({ name: '➕ Extend By', value: this.formatDuration(action.durationMs), inline: true });
+        }
+
+        if (action.description) {
+            embed.addFields({ name: '📝 Description', value: action.description, inline: false });
+        }
+
+        const currentLines = current.map(({ serverId, entry, error }) => {
+            if (error) return `• ${serverId}: ⚠️ ${error}`;
+            const before = entry ? (entry.expiration && entry.expiration !== 'None' ? entry.expiration : null) : undefined;
+            let line = `• ${serverId}: ${this.formatExpiration(before)}`;
+            if (action.action === 'extend') {
+                const after = this.computeExtendedExpiration(entry, action.durationMs);
+                line += after === undefined ? ' (permanent, unchanged)' : ` → ${this.formatExpiration(after.toISOString())}`;
+            }
+            return line;
+        });
+
+        embed.addFields({ name: '📋 Current VIP', value: currentLines.join('\n') || 'No servers targeted', inline: false });
+        embed.setFooter({ text: 'This confirmation expires in 5 minutes' });
+
+        const row = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`vipadmin_confirm_${token}`)
+                    .setLabel(`✅ Confirm ${ACTION_LABELS[action.action]}`)
+                    .setStyle(action.action === 'revoke' ? ButtonStyle.Danger : ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId(`vipadmin_cancel_${token}`)
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        await interaction.editReply({ embeds: [embed], components: [row] });
+    }
+
+    async handleButton(interaction) {
+        const [, decision, token] = interaction.customId.split('_');
+        const pending = this.pendingActions.get(token);
+
+        if (!pending || Date.now() - pending.createdAt > this.confirmTtlMs) {
+            this.pendingActions.delete(token);
+            return await interaction.update({
+                content: '❌ This confirmation has expired. Run the command again.',
+                embeds: [],
+                components: []
+            });
+        }
+
+        if (pending.actorId !== interaction.user.id) {
+            return await interaction.reply({
+                content: '❌ Only the admin who started this action can confirm it.',
+                ephemeral: true
+            });
+        }
+
+        this.pendingActions.delete(token);
+
+        if (decision === 'cancel') {
+            return await interaction.update({ content: '🚫 VIP change cancelled.', embeds: [], components: [] });
+        }
+
+        await interaction.deferUpdate();
+
+        try {
+            const results = await this.applyAction(pending);
+            await interaction.editReply({ content: null, embeds: [this.buildResultEmbed(pending, results)], components: [] });
+        } catch (error) {
+            Logger.error('Error applying VIP change:', error);
+            await interaction.editReply({
+                content: '❌ Failed to apply the VIP change. The server might be temporarily unavailable.',
+                embeds: [],
+                components: []
+            });
+        }
+    }
+
+    /**
+     * Executes a grant/extend/revoke against CRCON and records it in the audit trail.
+     */
+    async applyAction(action) {
+        const { playerId } = action.target;
+        let results;
+
+        switch (action.action) {
+            case 'grant':
+                results = await this.crcon.writeVip(playerId, action.description, () => action.expiration, action.serverId);
+                break;
+            case 'extend':
+                results = await this.crcon.writeVip(
+                    playerId,
+                    action.description,
+                    entry => this.computeExtendedExpiration(entry, action.durationMs),
+                    action.serverId
+                );
+                break;
+            case 'revoke': {
+                const current = await this.crcon.getVipEntries(playerId, action.serverId);
+                const removed = await this.crcon.removeVip(playerId, action.serverId);
+                results = removed.map(result => {
+                    const entry = current.find(c => c.serverId === result.serverId)?.entry;
+                    const before = entry ? (entry.expiration && entry.expiration !== 'None' ? entry.expiration : null) : undefined;
+                    return { ...result, before, after: result.success ? undefined : before };
+                });
+                break;
+            }
+            default:
+                throw new Error(`Unknown VIP action: ${action.action}`);
+        }
+
+        await this.database.appendVipAudit({
+            action: action.action,
+            actorId: action.actorId,
+            actorTag: action.actorTag,
+            reason: action.reason || 'vipadmin',
+            playerId,
+            playerName: action.target.playerName,
+            discordId: action.target.discordId,
+            guildId: action.guildId || null,
+            serverId: action.serverId,
+            description: action.description || null,
+            durationMs: action.durationMs || null,
+            results: results.map(result => ({
+                serverId: result.serverId,
+                success: result.success,
+                skipped: result.skipped || false,
+                before: this.formatAuditExpiration(result.before),
+                after: this.formatAuditExpiration(result.after),
+                error: result.error || null
+            }))
+        });
+
+        const failed = results.filter(result => !result.success);
+        Logger.info(`VIP ${action.action} for ${playerId} by ${action.actorTag || action.actorId}: ${results.length - failed.length}/${results.length} servers updated`);
+
+        if (failed.length < results.length) {
+            this.emit('vipChanged', { playerId, discordId: action.target.discordId || null, action: action.action });
+        }
+
+        return results;
+    }
+
+    /**
+     * Extends a player's VIP without an interactive confirmation. Used by
+     * automated rewards; the caller supplies the actor and reason for the audit trail.
+     */
+    async extendVip({ playerId, playerName = null, discordId = null, durationMs, description = null, serverId = 'all', actorId, actorTag = null, guildId = null, reason }) {
+        return this.applyAction({
+            action: 'extend',
+            target: { playerId, playerName, discordId },
+            durationMs,
+            description,
+            serverId,
+            actorId,
+            actorTag,
+            guildId,
+            reason
+        });
+    }
+
+    computeExtendedExpiration(entry, durationMs) {
+        if (entry && (!entry.expiration || entry.expiration === 'None')) {
+            return undefined;
+        }
+
+        const now = Date.now();
+        const currentExpiry = entry ? new Date(entry.expiration).getTime() : 0;
+        const base = currentExpiry > now ? currentExpiry : now;
+        return new Date(base + durationMs);
+    }
+
+    async handleList(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const serverId = this.getServerId(interaction);
+            const page = Math.max(1, interaction.options.getInteger('page') || 1);
+
+            let vipIds;
+            if (serverId === 'all') {
+                vipIds = await this.crcon.getVipIds();
+            } else {
+                const server = this.crcon.getServer(serverId);
+                vipIds = server ? await server.makeRequest('/api/get_vip_ids') : null;
+            }
+
+            if (!Array.isArray(vipIds)) {
+                return await interaction.editReply({ content: '❌ Failed to load the VIP list from CRCON.' });
+            }
+
+            const sorted = vipIds
+                .filter(vip => vip && (vip.player_id || vip.steam_id_64))
+                .sort((a, b) => this.expirationSortValue(a.expiration) - this.expirationSortValue(b.expiration));
+
+            const totalPages = Math.max(1, Math.ceil(sorted.length / this.listPageSize));
+            const currentPage = Math.min(page, totalPages);
+            const pageEntries = sorted.slice((currentPage - 1) * this.listPageSize, currentPage * this.listPageSize);
+
+            const lines = [];
+            for (const vip of pageEntries) {
+                const playerId = vip.player_id || vip.steam_id_64;
+                const linked = await this.database.getPlayerBySteamId(playerId);
+                const expiration = vip.expiration && vip.expiration !== 'None' ? vip.expiration : null;
+                const expired = expiration && new Date(expiration) < new Date();
+                lines.push(`${expired ? '🔴' : '🟢'} **${vip.name || linked?.t17Username || 'Unknown'}** \`${playerId}\`${linked ? ` <@${linked.discordId}>` : ''}\n  ⏰ ${this.formatExpiration(expiration)}`);
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor(COLORS.VIP_ACTIVE)
+                .setTitle(`🎖️ VIP List${serverId === 'all' ? '' : ` - ${serverId}`}`)
+                .setDescription(lines.join('\n') || 'No VIP entries found.')
+                .setFooter({ text: `Page ${currentPage}/${totalPages} • ${sorted.length} VIP entries` });
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            Logger.error('Error listing VIPs:', error);
+            await interaction.editReply({
+                content: '❌ Failed to load the VIP list. The server might be temporarily unavailable.'
+            });
+        }
+    }
+
+    buildResultEmbed(action, results) {
+        const allSucceeded = results.every(result => result.success);
+        const lines = results.map(result => {
+            if (!result.success) return `❌ ${result.serverName}: ${result.error}`;
+            if (result.skipped) return `➖ ${result.serverName}: permanent VIP, unchanged`;
+            return `✅ ${result.serverName}: ${this.formatExpiration(result.before)} → ${this.formatExpiration(result.after)}`;
+        });
+
+        return new EmbedBuilder()
+            .setColor(allSucceeded ? COLORS.SUCCESS : COLORS.WARNING)
+            .setTitle(`🎖️ VIP ${ACTION_LABELS[action.action]} ${allSucceeded ? 'Complete' : 'Partially Failed'}`)
+            .addFields(
+                { name: '🎮 Player', value: this.describeTarget(action.target), inline: false },
+                { name: '📋 Results', value: lines.join('\n') || 'No servers targeted', inline: false }
+            )
+            .setFooter({ text: `Performed by ${action.actorTag || action.actorId}` })
+            .setTimestamp();
+    }
+
+    describeTarget(target) {
+        const parts = [target.playerName ? `**${target.playerName}**` : null, `\`${target.playerId}\``];
+        if (target.discordId) parts.push(`<@${target.discordId}>`);
+        return parts.filter(Boolean).join(' • ');
+    }
+
+    // undefined = no VIP entry, null = permanent, string = ISO expiration
+    formatExpiration(value) {
+        if (value === undefined) return 'No VIP';
+        if (value === null) return 'Permanent';
+        return new Date(value).toLocaleString();
+    }
+
+    formatAuditExpiration(value) {
+        if (value === undefined) return 'none';
+        if (value === null) return 'permanent';
+        return value;
+    }
+
+    expirationSortValue(expiration) {
+        if (!expiration || expiration === 'None') return Number.MAX_SAFE_INTEGER;
+        return new Date(expiration).getTime();
+    }
+
+    formatDuration(ms) {
+        const days = Math.floor(ms / (24 * 60 * 60 * 1000));
+        const hours = Math.floor((ms % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
+        const minutes = Math.floor((ms % (60 * 60 * 1000)) / (60 * 1000));
+        return [days && `${days}d`, hours && `${hours}h`, minutes && `${minutes}m`].filter(Boolean).join(' ') || '0m';
+    }
+
+    cleanupPending() {
+        const now = Date.now();
+        for (const [token, pending] of this.pendingActions.entries()) {
+            if (now - pending.createdAt > this.confirmTtlMs) {
+                this.pendingActions.delete(token);
+            }
+        }
+    }
+}
+
+module.exports = VIPManagementService;
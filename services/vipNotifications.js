@@ -1,12 +1,14 @@
 const { EmbedBuilder } = require('discord.js');
 const Logger = require('../utils/logger');
+const Metrics = require('../utils/metrics');
 const { COLORS, EMOJIS, MESSAGES } = require('../config/constants');
 
 class VIPNotificationService {
-    constructor(database, crcon, client) {
+    constructor(database, crcon, client, guildSettings = null) {
         this.database = database;
         this.crcon = crcon;
         this.client = client;
+        this.guildSettings = guildSettings;
         this.settings = {
             enabled: true,
             warningDays: [7, 3, 1],
@@ -16,6 +18,29 @@ class VIPNotificationService {
         this.isRunning = false;
     }
 
+    async load() {
+        const data = await this.database.loadData('vipNotifications', null);
+        if (data) {
+            this.settings = {
+                ...this.settings,
+                ...data,
+                sentToday: data.sentToday || {}
+            };
+        }
+        Logger.info(`🔔 VIP notification settings loaded: enabled=${this.settings.enabled}, days=${this.settings.warningDays.join(',')}`);
+    }
+
+    /**
+     * Bot-wide warning days from VIP_WARNING_DAYS or the config file, applied
+     * at startup and again whenever an edit to the config file is reloaded.
+     * A Discord server that set its own with /config set warning_days keeps
+     * those (see getWarningDays).
+     */
+    applyWarningDays(warningDays) {
+        this.settings.warningDays = [...warningDays];
+        Logger.info(`🔔 VIP warning days set from config: ${warningDays.join(',')}`);
+    }
+
     async start() {
         Logger.info('🔔 Starting VIP notification service...');
         this.isRunning = true;
@@ -30,26 +55,16 @@ class VIPNotificationService {
         return { ...this.settings };
     }
 
-    async updateSettings(warningDays, enabled) {
-        try {
-            if (warningDays !== null) {
-                const newWarningDays = [warningDays, Math.max(1, warningDays - 3), 1]
-                    .filter((v, i, a) => a.indexOf(v) === i && v > 0)
-                    .sort((a, b) => b - a);
-                
-                this.settings.warningDays = newWarningDays;
-            }
-
-            if (enabled !== null) {
-                this.settings.enabled = enabled;
-            }
-
-            Logger.info(`VIP notification settings updated: enabled=${this.settings.enabled}, days=${this.settings.warningDays.join(',')}`);
+    /**
+     * Warning days for a linked player: those set with /config in the
+     * Discord server they linked in, else the bot-wide settings.
+     */
+    getWarningDays(linkedPlayer) {
+        return this.guildSettings?.getStored(linkedPlayer.guildId, 'warningDays') || this.settings.warningDays;
+    }
 
-        } catch (error) {
-            Logger.error('Error updating VIP notification settings:', error);
-            throw error;
-        }
+    formatDate(linkedPlayer, date) {
+        return this.guildSettings ? this.guildSettings.formatDate(linkedPlayer.guildId, date) : date.toLocaleDateString();
     }
 
     async checkExpirations() {
@@ -60,7 +75,7 @@ class VIPNotificationService {
         try {
             Logger.info('🔔 Checking VIP expirations...');
             
-            const vipPlayers = await this.crcon.makeRequest('/api/get_vip_ids');
+            const vipPlayers = await this.crcon.getVipIds();
             
             if (!vipPlayers || !Array.isArray(vipPlayers)) {
                 Logger.warn('No VIP players found or invalid response from CRCON');
@@ -93,30 +108,28 @@ class VIPNotificationService {
                         continue;
                     }
 
-                    // Check if we should send a notification
-                    if (this.settings.warningDays.includes(daysUntilExpiry)) {
-                        const notificationKey = `${vip.player_id}_${daysUntilExpiry}`;
-                        
-                        // Skip if already sent today
-                        if (this.settings.sentToday[notificationKey]) {
-                            continue;
-                        }
+                    const notificationKey = `${vip.player_id}_${daysUntilExpiry}`;
 
-                        // Find linked Discord user
-                        const linkedPlayer = await this.database.getPlayerBySteamId(vip.player_id);
-                        
-                        if (linkedPlayer) {
-                            const sent = await this.sendExpirationNotification(
-                                linkedPlayer, 
-                                vip, 
-                                daysUntilExpiry, 
-                                expirationDate
-                            );
-
-                            if (sent) {
-                                this.settings.sentToday[notificationKey] = true;
-                                notificationsSent++;
-                            }
+                    // Skip if already sent today
+                    if (this.settings.sentToday[notificationKey]) {
+                        continue;
+                    }
+
+                    // Find linked Discord user; their server decides the warning days
+                    const linkedPlayer = await this.database.getPlayerBySteamId(vip.player_id);
+
+                    if (linkedPlayer && this.getWarningDays(linkedPlayer).includes(daysUntilExpiry)) {
+                        const sent = await this.sendExpirationNotification(
+                            linkedPlayer, 
+                            vip, 
+                            daysUntilExpiry, 
+                            expirationDate
+                        );
+
+                        if (sent) {
+                            this.settings.sentToday[notificationKey] = true;
+                            notificationsSent++;
+                            await this.save();
                         }
                     }
 
@@ -127,6 +140,7 @@ class VIPNotificationService {
             }
 
             this.settings.lastCheckTime = now.toISOString();
+            await this.save();
 
             if (notificationsSent > 0) {
                 Logger.info(`✅ Sent ${notificationsSent} VIP expiration notifications`);
@@ -156,7 +170,7 @@ class VIPNotificationService {
                 .setDescription(`Your VIP status is expiring ${urgencyText}!`)
                 .addFields(
                     { name: '🎮 Player', value: linkedPlayer.t17Username, inline: true },
-                    { name: '⏰ Expires', value: expirationDate.toLocaleDateString(), inline: true },
+                    { name: '⏰ Expires', value: this.formatDate(linkedPlayer, expirationDate), inline: true },
                     { name: '📅 Days Remaining', value: daysRemaining.toString(), inline: true }
                 );
 
@@ -179,7 +193,7 @@ class VIPNotificationService {
             });
             embed.setTimestamp();
 
-            await user.send({ embeds: [embed] });
+            await Metrics.recordDm('vip_expiry', () => user.send({ embeds: [embed] }));
             
             Logger.info(`VIP expiration notification sent to ${user.tag} (${linkedPlayer.t17Username}) - ${daysRemaining} days remaining`);
             return true;
@@ -190,6 +204,40 @@ class VIPNotificationService {
         }
     }
 
+    async sendSeedingRewardNotification(linkedPlayer, reward) {
+        try {
+            const user = await this.client.users.fetch(linkedPlayer.discordId);
+
+            const embed = new EmbedBuilder()
+                .setColor(COLORS.VIP_ACTIVE)
+                .setTitle('🌱 Thanks for Seeding!')
+                .setDescription(`You helped get the server going, so we've added **${this.formatRewardDuration(reward.durationMs)}** of VIP to your account.`)
+                .addFields(
+                    { name: '🎮 Player', value: linkedPlayer.t17Username, inline: true },
+                    { name: '⏰ VIP Expires', value: reward.expiration ? this.formatDate(linkedPlayer, reward.expiration) : 'Never', inline: true }
+                )
+                .setFooter({ text: 'This is an automated message from the seeding rewards system' })
+                .setTimestamp();
+
+            await Metrics.recordDm('seeding_reward', () => user.send({ embeds: [embed] }));
+
+            Logger.info(`Seeding reward notification sent to ${user.tag} (${linkedPlayer.t17Username})`);
+            return true;
+
+        } catch (error) {
+            Logger.error(`Failed to send seeding reward notification to ${linkedPlayer.discordId}:`, error.message);
+            return false;
+        }
+    }
+
+    formatRewardDuration(ms) {
+        const hours = Math.round(ms / (60 * 60 * 1000));
+        if (hours >= 24 && hours % 24 === 0) {
+            return `${hours / 24} ${hours === 24 ? 'day' : 'days'}`;
+        }
+        return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+    }
+
     getUrgencyColor(daysRemaining) {
         if (daysRemaining <= 1) return 0xFF0000;      // Red
         if (daysRemaining <= 3) return 0xFF8C00;      // Orange
@@ -210,7 +258,7 @@ class VIPNotificationService {
 
     async getNotificationStats() {
         try {
-            const vipPlayers = await this.crcon.makeRequest('/api/get_vip_ids');
+            const vipPlayers = await this.crcon.getVipIds();
             const linkedPlayers = await this.database.getAllPlayers();
             
             if (!vipPlayers || !Array.isArray(vipPlayers)) {
@@ -278,7 +326,7 @@ class VIPNotificationService {
                     text: 'This is a test message - ignore if not requested' 
                 });
 
-            await user.send({ embeds: [embed] });
+            await Metrics.recordDm('test', () => user.send({ embeds: [embed] }));
             Logger.info(`Test notification sent to ${user.tag}`);
             return true;
 
@@ -289,7 +337,7 @@ class VIPNotificationService {
     }
 
     async save() {
-        return true;
+        return this.database.saveData('vipNotifications', this.settings);
     }
 }
 
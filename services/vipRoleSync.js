@@ -0,0 +1,352 @@
+const { EmbedBuilder, GatewayIntentBits } = require('discord.js');
+const Logger = require('../utils/logger');
+const { COLORS } = require('../config/constants');
+
+const UNKNOWN_MEMBER = 10007;
+const REPORT_LIST_SIZE = 15;
+const NOT_CONFIGURED = 'VIP role sync is not set up for this server. Pick a role with `/config set vip_role`, or set VIP_ROLE_ID.';
+const NO_MEMBERS_INTENT = 'A full VIP role sync needs the Server Members intent. Enable it for the bot in the Discord developer portal and set VIP_ROLE_MEMBERS_INTENT=true. Until then members get the role when they link or their VIP changes.';
+
+/**
+ * Keeps a Discord VIP role in line with CRCON. Linked players with an active
+ * VIP entry on any server get the role; everyone else holding it loses it.
+ * Each Discord server can pick its own role with /config set vip_role;
+ * VIP_ROLE_ID covers the server that has that role.
+ * A full sync runs on a schedule, and single members are re-checked when
+ * they link, unlink or have their VIP changed. In dry-run mode nothing is
+ * changed and the sync only reports what it would do.
+ */
+class VipRoleSyncService {
+    constructor(database, crcon, client, vipManagement, config = {}, guildSettings = null) {
+        this.database = database;
+        this.crcon = crcon;
+        this.client = client;
+        this.guildSettings = guildSettings;
+
+        this.roleId = config.roleId || null;
+        this.guildId = config.guildId || null;
+        this.dryRun = Boolean(config.dryRun);
+        this.syncIntervalMinutes = config.syncIntervalMinutes || 30;
+
+        this.syncing = false;
+        this.lastReport = null;
+        this.warnedMembersIntent = false;
+
+        this.database.on('linkCreated', discordId => this.queueMemberSync(discordId));
+        this.database.on('linkDeleted', discordId => this.queueMemberSync(discordId));
+        vipManagement?.on('vipChanged', ({ playerId, discordId }) => this.queueMemberSync(discordId, playerId));
+    }
+
+    get enabled() {
+        return Boolean(this.roleId) || Boolean(this.guildSettings?.guildsWith('vipRoleId').length);
+    }
+
+    queueMemberSync(discordId, playerId = null) {
+        if (!this.enabled) return;
+
+        const run = async () => {
+            if (!discordId && playerId) {
+                discordId = (await this.database.getPlayerBySteamId(playerId))?.discordId;
+            }
+            if (discordId) {
+                await this.syncMember(discordId);
+            }
+        };
+
+        run().catch(error => Logger.error(`VIP role sync for ${discordId || playerId} failed:`, error));
+    }
+
+    isActiveVip(vip, now = new Date()) {
+        if (!vip) return false;
+        if (!vip.expiration || vip.expiration === 'None') return true;
+        return new Date(vip.expiration) > now;
+    }
+
+    /**
+     * The VIP role of one Discord server: its /config vip_role, else
+     * VIP_ROLE_ID (only in VIP_ROLE_GUILD_ID when that is set).
+     */
+    getRoleId(guildId) {
+        const configured = this.guildSettings?.getStored(guildId, 'vipRoleId');
+        if (configured) return configured;
+        if (this.guildId && this.guildId !== guildId) return null;
+        return this.roleId;
+    }
+
+    /**
+     * The VIP role to sync in one server, or null when it has none. VIP_ROLE_ID
+     * is skipped quietly in servers that don't have it; a role a server chose
+     * must exist and be manageable.
+     */
+    async resolveRole(guild) {
+        const roleId = this.getRoleId(guild.id);
+        if (!roleId) return null;
+
+        const chosen = Boolean(this.guildSettings?.getStored(guild.id, 'vipRoleId')) || this.guildId === guild.id;
+        const role = await guild.roles.fetch(roleId).catch(() => null);
+        if (!role) {
+            if (chosen) throw new Error(`VIP role ${roleId} does not exist in ${guild.name || guild.id}`);
+            return null;
+        }
+        if (!role.editable) {
+            throw new Error(`I can't manage the ${role.name} role in ${guild.name || guild.id}. Move my role above it in Server Settings → Roles.`);
+        }
+
+        return role;
+    }
+
+    /**
+     * The { guild, role } pairs to sync: every server the bot is in that has
+     * a VIP role, or just `guildId`. Across every server, one whose role is
+     * broken is logged and skipped so the others still sync.
+     */
+    async resolveTargets(guildId = null) {
+        const guilds = guildId
+            ? [await this.client.guilds.fetch(guildId)]
+            : Array.from(this.client.guilds.cache.values());
+        const targets = [];
+
+        for (const guild of guilds) {
+            let role;
+            try {
+                role = await this.resolveRole(guild);
+            } catch (error) {
+                if (guildId) throw error;
+                Logger.warn(`Skipping VIP role sync in ${guild.name || guild.id}: ${error.message}`);
+                continue;
+            }
+            if (role) targets.push({ guild, role });
+        }
+
+        if (targets.length === 0) {
+            throw new Error(guildId
+                ? 'This server has no VIP role. Set one with `/config set vip_role`.'
+                : `No server I'm in has the VIP role ${this.roleId || 'set up'}`);
+        }
+
+        return targets;
+    }
+
+    /**
+     * Listing every member needs the privileged Server Members intent, which
+     * bot.js only requests with VIP_ROLE_ID or VIP_ROLE_MEMBERS_INTENT.
+     */
+    hasMembersIntent() {
+        return this.client.options?.intents?.has?.(GatewayIntentBits.GuildMembers) !== false;
+    }
+
+    /**
+     * Adds or removes the role on one member. Returns 'add', 'remove' or
+     * 'unchanged'; in dry-run mode the change is only logged.
+     */
+    async applyChange(member, role, shouldHaveRole, dryRun) {
+        const hasRole = member.roles.cache.has(role.id);
+        if (hasRole === shouldHaveRole) return 'unchanged';
+
+        const change = shouldHaveRole ? 'add' : 'remove';
+        if (dryRun) {
+            Logger.info(`[dry run] Would ${change} the VIP role ${shouldHaveRole ? 'to' : 'from'} ${member.user.tag}`);
+            return change;
+        }
+
+        if (shouldHaveRole) {
+            await member.roles.add(role, 'VIP role sync: active VIP');
+        } else {
+            await member.roles.remove(role, 'VIP role sync: VIP expired or account unlinked');
+        }
+        Logger.info(`🎭 VIP role ${shouldHaveRole ? 'added to' : 'removed from'} ${member.user.tag}`);
+        return change;
+    }
+
+    /**
+     * Re-checks one member. Their VIP is read from every server; if it isn't
+     * active anywhere but a server couldn't be reached, the role is left alone.
+     */
+    async syncMember(discordId, dryRun = this.dryRun) {
+        if (!this.enabled) return null;
+
+        const memberships = [];
+        for (const { guild, role } of await this.resolveTargets()) {
+            try {
+                memberships.push({ member: await guild.members.fetch(discordId), role });
+            } catch (error) {
+                if (error.code !== UNKNOWN_MEMBER) throw error;
+            }
+        }
+        if (memberships.length === 0) return null;
+        const { member } = memberships[0];
+
+        let shouldHaveRole = false;
+        const link = await this.database.getPlayerByDiscordId(discordId);
+        if (link) {
+            const entries = await this.crcon.getVipEntries(link.steamId);
+            shouldHaveRole = entries.some(({ entry }) => this.isActiveVip(entry));
+
+            if (!shouldHaveRole && entries.some(({ error }) => error)) {
+                Logger.warn(`Skipping VIP role sync for ${member.user.tag}: could not read VIP from every server`);
+                return null;
+            }
+        }
+
+        // Every server gets the same answer, so one change describes them all
+        let result = 'unchanged';
+        for (const membership of memberships) {
+            const change = await this.applyChange(membership.member, membership.role, shouldHaveRole, dryRun);
+            if (change !== 'unchanged') result = change;
+        }
+        return result;
+    }
+
+    /**
+     * Full sync of every linked VIP and every member holding the role, in
+     * every server with a VIP role or just `guildId`. Nothing is removed
+     * when the VIP list can't be loaded, and nothing runs without the
+     * Server Members intent.
+     */
+    async sync({ dryRun = this.dryRun, guildId = null } = {}) {
+        if (!this.enabled) {
+            return { success: false, error: NOT_CONFIGURED };
+        }
+        if (!this.hasMembersIntent()) {
+            if (!this.warnedMembersIntent) {
+                Logger.warn(`Skipping the full VIP role sync: ${NO_MEMBERS_INTENT}`);
+                this.warnedMembersIntent = true;
+            }
+            return { success: false, error: NO_MEMBERS_INTENT };
+        }
+        if (this.syncing) {
+            return { success: false, error: 'A VIP role sync is already running.' };
+        }
+
+        this.syncing = true;
+        const report = { success: true, dryRun, startedAt: new Date().toISOString(), added: [], removed: [], notInServer: [], failed: [], unchanged: 0 };
+
+        try {
+            const targets = await this.resolveTargets(guildId);
+
+            const vipIds = await this.crcon.getVipIds();
+            if (!vipIds) {
+                throw new Error('Could not load the VIP list from CRCON');
+            }
+
+            const now = new Date();
+            const vipMembers = new Map();
+            for (const vip of vipIds) {
+                if (!this.isActiveVip(vip, now)) continue;
+                const link = await this.database.getPlayerBySteamId(vip.player_id);
+                if (link) {
+                    vipMembers.set(link.discordId, link.t17Username || vip.name || vip.player_id);
+                }
+            }
+
+            const present = new Set();
+            for (const { guild, role } of targets) {
+                const members = await guild.members.fetch();
+
+                for (const member of members.values()) {
+                    present.add(member.id);
+                    const shouldHaveRole = vipMembers.has(member.id);
+                    try {
+                        const change = await this.applyChange(member, role, shouldHaveRole, dryRun);
+                        if (change === 'add') report.added.push({ discordId: member.id, playerName: vipMembers.get(member.id) });
+                        else if (change === 'remove') report.removed.push({ discordId: member.id });
+                        else if (shouldHaveRole) report.unchanged++;
+                    } catch (error) {
+                        Logger.error(`Failed to update the VIP role for ${member.user.tag}:`, error.message);
+                        report.failed.push({ discordId: member.id, error: error.message });
+                    }
+                }
+            }
+
+            for (const [discordId, playerName] of vipMembers) {
+                if (!present.has(discordId)) {
+                    report.notInServer.push({ discordId, playerName });
+                }
+            }
+
+            Logger.info(`🎭 VIP role sync${dryRun ? ' (dry run)' : ''}: ${report.added.length} added, ${report.removed.length} removed, ${report.unchanged} unchanged, ${report.failed.length} failed`);
+
+        } catch (error) {
+            Logger.error('VIP role sync failed:', error);
+            report.success = false;
+            report.error = error.message;
+        } finally {
+            this.syncing = false;
+        }
+
+        this.lastReport = report;
+        return report;
+    }
+
+    buildReportEmbed(report) {
+        const verb = report.dryRun ? 'Would' : '';
+        const mentions = entries => {
+            if (entries.length === 0) return 'None';
+            const shown = entries.slice(0, REPORT_LIST_SIZE).map(entry => `<@${entry.discordId}>${entry.playerName ? ` (${entry.playerName})` : ''}`);
+            if (entries.length > REPORT_LIST_SIZE) shown.push(`...and ${entries.length - REPORT_LIST_SIZE} more`);
+            return shown.join('\n');
+        };
+
+        const embed = new EmbedBuilder()
+            .setColor(report.failed.length > 0 ? COLORS.WARNING : COLORS.SUCCESS)
+            .setTitle(`🎭 VIP Role Sync${report.dryRun ? ' - Dry Run' : ''}`)
+            .addFields(
+                { name: `➕ ${verb ? `${verb} Add` : 'Added'} (${report.added.length})`, value: mentions(report.added), inline: false },
+                { name: `➖ ${verb ? `${verb} Remove` : 'Removed'} (${report.removed.length})`, value: mentions(report.removed), inline: false },
+                { name: '✅ Already Had Role', value: report.unchanged.toString(), inline: true },
+                { name: '👻 Linked VIPs Not in Server', value: report.notInServer.length.toString(), inline: true }
+            )
+            .setTimestamp(new Date(report.startedAt));
+
+        if (report.failed.length > 0) {
+            embed.addFields({ name: `❌ Failed (${report.failed.length})`, value: report.failed.slice(0, REPORT_LIST_SIZE).map(entry => `<@${entry.discordId}>: ${entry.error}`).join('\n'), inline: false });
+        }
+        if (report.dryRun) {
+            embed.setFooter({ text: 'Dry run - no roles were changed' });
+        }
+
+        return embed;
+    }
+
+    async handleSync(interaction) {
+        const dryRun = interaction.options.getBoolean('dry_run') ?? this.dryRun;
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const report = await this.sync({ dryRun, guildId: interaction.guildId });
+        if (!report.success) {
+            return await interaction.editReply({ content: `❌ ${report.error}` });
+        }
+
+        await interaction.editReply({ embeds: [this.buildReportEmbed(report)] });
+    }
+
+    async handleStatus(interaction) {
+        const roleId = this.getRoleId(interaction.guildId);
+        if (!roleId) {
+            return await interaction.reply({ content: `❌ ${NOT_CONFIGURED}`, ephemeral: true });
+        }
+
+        const last = this.lastReport;
+        let lastRun = 'Not run yet';
+        if (last) {
+            lastRun = last.success
+                ? `<t:${Math.floor(new Date(last.startedAt).getTime() / 1000)}:R>${last.dryRun ? ' (dry run)' : ''}: ${last.added.length} added, ${last.removed.length} removed`
+                : `<t:${Math.floor(new Date(last.startedAt).getTime() / 1000)}:R>: ❌ ${last.error}`;
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.INFO)
+            .setTitle('🎭 VIP Role Sync')
+            .addFields(
+                { name: '🏷️ Role', value: `<@&${roleId}>`, inline: true },
+                { name: '⏱️ Schedule', value: `Every ${this.syncIntervalMinutes} minutes`, inline: true },
+                { name: '🧪 Mode', value: this.dryRun ? 'Dry run (report only)' : 'Live', inline: true },
+                { name: '🕒 Last Sync', value: lastRun, inline: false }
+            );
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+}
+
+module.exports = VipRoleSyncService;
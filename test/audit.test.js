@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./support/helpers');
+const { createFakeInteraction } = require('./support/fakeInteraction');
+const { createFakeClient } = require('./support/fakeDiscord');
+const DatabaseService = require('../services/database');
+const AuditService = require('../services/audit');
+
+const PLAYER_ID = '76561198000000001';
+
+describe('AuditService', () => {
+    let dataDir;
+    let database;
+    let client;
+    let channel;
+    let audit;
+
+    const readFile = () => fs.readFileSync(audit.filename, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    beforeEach(async () => {
+        dataDir = createTempDir();
+        database = new DatabaseService({ filename: path.join(dataDir, 'database.json') });
+        await database.initialize();
+
+        client = createFakeClient();
+        channel = client.createChannel('audit-channel');
+        audit = new AuditService(database, client, { channelId: 'audit-channel', filename: path.join(dataDir, 'audit.jsonl') });
+        await audit.load();
+    });
+
+    afterEach(async () => {
+        await database.close();
+        removeTempDir(dataDir);
+    });
+
+    it('records links and unlinks with a before/after view', async () => {
+        await database.createPlayerLink({ discordId: '1001', t17Username: 'OnlineSoldier', steamId: PLAYER_ID, platform: 'steam' });
+        await database.deletePlayerLink('1001', { id: 'admin-1', tag: 'admin#0001' });
+        await audit.flush();
+
+        const [linked, unlinked] = readFile();
+        assert.deepEqual([linked.action, linked.actorId, linked.targetId, linked.playerId], ['link.create', '1001', '1001', PLAYER_ID]);
+        assert.equal(linked.before, null);
+        assert.equal(linked.after.t17Username, 'OnlineSoldier');
+        assert.deepEqual([unlinked.action, unlinked.actorId, unlinked.after], ['link.delete', 'admin-1', null]);
+        assert.equal(unlinked.before.steamId, PLAYER_ID);
+    });
+
+    it('posts each entry to the audit channel', async () => {
+        await database.createPlayerLink({ discordId: '1001', t17Username: 'OnlineSoldier', steamId: PLAYER_ID, platform: 'steam' });
+        await audit.flush();
+
+        const [message] = channel.sent.values();
+        const fields = message.payload.embeds[0].data.fields;
+        assert.equal(message.payload.embeds[0].data.title, '🔗 Account Linked');
+        assert.equal(fields.find(field => field.name === '🎮 Player').value, `OnlineSoldier \`${PLAYER_ID}\``);
+        assert.equal(fields.find(field => field.name === '⬅️ Before').value, 'None');
+    });
+
+    it('posts entries from a Discord server to that server\'s audit channel', async () => {
+        const guildChannel = client.createChannel('guild-audit');
+        audit.setGuildSettings({ get: (guildId, key) => guildId === 'guild-1' && key === 'auditChannelId' ? 'guild-audit' : null });
+
+        await database.createPlayerLink({ discordId: '1001', t17Username: 'OnlineSoldier', steamId: PLAYER_ID, platform: 'steam' });
+        await database.deletePlayerLink('1001', { id: '1001', tag: 'soldier#0001', guildId: 'guild-1' });
+        await audit.flush();
+
+        const [, unlinked] = readFile();
+        assert.deepEqual([unlinked.action, unlinked.guildId], ['link.delete', 'guild-1']);
+        assert.equal(guildChannel.sent.size, 1);
+    });
+
+    it('records VIP changes with per-server expirations', async () => {
+        await database.appendVipAudit({
+            action: 'extend',
+            actorId: 'system',
+            actorTag: 'Seeding rewards',
+            reason: 'seeding',
+            playerId: PLAYER_ID,
+            serverId: 'all',
+            results: [{ serverId: 'main', success: true, before: 'none', after: '2026-11-01T00:00:00.000Z' }]
+        });
+        await audit.flush();
+
+        const [entry] = readFile();
+        assert.equal(entry.action, 'vip.extend');
+        assert.deepEqual([entry.before, entry.after], [{ main: 'none' }, { main: '2026-11-01T00:00:00.000Z' }]);
+        assert.equal(entry.details.reason, 'seeding');
+    });
+
+    it('copies the old VIP audit history into the file once', async () => {
+        await database.saveData('vipAudit', [{ action: 'grant', actorId: 'admin-1', playerId: PLAYER_ID, results: [], timestamp: '2026-01-01T00:00:00.000Z' }]);
+        fs.rmSync(audit.filename);
+
+        await audit.load();
+        await audit.load();
+
+        const entries = readFile();
+        assert.equal(entries.length, 1);
+        assert.deepEqual([entries[0].action, entries[0].timestamp], ['vip.grant', '2026-01-01T00:00:00.000Z']);
+    });
+
+    it('searches by user, player and kind of action', async () => {
+        await database.createPlayerLink({ discordId: '1001', t17Username: 'OnlineSoldier', steamId: PLAYER_ID, platform: 'steam' });
+        await database.createPlayerLink({ discordId: '1002', t17Username: 'xX_Tanker_Xx', steamId: '76561198000000002', platform: 'steam' });
+        database.recordAudit({ action: 'debug', actorId: '1001', details: { subcommand: 'connection' } });
+        await audit.flush();
+
+        assert.equal((await audit.search({ discordId: '1001' })).length, 2);
+        assert.deepEqual((await audit.search({ discordId: '1001', category: 'link' })).map(entry => entry.action), ['link.create']);
+        assert.deepEqual((await audit.search({ playerId: '76561198000000002' })).map(entry => entry.targetId), ['1002']);
+
+        const interaction = createFakeInteraction({ subcommand: 'search', options: { player_id: PLAYER_ID } });
+        await audit.handleSearch(interaction);
+        assert.match(interaction.replies[0].embeds[0].data.description, /Account Linked\*\* by <@1001> → <@1001>/);
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./support/helpers');
+const { resolveSettings } = require('../config/schema');
+const { readConfigFile } = require('../config/configFile');
+
+const REQUIRED_ENV = { DISCORD_TOKEN: 'token', DISCORD_CLIENT_ID: 'client', CRCON_API_TOKEN: 'crcon-token' };
+
+describe('config schema', () => {
+    it('lists every invalid field with where it came from', () => {
+        const { errors } = resolveSettings(
+            { CRCON_BASE_URL: 'crcon.example.com', RATE_LIMIT_USER: 'ten' },
+            { 'crcon.timeout': 50, 'features.seeding': 'yes', 'schedules.leaderboardMinuts': 30 },
+            'bot.config.json'
+        );
+
+        assert.deepEqual(errors.map(error => `${error.path} (${error.source})`), [
+            'schedules.leaderboardMinuts (bot.config.json)',
+            'discord.token (DISCORD_TOKEN)',
+            'discord.clientId (DISCORD_CLIENT_ID)',
+            'crcon.baseUrl (CRCON_BASE_URL)',
+            'crcon.timeout (bot.config.json)',
+            'limits.rateLimitUser (RATE_LIMIT_USER)',
+            'features.seeding (bot.config.json)'
+        ]);
+        assert.match(errors.find(error => error.path === 'crcon.timeout').message, /whole number from 1000 to 120000, got "50"/);
+        assert.match(errors.find(error => error.path === 'crcon.baseUrl').message, /http\(s\) URL/);
+    });
+
+    it('prefers the environment over the file and the file over the defaults', () => {
+        const { values, sources, errors } = resolveSettings(
+            { ...REQUIRED_ENV, CRCON_TIMEOUT: '5000', VIP_WARNING_DAYS: '' },
+            { 'crcon.timeout': 20000, 'notifications.warningDays': [1, 14, 7], 'limits.rateLimitCommands': { link: '2/30', redeem: 0 } }
+        );
+
+        assert.deepEqual(errors, []);
+        assert.equal(values['crcon.timeout'], 5000);
+        assert.deepEqual(values['notifications.warningDays'], [14, 7, 1]);
+        assert.deepEqual(values['limits.rateLimitCommands'], { link: { limit: 2, windowMs: 30000 } });
+        assert.equal(values['schedules.leaderboardMinutes'], 60);
+        assert.deepEqual(
+            [sources['crcon.timeout'], sources['notifications.warningDays'], sources['schedules.leaderboardMinutes']],
+            ['env', 'file', 'default']
+        );
+    });
+
+    it('checks CRCON logins and seeding bounds together', () => {
+        const { errors } = resolveSettings(
+            { DISCORD_TOKEN: 'token', DISCORD_CLIENT_ID: 'client', SEEDING_MIN_PLAYERS: '40', SEEDING_MAX_PLAYERS: '40' },
+            { 'crcon.servers': [{ id: 'eu1', baseUrl: 'http://eu1:8010', apiToken: 'a' }, { id: 'us1', baseUrl: 'http://us1:8010' }] }
+        );
+
+        assert.deepEqual(errors.map(error => error.message), [
+            'must be more than seeding.minPlayers (40)',
+            'server "us1" needs an API token, or a username and password'
+        ]);
+    });
+
+    it('reads nested sections from a JSON file', () => {
+        const dir = createTempDir();
+        try {
+            const filename = path.join(dir, 'bot.config.json');
+            fs.writeFileSync(filename, JSON.stringify({
+                crcon: { timeout: 5000, servers: [{ id: 'eu1', baseUrl: 'http://eu1:8010' }] },
+                schedules: { contestTickSeconds: 30 }
+            }));
+
+            assert.deepEqual(readConfigFile(filename, ['crcon.servers']), {
+                'crcon.timeout': 5000,
+                'crcon.servers': [{ id: 'eu1', baseUrl: 'http://eu1:8010' }],
+                'schedules.contestTickSeconds': 30
+            });
+
+            fs.writeFileSync(filename, '{ "crcon": ');
+            assert.throws(() => readConfigFile(filename), /Can't parse config file .*bot\.config\.json/);
+        } finally {
+            removeTempDir(dir);
+        }
+    });
+});
+
+describe('EnvironmentConfig reload', () => {
+    let dir;
+    let filename;
+    let config;
+
+    const writeConfig = settings => fs.writeFileSync(filename, JSON.stringify(settings));
+
+    before(() => {
+        dir = createTempDir();
+        filename = path.join(dir, 'bot.config.json');
+        writeConfig({ crcon: { timeout: 5000 }, limits: { rateLimitUser: '10/60' }, schedules: { leaderboardMinutes: 60 } });
+
+        Object.assign(process.env, REQUIRED_ENV, { CONFIG_FILE: filename });
+        config = require('../config/environment');
+    });
+
+    after(() => {
+        config.unwatch();
+        removeTempDir(dir);
+    });
+
+    it('applies safe settings, leaves restart-only ones and keeps everything on a bad edit', () => {
+        const reloaded = [];
+        config.on('reloaded', changed => reloaded.push(changed));
+
+        writeConfig({ crcon: { timeout: 9000 }, limits: { rateLimitUser: '3/10' }, schedules: { leaderboardMinutes: 15 } });
+        const result = config.reload();
+
+        assert.deepEqual(result, { success: true, applied: ['schedules.leaderboardMinutes', 'limits.rateLimitUser'], pending: ['crcon.timeout'] });
+        assert.deepEqual(reloaded, [result.applied]);
+        assert.equal(config.crcon.timeout, 5000);
+        assert.equal(config.schedules.leaderboardMinutes, 15);
+        assert.deepEqual(config.rateLimits.user, { limit: 3, windowMs: 10000 });
+
+        writeConfig({ limits: { rateLimitUser: '3/10' }, schedules: { leaderboardMinutes: 0 } });
+        const failed = config.reload();
+
+        assert.equal(failed.success, false);
+        assert.match(failed.error, /schedules\.leaderboardMinutes \(bot\.config\.json\): must be a whole number from 5 to 1440/);
+        assert.equal(config.schedules.leaderboardMinutes, 15);
+        assert.equal(reloaded.length, 1);
+    });
+});
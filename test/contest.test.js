@@ -0,0 +1,700 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+require('./support/helpers');
+const { createFakeInteraction, createFakeUser } = require('./support/fakeInteraction');
+const ContestService = require('../services/contest');
+const StatsCollector = require('../services/statsCollector');
+
+function createFakeDatabase(links = {}) {
+    const documents = {};
+    const audit = [];
+    const database = Object.assign(new EventEmitter(), {
+        documents,
+        audit,
+        recordAudit: entry => audit.push(entry),
+        getPlayerByDiscordId: async discordId => links[discordId] || null,
+        createPlayerLink: async ({ discordId, ...link }) => {
+            links[discordId] = link;
+            database.emit('linkCreated', discordId, link);
+        },
+        loadData: async (name, fallback) => documents[name] ?? fallback,
+        saveData: async (name, data) => {
+            documents[name] = JSON.parse(JSON.stringify(data));
+            return true;
+        }
+    });
+    return database;
+}
+
+function createFakeCrcon() {
+    const broadcasts = [];
+    return {
+        broadcasts,
+        sendMessageToAllPlayers: async (message, serverId) => {
+            broadcasts.push({ message, serverId });
+            return [{ serverId, success: true }];
+        }
+    };
+}
+
+describe('ContestService', () => {
+    let database;
+    let crcon;
+    let contest;
+
+    beforeEach(async () => {
+        database = createFakeDatabase();
+        crcon = createFakeCrcon();
+        contest = new ContestService(database, crcon);
+
+        await contest.handleCreate(createFakeInteraction({
+            subcommand: 'create',
+            options: { title: 'Best Clip', description: 'Post your best clip', duration_hours: 24, prize: '30 days VIP', max_winners: 2 }
+        }));
+    });
+
+    it('creates, persists and announces a contest', () => {
+        assert.equal(contest.currentContest.title, 'Best Clip');
+        assert.equal(contest.currentContest.serverId, 'all');
+        assert.equal(database.documents.contest.currentContest.maxWinners, 2);
+        assert.match(crcon.broadcasts[0].message, /NEW VIP CONTEST: Best Clip/);
+        assert.deepEqual(database.audit.map(entry => [entry.action, entry.actorId]), [['contest.create', 'admin-1']]);
+    });
+
+    it('refuses a second active contest', async () => {
+        const interaction = createFakeInteraction({ subcommand: 'create', options: { title: 'Another' } });
+
+        await contest.handleCreate(interaction);
+
+        assert.match(interaction.replies[0].content, /already an active contest/);
+    });
+
+    it('defers before looking up the announcement channel so a failure can still be reported', async () => {
+        const fresh = new ContestService(createFakeDatabase(), createFakeCrcon());
+        fresh.getDefaultAnnounceChannel = async () => {
+            throw new Error('Missing Access');
+        };
+        const interaction = createFakeInteraction({
+            subcommand: 'create',
+            options: { title: 'Best Clip', description: 'Post your best clip', duration_hours: 24, prize: '30 days VIP' }
+        });
+
+        await fresh.handleCreate(interaction);
+
+        assert.equal(interaction.deferred, true);
+        assert.match(interaction.replies[0].content, /Failed to create contest/);
+        assert.equal(fresh.currentContest, null);
+    });
+
+    it('notifies winners picked with user options and ignores duplicates', async () => {
+        const first = createFakeUser('1');
+        const second = createFakeUser('2');
+        const interaction = createFakeInteraction({
+            subcommand: 'winners',
+            options: { winner: first, winner_2: second, winner_3: first }
+        });
+
+        await contest.handleWinners(interaction);
+
+        assert.deepEqual(contest.currentContest.winners.map(winner => winner.id), ['1', '2']);
+        assert.equal(first.sent.length, 1);
+        assert.equal(second.sent.length, 1);
+    });
+
+    it('rejects more winners than the contest allows', async () => {
+        const interaction = createFakeInteraction({
+            subcommand: 'winners',
+            options: { winner: createFakeUser('1'), winner_2: createFakeUser('2'), winner_3: createFakeUser('3') }
+        });
+
+        await contest.handleWinners(interaction);
+
+        assert.match(interaction.replies[0].content, /Maximum allowed: 2/);
+        assert.equal(contest.currentContest.winners, undefined);
+    });
+
+    it('rejects bots as winners', async () => {
+        const interaction = createFakeInteraction({
+            subcommand: 'winners',
+            options: { winner: createFakeUser('9', { bot: true }) }
+        });
+
+        await contest.handleWinners(interaction);
+
+        assert.match(interaction.replies[0].content, /Bots can't win contests/);
+    });
+
+    it('only ends an active contest once', async () => {
+        await contest.handleEnd(createFakeInteraction({ subcommand: 'end' }));
+        const again = createFakeInteraction({ subcommand: 'end' });
+        await contest.handleEnd(again);
+
+        assert.equal(contest.currentContest.active, false);
+        assert.match(again.replies[0].content, /No active contest to end/);
+    });
+});
+
+describe('ContestService entries', () => {
+    let contest;
+    let channel;
+
+    const button = (action, discordId = '100') => createFakeInteraction({
+        customId: `contest_${action}_${contest.currentContest.id}`,
+        user: { id: discordId, tag: `user${discordId}#0001` }
+    });
+
+    const entryModal = (fields, discordId = '100') => createFakeInteraction({
+        customId: `contest_entry_modal_${contest.currentContest.id}`,
+        fields,
+        user: { id: discordId, tag: `user${discordId}#0001` },
+        client: {
+            channels: { fetch: async () => channel }
+        }
+    });
+
+    beforeEach(async () => {
+        const database = createFakeDatabase({
+            100: { t17Username: 'Linked Player', steamId: '76561198000000100' }
+        });
+        contest = new ContestService(database, createFakeCrcon());
+
+        const posted = [];
+        channel = {
+            id: 'channel-1',
+            posted,
+            send: async message => {
+                posted.push(message);
+                return { id: 'message-1' };
+            },
+            messages: {
+                fetch: async () => ({ edit: async message => posted.push(message) })
+            }
+        };
+
+        await contest.handleCreate(createFakeInteraction({
+            subcommand: 'create',
+            options: { title: 'Screenshot Week', description: 'Best screenshot wins', duration_hours: 24, prize: '7 days VIP', channel }
+        }));
+    });
+
+    it('posts the contest with entry buttons', () => {
+        assert.deepEqual(contest.currentContest.announcement, { channelId: 'channel-1', messageId: 'message-1' });
+
+        const buttons = channel.posted[0].components[0].components.map(component => component.data.custom_id);
+        assert.deepEqual(buttons, ['enter', 'view', 'withdraw'].map(action => `contest_${action}_${contest.currentContest.id}`));
+    });
+
+    it('requires a linked account to enter', async () => {
+        const interaction = button('enter', '200');
+
+        await contest.handleButton(interaction);
+
+        assert.equal(interaction.modals.length, 0);
+        assert.match(interaction.replies[0].content, /link your Hell Let Loose account/);
+    });
+
+    it('records one entry per user and updates the post', async () => {
+        const open = button('enter');
+        await contest.handleButton(open);
+        assert.equal(open.modals.length, 1);
+
+        await contest.handleEntryModal(entryModal({ contest_entry_text: 'My shot', contest_entry_url: 'https://example.com/shot.png' }));
+        const again = button('enter');
+        await contest.handleButton(again);
+
+        assert.equal(contest.submissions.size, 1);
+        assert.equal(contest.submissions.get('100').t17Username, 'Linked Player');
+        assert.equal(again.modals.length, 0);
+        assert.equal(channel.posted.at(-1).embeds[0].data.fields.find(field => field.name === '📝 Entries').value, '1');
+    });
+
+    it('answers the entrant before refreshing the announcement', async () => {
+        const interaction = entryModal({ contest_entry_text: 'My shot' });
+        const order = [];
+        interaction.reply = async () => order.push('reply');
+        interaction.client.channels.fetch = async () => {
+            order.push('refresh');
+            return channel;
+        };
+
+        await contest.handleEntryModal(interaction);
+
+        assert.deepEqual(order, ['reply', 'refresh']);
+    });
+
+    it('rejects links that are not web URLs', async () => {
+        const interaction = entryModal({ contest_entry_url: 'javascript:alert(1)' });
+
+        await contest.handleEntryModal(interaction);
+
+        assert.equal(contest.submissions.size, 0);
+        assert.match(interaction.replies[0].content, /http/);
+    });
+
+    it('lets users withdraw while the contest is open', async () => {
+        await contest.handleEntryModal(entryModal({}));
+
+        await contest.handleButton(button('withdraw'));
+
+        assert.equal(contest.submissions.size, 0);
+    });
+
+    it('ignores buttons from an older contest', async () => {
+        const interaction = createFakeInteraction({ customId: 'contest_enter_contest_1', user: { id: '100' } });
+
+        await contest.handleButton(interaction);
+
+        assert.match(interaction.replies[0].content, /no longer running/);
+    });
+
+    it('exports entries as CSV with formula-safe cells', async () => {
+        await contest.handleEntryModal(entryModal({ contest_entry_text: '=HYPERLINK("x")' }));
+        const interaction = createFakeInteraction({ subcommand: 'export' });
+
+        await contest.handleExport(interaction);
+
+        const csv = interaction.replies[0].files[0].attachment.toString('utf8').split('\n');
+        assert.equal(csv[0], 'discord_id,discord_tag,t17_username,player_id,entered_at,entry_text,entry_url');
+        assert.match(csv[1], /^100,user100#0001,Linked Player,76561198000000100,/);
+        assert.match(csv[1], /,"'=HYPERLINK\(""x""\)",$/);
+    });
+});
+
+describe('ContestService schedule', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+    let crcon;
+    let client;
+    let contest;
+    let channelMessages;
+    let adminMessages;
+
+    const createContest = async (options = {}) => {
+        await contest.handleCreate(createFakeInteraction({
+            subcommand: 'create',
+            options: { title: 'Weekend Push', description: 'Most kills', duration_hours: 48, prize: '14 days VIP', channel: { id: 'contest-channel', send: client.channel.send }, ...options }
+        }));
+    };
+
+    beforeEach(() => {
+        crcon = createFakeCrcon();
+        channelMessages = [];
+        adminMessages = [];
+
+        const channel = {
+            id: 'contest-channel',
+            send: async message => {
+                channelMessages.push(message);
+                return { id: `message-${channelMessages.length}` };
+            },
+            messages: { fetch: async () => ({ edit: async () => {} }) }
+        };
+        const adminChannel = { send: async message => adminMessages.push(message) };
+
+        client = {
+            channel,
+            channels: { fetch: async id => (id === 'admin-channel' ? adminChannel : channel) },
+            users: { fetch: async () => ({ send: async message => adminMessages.push(message) }) }
+        };
+        contest = new ContestService(createFakeDatabase(), crcon, client, { reminderHours: [24, 1], adminChannelId: 'admin-channel', adminRoleId: 'role-1' });
+    });
+
+    const inGame = pattern => crcon.broadcasts.filter(broadcast => pattern.test(broadcast.message));
+
+    it('sends each reminder once, in Discord and in-game', async () => {
+        await createContest();
+        const end = new Date(contest.currentContest.endTime).getTime();
+
+        await contest.tick(new Date(end - 30 * HOUR_MS));
+        await contest.tick(new Date(end - 23 * HOUR_MS));
+        await contest.tick(new Date(end - 22 * HOUR_MS));
+        await contest.tick(new Date(end - 30 * 60 * 1000));
+
+        assert.deepEqual(inGame(/left in the/).map(broadcast => broadcast.message.split(' left')[0]), ['⏰ 23 hours', '⏰ 30 minutes']);
+        assert.equal(channelMessages.filter(message => /left to enter/.test(message.embeds?.[0]?.data.title)).length, 2);
+        assert.deepEqual(contest.currentContest.remindersSent, [24, 1]);
+    });
+
+    it('collapses reminders missed during downtime into one', async () => {
+        await createContest();
+        const end = new Date(contest.currentContest.endTime).getTime();
+
+        await contest.tick(new Date(end - 10 * 60 * 1000));
+
+        assert.equal(inGame(/left in the/).length, 1);
+        assert.deepEqual(contest.currentContest.remindersSent, [24, 1]);
+    });
+
+    it('skips reminders that were already due when the contest started', async () => {
+        await createContest({ duration_hours: 12 });
+
+        assert.deepEqual(contest.currentContest.remindersSent, [24]);
+    });
+
+    it('ends the contest at its end time and pings admins for winners', async () => {
+        await createContest();
+        contest.submissions.set('100', { discordId: '100', t17Username: 'Entrant' });
+        const end = new Date(contest.currentContest.endTime).getTime();
+
+        await contest.tick(new Date(end + 1000));
+
+        assert.equal(contest.getState(), 'ended');
+        assert.equal(contest.currentContest.endedBy, 'schedule');
+        assert.equal(inGame(/has ended/).length, 1);
+        assert.match(adminMessages[0].content, /^<@&role-1> 🏆 \*\*Weekend Push\*\* has ended with 1 entry/);
+    });
+
+    it('repeats winner pings on an interval, up to a limit', async () => {
+        await createContest();
+        contest.submissions.set('100', { discordId: '100' });
+        await contest.tick(new Date(new Date(contest.currentContest.endTime).getTime() + 1000));
+
+        const later = hours => new Date(Date.now() + hours * HOUR_MS);
+        await contest.tick(later(1));
+        await contest.tick(later(25));
+        await contest.tick(later(50));
+        await contest.tick(later(75));
+
+        assert.equal(adminMessages.length, 3);
+    });
+
+    it('starts scheduled contests when their start time arrives', async () => {
+        await createContest({ starts_in: '2h' });
+        const start = new Date(contest.currentContest.startTime).getTime();
+
+        assert.equal(contest.getState(), 'scheduled');
+        assert.equal(crcon.broadcasts.length, 0);
+        assert.equal(channelMessages.length, 0);
+
+        await contest.tick(new Date(start - 1000));
+        assert.equal(contest.getState(), 'scheduled');
+
+        await contest.tick(new Date(start + 1000));
+        assert.equal(contest.getState(), 'active');
+        assert.equal(inGame(/NEW VIP CONTEST/).length, 1);
+        assert.equal(contest.currentContest.announcement.channelId, 'contest-channel');
+    });
+
+    it('cancels a scheduled contest with /contest end', async () => {
+        await createContest({ starts_in: '1d' });
+
+        await contest.handleEnd(createFakeInteraction({ subcommand: 'end' }));
+        await contest.tick(new Date(Date.now() + 2 * 24 * HOUR_MS));
+
+        assert.equal(contest.getState(), 'cancelled');
+        assert.equal(crcon.broadcasts.length, 0);
+    });
+
+    it('rejects an invalid start delay', async () => {
+        const interaction = createFakeInteraction({ subcommand: 'create', options: { starts_in: 'soon' } });
+
+        await contest.handleCreate(interaction);
+
+        assert.equal(contest.currentContest, null);
+        assert.match(interaction.replies[0].content, /^❌/);
+    });
+});
+
+describe('ContestService stat contests', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+    let contest;
+    let statsCollector;
+    let users;
+    let adminMessages;
+
+    const players = {
+        1: { t17Username: 'Rifleman', steamId: 'steam-1' },
+        2: { t17Username: 'Sniper', steamId: 'steam-2' },
+        3: { t17Username: 'Tourist', steamId: 'steam-3' },
+        4: { t17Username: 'Bench', steamId: 'steam-4' }
+    };
+
+    const addGains = (at, steamId, stats) => {
+        const bucket = String(Math.floor(at / HOUR_MS) * HOUR_MS);
+        statsCollector.buckets[bucket] = statsCollector.buckets[bucket] || {};
+        statsCollector.buckets[bucket][steamId] = { kills: 0, deaths: 0, score: 0, playtime: 0, ...stats };
+    };
+
+    // Holds the next awardWinners() call until the returned function is called
+    const holdAward = () => {
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        const awardWinners = contest.awardWinners.bind(contest);
+        contest.awardWinners = async (...args) => {
+            await held;
+            return awardWinners(...args);
+        };
+        return release;
+    };
+
+    const enter = async discordId => {
+        await contest.handleButton(createFakeInteraction({
+            customId: `contest_enter_${contest.currentContest.id}`,
+            user: { id: discordId, tag: `user${discordId}#0001` }
+        }));
+    };
+
+    beforeEach(async () => {
+        statsCollector = new StatsCollector(null, null, {});
+        users = Object.fromEntries(Object.keys(players).map(id => [id, createFakeUser(id)]));
+        adminMessages = [];
+
+        const client = {
+            channels: { fetch: async () => ({ send: async message => adminMessages.push(message) }) },
+            users: { fetch: async id => users[id] || { id, send: async message => adminMessages.push(message) } }
+        };
+
+        contest = new ContestService(createFakeDatabase(players), createFakeCrcon(), client, {}, statsCollector);
+
+        await contest.handleCreate(createFakeInteraction({
+            subcommand: 'create',
+            user: { id: 'creator' },
+            options: { title: 'Kill Race', description: 'Most kills wins', duration_hours: 48, prize: '30 days VIP', max_winners: 2, type: 'kills', min_playtime_minutes: 60 }
+        }));
+
+        for (const id of Object.keys(players)) {
+            await enter(id);
+        }
+
+        const start = new Date(contest.currentContest.startTime).getTime();
+        addGains(start - 2 * HOUR_MS, 'steam-4', { kills: 500, playtime: 7200 });
+        addGains(start + 2 * HOUR_MS, 'steam-1', { kills: 40, playtime: 5400 });
+        addGains(start + 3 * HOUR_MS, 'steam-1', { kills: 15, playtime: 1800 });
+        addGains(start + 2 * HOUR_MS, 'steam-2', { kills: 70, playtime: 4000 });
+        addGains(start + 2 * HOUR_MS, 'steam-3', { kills: 90, playtime: 600 });
+    });
+
+    it('enters linked players without a submission form', () => {
+        assert.equal(contest.submissions.size, 4);
+        assert.equal(contest.submissions.get('1').text, null);
+    });
+
+    it('ranks entrants by gains inside the contest window and the minimum playtime', () => {
+        const standings = contest.getStandings(contest.currentContest, new Date(contest.currentContest.endTime));
+
+        assert.deepEqual(standings.map(row => [row.t17Username, row.value, row.eligible]), [
+            ['Sniper', 70, true],
+            ['Rifleman', 55, true],
+            ['Tourist', 90, false],
+            ['Bench', 0, false]
+        ]);
+    });
+
+    it('counts only play after a start that is not on the hour', () => {
+        const start = new Date(contest.currentContest.startTime).getTime();
+        const sample = (at, kills) => statsCollector.applySamples('main', [{ steamId: 'steam-4', kills, deaths: 0, score: 0, playtime: kills * 60 }], new Set(['steam-4']), at);
+
+        sample(start - 10 * 60 * 1000, 0);
+        sample(start + 10 * 60 * 1000, 20);
+
+        assert.equal(statsCollector.getTotals(start, contest.currentContest.endTime).get('steam-4').kills, 10);
+    });
+
+    it('previews winners at the end and only notifies them on confirm', async () => {
+        await contest.tick(new Date(new Date(contest.currentContest.endTime).getTime() + 1000));
+
+        assert.deepEqual(contest.currentContest.pendingWinners.map(winner => winner.discordId), ['2', '1']);
+        assert.equal(adminMessages[0].components[0].components[0].data.custom_id, `contest_confirm_${contest.currentContest.id}`);
+        assert.equal(users[1].sent.length, 0);
+
+        const notAdmin = createFakeInteraction({ customId: `contest_confirm_${contest.currentContest.id}`, user: { id: '3' } });
+        await contest.handleButton(notAdmin);
+        assert.equal(contest.currentContest.winners, undefined);
+
+        const confirm = createFakeInteraction({
+            customId: `contest_confirm_${contest.currentContest.id}`,
+            user: { id: 'admin-2', tag: 'admin#0002' },
+            permissions: ['Administrator']
+        });
+        await contest.handleButton(confirm);
+
+        assert.deepEqual(contest.currentContest.winners.map(winner => [winner.id, winner.value]), [['2', 70], ['1', 55]]);
+        assert.equal(users[2].sent.length, 1);
+        assert.equal(users[3].sent.length, 0);
+        assert.equal(confirm.deferred, true);
+        assert.equal(confirm.replies.length, 2);
+        assert.ok(confirm.replies[0].components[0].components.every(button => button.data.disabled));
+        assert.match(confirm.replies[1].content, /Winners confirmed/);
+    });
+
+    it('acknowledges the confirm button before awarding and ignores a second click', async () => {
+        await contest.tick(new Date(new Date(contest.currentContest.endTime).getTime() + 1000));
+
+        let releaseAward;
+        const awardWinners = contest.awardWinners.bind(contest);
+        contest.awardWinners = async (...args) => {
+            await new Promise(resolve => { releaseAward = resolve; });
+            return awardWinners(...args);
+        };
+
+        const confirmId = `contest_confirm_${contest.currentContest.id}`;
+        const first = createFakeInteraction({ customId: confirmId, user: { id: 'creator' } });
+        const pending = contest.handleButton(first);
+        await new Promise(setImmediate);
+
+        assert.equal(first.deferred, true);
+        assert.equal(users[2].sent.length, 0);
+
+        const second = createFakeInteraction({ customId: confirmId, user: { id: 'creator' } });
+        await contest.handleButton(second);
+        assert.match(second.replies[0].content, /already being confirmed/);
+
+        const discard = createFakeInteraction({ customId: `contest_discard_${contest.currentContest.id}`, user: { id: 'creator' } });
+        await contest.handleButton(discard);
+        assert.match(discard.replies[0].content, /already being confirmed/);
+
+        releaseAward();
+        await pending;
+
+        assert.equal(users[2].sent.length, 1);
+        assert.equal(contest.awardingWinners, false);
+    });
+
+    it('refuses /contest winners while the preview is being confirmed', async () => {
+        await contest.tick(new Date(new Date(contest.currentContest.endTime).getTime() + 1000));
+        const releaseAward = holdAward();
+
+        const pending = contest.handleButton(createFakeInteraction({ customId: `contest_confirm_${contest.currentContest.id}`, user: { id: 'creator' } }));
+        await new Promise(setImmediate);
+
+        const manual = createFakeInteraction({ subcommand: 'winners', options: { winner: users[3] } });
+        await contest.handleWinners(manual);
+        assert.match(manual.replies[0].content, /already being confirmed/);
+        assert.equal(manual.deferred, false);
+
+        releaseAward();
+        await pending;
+        assert.deepEqual(contest.currentContest.winners.map(winner => winner.id), ['2', '1']);
+        assert.equal(users[3].sent.length, 0);
+    });
+
+    it('refuses the preview\'s Confirm button while /contest winners is running', async () => {
+        await contest.tick(new Date(new Date(contest.currentContest.endTime).getTime() + 1000));
+        const releaseAward = holdAward();
+
+        const picking = contest.handleWinners(createFakeInteraction({ subcommand: 'winners', options: { winner: users[3] } }));
+        await new Promise(setImmediate);
+
+        const confirm = createFakeInteraction({ customId: `contest_confirm_${contest.currentContest.id}`, user: { id: 'creator' } });
+        await contest.handleButton(confirm);
+        assert.match(confirm.replies[0].content, /already being confirmed/);
+
+        releaseAward();
+        await picking;
+        assert.deepEqual(contest.currentContest.winners.map(winner => winner.id), ['3']);
+        assert.equal(users[2].sent.length, 0);
+        assert.equal(contest.awardingWinners, false);
+    });
+
+    it('falls back to manual picking when the preview is discarded', async () => {
+        await contest.tick(new Date(new Date(contest.currentContest.endTime).getTime() + 1000));
+
+        await contest.handleButton(createFakeInteraction({ customId: `contest_discard_${contest.currentContest.id}`, user: { id: 'creator' } }));
+
+        assert.equal(contest.currentContest.pendingWinners, null);
+        assert.equal(contest.currentContest.previewDiscarded, true);
+        assert.equal(Object.values(users).reduce((count, user) => count + user.sent.length, 0), 0);
+    });
+
+    it('refuses stat contests when statistics are disabled', async () => {
+        const withoutStats = new ContestService(createFakeDatabase(), createFakeCrcon());
+        const interaction = createFakeInteraction({ subcommand: 'create', options: { type: 'kdr' } });
+
+        await withoutStats.handleCreate(interaction);
+
+        assert.equal(withoutStats.currentContest, null);
+        assert.match(interaction.replies[0].content, /ENABLE_STATISTICS/);
+    });
+});
+
+describe('ContestService VIP prizes', () => {
+    let database;
+    let vipManagement;
+    let contest;
+    let users;
+
+    const pickWinners = (...ids) => contest.handleWinners(createFakeInteraction({
+        subcommand: 'winners',
+        user: { id: 'admin-1', tag: 'admin#0001' },
+        options: Object.fromEntries(ids.map((id, index) => [index === 0 ? 'winner' : `winner_${index + 1}`, users[id]]))
+    }));
+
+    beforeEach(async () => {
+        database = createFakeDatabase({
+            1: { t17Username: 'Rifleman', steamId: 'steam-1' }
+        });
+        vipManagement = {
+            calls: [],
+            results: null,
+            extendVip: async options => {
+                vipManagement.calls.push(options);
+                return vipManagement.results || [{ serverId: 'main', success: true }];
+            }
+        };
+        users = { 1: createFakeUser('1'), 2: createFakeUser('2'), 3: createFakeUser('3') };
+
+        const client = { users: { fetch: async id => users[id] } };
+        contest = new ContestService(database, createFakeCrcon(), client, {}, null, vipManagement);
+
+        await contest.handleCreate(createFakeInteraction({
+            subcommand: 'create',
+            options: { title: 'Best Clip', description: 'Post your best clip', duration_hours: 24, vip_prize: '14d', max_winners: 2 }
+        }));
+    });
+
+    it('derives the prize text from the VIP duration', () => {
+        assert.equal(contest.currentContest.prize, '14 days VIP');
+        assert.equal(contest.currentContest.vipPrizeMs, 14 * 24 * 60 * 60 * 1000);
+    });
+
+    it('requires a prize or a VIP prize', async () => {
+        await contest.handleEnd(createFakeInteraction({ subcommand: 'end' }));
+        const interaction = createFakeInteraction({
+            subcommand: 'create',
+            options: { title: 'No Prize', description: 'Nothing to win', duration_hours: 24 }
+        });
+
+        await contest.handleCreate(interaction);
+
+        assert.match(interaction.replies[0].content, /`prize`, a `vip_prize` or both/);
+        assert.equal(contest.currentContest.title, 'Best Clip');
+    });
+
+    it('extends VIP for linked winners and holds it for the rest', async () => {
+        await pickWinners('1', '2');
+
+        assert.deepEqual(vipManagement.calls.map(call => [call.playerId, call.durationMs, call.reason, call.actorId]), [
+            ['steam-1', contest.currentContest.vipPrizeMs, `contest:${contest.currentContest.id}`, 'admin-1']
+        ]);
+        assert.deepEqual(contest.currentContest.winners.map(winner => winner.prize.status), ['fulfilled', 'pending_link']);
+        assert.deepEqual(database.documents.contest.pendingPrizes.map(pending => pending.discordId), ['2']);
+        assert.match(users[2].sent[0].embeds[0].data.footer.text, /\/link start/);
+    });
+
+    it('fulfils a held prize once the winner links', async () => {
+        await pickWinners('1', '2');
+
+        await database.createPlayerLink({ discordId: '2', t17Username: 'Latecomer', steamId: 'steam-2' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(vipManagement.calls[1].playerId, 'steam-2');
+        assert.equal(contest.currentContest.winners[1].prize.status, 'fulfilled');
+        assert.deepEqual(database.documents.contest.pendingPrizes, []);
+        assert.match(users[2].sent[1].content, /has been added/);
+    });
+
+    it('records failures and does not grant twice when winners are picked again', async () => {
+        vipManagement.results = [{ serverId: 'main', serverName: 'Main', success: false, error: 'HTTP 500' }];
+        await pickWinners('1');
+        assert.equal(contest.currentContest.winners[0].prize.status, 'failed');
+        assert.equal(contest.currentContest.winners[0].prize.error, 'Main: HTTP 500');
+
+        vipManagement.results = null;
+        await pickWinners('1', '3');
+        await pickWinners('1');
+
+        assert.equal(vipManagement.calls.length, 2);
+        assert.equal(contest.currentContest.winners[0].prize.status, 'fulfilled');
+        assert.deepEqual(contest.pendingPrizes, []);
+    });
+});
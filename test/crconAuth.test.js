@@ -0,0 +1,80 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconService } = require('./support/helpers');
+
+describe('CRCONService authentication', () => {
+    const server = new FakeCrconServer({ apiToken: 'test-api-token' });
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await server.start();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        server.expireSessions();
+        server.clearRequests();
+    });
+
+    it('logs in with username and password and reuses the session cookie', async () => {
+        const crcon = createCrconService(baseUrl);
+
+        await crcon.makeRequest('/api/get_status');
+        await crcon.makeRequest('/api/get_players');
+
+        assert.equal(server.requestsTo('/api/login').length, 1);
+        assert.ok(crcon.sessionCookie.startsWith('sessionid='));
+        assert.ok(crcon.isHealthy);
+    });
+
+    it('unwraps the result field of CRCON responses', async () => {
+        const crcon = createCrconService(baseUrl);
+
+        const status = await crcon.makeRequest('/api/get_status');
+
+        assert.equal(status.name, 'Fake CRCON Test Server #1');
+    });
+
+    it('rejects bad credentials', async () => {
+        const crcon = createCrconService(baseUrl, { password: 'wrong' });
+
+        await assert.rejects(() => crcon.makeRequest('/api/get_status'), /CRCON authentication failed/);
+        assert.equal(crcon.sessionCookie, null);
+    });
+
+    it('logs in again once when the session expires', async () => {
+        const crcon = createCrconService(baseUrl);
+        await crcon.makeRequest('/api/get_status');
+
+        server.expireSessions();
+        const players = await crcon.makeRequest('/api/get_players');
+
+        assert.equal(players.length, 3);
+        assert.equal(server.requestsTo('/api/login').length, 2);
+    });
+
+    it('sends API tokens as a bearer header without logging in', async () => {
+        const crcon = createCrconService(baseUrl, { apiToken: 'test-api-token', username: null, password: null });
+
+        await crcon.makeRequest('/api/get_status');
+
+        assert.equal(server.requestsTo('/api/login').length, 0);
+    });
+
+    it('does not retry a rejected API token', async () => {
+        const crcon = createCrconService(baseUrl, { apiToken: 'revoked-token', username: null, password: null });
+
+        await assert.rejects(() => crcon.makeRequest('/api/get_status'), error => error.response?.status === 401);
+        assert.equal(server.requestsTo('/api/get_status').length, 1);
+    });
+
+    it('refuses to start without any credentials', async () => {
+        const crcon = createCrconService(baseUrl, { username: null, password: null });
+
+        await assert.rejects(() => crcon.authenticate(), /No CRCON authentication method available/);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconService } = require('./support/helpers');
+const { createFixtures } = require('./fixtures/crcon');
+
+describe('CRCONService list cache', () => {
+    const server = new FakeCrconServer();
+    let baseUrl;
+    let crcon;
+
+    before(async () => {
+        baseUrl = await server.start();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        server.fixtures = createFixtures();
+        crcon = createCrconService(baseUrl, { cacheTtlSeconds: 30 });
+        await crcon.authenticate();
+        server.clearRequests();
+    });
+
+    it('serves repeated VIP lookups from one download', async () => {
+        await crcon.getVipStatus('76561198000000002');
+        await crcon.getVipEntry('76561198000000003');
+        await crcon.makeRequest('/api/get_vip_ids');
+
+        assert.equal(server.requestsTo('/api/get_vip_ids').length, 1);
+        assert.deepEqual(crcon.getCacheStats(), { hits: 2, misses: 1, shared: 0, ttlSeconds: 30, entries: 1 });
+    });
+
+    it('shares one in-flight request between callers asking at the same time', async () => {
+        const results = await Promise.all([
+            crcon.makeRequest('/api/get_players'),
+            crcon.makeRequest('/api/get_players'),
+            crcon.makeRequest('/api/get_players')
+        ]);
+
+        assert.equal(server.requestsTo('/api/get_players').length, 1);
+        assert.equal(results[2].length, 3);
+        assert.equal(crcon.getCacheStats().shared, 2);
+    });
+
+    it('refetches once the time-to-live has passed', async () => {
+        await crcon.makeRequest('/api/get_vip_ids');
+        crcon.cache.get('/api/get_vip_ids').expiresAt = Date.now() - 1;
+
+        await crcon.makeRequest('/api/get_vip_ids');
+
+        assert.equal(server.requestsTo('/api/get_vip_ids').length, 2);
+    });
+
+    it('drops the VIP list after the bot writes VIP', async () => {
+        await crcon.makeRequest('/api/get_players');
+        assert.equal((await crcon.getVipStatus('76561198000000001')).isVip, false);
+
+        await crcon.addVip('76561198000000001', 'Contest prize', null);
+
+        assert.equal((await crcon.getVipStatus('76561198000000001')).isVip, true);
+        assert.equal(server.requestsTo('/api/get_vip_ids').length, 2);
+        assert.equal(server.requestsTo('/api/get_players').length, 1);
+    });
+
+    it('does not cache failed requests or other endpoints', async () => {
+        server.failNext('/api/get_vip_ids', 400);
+        await assert.rejects(() => crcon.makeRequest('/api/get_vip_ids'));
+        await crcon.makeRequest('/api/get_vip_ids');
+        await crcon.makeRequest('/api/get_status');
+        await crcon.makeRequest('/api/get_status');
+
+        assert.equal(server.requestsTo('/api/get_vip_ids').length, 2);
+        assert.equal(server.requestsTo('/api/get_status').length, 2);
+    });
+});
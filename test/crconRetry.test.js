@@ -0,0 +1,81 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconService } = require('./support/helpers');
+
+describe('CRCONService retries', () => {
+    const server = new FakeCrconServer();
+    let baseUrl;
+    let crcon;
+
+    before(async () => {
+        baseUrl = await server.start();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        crcon = createCrconService(baseUrl);
+        await crcon.authenticate();
+        server.clearRequests();
+    });
+
+    it('retries 5xx responses with exponential backoff', async () => {
+        const delays = [];
+        const originalDelay = crcon.delay;
+        crcon.delay = ms => {
+            delays.push(ms);
+            return originalDelay.call(crcon, ms);
+        };
+        server.failNext('/api/get_vip_ids', 503, 2);
+
+        const vipIds = await crcon.makeRequest('/api/get_vip_ids');
+
+        assert.equal(vipIds.length, 4);
+        assert.equal(server.requestsTo('/api/get_vip_ids').length, 3);
+        assert.deepEqual(delays, [1, 2]);
+    });
+
+    it('retries 429 rate limiting', async () => {
+        server.failNext('/api/get_players', 429, 1);
+
+        const players = await crcon.makeRequest('/api/get_players');
+
+        assert.equal(players.length, 3);
+        assert.equal(server.requestsTo('/api/get_players').length, 2);
+    });
+
+    it('retries dropped connections', async () => {
+        server.failNext('/api/get_status', 'reset', 1);
+
+        const status = await crcon.makeRequest('/api/get_status');
+
+        assert.equal(status.short_name, 'FAKE1');
+    });
+
+    it('gives up after the configured number of retries', async () => {
+        server.failNext('/api/get_status', 500, 10);
+
+        await assert.rejects(() => crcon.makeRequest('/api/get_status'), error => error.response?.status === 500);
+        assert.equal(server.requestsTo('/api/get_status').length, crcon.retryAttempts + 1);
+        assert.equal(crcon.isHealthy, false);
+    });
+
+    it('does not retry client errors', async () => {
+        await assert.rejects(() => crcon.makeRequest('/api/does_not_exist'), error => error.response?.status === 404);
+        assert.equal(server.requestsTo('/api/does_not_exist').length, 1);
+    });
+
+    it('re-authenticates on 401 and then retries server errors', async () => {
+        server.failNext('/api/get_players', 401, 1);
+        server.failNext('/api/get_players', 502, 1);
+
+        const players = await crcon.makeRequest('/api/get_players');
+
+        assert.equal(players.length, 3);
+        assert.equal(server.requestsTo('/api/login').length, 1);
+        assert.equal(server.requestsTo('/api/get_players').length, 3);
+    });
+});
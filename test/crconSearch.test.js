@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconService, createCrconManager } = require('./support/helpers');
+const CRCONService = require('../services/crcon');
+
+describe('CRCONService player search', () => {
+    const server = new FakeCrconServer();
+    let baseUrl;
+    let crcon;
+
+    before(async () => {
+        baseUrl = await server.start();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        crcon = createCrconService(baseUrl);
+        server.clearRequests();
+    });
+
+    const strategiesTried = () => server.requests
+        .map(request => request.endpoint)
+        .filter(endpoint => endpoint !== '/api/login');
+
+    it('finds online players from get_players first', async () => {
+        const player = await crcon.getPlayerByT17Username('OnlineSoldier');
+
+        assert.deepEqual(player, { name: 'OnlineSoldier', steam_id_64: '76561198000000001', display_name: 'OnlineSoldier' });
+        assert.deepEqual(strategiesTried(), ['/api/get_players']);
+    });
+
+    it('matches names case-insensitively', async () => {
+        const player = await crcon.getPlayerByT17Username('consolemedic');
+
+        assert.equal(player.name, 'ConsoleMedic');
+        assert.equal(player.steam_id_64, 'b3c0ffee1234567890abcdef12345678');
+    });
+
+    it('falls back to the VIP list for offline VIPs', async () => {
+        const player = await crcon.getPlayerByT17Username('ServerOwner');
+
+        assert.equal(player.steam_id_64, '76561198000000005');
+        assert.ok(strategiesTried().includes('/api/get_vip_ids'));
+        assert.ok(!strategiesTried().includes('/api/get_players_history'));
+    });
+
+    it('falls back to player history, matching any past name', async () => {
+        const player = await crcon.getPlayerByT17Username('historicplayer');
+
+        assert.deepEqual(player, { name: 'HistoricPlayer', steam_id_64: '76561198000000010', display_name: 'HistoricPlayer' });
+
+        const historyRequest = server.requestsTo('/api/get_players_history')[0];
+        assert.equal(historyRequest.method, 'POST');
+        assert.deepEqual(historyRequest.body, { player_name: 'historicplayer', exact_name_match: true, page_size: 50, page: 1 });
+    });
+
+    it('keeps searching when a strategy errors', async () => {
+        server.failNext('/api/get_players', 400, 1);
+
+        const player = await crcon.getPlayerByT17Username('XboxVeteran');
+
+        assert.equal(player.steam_id_64, 'a1b2c3d4e5f60718293a4b5c6d7e8f90');
+    });
+
+    it('returns null when no endpoint knows the player', async () => {
+        const player = await crcon.getPlayerByT17Username('NobodyByThisName');
+
+        assert.equal(player, null);
+        assert.equal(strategiesTried().at(-1), '/api/get_players_history');
+    });
+
+    it('tags manager results with the server that found the player', async () => {
+        const second = new FakeCrconServer();
+        const secondUrl = await second.start();
+        second.fixtures.players = [{ name: 'OnlyOnSecond', player_id: '76561198000000099' }];
+
+        try {
+            const manager = createCrconManager([baseUrl, secondUrl]);
+            const player = await manager.getPlayerByT17Username('OnlyOnSecond');
+
+            assert.equal(player.steam_id_64, '76561198000000099');
+            assert.equal(player.serverId, 'server2');
+        } finally {
+            await second.stop();
+        }
+    });
+});
+
+describe('CRCONService parsers', () => {
+    const crcon = new CRCONService({ baseUrl: 'http://unused' });
+
+    it('parses get_playerids tuples', () => {
+        const data = [['Alpha', '76561198000000100'], ['Bravo', '76561198000000101']];
+
+        assert.deepEqual(crcon.parsePlayerIds(data, 'bravo'), { name: 'Bravo', steam_id_64: '76561198000000101', display_name: 'Bravo' });
+        assert.equal(crcon.parsePlayerIds(data, 'Charlie'), null);
+    });
+
+    it('parses get_vip_ids entries', () => {
+        const data = [{ player_id: '76561198000000100', name: 'Alpha', expiration: null }];
+
+        assert.equal(crcon.parseVipIds(data, 'ALPHA').steam_id_64, '76561198000000100');
+        assert.equal(crcon.parseVipIds({ not: 'a list' }, 'Alpha'), null);
+    });
+
+    it('parses both player history response shapes', () => {
+        const legacy = { results: [{ steam_id_64: '76561198000000100', name: 'Alpha' }] };
+        const current = { players: [{ player_id: '76561198000000101', names: [{ name: 'Bravo' }] }] };
+
+        assert.equal(crcon.parsePlayersHistory(legacy, 'alpha').steam_id_64, '76561198000000100');
+        assert.equal(crcon.parsePlayersHistory(current, 'bravo').steam_id_64, '76561198000000101');
+        assert.equal(crcon.parsePlayersHistory(current, 'Alpha'), null);
+    });
+});
@@ -0,0 +1,70 @@
+// Response payloads shaped like CRCON v10. Expirations are relative to `now`
+// so the VIP list always has active, expiring, expired and permanent entries.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createFixtures(now = Date.now()) {
+    return {
+        status: {
+            name: 'Fake CRCON Test Server #1',
+            map: { id: 'stmereeglise_warfare' },
+            player_count: 3,
+            player_count_max: 100,
+            short_name: 'FAKE1',
+            server_number: 1
+        },
+
+        players: [
+            { name: 'OnlineSoldier', player_id: '76561198000000001', is_vip: false },
+            { name: 'xX_Tanker_Xx', player_id: '76561198000000002', is_vip: true },
+            { name: 'ConsoleMedic', player_id: 'b3c0ffee1234567890abcdef12345678', is_vip: false }
+        ],
+
+        vipIds: [
+            {
+                player_id: '76561198000000002',
+                name: 'xX_Tanker_Xx',
+                expiration: new Date(now + 30 * DAY_MS).toISOString(),
+                description: 'Monthly supporter'
+            },
+            {
+                player_id: '76561198000000003',
+                name: 'ExpiringSoon',
+                expiration: new Date(now + 2.5 * DAY_MS).toISOString(),
+                description: 'Seeder reward'
+            },
+            {
+                player_id: '76561198000000004',
+                name: 'LapsedVip',
+                expiration: new Date(now - 2 * DAY_MS).toISOString(),
+                description: 'Contest prize'
+            },
+            {
+                player_id: '76561198000000005',
+                name: 'ServerOwner',
+                expiration: null,
+                description: 'Permanent VIP'
+            }
+        ],
+
+        playersHistory: [
+            {
+                player_id: '76561198000000010',
+                names: [
+                    { name: 'OldName', player_id: '76561198000000010' },
+                    { name: 'HistoricPlayer', player_id: '76561198000000010' }
+                ],
+                first_seen_timestamp_ms: now - 90 * DAY_MS,
+                last_seen_timestamp_ms: now - 3 * DAY_MS
+            },
+            {
+                player_id: 'a1b2c3d4e5f60718293a4b5c6d7e8f90',
+                names: [{ name: 'XboxVeteran', player_id: 'a1b2c3d4e5f60718293a4b5c6d7e8f90' }],
+                first_seen_timestamp_ms: now - 10 * DAY_MS,
+                last_seen_timestamp_ms: now - DAY_MS
+            }
+        ]
+    };
+}
+
+module.exports = { createFixtures, DAY_MS };
@@ -0,0 +1,260 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconManager, createTempDir, removeTempDir } = require('./support/helpers');
+const { createFakeInteraction } = require('./support/fakeInteraction');
+const { createFakeClient } = require('./support/fakeDiscord');
+const { createFixtures } = require('./fixtures/crcon');
+const DatabaseService = require('../services/database');
+const GuildSettingsService = require('../services/guildSettings');
+const AuditService = require('../services/audit');
+const VIPNotificationService = require('../services/vipNotifications');
+const LinkVerificationService = require('../services/linkVerification');
+
+const GUILD_ID = '900000000000000001';
+const CHANNEL_ID = '900000000000000010';
+const VOICE_CHANNEL_ID = '900000000000000011';
+const ROLE_ID = '900000000000000020';
+const LOCKED_ROLE_ID = '900000000000000021';
+
+function createFakeGuild() {
+    const channels = new Map([
+        [CHANNEL_ID, { id: CHANNEL_ID, isTextBased: () => true }],
+        [VOICE_CHANNEL_ID, { id: VOICE_CHANNEL_ID, isTextBased: () => false }]
+    ]);
+    const roles = new Map([
+        [ROLE_ID, { id: ROLE_ID, name: 'VIP', editable: true, managed: false }],
+        [LOCKED_ROLE_ID, { id: LOCKED_ROLE_ID, name: 'Staff', editable: false, managed: false }]
+    ]);
+
+    return {
+        id: GUILD_ID,
+        name: 'Test Community',
+        channels: { fetch: async id => channels.get(id) || null },
+        roles: { fetch: async id => roles.get(id) || null }
+    };
+}
+
+describe('GuildSettingsService', () => {
+    const server = new FakeCrconServer();
+    let crcon;
+    let dataDir;
+    let database;
+    let settings;
+    let guild;
+    let audit;
+
+    const command = (subcommand, options = {}) => createFakeInteraction({ subcommand, options, guild });
+
+    before(async () => {
+        crcon = createCrconManager([await server.start()]);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        server.fixtures = createFixtures();
+        dataDir = createTempDir();
+        database = new DatabaseService({ filename: path.join(dataDir, 'database.json') });
+        await database.initialize();
+        audit = [];
+        database.on('audit', entry => audit.push(entry));
+
+        guild = createFakeGuild();
+        settings = new GuildSettingsService(database, crcon, { auditChannelId: 'env-audit', locale: 'en-US', timezone: 'UTC' });
+        await settings.load();
+    });
+
+    afterEach(async () => {
+        await database.close();
+        removeTempDir(dataDir);
+    });
+
+    it('validates and saves each kind of setting', async () => {
+        const changes = {
+            audit_channel: `<#${CHANNEL_ID}>`,
+            vip_role: `<@&${ROLE_ID}>`,
+            warning_days: '1, 7,3,7',
+            locale: 'de-DE',
+            timezone: 'Europe/Berlin',
+            crcon_server: 'server1'
+        };
+        for (const [setting, value] of Object.entries(changes)) {
+            const interaction = command('set', { setting, value });
+            await settings.handleSet(interaction);
+            assert.match(interaction.replies[0].content, /^✅/, setting);
+        }
+
+        const reloaded = new GuildSettingsService(database, crcon);
+        await reloaded.load();
+        assert.deepEqual(reloaded.guilds[GUILD_ID], {
+            auditChannelId: CHANNEL_ID,
+            vipRoleId: ROLE_ID,
+            warningDays: [7, 3, 1],
+            locale: 'de-DE',
+            timezone: 'Europe/Berlin',
+            crconServer: 'server1'
+        });
+        assert.deepEqual(audit[0], { ...audit[0], action: 'config.update', actorId: 'admin-1', guildId: GUILD_ID, before: { audit_channel: null }, after: { audit_channel: CHANNEL_ID } });
+    });
+
+    it('explains what is wrong with a value and keeps the old one', async () => {
+        const attempts = [
+            ['audit_channel', VOICE_CHANNEL_ID, /isn't a text channel/],
+            ['announcement_channel', '#general', /isn't a channel in this server/],
+            ['vip_role', LOCKED_ROLE_ID, /can't manage the Staff role/],
+            ['warning_days', '7,0', /from 1 to 30/],
+            ['warning_days', '9,8,7,6,5,4', /at most 5/],
+            ['locale', 'not a locale!', /isn't a supported locale/],
+            ['timezone', 'Mars/Olympus', /isn't a timezone/],
+            ['crcon_server', 'eu9', /Configured servers: `server1`/]
+        ];
+
+        for (const [setting, value, error] of attempts) {
+            const interaction = command('set', { setting, value });
+            await settings.handleSet(interaction);
+            assert.match(interaction.replies[0].content, error, `${setting}=${value}`);
+        }
+
+        assert.equal(settings.guilds[GUILD_ID], undefined);
+        assert.equal(audit.length, 0);
+    });
+
+    it('shows stored values and defaults, and resets back to the defaults', async () => {
+        await settings.set(GUILD_ID, 'audit_channel', CHANNEL_ID);
+        await settings.set(GUILD_ID, 'timezone', 'Asia/Tokyo');
+
+        const view = command('view');
+        await settings.handleView(view);
+        const fields = view.replies[0].embeds[0].data.fields;
+        assert.equal(fields.find(field => field.name === '📜 Audit Channel').value, `<#${CHANNEL_ID}>\n\`audit_channel\``);
+        assert.equal(fields.find(field => field.name === '🌍 Locale').value, '`en-US` *(default)*\n`locale`');
+        assert.equal(fields.find(field => field.name === '🎭 VIP Role').value, 'Not set\n`vip_role`');
+
+        const resetOne = command('reset', { setting: 'audit_channel' });
+        await settings.handleReset(resetOne);
+        assert.match(resetOne.replies[0].content, /back to the default: <#env-audit>/);
+        assert.equal(settings.get(GUILD_ID, 'timezone'), 'Asia/Tokyo');
+
+        await settings.handleReset(command('reset'));
+        assert.equal(settings.guilds[GUILD_ID], undefined);
+        assert.equal(settings.get(GUILD_ID, 'timezone'), 'UTC');
+        assert.deepEqual(audit.at(-1).before, { audit_channel: null, announcement_channel: null, vip_role: null, warning_days: null, locale: null, timezone: 'Asia/Tokyo', crcon_server: null });
+    });
+
+    it('targets the server\'s CRCON server unless a command names one', async () => {
+        assert.equal(settings.getServerId(command('grant')), 'all');
+
+        await settings.set(GUILD_ID, 'crcon_server', 'server1');
+
+        assert.equal(settings.getServerId(command('grant')), 'server1');
+        assert.equal(settings.getServerId(command('grant', { server: 'all' })), 'all');
+        assert.equal(settings.getServerId(createFakeInteraction({ subcommand: 'grant' })), 'all');
+    });
+
+    it('posts audit entries to the audit channel of the server they happened in', async () => {
+        const client = createFakeClient();
+        const fallback = client.createChannel('env-audit');
+        const guildChannel = client.createChannel(CHANNEL_ID);
+        const auditLog = new AuditService(database, client, { channelId: 'env-audit', filename: path.join(dataDir, 'audit.jsonl') });
+        auditLog.setGuildSettings(settings);
+        await settings.set(GUILD_ID, 'audit_channel', CHANNEL_ID);
+
+        await database.createPlayerLink({ discordId: '1001', t17Username: 'OnlineSoldier', steamId: '76561198000000001', platform: 'steam', guildId: GUILD_ID });
+        await database.createPlayerLink({ discordId: '1002', t17Username: 'xX_Tanker_Xx', steamId: '76561198000000002', platform: 'steam' });
+        await database.deletePlayerLink('1001');
+        await auditLog.flush();
+
+        const titles = channel => Array.from(channel.sent.values()).map(message => message.payload.embeds[0].data.title);
+        assert.deepEqual(titles(guildChannel), ['⚙️ Server Setting Changed', '🔗 Account Linked', '🔓 Account Unlinked']);
+        assert.deepEqual(titles(fallback), ['🔗 Account Linked']);
+    });
+
+    it('uses the warning days, locale and timezone of the server a player linked in', async () => {
+        const sent = [];
+        const client = { users: { fetch: async discordId => ({ tag: `user#${discordId}`, send: async message => sent.push(message) }) } };
+        const notifications = new VIPNotificationService(database, crcon, client, settings);
+        await notifications.load();
+        await notifications.start();
+        // ExpiringSoon's VIP ends in 3 days
+        await database.createPlayerLink({ discordId: '1001', t17Username: 'ExpiringSoon', steamId: '76561198000000003', platform: 'steam', guildId: GUILD_ID });
+
+        await settings.set(GUILD_ID, 'warning_days', [5, 2]);
+        await notifications.checkExpirations();
+        assert.equal(sent.length, 0);
+
+        await settings.set(GUILD_ID, 'warning_days', [3]);
+        await settings.set(GUILD_ID, 'locale', 'de-DE');
+        await notifications.checkExpirations();
+
+        const expires = sent[0].embeds[0].data.fields.find(field => field.name === '⏰ Expires').value;
+        assert.match(expires, /^\d{2}\.\d{2}\.\d{4}$/);
+    });
+});
+
+describe('CRCON server setting', () => {
+    const first = new FakeCrconServer();
+    const second = new FakeCrconServer();
+    let crcon;
+    let settings;
+
+    before(async () => {
+        crcon = createCrconManager([await first.start(), await second.start()]);
+    });
+
+    after(async () => {
+        await first.stop();
+        await second.stop();
+    });
+
+    beforeEach(async () => {
+        first.fixtures = createFixtures();
+        second.fixtures = createFixtures();
+        second.fixtures.players = [{ name: 'SecondOnly', player_id: '76561198000000099' }];
+        first.messages = [];
+        second.messages = [];
+
+        const documents = {};
+        settings = new GuildSettingsService({
+            loadData: async (name, fallback) => documents[name] ?? fallback,
+            saveData: async (name, data) => {
+                documents[name] = data;
+            },
+            recordAudit: () => {}
+        }, crcon);
+        await settings.load();
+        await settings.set(GUILD_ID, 'crcon_server', 'server2');
+    });
+
+    it('sends link codes only through the Discord server\'s CRCON server', async () => {
+        const linkVerification = new LinkVerificationService({
+            getPlayerByDiscordId: async () => null,
+            getPlayerBySteamId: async () => null
+        }, crcon);
+        const serverId = settings.getGuildServerId(GUILD_ID);
+
+        const onFirst = await linkVerification.requestCode('1001', 'OnlineSoldier', serverId);
+        const onSecond = await linkVerification.requestCode('1002', 'SecondOnly', serverId);
+
+        assert.equal(onFirst.reason, 'NOT_FOUND');
+        assert.equal(onSecond.success, true);
+        assert.deepEqual([first.messages.length, second.messages.length], [0, 1]);
+        assert.equal((await linkVerification.requestCode('1003', 'OnlineSoldier', settings.getGuildServerId('other-guild'))).success, true);
+    });
+
+    it('checks VIP only on the Discord server\'s CRCON server', async () => {
+        const statuses = await crcon.getVipStatusAll('76561198000000002', settings.getGuildServerId(GUILD_ID));
+
+        assert.deepEqual(statuses.map(status => status.serverId), ['server2']);
+        assert.equal((await crcon.getVipStatusAll('76561198000000002', settings.getGuildServerId('other-guild'))).length, 2);
+    });
+
+    it('says in /config what the setting does not cover', () => {
+        const field = settings.buildViewEmbed({ id: GUILD_ID, name: 'Test Community' }).data.fields.find(entry => entry.name.includes('CRCON Server'));
+
+        assert.match(field.value, /Seeding is tracked and rewarded on every server/);
+    });
+});
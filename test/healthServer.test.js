@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconManager } = require('./support/helpers');
+const { createFixtures } = require('./fixtures/crcon');
+const HealthServer = require('../services/healthServer');
+const Metrics = require('../utils/metrics');
+
+function createGatewayClient(ready = true) {
+    return {
+        isReady: () => ready,
+        ws: { status: ready ? 0 : 5, ping: ready ? 42 : -1 },
+        guilds: { cache: new Map([['guild-1', {}]]) }
+    };
+}
+
+describe('HealthServer', () => {
+    const crconServer = new FakeCrconServer();
+    let baseUrl;
+    let crcon;
+    let health;
+    let url;
+
+    before(async () => {
+        baseUrl = await crconServer.start();
+    });
+
+    after(async () => {
+        await crconServer.stop();
+    });
+
+    beforeEach(async () => {
+        crconServer.fixtures = createFixtures();
+        Metrics.reset();
+        crcon = createCrconManager([baseUrl]);
+        health = new HealthServer(createGatewayClient(), crcon, { port: 0 });
+        url = `http://127.0.0.1:${await health.start()}`;
+    });
+
+    afterEach(async () => {
+        await health.stop();
+    });
+
+    it('reports Discord, each CRCON server and the last run of each job', async () => {
+        await crcon.getServer('server1').makeRequest('/api/get_status');
+        await Metrics.recordJob('leaderboards', async () => {});
+        await assert.rejects(() => Metrics.recordJob('vipRoleSync', async () => { throw new Error('Missing Access'); }));
+
+        const response = await fetch(`${url}/healthz`);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(body.status, 'ok');
+        assert.deepEqual(body.discord, { ready: true, status: 'Ready', pingMs: 42, guilds: 1 });
+        assert.deepEqual(body.crcon.map(({ lastSuccessfulRequest, ...server }) => server), [
+            { id: 'server1', name: null, isHealthy: true, consecutiveFailures: 0 }
+        ]);
+        assert.ok(Date.parse(body.crcon[0].lastSuccessfulRequest));
+        assert.deepEqual([body.jobs.leaderboards.runs, body.jobs.leaderboards.failures], [1, 0]);
+        assert.equal(body.jobs.vipRoleSync.lastSuccess, null);
+        assert.equal(body.jobs.vipRoleSync.lastError.message, 'Missing Access');
+    });
+
+    it('answers 503 while the Discord gateway is down and degraded while CRCON is', async () => {
+        await health.stop();
+        health = new HealthServer(createGatewayClient(false), crcon, { port: 0 });
+        url = `http://127.0.0.1:${await health.start()}`;
+
+        const down = await fetch(`${url}/healthz`);
+        assert.equal(down.status, 503);
+        assert.deepEqual(await down.json().then(body => [body.status, body.discord.status]), ['down', 'Disconnected']);
+
+        health.client = createGatewayClient(true);
+        const degraded = await fetch(`${url}/healthz`).then(response => response.json());
+        assert.equal(degraded.status, 'degraded');
+    });
+
+    it('serves Prometheus counters for commands, CRCON latency, DMs and leaderboards', async () => {
+        Metrics.commands.inc({ command: 'vip', outcome: 'success' });
+        Metrics.commands.inc({ command: 'vip', outcome: 'success' });
+        Metrics.commands.inc({ command: 'link', outcome: 'rate_limited' });
+        await Metrics.recordDm('vip_expiry', async () => {});
+        await assert.rejects(() => Metrics.recordDm('vip_expiry', async () => { throw new Error('Cannot send messages to this user'); }));
+        Metrics.leaderboardUpdates.observe({}, 1.5);
+        await crcon.getServer('server1').makeRequest('/api/get_status');
+
+        const response = await fetch(`${url}/metrics`);
+        const text = await response.text();
+
+        assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+        assert.match(text, /^hll_bot_commands_total\{command="vip",outcome="success"\} 2$/m);
+        assert.match(text, /^hll_bot_commands_total\{command="link",outcome="rate_limited"\} 1$/m);
+        assert.match(text, /^hll_bot_dms_total\{kind="vip_expiry",outcome="sent"\} 1$/m);
+        assert.match(text, /^hll_bot_dms_total\{kind="vip_expiry",outcome="failed"\} 1$/m);
+        assert.match(text, /^hll_bot_crcon_request_duration_seconds_count\{server="server1",endpoint="\/api\/get_status",outcome="success"\} 1$/m);
+        assert.match(text, /^hll_bot_leaderboard_update_duration_seconds_bucket\{le="1"\} 0$/m);
+        assert.match(text, /^hll_bot_leaderboard_update_duration_seconds_bucket\{le="2\.5"\} 1$/m);
+        assert.match(text, /^# TYPE hll_bot_leaderboard_update_duration_seconds histogram$/m);
+
+        assert.equal((await fetch(`${url}/nope`)).status, 404);
+        assert.equal((await fetch(`${url}/metrics`, { method: 'POST' })).status, 405);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/helpers');
+const { createFakeInteraction } = require('./support/fakeInteraction');
+const { createFakeClient } = require('./support/fakeDiscord');
+const LeaderboardService = require('../services/leaderboard');
+const StatsCollector = require('../services/statsCollector');
+
+function createFakeDatabase() {
+    const documents = {};
+    return {
+        documents,
+        getAllPlayers: async () => [],
+        getPlayerCount: async () => 0,
+        loadData: async (name, fallback) => documents[name] ?? fallback,
+        saveData: async (name, data) => {
+            documents[name] = JSON.parse(JSON.stringify(data));
+            return true;
+        }
+    };
+}
+
+describe('LeaderboardService', () => {
+    let database;
+    let client;
+    let channel;
+    let leaderboard;
+
+    const crcon = { getServerName: async () => 'Test Server' };
+    const command = (subcommand, options = {}) => createFakeInteraction({ subcommand, options, client });
+    const restart = async () => {
+        const restarted = new LeaderboardService(database, crcon, client, new StatsCollector(null, null, {}));
+        await restarted.load();
+        return restarted;
+    };
+
+    beforeEach(async () => {
+        database = createFakeDatabase();
+        client = createFakeClient();
+        channel = client.createChannel('channel-1');
+        leaderboard = await restart();
+
+        await leaderboard.handleCreate(command('create', { channel, type: 'kills' }));
+        await leaderboard.handleCreate(command('create', { channel, type: 'playtime', period: 'weekly' }));
+    });
+
+    it('keeps several leaderboards in one channel, keyed by message', () => {
+        const stored = Object.values(database.documents.leaderboard.leaderboards);
+
+        assert.deepEqual(stored.map(settings => [settings.channelId, settings.type, settings.currentPeriod]), [
+            ['channel-1', 'kills', 'daily'],
+            ['channel-1', 'playtime', 'weekly']
+        ]);
+        assert.equal(channel.sent.size, 2);
+    });
+
+    it('restores leaderboards after a restart and only drops deleted messages', async () => {
+        const [first] = channel.sent.values();
+        await first.delete();
+
+        const restarted = await restart();
+        await restarted.verifyAll();
+
+        assert.deepEqual(Array.from(restarted.leaderboards.values()).map(settings => settings.type), ['playtime']);
+    });
+
+    it('keeps leaderboards it cannot verify while Discord is unavailable', async () => {
+        client.unavailable = true;
+
+        const restarted = await restart();
+        await restarted.verifyAll();
+        await restarted.updateAll();
+
+        assert.equal(restarted.leaderboards.size, 2);
+    });
+
+    it('migrates leaderboards saved by channel', async () => {
+        database.documents.leaderboard = {
+            leaderboardChannels: {
+                'channel-9': { messageId: 'old-message', channelId: 'channel-9', type: 'score', currentPeriod: 'daily' }
+            }
+        };
+
+        const restarted = await restart();
+
+        assert.equal(restarted.leaderboards.get('old-message').type, 'score');
+    });
+
+    it('removes one leaderboard by message ID and lists the rest', async () => {
+        const [first] = channel.sent.keys();
+
+        await leaderboard.handleRemove(command('remove', { message_id: first }));
+        const list = command('list');
+        await leaderboard.handleList(list);
+
+        assert.equal(channel.sent.size, 1);
+        assert.match(list.replies[0].content, /Leaderboards \(1\)/);
+        assert.match(list.replies[0].content, /Most Playtime, weekly/);
+    });
+});
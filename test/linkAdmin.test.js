@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./support/helpers');
+const { createFakeInteraction, createFakeUser } = require('./support/fakeInteraction');
+const DatabaseService = require('../services/database');
+const LinkAdminService = require('../services/linkAdmin');
+
+const PLAYER_ID = '76561198000000001';
+
+function createFakeCrcon(players = {}) {
+    return {
+        getPlayerByT17Username: async name => players[name] || null,
+        detectPlatform: () => '💻 PC'
+    };
+}
+
+describe('LinkAdminService', () => {
+    let dataDir;
+    let database;
+    let audit;
+    let linkAdmin;
+
+    const command = (subcommand, options = {}) => createFakeInteraction({ subcommand, options });
+
+    beforeEach(async () => {
+        dataDir = createTempDir();
+        database = new DatabaseService({ filename: path.join(dataDir, 'database.json') });
+        await database.initialize();
+        audit = [];
+        database.on('audit', entry => audit.push(entry));
+
+        linkAdmin = new LinkAdminService(database, createFakeCrcon({
+            OnlineSoldier: { name: 'OnlineSoldier', display_name: 'OnlineSoldier', steam_id_64: PLAYER_ID }
+        }));
+        await database.createPlayerLink({ discordId: '1001', t17Username: 'OnlineSoldier', steamId: PLAYER_ID, platform: 'steam' });
+        audit.length = 0;
+    });
+
+    afterEach(async () => {
+        await database.close();
+        removeTempDir(dataDir);
+    });
+
+    it('moves a player ID to another user and audits both changes as the admin', async () => {
+        await linkAdmin.handleSet(command('set', { user: createFakeUser('2002'), player: PLAYER_ID, name: 'RealOwner' }));
+
+        assert.equal(await database.getPlayerByDiscordId('1001'), null);
+        assert.equal((await database.getPlayerBySteamId(PLAYER_ID)).discordId, '2002');
+        assert.equal((await database.getPlayerByDiscordId('2002')).t17Username, 'RealOwner');
+        assert.deepEqual(audit.map(entry => [entry.action, entry.actorId, entry.targetId]), [
+            ['link.delete', 'admin-1', '1001'],
+            ['link.create', 'admin-1', '2002']
+        ]);
+    });
+
+    it('looks up T17 names in CRCON and explains when it cannot find one', async () => {
+        const found = command('set', { user: createFakeUser('2002'), player: 'OnlineSoldier' });
+        const missing = command('set', { user: createFakeUser('2003'), player: 'NoSuchSoldier' });
+
+        await linkAdmin.handleSet(found);
+        await linkAdmin.handleSet(missing);
+
+        assert.equal(found.replies[0].embeds[0].data.title, '🔗 Link Set');
+        assert.match(missing.replies[0].content, /can't find a player named "NoSuchSoldier"/);
+        assert.equal(await database.getPlayerByDiscordId('2003'), null);
+    });
+
+    it('removes another user\'s link', async () => {
+        const interaction = command('remove', { user: createFakeUser('1001') });
+
+        await linkAdmin.handleRemove(interaction);
+
+        assert.match(interaction.replies[0].content, /Unlinked <@1001> from \*\*OnlineSoldier\*\*/);
+        assert.equal(audit[0].before.steamId, PLAYER_ID);
+    });
+
+    it('finds the Discord user behind a player ID or part of a name', async () => {
+        const byId = command('whois', { player: PLAYER_ID });
+        const byName = command('whois', { player: 'soldier' });
+
+        await linkAdmin.handleWhois(byId);
+        await linkAdmin.handleWhois(byName);
+
+        assert.match(byId.replies[0].embeds[0].data.description, /<@1001> → \*\*OnlineSoldier\*\*/);
+        assert.match(byName.replies[0].embeds[0].data.description, /<@1001>/);
+    });
+
+    it('pages through linked accounts', async () => {
+        for (let i = 0; i < 20; i++) {
+            await database.createPlayerLink({ discordId: `3${i}`, t17Username: `Soldier${i}`, steamId: `7656119800000${1000 + i}`, platform: 'steam' });
+        }
+        const interaction = command('list', { page: 2 });
+
+        await linkAdmin.handleList(interaction);
+
+        assert.equal(interaction.replies[0].embeds[0].data.footer.text, 'Page 2/2 • 21 linked accounts, newest first');
+    });
+});
@@ -0,0 +1,57 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/helpers');
+const LinkVerificationService = require('../services/linkVerification');
+
+const PLAYERS = {
+    OnlineSoldier: { name: 'OnlineSoldier', steam_id_64: '76561198000000001' },
+    SecondSoldier: { name: 'SecondSoldier', steam_id_64: '76561198000000002' }
+};
+
+describe('LinkVerificationService', () => {
+    let messages;
+    let lookups;
+    let linkVerification;
+
+    beforeEach(() => {
+        messages = [];
+        lookups = [];
+        const crcon = {
+            // Each lookup waits until the test lets it finish
+            getPlayerByT17Username: name => new Promise(resolve => lookups.push(() => resolve(PLAYERS[name] || null))),
+            sendMessageToPlayer: async (player, message) => messages.push({ player: player.name, message })
+        };
+        linkVerification = new LinkVerificationService({
+            getPlayerByDiscordId: async () => null,
+            getPlayerBySteamId: async () => null
+        }, crcon, { maxCodeRequests: 2 });
+    });
+
+    const settle = () => new Promise(setImmediate);
+
+    it('issues codes to overlapping requests from different users', async () => {
+        const first = linkVerification.requestCode('1001', 'OnlineSoldier');
+        await settle();
+        const second = linkVerification.requestCode('1002', 'SecondSoldier');
+        await settle();
+
+        lookups.forEach(finish => finish());
+        const results = await Promise.all([first, second]);
+
+        assert.deepEqual(results.map(result => result.success), [true, true]);
+        assert.deepEqual(messages.map(message => message.player), ['OnlineSoldier', 'SecondSoldier']);
+        assert.deepEqual([...linkVerification.codeRequests.keys()], ['1001', '1002']);
+    });
+
+    it('still counts requests towards the per-user limit', async () => {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const request = linkVerification.requestCode('1001', 'OnlineSoldier');
+            await settle();
+            lookups.shift()();
+            assert.equal((await request).success, true);
+        }
+
+        const limited = await linkVerification.requestCode('1001', 'OnlineSoldier');
+        assert.equal(limited.reason, 'RATE_LIMITED');
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/helpers');
+const { createFakeInteraction } = require('./support/fakeInteraction');
+const { createFakeClient } = require('./support/fakeDiscord');
+const PanelService = require('../services/panel');
+
+function createFakeDatabase() {
+    const documents = {};
+    return {
+        documents,
+        loadData: async (name, fallback) => documents[name] ?? fallback,
+        saveData: async (name, data) => {
+            documents[name] = JSON.parse(JSON.stringify(data));
+            return true;
+        }
+    };
+}
+
+describe('PanelService', () => {
+    let database;
+    let client;
+    let channel;
+    let panels;
+
+    const command = (subcommand, options = {}) => createFakeInteraction({ subcommand, options, client });
+
+    beforeEach(async () => {
+        database = createFakeDatabase();
+        client = createFakeClient();
+        channel = client.createChannel('channel-1');
+        panels = new PanelService(database, { getServerName: async () => 'Test Server' }, client);
+
+        await panels.handleCreate(command('create', { channel, title: 'Stoney VIP' }));
+    });
+
+    it('posts the panel with every panel button and remembers it', () => {
+        const [message] = channel.sent.values();
+        const customIds = message.payload.components.flatMap(row => row.components.map(button => button.data.custom_id));
+
+        assert.deepEqual(customIds, ['panel_link_account', 'panel_check_vip', 'panel_view_stats', 'panel_contest', 'panel_unlink_account', 'panel_help']);
+        assert.equal(message.payload.embeds[0].data.title, '🎖️ Stoney VIP');
+        assert.deepEqual(Object.keys(database.documents.panels.panels), [message.id]);
+    });
+
+    it('rebuilds remembered panels after a restart and forgets deleted ones', async () => {
+        const second = client.createChannel('channel-2');
+        await panels.handleCreate(command('create', { channel: second }));
+        const [deleted] = second.sent.values();
+        await deleted.delete();
+
+        const restarted = new PanelService(database, { getServerName: async () => 'Test Server' }, client);
+        await restarted.load();
+        const summary = await restarted.refreshAll();
+
+        assert.deepEqual(summary, { refreshed: 1, removed: 1, failed: 0 });
+        assert.equal([...channel.sent.values()][0].edits, 1);
+        assert.equal(Object.keys(database.documents.panels.panels).length, 1);
+    });
+
+    it('removes the panels in a channel', async () => {
+        const interaction = command('remove', { channel });
+
+        await panels.handleRemove(interaction);
+
+        assert.equal(channel.sent.size, 0);
+        assert.equal(panels.panels.size, 0);
+        assert.match(interaction.replies[0].content, /Removed 1 panel/);
+    });
+
+    it('reports when a channel has no panel', async () => {
+        const interaction = command('remove', { channel: client.createChannel('empty') });
+
+        await panels.handleRemove(interaction);
+
+        assert.match(interaction.replies[0].content, /no panel in <#empty>/);
+    });
+});
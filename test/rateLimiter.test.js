@@ -0,0 +1,189 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconManager } = require('./support/helpers');
+const RateLimiter = require('../utils/rateLimiter');
+const ConcurrencyLimiter = require('../utils/concurrencyLimiter');
+const { resolveSettings } = require('../config/schema');
+
+function interaction({ userId = '1001', guildId = 'guild-1', commandName = null, subcommand = commandName === 'link' ? 'start' : null, customId = null, admin = false } = {}) {
+    return {
+        user: { id: userId },
+        guildId,
+        commandName,
+        customId,
+        options: { getSubcommand: () => subcommand },
+        member: { permissions: { has: permission => admin && permission === 'Administrator' } }
+    };
+}
+
+describe('RateLimiter', () => {
+    const limiter = (config = {}) => new RateLimiter({
+        user: { limit: 5, windowMs: 60000 },
+        guild: null,
+        commands: { link: { limit: 2, windowMs: 60000 } },
+        ...config
+    });
+
+    it('limits a command per user and says when to retry', () => {
+        const rateLimiter = limiter();
+        const link = () => rateLimiter.check(interaction({ commandName: 'link' }));
+
+        assert.equal(link().allowed, true);
+        assert.equal(link().allowed, true);
+        const blocked = link();
+
+        assert.equal(blocked.allowed, false);
+        assert.equal(blocked.bucket, 'command:link');
+        assert.ok(blocked.retryAfterMs > 59000 && blocked.retryAfterMs <= 60000);
+        assert.equal(rateLimiter.check(interaction({ commandName: 'vip' })).allowed, true);
+        assert.equal(rateLimiter.check(interaction({ userId: '1002', commandName: 'link' })).allowed, true);
+    });
+
+    it('counts the link modal that sends a code towards /link', () => {
+        const rateLimiter = limiter();
+
+        rateLimiter.check(interaction({ customId: 'panel_link_account' }));
+        rateLimiter.check(interaction({ customId: 'link_account_modal' }));
+        rateLimiter.check(interaction({ customId: 'link_account_modal' }));
+
+        assert.equal(rateLimiter.check(interaction({ commandName: 'link' })).bucket, 'command:link');
+    });
+
+    it('charges /link start but not /link verify', () => {
+        const rateLimiter = limiter();
+        rateLimiter.check(interaction({ commandName: 'link' }));
+        const before = { ...rateLimiter.buckets.get('command_link_1001') };
+
+        for (let attempt = 0; attempt < 4; attempt++) {
+            assert.deepEqual(rateLimiter.check(interaction({ commandName: 'link', subcommand: 'verify' })), { allowed: true });
+        }
+
+        assert.deepEqual(rateLimiter.buckets.get('command_link_1001'), before);
+        assert.deepEqual(rateLimiter.getStats().counters['command:link'], { allowed: 1, limited: 0 });
+    });
+
+    it('lets the whole panel link flow through under the default limits', () => {
+        const { values } = resolveSettings({ DISCORD_TOKEN: 'token', DISCORD_CLIENT_ID: 'client', CRCON_API_TOKEN: 'crcon-token' });
+        const rateLimiter = new RateLimiter({
+            user: values['limits.rateLimitUser'],
+            guild: values['limits.rateLimitGuild'],
+            commands: values['limits.rateLimitCommands']
+        });
+        const flow = ['panel_link_account', 'link_account_modal', 'link_verify_open', 'link_verify_modal'];
+
+        // A typo on the first code, then a second attempt
+        for (const customId of [...flow, 'link_verify_open', 'link_verify_modal']) {
+            assert.deepEqual(rateLimiter.check(interaction({ customId })), { allowed: true }, customId);
+        }
+        assert.deepEqual(rateLimiter.getStats().counters['command:link'], { allowed: 1, limited: 0 });
+    });
+
+    it('shares one bucket between everyone in a guild', () => {
+        const rateLimiter = limiter({ guild: { limit: 2, windowMs: 60000 } });
+
+        rateLimiter.check(interaction({ userId: '1' }));
+        rateLimiter.check(interaction({ userId: '2' }));
+
+        assert.equal(rateLimiter.check(interaction({ userId: '3' })).bucket, 'guild');
+        assert.equal(rateLimiter.check(interaction({ userId: '3', guildId: 'guild-2' })).allowed, true);
+    });
+
+    it('does not charge rejected interactions and lets admins through', () => {
+        const rateLimiter = limiter({ user: { limit: 3, windowMs: 60000 } });
+
+        rateLimiter.check(interaction({ commandName: 'link' }));
+        rateLimiter.check(interaction({ commandName: 'link' }));
+        rateLimiter.check(interaction({ commandName: 'link' }));
+
+        assert.equal(rateLimiter.check(interaction({ commandName: 'vip' })).allowed, true);
+        assert.equal(rateLimiter.check(interaction({ commandName: 'vip' })).bucket, 'user');
+        assert.deepEqual(rateLimiter.check(interaction({ commandName: 'link', admin: true })), { allowed: true, exempt: true });
+
+        const stats = rateLimiter.getStats();
+        assert.deepEqual(stats.counters['command:link'], { allowed: 2, limited: 1 });
+        assert.deepEqual(stats.counters.user, { allowed: 3, limited: 1 });
+        assert.equal(stats.exempted, 1);
+    });
+
+    it('starts a new window once the old one has passed', () => {
+        const rateLimiter = limiter();
+        rateLimiter.check(interaction({ commandName: 'link' }));
+        rateLimiter.check(interaction({ commandName: 'link' }));
+
+        rateLimiter.buckets.get('command_link_1001').resetTime = Date.now() - 1;
+
+        assert.equal(rateLimiter.check(interaction({ commandName: 'link' })).allowed, true);
+    });
+
+    it('applies new limits to the current window', () => {
+        const rateLimiter = limiter();
+        rateLimiter.check(interaction({ commandName: 'link' }));
+
+        rateLimiter.configure({ user: null, commands: { link: { limit: 1, windowMs: 60000 } } });
+
+        assert.equal(rateLimiter.check(interaction({ commandName: 'link' })).bucket, 'command:link');
+        assert.equal(rateLimiter.check(interaction({ commandName: 'vip' })).allowed, true);
+    });
+});
+
+describe('CRCON request cap', () => {
+    const server = new FakeCrconServer();
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await server.start();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('never has more requests in flight than the cap, across servers', async () => {
+        const crcon = createCrconManager([baseUrl, baseUrl], { maxConcurrentRequests: 2 });
+        await Promise.all(crcon.getServers().map(connection => connection.authenticate()));
+
+        await Promise.all(crcon.getServers().flatMap(connection =>
+            Array.from({ length: 4 }, () => connection.makeRequest('/api/get_status'))
+        ));
+
+        const stats = crcon.getRequestStats();
+        assert.deepEqual(
+            [stats.started, stats.peakActive, stats.active, stats.waiting, stats.maxConcurrent],
+            [8, 2, 0, 0, 2]
+        );
+        assert.ok(stats.queued >= 6);
+    });
+
+    it('frees the slot when a task fails', async () => {
+        const limiter = new ConcurrencyLimiter(1);
+
+        await assert.rejects(() => limiter.run(async () => { throw new Error('boom'); }));
+
+        assert.equal(await limiter.run(async () => 'ok'), 'ok');
+        assert.equal(limiter.getStats().active, 0);
+    });
+
+    it('starts waiting tasks when the cap is raised and drains when it is lowered', async () => {
+        const limiter = new ConcurrencyLimiter(1);
+        const gates = [];
+        const tasks = Array.from({ length: 3 }, () => limiter.run(() => new Promise(resolve => gates.push(resolve))));
+        await new Promise(setImmediate);
+        assert.equal(gates.length, 1);
+
+        limiter.setMaxConcurrent(3);
+        await new Promise(setImmediate);
+        assert.equal(gates.length, 3);
+
+        limiter.setMaxConcurrent(1);
+        const fourth = limiter.run(async () => 'fourth');
+        gates.splice(0, 2).forEach(open => open());
+        await new Promise(setImmediate);
+        assert.deepEqual([limiter.active, limiter.waiting.length], [1, 1]);
+
+        gates[0]();
+        await Promise.all(tasks);
+        assert.equal(await fourth, 'fourth');
+        assert.equal(limiter.getStats().active, 0);
+    });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconManager } = require('./support/helpers');
+const { createFakeInteraction } = require('./support/fakeInteraction');
+const { createFixtures } = require('./fixtures/crcon');
+const VIPManagementService = require('../services/vipManagement');
+const RedemptionCodeService = require('../services/redemptionCodes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PLAYER_ID = '76561198000000001';
+const OTHER_PLAYER_ID = '76561198000000002';
+
+function createFakeDatabase(links = {}) {
+    const documents = {};
+    const audit = [];
+    return {
+        documents,
+        audit,
+        getPlayerByDiscordId: async discordId => links[discordId] || null,
+        appendVipAudit: async entry => audit.push(entry),
+        loadData: async (name, fallback) => documents[name] ?? fallback,
+        saveData: async (name, data) => {
+            documents[name] = JSON.parse(JSON.stringify(data));
+            return true;
+        }
+    };
+}
+
+describe('RedemptionCodeService', () => {
+    const server = new FakeCrconServer();
+    let crcon;
+    let database;
+    let codes;
+
+    const redeem = async (code, discordId = '1001') => {
+        const interaction = createFakeInteraction({ options: { code }, user: { id: discordId, tag: `user${discordId}#0001` } });
+        await codes.handleRedeem(interaction);
+        return interaction.replies[0];
+    };
+
+    before(async () => {
+        crcon = createCrconManager([await server.start()]);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        server.fixtures = createFixtures();
+        database = createFakeDatabase({
+            1001: { t17Username: 'OnlineSoldier', steamId: PLAYER_ID },
+            1002: { t17Username: 'SecondSoldier', steamId: OTHER_PLAYER_ID },
+            1003: { t17Username: 'OnlineSoldierAlt', steamId: PLAYER_ID }
+        });
+        codes = new RedemptionCodeService(database, new VIPManagementService(database, crcon));
+        await codes.load();
+    });
+
+    it('extends VIP for the linked player and records the redemption', async () => {
+        const { codes: [record] } = await codes.createBatch({ durationMs: 7 * DAY_MS, label: 'Giveaway', createdBy: 'admin-1' });
+
+        const reply = await redeem(record.code.toLowerCase().replace(/-/g, ' '));
+
+        assert.equal(reply.embeds[0].data.title, '🎟️ Code Redeemed!');
+        assert.ok(server.fixtures.vipIds.some(vip => vip.player_id === PLAYER_ID));
+        assert.equal(database.documents.redemptionCodes.codes[record.code].redemptions[0].steamId, PLAYER_ID);
+        assert.ok(database.audit.some(entry => entry.reason === `code:${record.code} (Giveaway)`));
+    });
+
+    it('never redeems the same code twice for one account', async () => {
+        const { codes: [record] } = await codes.createBatch({ durationMs: DAY_MS, maxUses: 5, createdBy: 'admin-1' });
+
+        await redeem(record.code, '1001');
+        const again = await redeem(record.code, '1001');
+        const sameSteamId = await redeem(record.code, '1003');
+
+        assert.match(again.content, /already redeemed/);
+        assert.match(sameSteamId.content, /already redeemed/);
+        assert.equal(codes.codes.get(record.code).redemptions.length, 1);
+    });
+
+    it('lets different accounts redeem a shared code at the same time', async () => {
+        const { codes: [record] } = await codes.createBatch({ durationMs: DAY_MS, maxUses: 5, createdBy: 'admin-1' });
+
+        const replies = await Promise.all(['1001', '1002'].map(discordId => redeem(record.code, discordId)));
+
+        assert.deepEqual(replies.map(reply => reply.embeds?.[0].data.title), ['🎟️ Code Redeemed!', '🎟️ Code Redeemed!']);
+        assert.equal(codes.codes.get(record.code).redemptions.length, 2);
+    });
+
+    it('never hands out more uses than a code has when redemptions overlap', async () => {
+        const { codes: [record] } = await codes.createBatch({ durationMs: DAY_MS, createdBy: 'admin-1' });
+
+        const replies = await Promise.all(['1001', '1002'].map(discordId => redeem(record.code, discordId)));
+
+        assert.equal(replies.filter(reply => reply.embeds).length, 1);
+        assert.match(replies.find(reply => !reply.embeds).content, /used up/);
+        assert.equal(codes.codes.get(record.code).redemptions.length, 1);
+    });
+
+    it('blocks a second overlapping redemption from the same account', async () => {
+        const { codes: [record] } = await codes.createBatch({ durationMs: DAY_MS, maxUses: 5, createdBy: 'admin-1' });
+
+        const replies = await Promise.all(['1001', '1003'].map(discordId => redeem(record.code, discordId)));
+
+        assert.match(replies[1].content, /already redeemed/);
+        assert.equal(codes.codes.get(record.code).redemptions.length, 1);
+    });
+
+    it('stops a code once its uses run out', async () => {
+        const { codes: [record] } = await codes.createBatch({ durationMs: DAY_MS, createdBy: 'admin-1' });
+
+        await redeem(record.code, '1001');
+        const reply = await redeem(record.code, '1002');
+
+        assert.match(reply.content, /used up/);
+        assert.equal(codes.getCodeStatus(codes.codes.get(record.code)), 'used');
+    });
+
+    it('refuses expired and disabled codes', async () => {
+        const { codes: [expired] } = await codes.createBatch({ durationMs: DAY_MS, expiresAt: new Date(Date.now() + DAY_MS), createdBy: 'admin-1' });
+        expired.expiresAt = new Date(Date.now() - 1000).toISOString();
+        const { batchId, codes: [disabled] } = await codes.createBatch({ durationMs: DAY_MS, createdBy: 'admin-1' });
+        await codes.handleDisable(createFakeInteraction({ options: { code_or_batch: batchId } }));
+
+        assert.match((await redeem(expired.code)).content, /expired/);
+        assert.match((await redeem(disabled.code)).content, /disabled/);
+        assert.equal(server.fixtures.vipIds.some(vip => vip.player_id === PLAYER_ID), false);
+    });
+
+    it('gives the use back when CRCON rejects the VIP', async () => {
+        const { codes: [record] } = await codes.createBatch({ durationMs: DAY_MS, createdBy: 'admin-1' });
+        server.failNext('/api/add_vip', 400);
+
+        const reply = await redeem(record.code);
+
+        assert.match(reply.content, /has not been used/);
+        assert.deepEqual(database.documents.redemptionCodes.codes[record.code].redemptions, []);
+        assert.equal(codes.getCodeStatus(codes.codes.get(record.code)), 'active');
+    });
+
+    it('asks unlinked users to link first', async () => {
+        const { codes: [record] } = await codes.createBatch({ durationMs: DAY_MS, createdBy: 'admin-1' });
+
+        const reply = await redeem(record.code, '9999');
+
+        assert.match(reply.content, /link your Hell Let Loose account/);
+        assert.equal(codes.codes.get(record.code).redemptions.length, 0);
+    });
+});
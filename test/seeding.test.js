@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconManager } = require('./support/helpers');
+const { createFakeInteraction } = require('./support/fakeInteraction');
+const { createFixtures } = require('./fixtures/crcon');
+const VIPManagementService = require('../services/vipManagement');
+const SeedingService = require('../services/seeding');
+
+const MINUTE_MS = 60 * 1000;
+const SEEDER_ID = '76561198000000001';
+
+function createFakeDatabase(links = {}) {
+    const documents = {};
+    const audit = [];
+    return {
+        documents,
+        audit,
+        getPlayerByDiscordId: async discordId => links[discordId] || null,
+        getPlayerBySteamId: async steamId => {
+            const entry = Object.entries(links).find(([, link]) => link.steamId === steamId);
+            return entry ? { ...entry[1], discordId: entry[0] } : null;
+        },
+        appendVipAudit: async entry => audit.push(entry),
+        loadData: async (name, fallback) => documents[name] ?? fallback,
+        saveData: async (name, data) => {
+            documents[name] = JSON.parse(JSON.stringify(data));
+            return true;
+        }
+    };
+}
+
+describe('SeedingService', () => {
+    const server = new FakeCrconServer();
+    let crcon;
+    let database;
+    let notifications;
+    let seeding;
+    let start;
+
+    // Polls once a minute for `minutes` minutes after the first poll
+    const pollFor = async minutes => {
+        for (let minute = 0; minute <= minutes; minute++) {
+            await seeding.poll(new Date(start + minute * MINUTE_MS));
+        }
+    };
+
+    before(async () => {
+        crcon = createCrconManager([await server.start()]);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        server.fixtures = createFixtures();
+        database = createFakeDatabase({
+            1001: { t17Username: 'OnlineSoldier', steamId: SEEDER_ID }
+        });
+        notifications = [];
+        const vipNotifications = {
+            sendSeedingRewardNotification: async (linkedPlayer, reward) => notifications.push({ linkedPlayer, reward })
+        };
+
+        seeding = new SeedingService(database, crcon, new VIPManagementService(database, crcon), vipNotifications, {
+            enabled: true,
+            minPlayers: 2,
+            maxPlayers: 10,
+            minutesPerReward: 30,
+            rewardHours: 24,
+            maxRewardsPerDay: 1
+        });
+        start = new Date(2026, 9, 19, 8, 0).getTime();
+    });
+
+    it('credits players seen on consecutive polls while the server is seeding', async () => {
+        await pollFor(10);
+
+        assert.equal(seeding.players[SEEDER_ID].totalMs, 10 * MINUTE_MS);
+        assert.equal(seeding.getLeaderboard('daily', new Date(start))[0].seededMs, 10 * MINUTE_MS);
+        assert.equal(database.documents.seeding.players[SEEDER_ID].progressMs, 10 * MINUTE_MS);
+    });
+
+    it('does not credit time outside the population window', async () => {
+        server.fixtures.players = server.fixtures.players.slice(0, 1);
+
+        await pollFor(10);
+
+        assert.deepEqual(seeding.players, {});
+    });
+
+    it('grants VIP at the threshold, logs it and DMs the linked player', async () => {
+        await pollFor(30);
+
+        const vip = server.fixtures.vipIds.find(entry => entry.player_id === SEEDER_ID);
+        assert.ok(vip);
+        assert.equal(seeding.players[SEEDER_ID].rewards, 1);
+        assert.equal(seeding.players[SEEDER_ID].progressMs, 0);
+        assert.ok(database.audit.some(entry => entry.playerId === SEEDER_ID && entry.reason === 'seeding' && entry.actorId === 'system'));
+        assert.equal(notifications.length, 1);
+        assert.equal(notifications[0].linkedPlayer.discordId, '1001');
+    });
+
+    it('stops rewarding at the daily cap but keeps counting for the leaderboard', async () => {
+        await pollFor(90);
+
+        assert.equal(seeding.players[SEEDER_ID].rewards, 1);
+        assert.equal(seeding.players[SEEDER_ID].totalMs, 90 * MINUTE_MS);
+        assert.equal(seeding.isCapped(seeding.players[SEEDER_ID], new Date(start)), true);
+    });
+
+    it('keeps progress and retries later when CRCON rejects the grant', async () => {
+        await pollFor(29);
+        server.failNext('/api/add_vip', 400);
+        await seeding.poll(new Date(start + 30 * MINUTE_MS));
+
+        assert.equal(seeding.players[SEEDER_ID].rewards, 0);
+        assert.equal(seeding.players[SEEDER_ID].progressMs, 30 * MINUTE_MS);
+
+        await seeding.poll(new Date(start + 46 * MINUTE_MS));
+        assert.equal(seeding.players[SEEDER_ID].rewards, 1);
+    });
+
+    it('does not credit the gap after a failed poll', async () => {
+        await pollFor(5);
+        server.failNext('/api/get_players', 400);
+        await seeding.poll(new Date(start + 6 * MINUTE_MS));
+        await seeding.poll(new Date(start + 7 * MINUTE_MS));
+
+        assert.equal(seeding.players[SEEDER_ID].totalMs, 5 * MINUTE_MS);
+    });
+
+    it('shows a linked player their progress', async () => {
+        await pollFor(10);
+        const interaction = createFakeInteraction({ subcommand: 'status', user: { id: '1001' } });
+
+        await seeding.handleStatus(interaction);
+
+        const fields = interaction.replies[0].embeds[0].data.fields;
+        assert.equal(fields.find(field => field.name === '🎯 Next Reward').value, '10m / 30m');
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const StatsCollector = require('../services/statsCollector');
+require('./support/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const PLAYER_ID = '76561198000000001';
+const LINKED = new Set([PLAYER_ID]);
+
+// An hour start far enough from the epoch to look like a real timestamp
+const T0 = Date.UTC(2026, 9, 19, 12);
+
+describe('StatsCollector', () => {
+    let stats;
+
+    const sample = (at, values) => {
+        stats.applySamples('main', [{ steamId: PLAYER_ID, kills: 0, deaths: 0, score: 0, playtime: 0, ...values }], LINKED, at);
+    };
+
+    const totals = (from, to) => stats.getTotals(from, to).get(PLAYER_ID) || { kills: 0, deaths: 0, score: 0, playtime: 0 };
+
+    beforeEach(() => {
+        stats = new StatsCollector(null, null, {});
+    });
+
+    it('uses a player\'s first sample as the baseline', () => {
+        sample(T0 + 10 * MINUTE_MS, { kills: 30, score: 900, playtime: 1800 });
+        sample(T0 + 15 * MINUTE_MS, { kills: 32, score: 960, playtime: 2100 });
+
+        assert.deepEqual(totals(T0, T0 + HOUR_MS), { kills: 2, deaths: 0, score: 60, playtime: 300 });
+    });
+
+    it('counts the whole new value once a new match starts', () => {
+        sample(T0 + 10 * MINUTE_MS, { kills: 30, playtime: 1800 });
+        sample(T0 + 15 * MINUTE_MS, { kills: 4, playtime: 240 });
+
+        assert.equal(totals(T0, T0 + HOUR_MS).kills, 4);
+    });
+
+    it('counts exactly the play inside a window that is not on the hour', () => {
+        const start = T0 + 20 * MINUTE_MS;
+        const end = T0 + 2 * HOUR_MS + 40 * MINUTE_MS;
+        stats.addBoundary(start);
+        stats.addBoundary(end);
+
+        // Samples every 10 minutes, one kill and 600s of play between each
+        for (let minutes = 0; minutes <= 180; minutes += 10) {
+            sample(T0 + minutes * MINUTE_MS, { kills: minutes / 10, playtime: minutes * 60 });
+        }
+
+        assert.deepEqual(totals(start, end), { kills: 14, deaths: 0, score: 0, playtime: 8400 });
+        assert.equal(totals(T0, start).kills, 2);
+        assert.equal(totals(end, T0 + 4 * HOUR_MS).kills, 2);
+    });
+
+    it('splits a gain across a boundary in proportion to the time on each side', () => {
+        const start = T0 + 25 * MINUTE_MS;
+        stats.addBoundary(start);
+
+        sample(T0 + 20 * MINUTE_MS, { kills: 0, playtime: 0 });
+        sample(T0 + 30 * MINUTE_MS, { kills: 10, playtime: 600 });
+
+        assert.deepEqual(totals(start, T0 + HOUR_MS), { kills: 5, deaths: 0, score: 0, playtime: 300 });
+        assert.deepEqual(totals(T0, T0 + HOUR_MS), { kills: 10, deaths: 0, score: 0, playtime: 600 });
+    });
+
+    it('splits a long gap between samples at every hour it crosses', () => {
+        sample(T0 + 30 * MINUTE_MS, { kills: 0 });
+        sample(T0 + 2 * HOUR_MS + 30 * MINUTE_MS, { kills: 8 });
+
+        assert.deepEqual(Object.keys(stats.buckets).map(Number), [T0, T0 + HOUR_MS, T0 + 2 * HOUR_MS]);
+        assert.equal(totals(T0 + HOUR_MS, T0 + 2 * HOUR_MS).kills, 4);
+        assert.equal(totals(T0, T0 + 3 * HOUR_MS).kills, 8);
+    });
+
+    it('keeps registered boundaries across a restart and prunes expired ones', async () => {
+        const saved = {};
+        const database = {
+            loadData: async name => saved[name],
+            saveData: async (name, data) => {
+                saved[name] = JSON.parse(JSON.stringify(data));
+            }
+        };
+        stats = new StatsCollector(database, null, { retentionDays: 1 });
+        stats.addBoundary(T0 + 20 * MINUTE_MS);
+        stats.addBoundary(T0 + HOUR_MS);
+        await stats.save();
+
+        const restarted = new StatsCollector(database, null, { retentionDays: 1 });
+        await restarted.load();
+        assert.deepEqual(restarted.boundaries, [T0 + 20 * MINUTE_MS]);
+
+        restarted.prune(T0 + 2 * 24 * HOUR_MS);
+        assert.deepEqual(restarted.boundaries, []);
+    });
+});
@@ -0,0 +1,301 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./support/helpers');
+const { JsonStorageAdapter, SqliteStorageAdapter } = require('../services/storage');
+const { migrate } = require('../scripts/migrate-json-to-sqlite');
+const DatabaseService = require('../services/database');
+const ContestService = require('../services/contest');
+const StatsCollector = require('../services/statsCollector');
+const VIPNotificationService = require('../services/vipNotifications');
+const LeaderboardService = require('../services/leaderboard');
+
+// better-sqlite3 is an optional native dependency
+let sqliteUnavailable = false;
+try {
+    require('better-sqlite3')(':memory:').close();
+} catch (error) {
+    sqliteUnavailable = 'better-sqlite3 is not installed';
+}
+
+const LINKS = {
+    1001: { t17Username: 'OnlineSoldier', steamId: '76561198000000001', platform: 'steam', linkedAt: '2026-01-01T00:00:00.000Z' },
+    1002: { t17Username: 'SecondSoldier', steamId: '76561198000000002', platform: 'steam', linkedAt: '2026-01-02T00:00:00.000Z' },
+    // A second Discord account on the same player, which the JSON store has always allowed
+    1003: { t17Username: 'OnlineSoldier', steamId: '76561198000000001', platform: 'steam', linkedAt: '2026-01-03T00:00:00.000Z' }
+};
+
+describe('JsonStorageAdapter', () => {
+    let dataDir;
+    let storage;
+
+    const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const leftoverTempFiles = () => fs.readdirSync(dataDir).filter(name => name.endsWith('.tmp'));
+
+    beforeEach(async () => {
+        dataDir = createTempDir();
+        storage = new JsonStorageAdapter({ dataDir });
+        await storage.initialize();
+    });
+
+    afterEach(() => {
+        removeTempDir(dataDir);
+    });
+
+    it('keeps a document valid when saves overlap', async () => {
+        for (let round = 0; round < 20; round++) {
+            await Promise.all([
+                storage.saveDocument('redemptionCodes', { codes: { A: { round, uses: 1 } } }),
+                storage.saveDocument('redemptionCodes', { codes: { B: { round, uses: 2 } } })
+            ]);
+
+            assert.deepEqual(readJson(storage.paths.redemptionCodes), { codes: { B: { round, uses: 2 } } });
+        }
+
+        assert.deepEqual(leftoverTempFiles(), []);
+    });
+
+    it('writes overlapping link saves and deletes in call order', async () => {
+        await storage.saveLink('1001', { t17Username: 'OnlineSoldier', steamId: '76561198000000001' });
+
+        await Promise.all([
+            storage.saveLink('1002', { t17Username: 'SecondSoldier', steamId: '76561198000000002' }),
+            storage.deleteLink('1001'),
+            storage.saveLink('1003', { t17Username: 'ThirdSoldier', steamId: '76561198000000003' })
+        ]);
+
+        const document = readJson(storage.paths.playerLinks);
+        assert.deepEqual(Object.keys(document.links).sort(), ['1002', '1003']);
+        assert.deepEqual(leftoverTempFiles(), []);
+
+        const reloaded = new JsonStorageAdapter({ dataDir });
+        await reloaded.initialize();
+        assert.equal(await reloaded.countLinks(), 2);
+        assert.equal(await reloaded.getLink('1001'), null);
+    });
+
+    it('keeps writing after a failed save', async () => {
+        fs.mkdirSync(storage.paths.stats);
+
+        await assert.rejects(storage.saveDocument('stats', { players: {} }));
+        await storage.saveDocument('seeding', { sessions: [] });
+
+        assert.deepEqual(readJson(storage.paths.seeding), { sessions: [] });
+    });
+
+    it('refuses to start on a corrupt player_links.json', async () => {
+        fs.writeFileSync(storage.paths.playerLinks, '{"schemaVersion": 2, "links": {');
+
+        await assert.rejects(new JsonStorageAdapter({ dataDir }).initialize(), /is corrupt/);
+    });
+});
+
+describe('SqliteStorageAdapter', { skip: sqliteUnavailable }, () => {
+    let dataDir;
+    let storage;
+
+    const reopen = async () => {
+        await storage.close();
+        storage = new SqliteStorageAdapter({ dataDir });
+        await storage.initialize();
+    };
+
+    beforeEach(async () => {
+        dataDir = createTempDir();
+        storage = new SqliteStorageAdapter({ dataDir });
+        await storage.initialize();
+    });
+
+    afterEach(async () => {
+        await storage.close();
+        removeTempDir(dataDir);
+    });
+
+    it('round-trips links and looks them up like the JSON store', async () => {
+        const json = new JsonStorageAdapter({ dataDir: path.join(dataDir, 'json') });
+        await json.initialize();
+
+        for (const adapter of [json, storage]) {
+            for (const [discordId, link] of Object.entries(LINKS)) {
+                await adapter.saveLink(discordId, link);
+            }
+            await adapter.saveLink('1002', { ...LINKS[1002], lastSeen: '2026-02-01T00:00:00.000Z' });
+            assert.equal(await adapter.deleteLink('9999'), false);
+        }
+        await reopen();
+
+        for (const method of ['getAllLinks', 'countLinks']) {
+            assert.deepEqual(await storage[method](), await json[method](), method);
+        }
+        assert.deepEqual(await storage.getLink('1002'), await json.getLink('1002'));
+        assert.deepEqual(await storage.getLinkBySteamId(LINKS[1001].steamId), await json.getLinkBySteamId(LINKS[1001].steamId));
+        assert.equal((await storage.getLinkBySteamId(LINKS[1001].steamId)).discordId, '1001');
+
+        assert.equal(await storage.deleteLink('1001'), true);
+        assert.equal((await storage.getLinkBySteamId(LINKS[1001].steamId)).discordId, '1003');
+    });
+
+    it('accepts a shared player ID in a database made with the old unique index', async () => {
+        storage.db.exec('DROP INDEX idx_player_links_by_steam_id; CREATE UNIQUE INDEX idx_player_links_steam_id ON player_links (steam_id);');
+        await reopen();
+
+        await storage.saveLink('1001', LINKS[1001]);
+        await storage.saveLink('1003', LINKS[1003]);
+
+        assert.equal(await storage.countLinks(), 2);
+    });
+
+    it('round-trips contests, keeping earlier ones as rows', async () => {
+        const first = { currentContest: { id: 'c1', title: 'First', active: false }, submissions: { 1001: { text: 'gg' } }, pendingPrizes: [] };
+        const second = { currentContest: { id: 'c2', title: 'Second', active: true }, submissions: {}, pendingPrizes: [{ contestId: 'c1', discordId: '1002' }] };
+
+        await storage.saveDocument('contest', first);
+        await storage.saveDocument('contest', second);
+        await reopen();
+
+        assert.deepEqual(await storage.loadDocument('contest'), second);
+        assert.equal(storage.db.prepare('SELECT COUNT(*) AS count FROM contests').get().count, 2);
+
+        await storage.saveDocument('contest', { currentContest: null, submissions: {}, pendingPrizes: [] });
+        assert.deepEqual(await storage.loadDocument('contest'), { currentContest: null, submissions: {}, pendingPrizes: [] });
+    });
+
+    it('round-trips stats buckets and drops pruned ones', async () => {
+        const stats = {
+            buckets: {
+                1000: { 76561198000000001: { kills: 3, deaths: 1, score: 120, playtime: 600 } },
+                2000: { 76561198000000002: { kills: 0, deaths: 2, score: 40, playtime: 300 } }
+            },
+            boundaries: [1500],
+            lastSamples: { main: { 76561198000000001: { kills: 3, deaths: 1, score: 120, playtime: 600, sampledAt: 2000 } } },
+            lastCollectTime: '2026-01-01T00:00:00.000Z'
+        };
+
+        await storage.saveDocument('stats', stats);
+        await reopen();
+        assert.deepEqual(await storage.loadDocument('stats'), stats);
+
+        delete stats.buckets[1000];
+        await storage.saveDocument('stats', stats);
+        assert.deepEqual((await storage.loadDocument('stats')).buckets, stats.buckets);
+    });
+
+    it('round-trips notification settings and today\'s sent history', async () => {
+        const notifications = {
+            enabled: true,
+            warningDays: [7, 3, 1],
+            sentToday: { '76561198000000001_7': true, '76561198000000002_1': true }
+        };
+
+        await storage.saveDocument('vipNotifications', notifications);
+        await reopen();
+
+        assert.deepEqual(await storage.loadDocument('vipNotifications'), notifications);
+    });
+
+    it('refuses reads and writes clearly once closed', async () => {
+        await storage.close();
+
+        await assert.rejects(storage.saveDocument('contest', { currentContest: null, submissions: {} }), /is closed/);
+        await assert.rejects(storage.saveLink('1001', LINKS[1001]), /is closed/);
+        await assert.rejects(storage.loadDocument('stats'), /is closed/);
+    });
+
+    it('keeps every service\'s state through the shutdown order', async () => {
+        const open = async () => {
+            const database = new DatabaseService({ filename: path.join(dataDir, 'shutdown', 'database.json'), backend: 'sqlite' });
+            await database.initialize();
+            const statsCollector = new StatsCollector(database, null, {});
+            return {
+                database,
+                statsCollector,
+                contest: new ContestService(database, null),
+                vipNotifications: new VIPNotificationService(database, null, null),
+                leaderboard: new LeaderboardService(database, null, null, statsCollector)
+            };
+        };
+
+        const bot = await open();
+        bot.contest.currentContest = { id: 'c1', title: 'Kill Race', active: true };
+        bot.statsCollector.buckets = { 3600000: { '76561198000000001': { kills: 4, deaths: 1, score: 90, playtime: 300 } } };
+        bot.vipNotifications.settings.warningDays = [5, 2];
+        bot.leaderboard.leaderboards.set('message-1', { messageId: 'message-1', channelId: 'channel-1', type: 'kills' });
+
+        await bot.database.saveAllAndClose([bot.contest, bot.statsCollector, bot.vipNotifications, bot.leaderboard]);
+
+        const restarted = await open();
+        await Promise.all(['contest', 'statsCollector', 'vipNotifications', 'leaderboard'].map(name => restarted[name].load()));
+        assert.equal(restarted.contest.currentContest.title, 'Kill Race');
+        assert.equal(restarted.statsCollector.buckets[3600000]['76561198000000001'].kills, 4);
+        assert.deepEqual(restarted.vipNotifications.settings.warningDays, [5, 2]);
+        assert.equal(restarted.leaderboard.leaderboards.get('message-1').channelId, 'channel-1');
+        await restarted.database.close();
+    });
+
+    it('round-trips every other document as JSON', async () => {
+        await storage.saveDocument('redemptionCodes', { codes: { ABC: { uses: 2 } } });
+        await reopen();
+
+        assert.deepEqual(await storage.loadDocument('redemptionCodes'), { codes: { ABC: { uses: 2 } } });
+        assert.equal(await storage.loadDocument('panels'), undefined);
+    });
+});
+
+describe('migrate-json-to-sqlite', { skip: sqliteUnavailable }, () => {
+    let dataDir;
+    let sqliteFilename;
+
+    const seedJson = async links => {
+        const json = new JsonStorageAdapter({ dataDir });
+        await json.initialize();
+        for (const [discordId, link] of Object.entries(links)) {
+            await json.saveLink(discordId, link);
+        }
+        await json.saveDocument('redemptionCodes', { codes: { SUMMER: { uses: 1 } } });
+        return json;
+    };
+
+    const openTarget = async () => {
+        const target = new SqliteStorageAdapter({ dataDir, sqliteFilename });
+        await target.initialize();
+        return target;
+    };
+
+    beforeEach(() => {
+        dataDir = createTempDir();
+        sqliteFilename = path.join(dataDir, 'bot.sqlite');
+    });
+
+    afterEach(() => {
+        removeTempDir(dataDir);
+    });
+
+    it('copies links with a shared player ID and every document', async () => {
+        const json = await seedJson(LINKS);
+
+        await migrate({ dataDir, sqliteFilename, log: () => {} });
+
+        const target = await openTarget();
+        assert.deepEqual(await target.getAllLinks(), await json.getAllLinks());
+        assert.deepEqual(await target.loadDocument('redemptionCodes'), { codes: { SUMMER: { uses: 1 } } });
+        await target.close();
+    });
+
+    it('refuses to touch a database that has links unless forced, then replaces it', async () => {
+        await seedJson({ 1001: LINKS[1001] });
+        const target = await openTarget();
+        await target.saveLink('5005', { t17Username: 'Stale', steamId: '76561198000000005' });
+        await target.saveDocument('panels', { panels: ['stale'] });
+        await target.close();
+
+        await assert.rejects(migrate({ dataDir, sqliteFilename, log: () => {} }), /--force/);
+
+        await migrate({ dataDir, sqliteFilename, force: true, log: () => {} });
+
+        const migrated = await openTarget();
+        assert.deepEqual((await migrated.getAllLinks()).map(link => link.discordId), ['1001']);
+        assert.equal(await migrated.loadDocument('panels'), undefined);
+        await migrated.close();
+    });
+});
@@ -0,0 +1,204 @@
+const http = require('http');
+const crypto = require('crypto');
+const { createFixtures } = require('../fixtures/crcon');
+
+/**
+ * A stand-in for the CRCON HTTP API, good enough to drive CRCONService end to
+ * end: session logins, the endpoints the bot reads and writes, and injectable
+ * failures (401, 429, 5xx, dropped connections).
+ *
+ *   const server = new FakeCrconServer();
+ *   const baseUrl = await server.start();
+ *   server.failNext('/api/get_vip_ids', 503, 2);
+ *
+ * Run this file directly to point a development bot at it.
+ */
+class FakeCrconServer {
+    constructor(options = {}) {
+        this.username = options.username || 'admin';
+        this.password = options.password || 'secret';
+        this.apiToken = options.apiToken || null;
+        this.fixtures = createFixtures(options.now);
+
+        this.sessions = new Set();
+        this.failures = new Map();
+        this.requests = [];
+        this.broadcasts = [];
+        this.messages = [];
+        this.server = null;
+        this.baseUrl = null;
+    }
+
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        return this.baseUrl;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    /**
+     * Makes the next `times` requests to `endpoint` fail. `status` is an HTTP
+     * status code, or 'reset' to drop the connection (ECONNRESET).
+     */
+    failNext(endpoint, status, times = 1) {
+        const queue = this.failures.get(endpoint) || [];
+        for (let i = 0; i < times; i++) queue.push(status);
+        this.failures.set(endpoint, queue);
+    }
+
+    // Forgets every login, so the next authenticated request gets a 401
+    expireSessions() {
+        this.sessions.clear();
+    }
+
+    requestsTo(endpoint) {
+        return this.requests.filter(request => request.endpoint === endpoint);
+    }
+
+    clearRequests() {
+        this.requests = [];
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const endpoint = url.pathname;
+        const body = await this.readBody(req);
+        this.requests.push({ method: req.method, endpoint, query: Object.fromEntries(url.searchParams), body });
+
+        const queue = this.failures.get(endpoint);
+        if (queue && queue.length > 0) {
+            const failure = queue.shift();
+            if (failure === 'reset') {
+                req.socket.destroy();
+                return;
+            }
+            const headers = failure === 429 ? { 'Retry-After': '1' } : {};
+            return this.send(res, failure, { result: null, failed: true, error: `Injected ${failure}` }, headers);
+        }
+
+        if (endpoint === '/api/login') {
+            return this.login(res, body);
+        }
+
+        if (!this.isAuthorized(req)) {
+            return this.send(res, 401, { result: null, failed: true, error: 'You must be logged in' });
+        }
+
+        const handler = this.routes()[endpoint];
+        if (!handler) {
+            return this.send(res, 404, { result: null, failed: true, error: `Unknown endpoint ${endpoint}` });
+        }
+
+        const command = endpoint.replace('/api/', '');
+        return this.send(res, 200, { result: handler(body, url.searchParams), command, failed: false, error: null });
+    }
+
+    routes() {
+        return {
+            '/api/get_status': () => this.fixtures.status,
+            '/api/get_players': () => this.fixtures.players,
+            '/api/get_vip_ids': () => this.fixtures.vipIds,
+            '/api/get_players_history': body => this.playersHistory(body),
+            '/api/set_broadcast': body => {
+                this.broadcasts.push(body?.message ?? '');
+                return true;
+            },
+            '/api/message_player': body => {
+                this.messages.push(body);
+                return true;
+            },
+            '/api/add_vip': body => {
+                this.fixtures.vipIds = this.fixtures.vipIds.filter(vip => vip.player_id !== body.player_id);
+                this.fixtures.vipIds.push({
+                    player_id: body.player_id,
+                    name: body.description,
+                    expiration: body.expiration,
+                    description: body.description
+                });
+                return true;
+            },
+            '/api/remove_vip': body => {
+                this.fixtures.vipIds = this.fixtures.vipIds.filter(vip => vip.player_id !== body.player_id);
+                return true;
+            }
+        };
+    }
+
+    login(res, body) {
+        if (body?.username !== this.username || body?.password !== this.password) {
+            return this.send(res, 401, { result: null, failed: true, error: 'Invalid credentials' });
+        }
+
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        this.sessions.add(sessionId);
+        return this.send(res, 200, { result: true, failed: false, error: null }, {
+            'Set-Cookie': `sessionid=${sessionId}; HttpOnly; Path=/`
+        });
+    }
+
+    isAuthorized(req) {
+        const authorization = req.headers.authorization || '';
+        if (this.apiToken && authorization === `Bearer ${this.apiToken}`) {
+            return true;
+        }
+
+        const match = /sessionid=([a-f0-9]+)/.exec(req.headers.cookie || '');
+        return Boolean(match && this.sessions.has(match[1]));
+    }
+
+    playersHistory(body) {
+        const name = (body?.player_name || '').toLowerCase();
+        const players = this.fixtures.playersHistory.filter(player => !name || player.names.some(entry => {
+            const candidate = entry.name.toLowerCase();
+            return body.exact_name_match ? candidate === name : candidate.includes(name);
+        }));
+
+        return {
+            players,
+            page: body?.page || 1,
+            page_size: body?.page_size || 50,
+            total: players.length
+        };
+    }
+
+    readBody(req) {
+        return new Promise(resolve => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                if (chunks.length === 0) return resolve(null);
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    send(res, status, payload, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+    }
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.FAKE_CRCON_PORT) || 8010;
+    const server = new FakeCrconServer({ apiToken: process.env.FAKE_CRCON_TOKEN || null });
+
+    server.start(port).then(baseUrl => {
+        console.log(`🧪 Fake CRCON listening on ${baseUrl}`);
+        console.log(`   CRCON_BASE_URL=${baseUrl}`);
+        console.log(`   CRCON_USERNAME=${server.username}`);
+        console.log(`   CRCON_PASSWORD=${server.password}`);
+    });
+}
+
+module.exports = FakeCrconServer;
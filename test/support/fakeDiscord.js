@@ -0,0 +1,56 @@
+/**
+ * A discord.js client reduced to what services use to post and maintain
+ * their own messages: channels.fetch, channel.send and channel.messages.fetch.
+ * Fetching a deleted message or channel fails like Discord does (10008 /
+ * 10003); set `client.unavailable` to make every fetch fail with a
+ * transient error instead.
+ */
+function createFakeClient() {
+    let nextId = 1;
+    const channels = new Map();
+
+    const createChannel = id => {
+        const messages = new Map();
+        const channel = {
+            id,
+            messages: {
+                fetch: async messageId => {
+                    if (!messages.has(messageId)) throw Object.assign(new Error('Unknown Message'), { code: 10008 });
+                    return messages.get(messageId);
+                }
+            },
+            sent: messages,
+            send: async payload => {
+                const message = {
+                    id: `message-${nextId++}`,
+                    payload,
+                    edits: 0,
+                    edit: async update => {
+                        message.payload = update;
+                        message.edits++;
+                    },
+                    delete: async () => messages.delete(message.id)
+                };
+                messages.set(message.id, message);
+                return message;
+            }
+        };
+        channels.set(id, channel);
+        return channel;
+    };
+
+    const client = {
+        unavailable: false,
+        createChannel,
+        channels: {
+            fetch: async id => {
+                if (client.unavailable) throw new Error('Service Unavailable');
+                if (!channels.has(id)) throw Object.assign(new Error('Unknown Channel'), { code: 10003 });
+                return channels.get(id);
+            }
+        }
+    };
+    return client;
+}
+
+module.exports = { createFakeClient };
@@ -0,0 +1,70 @@
+/**
+ * Minimal stand-in for a discord.js ChatInputCommandInteraction. Records every
+ * reply so tests can assert on what the user would have seen.
+ */
+function createFakeInteraction({ subcommand = null, options = {}, fields = {}, customId = null, user = {}, permissions = [], client = null, guild = null } = {}) {
+    const replies = [];
+    const interaction = {
+        replies,
+        modals: [],
+        customId,
+        client,
+        guild,
+        guildId: guild?.id ?? null,
+        deferred: false,
+        replied: false,
+        user: { id: 'admin-1', tag: 'admin#0001', username: 'admin', ...user },
+        member: {
+            permissions: { has: permission => permissions.includes(permission) }
+        },
+        options: {
+            getSubcommand: () => subcommand,
+            getString: name => options[name] ?? null,
+            getInteger: name => options[name] ?? null,
+            getBoolean: name => options[name] ?? null,
+            getUser: name => options[name] ?? null,
+            getChannel: name => options[name] ?? null
+        },
+        fields: {
+            getTextInputValue: name => fields[name] ?? ''
+        },
+        reply: async payload => {
+            interaction.replied = true;
+            replies.push(payload);
+        },
+        deferReply: async () => {
+            interaction.deferred = true;
+        },
+        deferUpdate: async () => {
+            interaction.deferred = true;
+        },
+        editReply: async payload => {
+            replies.push(payload);
+        },
+        update: async payload => {
+            replies.push(payload);
+        },
+        followUp: async payload => {
+            replies.push(payload);
+        },
+        showModal: async modal => {
+            interaction.modals.push(modal);
+        }
+    };
+    return interaction;
+}
+
+function createFakeUser(id, overrides = {}) {
+    const sent = [];
+    return {
+        id,
+        tag: `user${id}#0001`,
+        username: `user${id}`,
+        bot: false,
+        sent,
+        send: async message => sent.push(message),
+        ...overrides
+    };
+}
+
+module.exports = { createFakeInteraction, createFakeUser };
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../../utils/logger');
+const CRCONService = require('../../services/crcon');
+const CRCONManager = require('../../services/crconManager');
+
+// Keep test output readable; set TEST_LOGS=1 to see the bot's logging
+Logger.silent = !process.env.TEST_LOGS;
+
+function serverConfig(baseUrl, overrides = {}) {
+    return {
+        id: 'main',
+        baseUrl,
+        username: 'admin',
+        password: 'secret',
+        timeout: 2000,
+        retryBaseDelay: 1,
+        // Tests change fixtures between calls; cache tests opt back in
+        cacheTtlSeconds: 0,
+        ...overrides
+    };
+}
+
+function createCrconService(baseUrl, overrides) {
+    return new CRCONService(serverConfig(baseUrl, overrides));
+}
+
+function createCrconManager(baseUrls, options = {}, overrides = {}) {
+    return new CRCONManager(baseUrls.map((baseUrl, index) => serverConfig(baseUrl, { id: `server${index + 1}`, ...overrides })), options);
+}
+
+function createTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'hll-vip-test-'));
+}
+
+function removeTempDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+    serverConfig,
+    createCrconService,
+    createCrconManager,
+    createTempDir,
+    removeTempDir
+};
@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconService, createCrconManager } = require('./support/helpers');
+const { DAY_MS } = require('./fixtures/crcon');
+const VIPManagementService = require('../services/vipManagement');
+
+describe('VIP status and expiry', () => {
+    const server = new FakeCrconServer();
+    let baseUrl;
+    let crcon;
+
+    before(async () => {
+        baseUrl = await server.start();
+        crcon = createCrconService(baseUrl);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('rounds partial days remaining up', async () => {
+        const status = await crcon.getVipStatus('76561198000000003');
+
+        assert.equal(status.isVip, true);
+        assert.equal(status.daysRemaining, 3);
+        assert.equal(status.description, 'Seeder reward');
+    });
+
+    it('reports expired entries as not VIP', async () => {
+        const status = await crcon.getVipStatus('76561198000000004');
+
+        assert.equal(status.isVip, false);
+        assert.equal(status.daysRemaining, 0);
+    });
+
+    it('treats a missing expiration as permanent', async () => {
+        const status = await crcon.getVipStatus('76561198000000005');
+
+        assert.deepEqual(status, { isVip: true, expirationDate: 'Never', daysRemaining: null, description: 'Permanent VIP' });
+    });
+
+    it('reports players without an entry as not VIP', async () => {
+        assert.deepEqual(await crcon.getVipStatus('76561198000000001'), { isVip: false });
+    });
+
+    it('reports not VIP when CRCON is unreachable', async () => {
+        server.failNext('/api/get_vip_ids', 503, 4);
+
+        assert.deepEqual(await crcon.getVipStatus('76561198000000002'), { isVip: false });
+    });
+});
+
+describe('VIP list merging across servers', () => {
+    const first = new FakeCrconServer();
+    const second = new FakeCrconServer();
+    let manager;
+
+    before(async () => {
+        manager = createCrconManager([await first.start(), await second.start()]);
+    });
+
+    after(async () => {
+        await first.stop();
+        await second.stop();
+    });
+
+    it('keeps the latest expiration and lists every server', async () => {
+        const later = new Date(Date.now() + 60 * DAY_MS).toISOString();
+        second.fixtures.vipIds = [
+            { player_id: '76561198000000002', name: 'xX_Tanker_Xx', expiration: later, description: 'Second server' },
+            { player_id: '76561198000000003', name: 'ExpiringSoon', expiration: null, description: 'Owner friend' }
+        ];
+
+        const merged = await manager.getVipIds();
+        const byId = id => merged.find(vip => vip.player_id === id);
+
+        assert.equal(merged.length, 4);
+        assert.equal(byId('76561198000000002').expiration, later);
+        assert.deepEqual(byId('76561198000000002').servers, ['server1', 'server2']);
+        assert.equal(byId('76561198000000003').expiration, null);
+        assert.deepEqual(byId('76561198000000004').servers, ['server1']);
+    });
+
+    it('never replaces a permanent entry with a dated one', () => {
+        assert.equal(manager.isLaterExpiration('2099-01-01T00:00:00Z', null), false);
+        assert.equal(manager.isLaterExpiration(null, '2099-01-01T00:00:00Z'), true);
+        assert.equal(manager.isLaterExpiration('2030-01-02T00:00:00Z', '2030-01-01T00:00:00Z'), true);
+    });
+});
+
+describe('VIP extension math', () => {
+    const vipManagement = new VIPManagementService(null, null);
+    const week = 7 * DAY_MS;
+
+    it('extends active VIP from its current expiration', () => {
+        const current = new Date(Date.now() + 10 * DAY_MS);
+
+        const extended = vipManagement.computeExtendedExpiration({ expiration: current.toISOString() }, week);
+
+        assert.equal(extended.getTime(), current.getTime() + week);
+    });
+
+    it('extends lapsed or missing VIP from now', () => {
+        const before = Date.now();
+
+        const fromExpired = vipManagement.computeExtendedExpiration({ expiration: new Date(before - 5 * DAY_MS).toISOString() }, week);
+        const fromNothing = vipManagement.computeExtendedExpiration(null, week);
+
+        for (const extended of [fromExpired, fromNothing]) {
+            assert.ok(extended.getTime() >= before + week);
+            assert.ok(extended.getTime() <= Date.now() + week);
+        }
+    });
+
+    it('leaves permanent VIP unchanged', () => {
+        assert.equal(vipManagement.computeExtendedExpiration({ expiration: null }, week), undefined);
+        assert.equal(vipManagement.computeExtendedExpiration({ expiration: 'None' }, week), undefined);
+    });
+});
+
+describe('VIP extension writes', () => {
+    const server = new FakeCrconServer();
+    const vipManagement = new VIPManagementService(null, null);
+    const week = 7 * DAY_MS;
+    let manager;
+
+    before(async () => {
+        manager = createCrconManager([await server.start()], {}, { cacheTtlSeconds: 30 });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const extend = playerId => manager.writeVip(playerId, null, entry => vipManagement.computeExtendedExpiration(entry, week));
+
+    it('extends from the live expiration, not a cached VIP list', async () => {
+        await manager.getVipIds();
+        const changed = new Date(Date.now() + 90 * DAY_MS);
+        server.fixtures.vipIds.find(vip => vip.player_id === '76561198000000002').expiration = changed.toISOString();
+
+        const [result] = await extend('76561198000000002');
+
+        assert.equal(result.before, changed.toISOString());
+        assert.equal(result.after, new Date(changed.getTime() + week).toISOString());
+    });
+
+    it('stacks overlapping extensions of one player', async () => {
+        const current = new Date(server.fixtures.vipIds.find(vip => vip.player_id === '76561198000000003').expiration);
+
+        await Promise.all([extend('76561198000000003'), extend('76561198000000003')]);
+
+        const entry = server.fixtures.vipIds.find(vip => vip.player_id === '76561198000000003');
+        assert.equal(entry.expiration, new Date(current.getTime() + 2 * week).toISOString());
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconManager, createTempDir, removeTempDir } = require('./support/helpers');
+const { DAY_MS } = require('./fixtures/crcon');
+const DatabaseService = require('../services/database');
+const VIPNotificationService = require('../services/vipNotifications');
+
+function createFakeClient() {
+    const sent = [];
+    return {
+        sent,
+        users: {
+            fetch: async discordId => ({
+                tag: `user#${discordId}`,
+                send: async message => sent.push({ discordId, message })
+            })
+        }
+    };
+}
+
+describe('VIP expiration notifications', () => {
+    const server = new FakeCrconServer();
+    let crcon;
+    let dataDir;
+    let database;
+    let client;
+    let notifications;
+
+    before(async () => {
+        crcon = createCrconManager([await server.start()]);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        dataDir = createTempDir();
+        database = new DatabaseService({ filename: path.join(dataDir, 'database.json') });
+        await database.initialize();
+        await database.createPlayerLink({ discordId: '1001', t17Username: 'ExpiringSoon', steamId: '76561198000000003', platform: 'steam' });
+        await database.createPlayerLink({ discordId: '1002', t17Username: 'LapsedVip', steamId: '76561198000000004', platform: 'steam' });
+        await database.createPlayerLink({ discordId: '1003', t17Username: 'ServerOwner', steamId: '76561198000000005', platform: 'steam' });
+
+        client = createFakeClient();
+        notifications = new VIPNotificationService(database, crcon, client);
+        await notifications.load();
+        await notifications.start();
+    });
+
+    afterEach(async () => {
+        await database.close();
+        removeTempDir(dataDir);
+    });
+
+    it('messages linked players on a warning day only', async () => {
+        await notifications.checkExpirations();
+
+        assert.deepEqual(client.sent.map(entry => entry.discordId), ['1001']);
+        assert.equal(client.sent[0].message.embeds[0].data.fields.find(field => field.name === '📅 Days Remaining').value, '3');
+    });
+
+    it('sends each warning once per day', async () => {
+        await notifications.checkExpirations();
+        await notifications.checkExpirations();
+
+        assert.equal(client.sent.length, 1);
+    });
+
+    it('remembers sent warnings across restarts', async () => {
+        await notifications.checkExpirations();
+
+        const restarted = new VIPNotificationService(database, crcon, client);
+        await restarted.load();
+        await restarted.start();
+        await restarted.checkExpirations();
+
+        assert.equal(client.sent.length, 1);
+    });
+
+    it('resets the dedupe list on a new day', async () => {
+        await notifications.checkExpirations();
+        notifications.settings.lastCheckTime = new Date(Date.now() - DAY_MS).toISOString();
+
+        await notifications.checkExpirations();
+
+        assert.equal(client.sent.length, 2);
+    });
+
+    it('retries a warning whose DM failed', async () => {
+        const fetchUser = client.users.fetch;
+        client.users.fetch = async () => {
+            throw new Error('Cannot send messages to this user');
+        };
+        await notifications.checkExpirations();
+
+        client.users.fetch = fetchUser;
+        await notifications.checkExpirations();
+
+        assert.equal(client.sent.length, 1);
+    });
+
+    it('does nothing until started or when disabled', async () => {
+        const idle = new VIPNotificationService(database, crcon, client);
+        await idle.checkExpirations();
+
+        notifications.settings.enabled = false;
+        await notifications.checkExpirations();
+
+        assert.equal(client.sent.length, 0);
+    });
+});
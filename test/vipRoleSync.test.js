@@ -0,0 +1,176 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const FakeCrconServer = require('./support/fakeCrconServer');
+const { createCrconManager } = require('./support/helpers');
+const { createFixtures } = require('./fixtures/crcon');
+const VipRoleSyncService = require('../services/vipRoleSync');
+
+const ROLE_ID = 'role-vip';
+
+function createFakeDatabase(links = {}) {
+    const database = new EventEmitter();
+    return Object.assign(database, {
+        getPlayerByDiscordId: async discordId => links[discordId] || null,
+        getPlayerBySteamId: async steamId => {
+            const entry = Object.entries(links).find(([, link]) => link.steamId === steamId);
+            return entry ? { ...entry[1], discordId: entry[0] } : null;
+        }
+    });
+}
+
+// A guild whose members record role changes; members listed in `withRole` start with the VIP role
+function createFakeGuild(memberIds, withRole = [], { id = 'guild-1', editable = true } = {}) {
+    const role = { id: ROLE_ID, name: 'VIP', editable };
+    const members = new Map(memberIds.map(id => {
+        const roles = new Set(withRole.includes(id) ? [ROLE_ID] : []);
+        return [id, {
+            id,
+            user: { id, tag: `member${id}#0001` },
+            roles: {
+                cache: roles,
+                add: async added => roles.add(added.id),
+                remove: async removed => roles.delete(removed.id)
+            }
+        }];
+    }));
+
+    return {
+        id,
+        members: {
+            fetch: async id => {
+                if (!id) return members;
+                if (!members.has(id)) throw Object.assign(new Error('Unknown Member'), { code: 10007 });
+                return members.get(id);
+            }
+        },
+        roles: {
+            cache: new Map([[ROLE_ID, role]]),
+            fetch: async id => (id === ROLE_ID ? role : null)
+        },
+        hasRole: id => members.get(id).roles.cache.has(ROLE_ID)
+    };
+}
+
+describe('VipRoleSyncService', () => {
+    const server = new FakeCrconServer();
+    let crcon;
+    let database;
+    let guild;
+    let roles;
+
+    before(async () => {
+        crcon = createCrconManager([await server.start()]);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        server.fixtures = createFixtures();
+        database = createFakeDatabase({
+            2002: { t17Username: 'xX_Tanker_Xx', steamId: '76561198000000002' },
+            2004: { t17Username: 'LapsedVip', steamId: '76561198000000004' },
+            2005: { t17Username: 'ServerOwner', steamId: '76561198000000005' }
+        });
+        // 2005 is a permanent VIP who has left the Discord server; 3000 holds the role but never linked
+        guild = createFakeGuild(['2002', '2004', '3000'], ['2004', '3000']);
+        const client = { guilds: { cache: new Map([[guild.id, guild]]), fetch: async () => guild } };
+        roles = new VipRoleSyncService(database, crcon, client, null, { roleId: ROLE_ID });
+    });
+
+    it('gives the role to active VIPs and takes it from everyone else', async () => {
+        const report = await roles.sync();
+
+        assert.equal(report.success, true);
+        assert.deepEqual(report.added.map(entry => entry.discordId), ['2002']);
+        assert.deepEqual(report.removed.map(entry => entry.discordId).sort(), ['2004', '3000']);
+        assert.deepEqual(report.notInServer.map(entry => entry.discordId), ['2005']);
+        assert.equal(guild.hasRole('2002'), true);
+        assert.equal(guild.hasRole('2004'), false);
+        assert.equal(guild.hasRole('3000'), false);
+    });
+
+    it('only reports changes in dry-run mode', async () => {
+        const report = await roles.sync({ dryRun: true });
+
+        assert.equal(report.dryRun, true);
+        assert.equal(report.added.length, 1);
+        assert.equal(report.removed.length, 2);
+        assert.equal(guild.hasRole('2002'), false);
+        assert.equal(guild.hasRole('3000'), true);
+        assert.equal(roles.buildReportEmbed(report).data.fields[0].name, '➕ Would Add (1)');
+    });
+
+    it('leaves roles alone when the VIP list cannot be loaded', async () => {
+        server.failNext('/api/get_vip_ids', 400);
+
+        const report = await roles.sync();
+
+        assert.equal(report.success, false);
+        assert.equal(guild.hasRole('3000'), true);
+    });
+
+    it('re-checks a single member after they link or unlink', async () => {
+        assert.equal(await roles.syncMember('2002'), 'add');
+        assert.equal(guild.hasRole('2002'), true);
+
+        database.getPlayerByDiscordId = async () => null;
+        assert.equal(await roles.syncMember('2002'), 'remove');
+        assert.equal(guild.hasRole('2002'), false);
+    });
+
+    it('uses the role a server picked with /config when VIP_ROLE_ID is not set', async () => {
+        const guildSettings = {
+            getStored: (guildId, key) => (guildId === guild.id && key === 'vipRoleId' ? ROLE_ID : null),
+            guildsWith: key => (key === 'vipRoleId' ? [guild.id] : [])
+        };
+        const client = { guilds: { cache: new Map([[guild.id, guild]]), fetch: async () => guild } };
+        const perServer = new VipRoleSyncService(database, crcon, client, null, {}, guildSettings);
+
+        assert.equal(new VipRoleSyncService(database, crcon, client, null, {}).enabled, false);
+        assert.equal(perServer.enabled, true);
+        assert.equal(perServer.getRoleId('guild-2'), null);
+        assert.deepEqual((await perServer.sync()).added.map(entry => entry.discordId), ['2002']);
+    });
+
+    it('keeps a member\'s role when their VIP cannot be read', async () => {
+        await roles.syncMember('2002');
+        server.fixtures.vipIds = [];
+        server.failNext('/api/get_vip_ids', 400);
+
+        assert.equal(await roles.syncMember('2002'), null);
+        assert.equal(guild.hasRole('2002'), true);
+    });
+
+    it('keeps syncing members in other servers when one server\'s role is broken', async () => {
+        const broken = createFakeGuild(['2002'], [], { id: 'guild-2', editable: false });
+        const guildSettings = {
+            getStored: (guildId, key) => (key === 'vipRoleId' ? ROLE_ID : null),
+            guildsWith: key => (key === 'vipRoleId' ? [guild.id, broken.id] : [])
+        };
+        const client = { guilds: { cache: new Map([[guild.id, guild], [broken.id, broken]]), fetch: async id => (id === broken.id ? broken : guild) } };
+        const perServer = new VipRoleSyncService(database, crcon, client, null, {}, guildSettings);
+
+        assert.equal(await perServer.syncMember('2002'), 'add');
+        assert.equal(guild.hasRole('2002'), true);
+        assert.equal(broken.hasRole('2002'), false);
+        await assert.rejects(perServer.resolveTargets(broken.id), /can't manage the VIP role/);
+    });
+
+    it('skips the full sync without the Server Members intent', async () => {
+        const client = {
+            options: { intents: { has: () => false } },
+            guilds: { cache: new Map([[guild.id, guild]]), fetch: async () => guild }
+        };
+        const withoutIntent = new VipRoleSyncService(database, crcon, client, null, { roleId: ROLE_ID });
+
+        const report = await withoutIntent.sync();
+
+        assert.equal(report.success, false);
+        assert.match(report.error, /Server Members intent/);
+        assert.equal(guild.hasRole('3000'), true);
+        assert.equal(await withoutIntent.syncMember('2002'), 'add');
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Caps how many tasks run at once; the rest wait in order for a free slot.
+ * A cap of 0 or less means no cap.
+ */
+class ConcurrencyLimiter {
+    constructor(maxConcurrent = 0) {
+        this.active = 0;
+        this.waiting = [];
+        this.stats = { started: 0, queued: 0, peakActive: 0, peakWaiting: 0 };
+        this.setMaxConcurrent(maxConcurrent);
+    }
+
+    /**
+     * Changes the cap. Raising it starts waiting tasks straight away;
+     * lowering it lets running tasks finish.
+     */
+    setMaxConcurrent(maxConcurrent) {
+        this.maxConcurrent = maxConcurrent > 0 ? maxConcurrent : Infinity;
+
+        while (this.active < this.maxConcurrent && this.waiting.length > 0) {
+            this.active++;
+            this.markStarted();
+            this.waiting.shift()();
+        }
+    }
+
+    async run(task) {
+        await this.acquire();
+        try {
+            return await task();
+        } finally {
+            this.release();
+        }
+    }
+
+    acquire() {
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+            this.markStarted();
+            return Promise.resolve();
+        }
+
+        this.stats.queued++;
+        return new Promise(resolve => {
+            this.waiting.push(resolve);
+            this.stats.peakWaiting = Math.max(this.stats.peakWaiting, this.waiting.length);
+        });
+    }
+
+    release() {
+        const next = this.active <= this.maxConcurrent ? this.waiting.shift() : null;
+        if (next) {
+            // The slot passes straight to the next task, so `active` is unchanged
+            this.markStarted();
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    markStarted() {
+        this.stats.started++;
+        this.stats.peakActive = Math.max(this.stats.peakActive, this.active);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            active: this.active,
+            waiting: this.waiting.length,
+            maxConcurrent: Number.isFinite(this.maxConcurrent) ? this.maxConcurrent : null
+        };
+    }
+}
+
+module.exports = ConcurrencyLimiter;
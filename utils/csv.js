@@ -0,0 +1,20 @@
+/**
+ * CSV for admin exports. Cells starting with = + - @ are prefixed with a
+ * quote so spreadsheet apps don't run user-supplied text as a formula.
+ */
+class Csv {
+    static escape(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static build(header, rows) {
+        return [header, ...rows].map(row => row.map(value => this.escape(value)).join(',')).join('\n');
+    }
+}
+
+module.exports = Csv;
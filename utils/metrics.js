@@ -0,0 +1,191 @@
+/**
+ * In-process metrics in the Prometheus text format, served on /metrics by
+ * the health server. Shared by the whole bot like the Logger.
+ */
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // label values joined -> { labels, value }
+        this.series = new Map();
+    }
+
+    key(labels) {
+        return this.labelNames.map(name => labels[name] ?? '').join('\u0000');
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this.key(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? ''])), value: 0 });
+        }
+        this.series.get(key).value += amount;
+    }
+
+    get(labels = {}) {
+        return this.series.get(this.key(labels))?.value || 0;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Gauge extends Counter {
+    set(labels, value) {
+        this.inc(labels, 0);
+        this.series.get(this.key(labels)).value = value;
+    }
+
+    render() {
+        return super.render().map(line => line.replace(/^# TYPE (\S+) counter$/, '# TYPE $1 gauge'));
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 5, 10]) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        this.series = new Map();
+    }
+
+    observe(labels = {}, seconds) {
+        const key = this.labelNames.map(name => labels[name] ?? '').join('\u0000');
+        if (!this.series.has(key)) {
+            this.series.set(key, {
+                labels: Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? ''])),
+                counts: this.buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            });
+        }
+
+        const series = this.series.get(key);
+        this.buckets.forEach((bound, index) => {
+            if (seconds <= bound) series.counts[index]++;
+        });
+        series.sum += seconds;
+        series.count++;
+    }
+
+    /**
+     * Returns a function that observes the seconds since it was created.
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class Metrics {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Drops every recorded value (used by tests).
+     */
+    reset() {
+        this.commands = new Counter('hll_bot_commands_total', 'Slash commands handled, by command and outcome', ['command', 'outcome']);
+        this.crconRequests = new Histogram(
+            'hll_bot_crcon_request_duration_seconds',
+            'CRCON API request latency, by server, endpoint and outcome',
+            ['server', 'endpoint', 'outcome'],
+            [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+        );
+        this.dms = new Counter('hll_bot_dms_total', 'Direct messages to players, by kind and outcome', ['kind', 'outcome']);
+        this.leaderboardUpdates = new Histogram(
+            'hll_bot_leaderboard_update_duration_seconds',
+            'Time taken to update every live leaderboard',
+            [],
+            [0.5, 1, 2.5, 5, 10, 30, 60, 120]
+        );
+        this.jobRuns = new Counter('hll_bot_job_runs_total', 'Background job runs, by job and outcome', ['job', 'outcome']);
+        this.jobLastRun = new Gauge('hll_bot_job_last_run_timestamp_seconds', 'Unix time a background job last finished', ['job']);
+
+        // job name -> { lastRun, lastSuccess, lastError, durationMs, runs, failures }
+        this.jobs = new Map();
+    }
+
+    /**
+     * Sends a DM and counts it as sent or failed. Errors are rethrown so
+     * callers keep their own handling.
+     */
+    async recordDm(kind, send) {
+        try {
+            const result = await send();
+            this.dms.inc({ kind, outcome: 'sent' });
+            return result;
+        } catch (error) {
+            this.dms.inc({ kind, outcome: 'failed' });
+            throw error;
+        }
+    }
+
+    /**
+     * Runs a background job and records when it ran and how it went for
+     * /healthz. Errors are rethrown.
+     */
+    async recordJob(name, job) {
+        const started = Date.now();
+        const status = this.jobs.get(name) || { lastRun: null, lastSuccess: null, lastError: null, durationMs: null, runs: 0, failures: 0 };
+        this.jobs.set(name, status);
+
+        try {
+            const result = await job();
+            status.lastSuccess = new Date().toISOString();
+            this.jobRuns.inc({ job: name, outcome: 'success' });
+            return result;
+        } catch (error) {
+            status.failures++;
+            status.lastError = { at: new Date().toISOString(), message: error.message };
+            this.jobRuns.inc({ job: name, outcome: 'error' });
+            throw error;
+        } finally {
+            status.runs++;
+            status.lastRun = new Date(started).toISOString();
+            status.durationMs = Date.now() - started;
+            this.jobLastRun.set({ job: name }, Math.floor(Date.now() / 1000));
+        }
+    }
+
+    getJobs() {
+        return Object.fromEntries(Array.from(this.jobs.entries()).map(([name, status]) => [name, { ...status }]));
+    }
+
+    render() {
+        const metrics = [this.commands, this.crconRequests, this.dms, this.leaderboardUpdates, this.jobRuns, this.jobLastRun];
+        return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,37 @@
+/**
+ * Leaderboard period boundaries in server local time: days start at midnight,
+ * weeks on Monday and months on the 1st.
+ */
+class Periods {
+    static getPeriodStart(period, now = new Date()) {
+        switch (period) {
+            case 'daily':
+                return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            case 'weekly': {
+                const daysSinceMonday = (now.getDay() + 6) % 7;
+                return new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysSinceMonday);
+            }
+            case 'monthly':
+                return new Date(now.getFullYear(), now.getMonth(), 1);
+            default:
+                throw new Error(`Unknown period: ${period}`);
+        }
+    }
+
+    static getNextPeriodStart(period, now = new Date()) {
+        const start = this.getPeriodStart(period, now);
+
+        switch (period) {
+            case 'daily':
+                return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+            case 'weekly':
+                return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+            case 'monthly':
+                return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+            default:
+                throw new Error(`Unknown period: ${period}`);
+        }
+    }
+}
+
+module.exports = Periods;
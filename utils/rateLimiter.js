@@ -1,39 +1,145 @@
+const PermissionChecker = require('./permissions');
+
+// Buttons and modals that do the same work as a slash command share its bucket.
+// Of the link flow only the modal that sends an in-game code is charged; the
+// buttons just open modals and code entry has its own attempt limit.
+const COMPONENT_COMMANDS = {
+    link_account_modal: 'link',
+    panel_check_vip: 'vip',
+    panel_unlink_account: 'unlink'
+};
+
+// Commands where only some subcommands count towards the command's bucket:
+// `/link verify` is covered by the verification attempt limit instead
+const CHARGED_SUBCOMMANDS = {
+    link: ['start']
+};
+
+/**
+ * Fixed-window rate limits. Every interaction counts against the user's
+ * bucket, the bucket for its command (when that command has a limit) and
+ * its guild's bucket. Limits are `{ limit, windowMs }`; a null limit is off.
+ */
 class RateLimiter {
-    constructor() {
-        this.userRequests = new Map();
-        setInterval(() => this.cleanup(), 5 * 60 * 1000);
+    constructor(config = {}) {
+        this.configure(config);
+
+        // key -> { count, resetTime }
+        this.buckets = new Map();
+        // bucket type ('user', 'guild', 'command:<name>') -> { allowed, limited }
+        this.counters = new Map();
+        this.exempted = 0;
+
+        setInterval(() => this.cleanup(), 5 * 60 * 1000).unref();
+    }
+
+    /**
+     * Replaces the limits. Buckets and counters carry over, so a new limit
+     * applies to what users already spent in the current window.
+     */
+    configure(config = {}) {
+        this.userLimit = config.user === undefined ? { limit: 10, windowMs: 60000 } : config.user;
+        this.guildLimit = config.guild || null;
+        this.commandLimits = config.commands || {};
+        this.exemptAdmins = config.exemptAdmins ?? true;
+    }
+
+    getCommandName(interaction) {
+        if (!interaction.commandName) {
+            return COMPONENT_COMMANDS[interaction.customId] || null;
+        }
+
+        const charged = CHARGED_SUBCOMMANDS[interaction.commandName];
+        if (charged && !charged.includes(interaction.options?.getSubcommand(false))) {
+            return null;
+        }
+        return interaction.commandName;
+    }
+
+    getRules(interaction) {
+        const userId = interaction.user.id;
+        const command = this.getCommandName(interaction);
+        const rules = [];
+
+        if (this.userLimit) {
+            rules.push({ type: 'user', key: `user_${userId}`, ...this.userLimit });
+        }
+        if (command && this.commandLimits[command]) {
+            rules.push({ type: `command:${command}`, key: `command_${command}_${userId}`, ...this.commandLimits[command] });
+        }
+        if (this.guildLimit && interaction.guildId) {
+            rules.push({ type: 'guild', key: `guild_${interaction.guildId}`, ...this.guildLimit });
+        }
+
+        return rules;
     }
 
-    checkUserLimit(userId, limit = 10, windowMs = 60000) {
+    /**
+     * Counts an interaction against its buckets. Returns `{ allowed: true }`,
+     * or `{ allowed: false, bucket, retryAfterMs }` for the first full bucket.
+     * A rejected interaction isn't charged to any bucket.
+     */
+    check(interaction) {
+        if (this.exemptAdmins && interaction.member?.permissions && PermissionChecker.hasAdminPermissions(interaction.member)) {
+            this.exempted++;
+            return { allowed: true, exempt: true };
+        }
+
         const now = Date.now();
-        const userKey = `user_${userId}`;
-        
-        if (!this.userRequests.has(userKey)) {
-            this.userRequests.set(userKey, { count: 1, resetTime: now + windowMs });
-            return true;
+        const rules = this.getRules(interaction);
+
+        for (const rule of rules) {
+            const bucket = this.buckets.get(rule.key);
+            if (bucket && now <= bucket.resetTime && bucket.count >= rule.limit) {
+                this.count(rule.type, 'limited');
+                return { allowed: false, bucket: rule.type, retryAfterMs: bucket.resetTime - now };
+            }
         }
 
-        const userData = this.userRequests.get(userKey);
-        
-        if (now > userData.resetTime) {
-            userData.count = 1;
-            userData.resetTime = now + windowMs;
-            return true;
+        for (const rule of rules) {
+            const bucket = this.buckets.get(rule.key);
+            if (!bucket || now > bucket.resetTime) {
+                this.buckets.set(rule.key, { count: 1, resetTime: now + rule.windowMs });
+            } else {
+                bucket.count++;
+            }
+            this.count(rule.type, 'allowed');
         }
 
-        if (userData.count >= limit) {
-            return false;
+        return { allowed: true };
+    }
+
+    count(type, outcome) {
+        if (!this.counters.has(type)) {
+            this.counters.set(type, { allowed: 0, limited: 0 });
         }
+        this.counters.get(type)[outcome]++;
+    }
+
+    /**
+     * Configured limits and counters since startup, for /debug ratelimits.
+     */
+    getStats() {
+        const limits = {
+            user: this.userLimit,
+            guild: this.guildLimit,
+            ...Object.fromEntries(Object.entries(this.commandLimits).map(([command, limit]) => [`command:${command}`, limit]))
+        };
 
-        userData.count++;
-        return true;
+        return {
+            limits,
+            counters: Object.fromEntries(this.counters),
+            exempted: this.exempted,
+            exemptAdmins: this.exemptAdmins,
+            activeBuckets: this.buckets.size
+        };
     }
 
     cleanup() {
         const now = Date.now();
-        for (const [key, data] of this.userRequests.entries()) {
+        for (const [key, data] of this.buckets.entries()) {
             if (now > data.resetTime) {
-                this.userRequests.delete(key);
+                this.buckets.delete(key);
             }
         }
     }
@@ -48,6 +48,106 @@ class Validators {
 
         return trimmed;
     }
+
+    /**
+     * Parses durations such as "30d", "2w", "12h" or "1w 3d" into milliseconds.
+     */
+    static validateDuration(duration) {
+        if (!duration || typeof duration !== 'string') {
+            throw new ValidationError('Duration is required', 'duration');
+        }
+
+        const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+        const normalized = duration.trim().toLowerCase().replace(/\s+/g, '');
+        const parts = normalized.match(/\d+[mhdw]/g);
+
+        if (!parts || parts.join('') !== normalized) {
+            throw new ValidationError('Duration must look like "30d", "2w", "12h" or "1w3d"', 'duration');
+        }
+
+        const totalMs = parts.reduce((sum, part) => sum + parseInt(part) * units[part.slice(-1)], 0);
+
+        if (totalMs <= 0 || totalMs > 10 * 365 * units.d) {
+            throw new ValidationError('Duration must be between 1 minute and 10 years', 'duration');
+        }
+
+        return totalMs;
+    }
+
+    /**
+     * Parses an absolute expiry ("YYYY-MM-DD" or ISO timestamp) that must be in the future.
+     */
+    static validateExpiryDate(value) {
+        if (!value || typeof value !== 'string') {
+            throw new ValidationError('Expiry date is required', 'expires');
+        }
+
+        const trimmed = value.trim();
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(trimmed)
+            ? new Date(`${trimmed}T23:59:59`)
+            : new Date(trimmed);
+
+        if (isNaN(date.getTime())) {
+            throw new ValidationError('Expiry must be a date like 2025-12-31', 'expires');
+        }
+
+        if (date <= new Date()) {
+            throw new ValidationError('Expiry date must be in the future', 'expires');
+        }
+
+        return date;
+    }
+
+    static validatePlayerId(playerId) {
+        if (!playerId || typeof playerId !== 'string') {
+            throw new ValidationError('Player ID is required', 'player_id');
+        }
+
+        const trimmed = playerId.trim();
+
+        if (!/^[A-Za-z0-9-]{10,64}$/.test(trimmed)) {
+            throw new ValidationError('Player ID must be a Steam64 ID or a Windows/console player ID', 'player_id');
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Normalizes a VIP redemption code: case and separators don't matter,
+     * so "abcd efgh jkmn" and "ABCD-EFGH-JKMN" are the same code.
+     */
+    static validateRedemptionCode(code) {
+        if (!code || typeof code !== 'string') {
+            throw new ValidationError('Code is required', 'code');
+        }
+
+        const compact = code.toUpperCase().replace(/[\s-]/g, '');
+
+        if (!/^[A-Z0-9]{12}$/.test(compact)) {
+            throw new ValidationError('That doesn\'t look like a VIP code. Codes look like ABCD-EFGH-JKMN.', 'code');
+        }
+
+        return compact.match(/.{4}/g).join('-');
+    }
+
+    static validateSubmissionUrl(value) {
+        if (!value || !value.trim()) {
+            return null;
+        }
+
+        let url;
+        try {
+            url = new URL(value.trim());
+        } catch (error) {
+            throw new ValidationError('Screenshot link must be a full URL, e.g. https://imgur.com/abc123', 'url');
+        }
+
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new ValidationError('Screenshot link must start with http:// or https://', 'url');
+        }
+
+        return url.toString();
+    }
 }
 
 module.exports = { Validators, ValidationError };